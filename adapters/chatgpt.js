@@ -0,0 +1,24 @@
+// AI Prompt Enhancer - ChatGPT adapter
+// The composer is a ProseMirror contenteditable (#prompt-textarea); older builds used a textarea
+
+(function(global) {
+    'use strict';
+
+    global.AIPromptEnhancer.adapters.registerAdapter({
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        matches: [
+            'https://chatgpt.com/*',
+            'https://chat.openai.com/*'
+        ],
+        inputSelectors: [
+            '#prompt-textarea[contenteditable="true"]',
+            'div.ProseMirror[contenteditable="true"]',
+            'textarea#prompt-textarea',
+            'form textarea'
+        ],
+        // Sit just above the composer so the send button stays reachable
+        buttonOffset: { x: -120, y: -44 }
+    });
+
+})(globalThis);
@@ -0,0 +1,21 @@
+// AI Prompt Enhancer - Claude adapter
+// The composer is a ProseMirror contenteditable inside the chat input fieldset
+
+(function(global) {
+    'use strict';
+
+    global.AIPromptEnhancer.adapters.registerAdapter({
+        id: 'claude',
+        name: 'Claude',
+        matches: [
+            'https://claude.ai/*'
+        ],
+        inputSelectors: [
+            '[data-testid="chat-input"][contenteditable="true"]',
+            'div.ProseMirror[contenteditable="true"]',
+            'fieldset [contenteditable="true"]'
+        ],
+        buttonOffset: { x: -120, y: -44 }
+    });
+
+})(globalThis);
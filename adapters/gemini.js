@@ -0,0 +1,21 @@
+// AI Prompt Enhancer - Gemini adapter
+// The composer is a Quill editor (.ql-editor) inside a rich-textarea element
+
+(function(global) {
+    'use strict';
+
+    global.AIPromptEnhancer.adapters.registerAdapter({
+        id: 'gemini',
+        name: 'Gemini',
+        matches: [
+            'https://gemini.google.com/*'
+        ],
+        inputSelectors: [
+            'rich-textarea .ql-editor[contenteditable="true"]',
+            'div.ql-editor[contenteditable="true"]',
+            '[aria-label*="prompt" i][contenteditable="true"]'
+        ],
+        buttonOffset: { x: -120, y: -44 }
+    });
+
+})(globalThis);
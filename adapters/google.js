@@ -0,0 +1,46 @@
+// AI Prompt Enhancer - Google Search adapter
+
+(function(global) {
+    'use strict';
+
+    const { registerAdapter, findInputBySelectors, isVisible } = global.AIPromptEnhancer.adapters;
+
+    const inputSelectors = [
+        'textarea[name="q"]',
+        'input[name="q"]',
+        '.gLFyf',
+        '[aria-label="Search"]'
+    ];
+
+    registerAdapter({
+        id: 'google',
+        name: 'Google Search',
+        matches: [
+            'https://www.google.com/*',
+            'https://google.com/*',
+            'https://www.google.co.uk/*',
+            'https://www.google.ca/*'
+        ],
+        inputSelectors,
+        findInput() {
+            const element = findInputBySelectors(inputSelectors);
+            if (element) return element;
+
+            // Fallback: look for any input that looks like a search bar
+            const inputs = document.querySelectorAll('input[type="text"], textarea');
+            for (const input of inputs) {
+                if (isVisible(input) &&
+                    input.offsetWidth > 200 &&
+                    input.offsetHeight > 30 &&
+                    (input.placeholder?.toLowerCase().includes('search') ||
+                     input.placeholder?.toLowerCase().includes('google') ||
+                     input.getAttribute('aria-label')?.toLowerCase().includes('search'))) {
+                    return input;
+                }
+            }
+
+            return null;
+        }
+    });
+
+})(globalThis);
@@ -0,0 +1,21 @@
+// AI Prompt Enhancer - Perplexity adapter
+
+(function(global) {
+    'use strict';
+
+    global.AIPromptEnhancer.adapters.registerAdapter({
+        id: 'perplexity',
+        name: 'Perplexity',
+        matches: [
+            'https://www.perplexity.ai/*',
+            'https://perplexity.ai/*'
+        ],
+        inputSelectors: [
+            '#ask-input[contenteditable="true"]',
+            'textarea[placeholder*="Ask"]',
+            'main textarea'
+        ],
+        buttonOffset: { x: -120, y: -44 }
+    });
+
+})(globalThis);
@@ -0,0 +1,253 @@
+// AI Prompt Enhancer - Site adapter registry
+// Each supported site registers an adapter that knows how to find the prompt input,
+// read and write its value, and where to place the enhance button.
+// scripts/build-manifest.js loads every adapter in this folder to generate the
+// manifest's content script matches and host permissions.
+//
+// Adapter shape:
+//   id              - unique identifier, e.g. 'chatgpt'
+//   name            - display name
+//   matches         - Chrome match patterns for the pages the adapter handles
+//   inputSelectors  - selectors tried in order to find the prompt input
+//   findInput()     - optional override, defaults to findInputBySelectors(inputSelectors)
+//   readValue(el)   - optional override, defaults to readInputValue
+//   writeValue(el, text) - optional override, defaults to writeInputValue
+//   insertValue(el, text, selection) - optional override, defaults to insertInputValue
+//   placeButton(button, input) - optional override, defaults to positionNearInput
+//   buttonOffset    - { x, y } used by positionNearInput (default: inside the top-right corner)
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.adapters) return; // Already loaded in this page
+
+    const adapters = new Map();
+
+    // Register (or replace) a site adapter
+    function registerAdapter(adapter) {
+        if (!adapter || typeof adapter.id !== 'string' || !adapter.id.trim()) {
+            throw new Error('Adapter must have a non-empty string id');
+        }
+        if (!Array.isArray(adapter.matches) || adapter.matches.length === 0) {
+            throw new Error(`Adapter "${adapter.id}" must declare at least one match pattern`);
+        }
+        if (!adapter.findInput && !(Array.isArray(adapter.inputSelectors) && adapter.inputSelectors.length)) {
+            throw new Error(`Adapter "${adapter.id}" must define inputSelectors or findInput`);
+        }
+
+        const definition = {
+            name: adapter.id,
+            buttonOffset: { x: -120, y: 0 },
+            readValue: readInputValue,
+            writeValue: writeInputValue,
+            insertValue: insertInputValue,
+            ...adapter
+        };
+        definition.findInput = adapter.findInput || (() => findInputBySelectors(definition.inputSelectors));
+        definition.placeButton = adapter.placeButton ||
+            ((button, input) => positionNearInput(button, input, definition.buttonOffset));
+
+        adapters.set(adapter.id, definition);
+        return definition;
+    }
+
+    // Get all registered adapters
+    function getAdapters() {
+        return Array.from(adapters.values());
+    }
+
+    // Convert a Chrome match pattern (scheme://host/path) to a RegExp
+    function matchPatternToRegExp(pattern) {
+        const match = /^(\*|https?):\/\/([^/]+)(\/.*)$/.exec(pattern);
+        if (!match) {
+            throw new Error(`Invalid match pattern: "${pattern}"`);
+        }
+
+        const [, scheme, host, path] = match;
+        const escape = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+        const schemePart = scheme === '*' ? 'https?' : scheme;
+        const hostPart = host === '*'
+            ? '[^/]+'
+            : host.startsWith('*.')
+                ? `(?:[^/]+\\.)?${escape(host.slice(2))}`
+                : escape(host);
+        const pathPart = escape(path).replace(/\*/g, '.*');
+
+        return new RegExp(`^${schemePart}://${hostPart}${pathPart}$`);
+    }
+
+    // Find the adapter whose match patterns cover the given URL
+    function getAdapterForUrl(url) {
+        return getAdapters().find(adapter =>
+            adapter.matches.some(pattern => matchPatternToRegExp(pattern).test(url))
+        ) || null;
+    }
+
+    // Check that an element is rendered and visible
+    function isVisible(element) {
+        return Boolean(element) && element.offsetParent !== null && element.offsetWidth > 0;
+    }
+
+    // Check whether an element is a text input we can enhance
+    function isEditable(element) {
+        if (!element) return false;
+        if (element.tagName === 'TEXTAREA') return !element.readOnly && !element.disabled;
+        if (element.tagName === 'INPUT') {
+            return ['text', 'search', ''].includes(element.type) && !element.readOnly && !element.disabled;
+        }
+        return element.isContentEditable === true;
+    }
+
+    // Find the first visible, editable element matching one of the selectors
+    function findInputBySelectors(selectors) {
+        for (const selector of selectors) {
+            try {
+                const element = document.querySelector(selector);
+                if (isVisible(element) && isEditable(element)) {
+                    return element;
+                }
+            } catch (e) {
+                console.warn(`Selector "${selector}" failed:`, e);
+            }
+        }
+
+        return null;
+    }
+
+    // Read the text of a textarea, input or contenteditable element
+    function readInputValue(element) {
+        if (!element) return '';
+        if ('value' in element && (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT')) {
+            return element.value;
+        }
+        return element.innerText || element.textContent || '';
+    }
+
+    // Write text so that frameworks (React, ProseMirror, Quill) see a real user edit
+    function writeInputValue(element, text) {
+        if (!element) return false;
+
+        element.focus();
+
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+            // Use the native setter so React's value tracking notices the change
+            const prototype = element.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+            const setter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+            setter.call(element, text);
+
+            element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+        }
+
+        if (element.isContentEditable) {
+            // Select the current contents so insertText replaces them
+            const selection = window.getSelection();
+            const range = document.createRange();
+            range.selectNodeContents(element);
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            // execCommand goes through the editor's own input handling and keeps its undo stack
+            const inserted = document.execCommand('insertText', false, text);
+            if (!inserted) {
+                element.textContent = text;
+                element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    // Remember where the caret or selection is so text can be inserted there later
+    function captureSelection(element) {
+        if (!element) return null;
+
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+            return { start: element.selectionStart, end: element.selectionEnd };
+        }
+
+        const selection = window.getSelection();
+        if (selection && selection.rangeCount > 0) {
+            const range = selection.getRangeAt(0);
+            if (element.contains(range.commonAncestorContainer)) {
+                return { range: range.cloneRange() };
+            }
+        }
+
+        return null;
+    }
+
+    // Insert text at a captured selection (or the end of the input), firing input events
+    function insertInputValue(element, text, savedSelection) {
+        if (!element) return false;
+
+        element.focus();
+
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+            const current = element.value;
+            const start = savedSelection?.start ?? current.length;
+            const end = savedSelection?.end ?? start;
+
+            writeInputValue(element, current.slice(0, start) + text + current.slice(end));
+
+            const caret = start + text.length;
+            element.setSelectionRange(caret, caret);
+            return true;
+        }
+
+        if (element.isContentEditable) {
+            const selection = window.getSelection();
+            let range = savedSelection?.range;
+
+            if (!range) {
+                range = document.createRange();
+                range.selectNodeContents(element);
+                range.collapse(false);
+            }
+
+            selection.removeAllRanges();
+            selection.addRange(range);
+
+            const inserted = document.execCommand('insertText', false, text);
+            if (!inserted) {
+                range.deleteContents();
+                range.insertNode(document.createTextNode(text));
+                element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    // Place the button inside the input's top-right corner (absolute page coordinates)
+    function positionNearInput(button, input, offset = { x: -120, y: 0 }) {
+        const rect = input.getBoundingClientRect();
+        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+        const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+
+        button.style.position = 'absolute';
+        button.style.left = (rect.right + offset.x) + scrollLeft + 'px';
+        button.style.top = (rect.top + offset.y) + scrollTop + 'px';
+    }
+
+    namespace.adapters = {
+        registerAdapter,
+        getAdapters,
+        getAdapterForUrl,
+        matchPatternToRegExp,
+        findInputBySelectors,
+        isVisible,
+        isEditable,
+        readInputValue,
+        writeInputValue,
+        captureSelection,
+        insertInputValue,
+        positionNearInput
+    };
+
+})(globalThis);
@@ -1,16 +1,82 @@
 // Background service worker for AI Prompt Enhancer
-// This script runs in the background and handles extension lifecycle events
+// This script runs in the background and handles extension lifecycle events.
+// It is an ES module worker; the enhancement itself happens in core/enhancer.js.
+
+import { enhancePrompt, enhanceVariants, resolvePersona } from './core/enhancer.js';
+import { getRuleSettingDefinitions, getRuleSettingsDefaults, getRules } from './lib/rule-registry.js';
+import { TEMPLATE_STORAGE_KEY, TEMPLATE_LIMITS, BUILTIN_TEMPLATES, TemplateError, validateTemplate, describeTemplate } from './lib/templates.js';
+import {
+    PERSONA_STORAGE_KEY,
+    SITE_PERSONA_STORAGE_KEY,
+    PERSONA_LIMITS,
+    BUILTIN_PERSONAS,
+    PersonaError,
+    validatePersona,
+    localizePersona,
+    describePersona
+} from './lib/personas.js';
+import { LLM_PROVIDER_DEFAULTS } from './lib/llm-provider.js';
+import { ANALYZER_DIMENSIONS, analyzePrompt } from './lib/prompt-analyzer.js';
+import { addHistoryEntry, searchHistory, setHistoryStar, deleteHistoryEntry, clearHistory } from './lib/history-store.js';
+import { USAGE_AGGREGATES_KEY, ANALYTICS_PERIODS, getPeriodKey, recordEnhancementAggregate, buildAnalyticsReport } from './lib/usage-analytics.js';
+import {
+    SCHEDULER_STATE_KEY,
+    defineBackgroundJob,
+    getBackgroundJob,
+    getBackgroundJobs,
+    getJobAlarmName,
+    getJobIdFromAlarm,
+    getNextRunTime
+} from './lib/scheduler.js';
+import {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    ProtocolError,
+    getMessageSchemas,
+    parseRequest,
+    createRequest,
+    errorResponse
+} from './lib/message-protocol.js';
+import { RedactionError, getRedactionDetectors } from './lib/redaction.js';
+import {
+    FORMAT_PRESET_STORAGE_KEY,
+    FORMAT_PRESET_LIMITS,
+    BUILTIN_FORMAT_PRESETS,
+    FormatPresetError,
+    validateFormatPreset,
+    describeFormatPreset,
+    describeFormatKinds
+} from './lib/format-presets.js';
+import { VARIANT_PREFERENCES_KEY, rankStrategies, recordVariantChoice } from './lib/variants.js';
+import { DEFAULT_MODEL_PRICES, PriceTableError, validateModelPrices } from './lib/token-estimator.js';
 
 // Configuration
 const CONFIG = {
     maxRetries: 3,
     retryDelay: 1000,
-    cleanupInterval: 24 * 60 * 60 * 1000, // 24 hours
-    statsCheckInterval: 60 * 60 * 1000, // 1 hour
+    cleanupIntervalMinutes: 24 * 60, // 24 hours
+    statsCheckIntervalMinutes: 60, // 1 hour
     maxStorageEntries: 100,
-    dataRetentionDays: 30
+    maxRetentionDays: 365
+};
+
+// Settings that are not tied to an enhancement rule
+const GENERAL_SETTINGS_DEFAULTS = {
+    historyEnabled: false, // Prompt history is opt-in
+    hotkeys: {}, // Modal hotkeys the user remapped (content/hotkeys.js has the defaults)
+    usageRetentionDays: 30, // Usage log entries older than this are deleted
+    statsResetPeriod: 'month', // How often the usage counters restart: 'day', 'week' or 'month'
+    theme: 'system', // Theme of the button and modal: 'system', 'light', 'dark' or 'high-contrast'
+    redactionEnabled: true, // Mask PII and secrets before enhancement (lib/redaction.js)
+    redactionPatterns: [], // Custom regular expressions to mask as well
+    tokenModel: DEFAULT_MODEL_PRICES[0].id, // Model the token and cost estimates are for (lib/token-estimator.js)
+    contextBudget: 0, // Warn when an enhanced prompt has more tokens than this; 0 uses the model's context window
+    modelPrices: DEFAULT_MODEL_PRICES // Editable price table, USD per million input tokens
 };
 
+// Schema per message action; updateSettings accepts the registered rule settings (lib/message-protocol.js)
+const MESSAGE_SCHEMAS = getMessageSchemas(getRuleSettingDefinitions().map(definition => definition.key));
+
 // AbortController for cleanup
 const abortController = new AbortController();
 
@@ -21,12 +87,8 @@ chrome.runtime.onInstalled.addListener((details) => {
         console.log('AI Prompt Enhancer installed successfully!');
         
         try {
-            // Set default settings
-            chrome.storage.sync.set({
-                enhanceClarity: true,
-                addContext: true,
-                improveStructure: false
-            });
+            // Set default settings for every registered rule
+            chrome.storage.sync.set(getSettingsDefaults());
             
             // Open welcome page or show installation message
             chrome.tabs.create({
@@ -39,80 +101,216 @@ chrome.runtime.onInstalled.addListener((details) => {
         // Extension updated
         console.log('AI Prompt Enhancer updated to version', chrome.runtime.getManifest().version);
     }
+    
+    // Context menus persist across restarts but must be created on every install and update
+    scheduleContextMenuBuild();
+    
+    scheduleBackgroundJobs();
 });
 
 // Extension startup
 chrome.runtime.onStartup.addListener(() => {
     console.log('AI Prompt Enhancer started');
     
-    try {
-        // Initialize any background services
-        initializeBackgroundServices();
-    } catch (error) {
-        console.error('Failed to initialize background services:', error);
-    }
+    // Alarms may not survive a browser restart; set them again and catch up on missed runs
+    scheduleBackgroundJobs();
 });
 
 // Message handling from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    console.log('Background received message:', request);
+    // Only the action: payloads carry prompts and credentials such as the provider's API key
+    console.log('Background received message:', request?.action);
     
+    // Reject requests that break the protocol or their action's schema before any handler runs
+    let message;
     try {
-        switch (request.action) {
+        message = parseRequest(request, MESSAGE_SCHEMAS);
+    } catch (error) {
+        const code = error instanceof ProtocolError ? error.code : ERROR_CODES.INTERNAL_ERROR;
+        sendResponse({ ...errorResponse(code, error.message), id: request?.id, protocol: PROTOCOL_VERSION });
+        return;
+    }
+    
+    // Every response carries the request id back
+    const respond = (response) => sendResponse({ ...response, id: message.id, protocol: PROTOCOL_VERSION });
+    const { data } = message;
+    
+    try {
+        switch (message.action) {
             case 'enhancePrompt':
-                handlePromptEnhancement(request.data, sendResponse);
+                handlePromptEnhancement(data, respond);
                 return true; // Keep message channel open for async response
                 
+            case 'enhanceVariants':
+                handleEnhanceVariants(data, respond);
+                return true;
+                
+            case 'chooseVariant':
+                handleChooseVariant(data, respond);
+                return true;
+                
             case 'getSettings':
-                handleGetSettings(sendResponse);
+                handleGetSettings(respond);
                 return true;
                 
             case 'updateSettings':
-                handleUpdateSettings(request.data, sendResponse);
+                handleUpdateSettings(data, respond);
                 return true;
                 
             case 'getStats':
-                handleGetStats(sendResponse);
+                handleGetStats(respond);
+                return true;
+                
+            case 'getAnalytics':
+                handleGetAnalytics(data, respond);
+                return true;
+                
+            case 'analyzePrompt':
+                handleAnalyzePrompt(data, respond);
+                return true;
+                
+            case 'getProviderSettings':
+                handleGetProviderSettings(respond);
+                return true;
+                
+            case 'updateProviderSettings':
+                handleUpdateProviderSettings(data, respond);
+                return true;
+                
+            case 'getTemplates':
+                handleGetTemplates(respond);
+                return true;
+                
+            case 'saveTemplate':
+                handleSaveTemplate(data, respond);
+                return true;
+                
+            case 'deleteTemplate':
+                handleDeleteTemplate(data, respond);
+                return true;
+                
+            case 'getFormatPresets':
+                handleGetFormatPresets(respond);
+                return true;
+                
+            case 'saveFormatPreset':
+                handleSaveFormatPreset(data, respond);
+                return true;
+                
+            case 'deleteFormatPreset':
+                handleDeleteFormatPreset(data, respond);
+                return true;
+                
+            case 'getPersonas':
+                handleGetPersonas(respond);
+                return true;
+                
+            case 'savePersona':
+                handleSavePersona(data, respond);
+                return true;
+                
+            case 'deletePersona':
+                handleDeletePersona(data, respond);
+                return true;
+                
+            case 'pinSitePersona':
+                handlePinSitePersona(data, respond);
+                return true;
+                
+            case 'suggestPersona':
+                handleSuggestPersona(data, respond);
+                return true;
+                
+            case 'searchHistory':
+                handleSearchHistory(data, respond);
+                return true;
+                
+            case 'starHistoryEntry':
+                handleStarHistoryEntry(data, respond);
+                return true;
+                
+            case 'deleteHistoryEntry':
+                handleDeleteHistoryEntry(data, respond);
+                return true;
+                
+            case 'clearHistory':
+                handleClearHistory(respond);
                 return true;
                 
             default:
-                sendResponse({ success: false, error: 'Unknown action' });
+                respond(errorResponse(ERROR_CODES.UNKNOWN_ACTION, `Unknown action "${message.action}"`));
         }
     } catch (error) {
         console.error('Error handling message:', error);
-        sendResponse({ success: false, error: 'Internal server error' });
+        respond(errorResponse(ERROR_CODES.INTERNAL_ERROR, 'Internal server error'));
     }
 });
 
 // Handle prompt enhancement requests with retry logic
 async function handlePromptEnhancement(data, sendResponse, retryCount = 0) {
     try {
-        const { prompt, options } = data;
+        const { prompt: originalPrompt, options, template } = data;
         
-        if (!prompt || !prompt.trim()) {
-            sendResponse({ success: false, error: 'No prompt provided' });
+        if (!originalPrompt || !originalPrompt.trim()) {
+            sendResponse(errorResponse(ERROR_CODES.INVALID_DATA, 'No prompt provided'));
             return;
         }
         
-        // Process the enhancement
-        const enhancedPrompt = await processEnhancement(prompt, options);
+        // Stored settings decide which rules run unless the request overrides them
+        const storedSettings = await getStoredSettings();
+        const settings = { ...storedSettings, ...options };
+        
+        let result;
+        try {
+            result = await enhancePrompt(originalPrompt, await buildEnhancementRequest(data, settings));
+        } catch (error) {
+            if (!isRequestError(error)) throw error;
+            sendResponse(errorResponse(error.code, error.message));
+            return;
+        }
+        
+        const { text: enhancedPrompt, provider, language, persona: resolved } = result;
         
         // Log usage for analytics
         await logUsage('prompt_enhanced', {
-            originalLength: prompt.length,
+            originalLength: originalPrompt.length,
             enhancedLength: enhancedPrompt.length,
-            options: options,
-            source: 'google_search'
+            options: settings,
+            template: template ? template.id : null,
+            provider: provider,
+            language: language,
+            persona: resolved ? resolved.persona.id : null,
+            rules: result.applied,
+            source: data.site || 'unknown'
         });
         
+        // Keep the prompts themselves only when the user opted in to history
+        let historyId = null;
+        if (settings.historyEnabled) {
+            try {
+                historyId = await addHistoryEntry({
+                    original: originalPrompt,
+                    enhanced: enhancedPrompt,
+                    options: settings,
+                    site: data.site || 'unknown',
+                    template: template ? template.id : null
+                });
+            } catch (error) {
+                console.error('Failed to save prompt history:', error);
+            }
+        }
+        
         sendResponse({ 
             success: true, 
             enhancedPrompt: enhancedPrompt,
-            stats: {
-                originalLength: prompt.length,
-                enhancedLength: enhancedPrompt.length,
-                improvement: Math.round(((enhancedPrompt.length - prompt.length) / prompt.length) * 100)
-            }
+            provider: provider,
+            language: language,
+            persona: resolved ? describeResolvedPersona(resolved) : null,
+            fallbackReason: result.fallbackReason,
+            historyId: historyId,
+            analysis: result.analysis,
+            stats: result.stats,
+            redactions: result.redactions
         });
         
     } catch (error) {
@@ -127,168 +325,712 @@ async function handlePromptEnhancement(data, sendResponse, retryCount = 0) {
             return;
         }
         
-        sendResponse({ success: false, error: error.message });
+        sendResponse(errorResponse(ERROR_CODES.INTERNAL_ERROR, error.message));
     }
 }
 
-// Process prompt enhancement
-async function processEnhancement(prompt, options) {
-    let enhanced = prompt;
-    
+// The engine request for a message (core/enhancer.js): the persona picked in the modal, pinned for the
+// site or suggested by the prompt's topic, and the LLM provider when configured, with the rule
+// pipeline as offline fallback. Variants load the personas even with 'none', for the persona strategy.
+async function buildEnhancementRequest(data, settings, { variants = false } = {}) {
+    const { template, format } = data;
+    return {
+        options: settings,
+        template,
+        templates: template && template.id ? await getAllTemplates() : undefined,
+        format,
+        formatPresets: format && format.id ? await getAllFormatPresets() : undefined,
+        persona: data.persona,
+        personas: data.persona === 'none' && !variants ? [] : await getAllPersonas(),
+        pinned: data.site ? (await getSitePersonas())[data.site] : null,
+        provider: await getProviderConfig(),
+        redaction: settings.redactionEnabled ? { patterns: settings.redactionPatterns } : null,
+        tokens: { model: settings.tokenModel, prices: settings.modelPrices, budget: settings.contextBudget }
+    };
+}
+
+// Errors in what the request asked for, reported with their code rather than as internal errors
+function isRequestError(error) {
+    return error instanceof TemplateError || error instanceof PersonaError || error instanceof RedactionError ||
+        error instanceof FormatPresetError;
+}
+
+// Handle a request for several variants, one per strategy (lib/variants.js), the user's favourites first.
+// data.count limits how many strategies run; variants with the same text as a better-ranked one are dropped.
+async function handleEnhanceVariants(data, sendResponse) {
     try {
-        if (options.enhanceClarity) {
-            enhanced = enhanceClarityLogic(enhanced);
+        const { prompt: originalPrompt, options } = data;
+        
+        if (!originalPrompt || !originalPrompt.trim()) {
+            sendResponse(errorResponse(ERROR_CODES.INVALID_DATA, 'No prompt provided'));
+            return;
         }
         
-        if (options.addContext) {
-            enhanced = addContextLogic(enhanced);
+        const [storedSettings, stored] = await Promise.all([
+            getStoredSettings(),
+            storageGet('local', [VARIANT_PREFERENCES_KEY])
+        ]);
+        const settings = { ...storedSettings, ...options };
+        const preferences = stored[VARIANT_PREFERENCES_KEY] || {};
+        const strategies = rankStrategies(preferences).slice(0, data.count);
+        
+        let results;
+        try {
+            results = await enhanceVariants(originalPrompt, await buildEnhancementRequest(data, settings, { variants: true }), strategies);
+        } catch (error) {
+            if (!isRequestError(error)) throw error;
+            sendResponse(errorResponse(error.code, error.message));
+            return;
         }
         
-        if (options.improveStructure) {
-            enhanced = improveStructureLogic(enhanced);
+        const unique = results.filter((result, index) => results.findIndex(other => other.text === result.text) === index);
+        const [first] = unique;
+        
+        await logUsage('prompt_enhanced', {
+            originalLength: originalPrompt.length,
+            enhancedLength: first.text.length,
+            options: settings,
+            template: data.template ? data.template.id : null,
+            provider: first.provider,
+            language: first.language,
+            persona: first.persona ? first.persona.persona.id : null,
+            rules: first.applied,
+            source: data.site || 'unknown',
+            variants: unique.length
+        });
+        
+        sendResponse({
+            success: true,
+            variants: unique.map(result => ({
+                strategy: result.strategy,
+                enhancedPrompt: result.text,
+                provider: result.provider,
+                persona: result.persona ? describeResolvedPersona(result.persona) : null,
+                analysis: result.analysis,
+                stats: result.stats,
+                preference: preferences[result.strategy] || { shown: 0, chosen: 0 }
+            })),
+            language: first.language,
+            fallbackReason: unique.map(result => result.fallbackReason).find(Boolean) || null,
+            redactions: first.redactions
+        });
+    } catch (error) {
+        console.error('Error enhancing variants:', error);
+        sendResponse(errorResponse(ERROR_CODES.INTERNAL_ERROR, error.message));
+    }
+}
+
+// Handle the variant the user picked ({ strategy, shown }): count it so its strategy ranks higher
+async function handleChooseVariant(data, sendResponse) {
+    try {
+        const stored = await storageGet('local', [VARIANT_PREFERENCES_KEY]);
+        const preferences = recordVariantChoice(stored[VARIANT_PREFERENCES_KEY], data.strategy, data.shown);
+        await storageSet('local', { [VARIANT_PREFERENCES_KEY]: preferences });
+        
+        sendResponse({ success: true, ranking: rankStrategies(preferences).map(strategy => strategy.id) });
+    } catch (error) {
+        console.error('Error recording variant choice:', error);
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to record variant choice'));
+    }
+}
+
+// Defaults for every setting: one per rule settings key plus the general ones
+function getSettingsDefaults() {
+    return { ...getRuleSettingsDefaults(), ...GENERAL_SETTINGS_DEFAULTS };
+}
+
+// Rule setting definitions with labels in the browser's language where _locales has them
+// (messages named setting_<key>_label and setting_<key>_description)
+function getLocalizedSettingDefinitions() {
+    return getRuleSettingDefinitions().map(definition => ({
+        ...definition,
+        label: chrome.i18n.getMessage(`setting_${definition.key}_label`) || definition.label,
+        description: chrome.i18n.getMessage(`setting_${definition.key}_description`) || definition.description
+    }));
+}
+
+// Format preset kinds with labels in the browser's language where _locales has them
+// (messages named formatKind_<kind> and formatField_<param>)
+function getLocalizedFormatKinds() {
+    return describeFormatKinds().map(kind => ({
+        ...kind,
+        label: chrome.i18n.getMessage(`formatKind_${kind.id}`) || kind.label,
+        params: kind.params.map(param => ({ ...param, label: chrome.i18n.getMessage(`formatField_${param.name}`) || param.label }))
+    }));
+}
+
+// A format preset for the UI; built-in presets are named after their kind, so they take its localized label
+function describeLocalizedFormatPreset(preset) {
+    const described = describeFormatPreset(preset);
+    if (!preset.builtin) return described;
+    return { ...described, name: chrome.i18n.getMessage(`formatKind_${preset.kind}`) || described.name };
+}
+
+// Read settings from sync storage, falling back to defaults
+function getStoredSettings() {
+    return new Promise((resolve, reject) => {
+        chrome.storage.sync.get(getSettingsDefaults(), (result) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(result);
+        });
+    });
+}
+
+// Read the LLM provider config from local storage (kept out of sync because of the API key)
+function getProviderConfig() {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.get(['llmProvider'], (result) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve({ ...LLM_PROVIDER_DEFAULTS, ...(result.llmProvider || {}) });
+        });
+    });
+}
+
+// Handle provider settings retrieval (the API key itself is never sent back)
+function handleGetProviderSettings(sendResponse) {
+    getProviderConfig()
+        .then(({ apiKey, ...config }) => {
+            sendResponse({
+                success: true,
+                settings: { ...config, hasApiKey: Boolean(apiKey) }
+            });
+        })
+        .catch(error => {
+            console.error('Error getting provider settings:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to retrieve provider settings'));
+        });
+}
+
+// Handle provider settings update; omit apiKey to keep the stored one
+function handleUpdateProviderSettings(data, sendResponse) {
+    getProviderConfig()
+        .then(current => {
+            const updated = { ...current, ...data };
+            if (data.apiKey === undefined) {
+                updated.apiKey = current.apiKey;
+            }
+            delete updated.hasApiKey;
+            
+            chrome.storage.local.set({ llmProvider: updated }, () => {
+                if (chrome.runtime.lastError) {
+                    sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, chrome.runtime.lastError.message));
+                    return;
+                }
+                sendResponse({ success: true });
+            });
+        })
+        .catch(error => {
+            console.error('Error updating provider settings:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to update provider settings'));
+        });
+}
+
+// Read a key set from a chrome.storage area as a Promise
+function storageGet(areaName, keys) {
+    return new Promise((resolve, reject) => {
+        chrome.storage[areaName].get(keys, (result) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(result);
+        });
+    });
+}
+
+// Write items to a chrome.storage area as a Promise
+function storageSet(areaName, items) {
+    return new Promise((resolve, reject) => {
+        chrome.storage[areaName].set(items, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+// User templates live in local storage; built-ins are appended at read time
+async function getUserTemplates() {
+    const result = await storageGet('local', [TEMPLATE_STORAGE_KEY]);
+    return result[TEMPLATE_STORAGE_KEY] || [];
+}
+
+async function getAllTemplates() {
+    return [...BUILTIN_TEMPLATES, ...(await getUserTemplates())];
+}
+
+// Handle template listing
+function handleGetTemplates(sendResponse) {
+    getAllTemplates()
+        .then(templates => sendResponse({ success: true, templates: templates.map(describeTemplate) }))
+        .catch(error => {
+            console.error('Error getting templates:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to retrieve templates'));
+        });
+}
+
+// Handle template create (no id) or update (existing id)
+async function handleSaveTemplate(data, sendResponse) {
+    try {
+        const { name, body } = validateTemplate(data);
+        const templates = await getUserTemplates();
+        const now = Date.now();
+        let saved;
+        
+        if (data.id) {
+            const index = templates.findIndex(t => t.id === data.id);
+            if (index === -1) {
+                sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, 'Template not found or read-only'));
+                return;
+            }
+            saved = { ...templates[index], name, body, updatedAt: now };
+            templates[index] = saved;
+        } else {
+            if (templates.length >= TEMPLATE_LIMITS.maxTemplates) {
+                sendResponse(errorResponse(ERROR_CODES.LIMIT_REACHED, `You can save up to ${TEMPLATE_LIMITS.maxTemplates} templates`));
+                return;
+            }
+            saved = { id: `user.${crypto.randomUUID()}`, name, body, createdAt: now, updatedAt: now };
+            templates.push(saved);
         }
         
-        return enhanced;
+        await storageSet('local', { [TEMPLATE_STORAGE_KEY]: templates });
+        sendResponse({ success: true, template: describeTemplate(saved) });
     } catch (error) {
-        console.error('Error processing enhancement:', error);
-        throw new Error('Failed to process prompt enhancement');
+        console.error('Error saving template:', error);
+        sendResponse(error instanceof TemplateError
+            ? errorResponse(error.code, error.message)
+            : errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to save template'));
     }
 }
 
-// Enhancement logic functions
-function enhanceClarityLogic(prompt) {
-    let enhanced = prompt;
-    
+// Handle template deletion
+async function handleDeleteTemplate(data, sendResponse) {
+    try {
+        const templates = await getUserTemplates();
+        const remaining = templates.filter(t => t.id !== data?.id);
+        
+        if (remaining.length === templates.length) {
+            sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, 'Template not found or read-only'));
+            return;
+        }
+        
+        await storageSet('local', { [TEMPLATE_STORAGE_KEY]: remaining });
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to delete template'));
+    }
+}
+
+// User format presets live in local storage; built-ins are listed first
+async function getUserFormatPresets() {
+    const result = await storageGet('local', [FORMAT_PRESET_STORAGE_KEY]);
+    return result[FORMAT_PRESET_STORAGE_KEY] || [];
+}
+
+async function getAllFormatPresets() {
+    return [...BUILTIN_FORMAT_PRESETS, ...(await getUserFormatPresets())];
+}
+
+// Handle format preset listing, with the kinds a preset can have for the options page's form
+function handleGetFormatPresets(sendResponse) {
+    getAllFormatPresets()
+        .then(presets => sendResponse({
+            success: true,
+            presets: presets.map(describeLocalizedFormatPreset),
+            kinds: getLocalizedFormatKinds()
+        }))
+        .catch(error => {
+            console.error('Error getting format presets:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to retrieve format presets'));
+        });
+}
+
+// Handle format preset create (no id) or update (existing id)
+async function handleSaveFormatPreset(data, sendResponse) {
     try {
-        if (!enhanced.toLowerCase().includes('please') && !enhanced.toLowerCase().includes('could you')) {
-            enhanced = `Please ${enhanced}`;
+        const fields = validateFormatPreset(data);
+        const presets = await getUserFormatPresets();
+        const now = Date.now();
+        let saved;
+        
+        if (data.id) {
+            const index = presets.findIndex(p => p.id === data.id);
+            if (index === -1) {
+                sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, 'Format preset not found or read-only'));
+                return;
+            }
+            saved = { ...presets[index], ...fields, updatedAt: now };
+            presets[index] = saved;
+        } else {
+            if (presets.length >= FORMAT_PRESET_LIMITS.maxPresets) {
+                sendResponse(errorResponse(ERROR_CODES.LIMIT_REACHED, `You can save up to ${FORMAT_PRESET_LIMITS.maxPresets} format presets`));
+                return;
+            }
+            saved = { id: `user.${crypto.randomUUID()}`, ...fields, createdAt: now, updatedAt: now };
+            presets.push(saved);
         }
         
-        if (!enhanced.toLowerCase().includes('format') && !enhanced.toLowerCase().includes('output')) {
-            enhanced += '\n\nPlease provide a clear, well-structured response.';
+        await storageSet('local', { [FORMAT_PRESET_STORAGE_KEY]: presets });
+        sendResponse({ success: true, preset: describeLocalizedFormatPreset(saved) });
+    } catch (error) {
+        console.error('Error saving format preset:', error);
+        sendResponse(error instanceof FormatPresetError
+            ? errorResponse(error.code, error.message)
+            : errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to save format preset'));
+    }
+}
+
+// Handle format preset deletion
+async function handleDeleteFormatPreset(data, sendResponse) {
+    try {
+        const presets = await getUserFormatPresets();
+        const remaining = presets.filter(p => p.id !== data?.id);
+        
+        if (remaining.length === presets.length) {
+            sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, 'Format preset not found or read-only'));
+            return;
         }
         
-        return enhanced;
+        await storageSet('local', { [FORMAT_PRESET_STORAGE_KEY]: remaining });
+        sendResponse({ success: true });
     } catch (error) {
-        console.error('Error in clarity logic:', error);
-        return prompt; // Return original if enhancement fails
+        console.error('Error deleting format preset:', error);
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to delete format preset'));
     }
 }
 
-function addContextLogic(prompt) {
-    let enhanced = prompt;
-    
+// User personas live in local storage; built-ins are listed first
+async function getUserPersonas() {
+    const result = await storageGet('local', [PERSONA_STORAGE_KEY]);
+    return result[PERSONA_STORAGE_KEY] || [];
+}
+
+async function getAllPersonas() {
+    return [...BUILTIN_PERSONAS, ...(await getUserPersonas())];
+}
+
+// Persona pinned per site ({ [adapter id]: persona id, or 'none' for the generic role })
+async function getSitePersonas() {
+    const result = await storageGet('sync', [SITE_PERSONA_STORAGE_KEY]);
+    return result[SITE_PERSONA_STORAGE_KEY] || {};
+}
+
+// Persona names follow the browser's language, like the rest of the UI
+function getUiLocale() {
+    return chrome.i18n.getUILanguage().split('-')[0];
+}
+
+function describeResolvedPersona({ persona, source }) {
+    const { id, name } = localizePersona(persona, getUiLocale());
+    return { id, name, source };
+}
+
+// Handle persona listing, with the per-site pins
+async function handleGetPersonas(sendResponse) {
     try {
-        if (!enhanced.toLowerCase().includes('as a') && !enhanced.toLowerCase().includes('acting as')) {
-            enhanced = `As an AI assistant with expertise in this area, ${enhanced}`;
+        const personas = await getAllPersonas();
+        sendResponse({
+            success: true,
+            personas: personas.map(persona => describePersona(localizePersona(persona, getUiLocale()))),
+            sitePersonas: await getSitePersonas()
+        });
+    } catch (error) {
+        console.error('Error getting personas:', error);
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to retrieve personas'));
+    }
+}
+
+// Handle persona create (no id) or update (existing id)
+async function handleSavePersona(data, sendResponse) {
+    try {
+        const fields = validatePersona(data);
+        const personas = await getUserPersonas();
+        const now = Date.now();
+        let saved;
+        
+        if (data.id) {
+            const index = personas.findIndex(p => p.id === data.id);
+            if (index === -1) {
+                sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, 'Persona not found or read-only'));
+                return;
+            }
+            saved = { ...personas[index], ...fields, updatedAt: now };
+            personas[index] = saved;
+        } else {
+            if (personas.length >= PERSONA_LIMITS.maxPersonas) {
+                sendResponse(errorResponse(ERROR_CODES.LIMIT_REACHED, `You can save up to ${PERSONA_LIMITS.maxPersonas} personas`));
+                return;
+            }
+            saved = { id: `user.${crypto.randomUUID()}`, ...fields, createdAt: now, updatedAt: now };
+            personas.push(saved);
+        }
+        
+        await storageSet('local', { [PERSONA_STORAGE_KEY]: personas });
+        sendResponse({ success: true, persona: describePersona(saved) });
+    } catch (error) {
+        console.error('Error saving persona:', error);
+        sendResponse(error instanceof PersonaError
+            ? errorResponse(error.code, error.message)
+            : errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to save persona'));
+    }
+}
+
+// Handle persona deletion; sites pinned to it go back to suggestions
+async function handleDeletePersona(data, sendResponse) {
+    try {
+        const personas = await getUserPersonas();
+        const remaining = personas.filter(p => p.id !== data?.id);
+        
+        if (remaining.length === personas.length) {
+            sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, 'Persona not found or read-only'));
+            return;
         }
         
-        if (!enhanced.toLowerCase().includes('for') && !enhanced.toLowerCase().includes('targeting')) {
-            enhanced += '\n\nPlease explain this in a way that would be helpful for someone learning about this topic.';
+        await storageSet('local', { [PERSONA_STORAGE_KEY]: remaining });
+        
+        const sitePersonas = await getSitePersonas();
+        const pinnedSites = Object.keys(sitePersonas).filter(site => sitePersonas[site] === data.id);
+        if (pinnedSites.length > 0) {
+            pinnedSites.forEach(site => delete sitePersonas[site]);
+            await storageSet('sync', { [SITE_PERSONA_STORAGE_KEY]: sitePersonas });
         }
         
-        return enhanced;
+        sendResponse({ success: true });
     } catch (error) {
-        console.error('Error in context logic:', error);
-        return prompt; // Return original if enhancement fails
+        console.error('Error deleting persona:', error);
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to delete persona'));
     }
 }
 
-function improveStructureLogic(prompt) {
-    let enhanced = prompt;
-    
+// Handle pinning a site's default persona ({ site, personaId }); a null personaId unpins it
+async function handlePinSitePersona(data, sendResponse) {
     try {
-        if (!enhanced.toLowerCase().includes('list') && !enhanced.toLowerCase().includes('bullet') && !enhanced.toLowerCase().includes('step')) {
-            enhanced += '\n\nPlease organize your response with clear sections, bullet points, or numbered steps where appropriate.';
+        const site = data?.site;
+        const personaId = data?.personaId || null;
+        if (!site) {
+            sendResponse(errorResponse(ERROR_CODES.INVALID_DATA, 'No site provided'));
+            return;
+        }
+        if (personaId && personaId !== 'none' && !(await getAllPersonas()).some(p => p.id === personaId)) {
+            sendResponse(errorResponse(ERROR_CODES.NOT_FOUND, `Persona "${personaId}" not found`));
+            return;
         }
         
-        if (!enhanced.toLowerCase().includes('summary') && !enhanced.toLowerCase().includes('conclusion')) {
-            enhanced += '\n\nPlease provide a brief summary or key takeaways at the end.';
+        const sitePersonas = await getSitePersonas();
+        if (personaId) {
+            sitePersonas[site] = personaId;
+        } else {
+            delete sitePersonas[site];
         }
         
-        return enhanced;
+        await storageSet('sync', { [SITE_PERSONA_STORAGE_KEY]: sitePersonas });
+        sendResponse({ success: true, sitePersonas });
+    } catch (error) {
+        console.error('Error pinning persona:', error);
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to pin persona'));
+    }
+}
+
+// Handle the modal's "suggested persona" hint ({ prompt })
+async function handleSuggestPersona(data, sendResponse) {
+    try {
+        const prompt = String(data?.prompt || '');
+        const resolved = resolvePersona('auto', { personas: await getAllPersonas(), prompt });
+        sendResponse({ success: true, persona: resolved ? describeResolvedPersona(resolved) : null });
     } catch (error) {
-        console.error('Error in structure logic:', error);
-        return prompt; // Return original if enhancement fails
+        console.error('Error suggesting persona:', error);
+        sendResponse(errorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to suggest persona'));
     }
 }
 
+// Handle history search ({ query, starredOnly, limit, before })
+function handleSearchHistory(data, sendResponse) {
+    searchHistory(data || {})
+        .then(entries => sendResponse({ success: true, entries }))
+        .catch(error => {
+            console.error('Error searching history:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to search history'));
+        });
+}
+
+// Handle starring or unstarring a history entry
+function handleStarHistoryEntry(data, sendResponse) {
+    setHistoryStar(data?.id, data?.starred)
+        .then(starred => sendResponse({ success: true, starred }))
+        .catch(error => {
+            console.error('Error starring history entry:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, error.message));
+        });
+}
+
+// Handle deleting a history entry
+function handleDeleteHistoryEntry(data, sendResponse) {
+    deleteHistoryEntry(data?.id)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+            console.error('Error deleting history entry:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to delete history entry'));
+        });
+}
+
+// Handle clearing all history
+function handleClearHistory(sendResponse) {
+    clearHistory()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+            console.error('Error clearing history:', error);
+            sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to clear history'));
+        });
+}
+
 // Handle settings retrieval
 function handleGetSettings(sendResponse) {
     try {
-        chrome.storage.sync.get(['enhanceClarity', 'addContext', 'improveStructure'], (result) => {
-            if (chrome.runtime.lastError) {
-                sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                return;
-            }
-            
-            sendResponse({
+        getStoredSettings()
+            .then(settings => sendResponse({
                 success: true,
-                settings: {
-                    enhanceClarity: result.enhanceClarity !== false,
-                    addContext: result.addContext !== false,
-                    improveStructure: result.improveStructure || false
-                }
-            });
-        });
+                settings,
+                definitions: getLocalizedSettingDefinitions()
+            }))
+            .catch(error => sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, error.message)));
     } catch (error) {
         console.error('Error getting settings:', error);
-        sendResponse({ success: false, error: 'Failed to retrieve settings' });
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to retrieve settings'));
     }
 }
 
 // Handle settings update
 function handleUpdateSettings(data, sendResponse) {
+    // Custom redaction patterns must compile, or every enhancement after this would fail;
+    // the price table needs a model to fall back on and one entry per id
+    try {
+        if (data.redactionPatterns) getRedactionDetectors(data.redactionPatterns);
+        if (data.modelPrices) validateModelPrices(data.modelPrices);
+    } catch (error) {
+        if (!(error instanceof RedactionError || error instanceof PriceTableError)) throw error;
+        sendResponse(errorResponse(error.code, error.message));
+        return;
+    }
+    
     try {
         chrome.storage.sync.set(data, () => {
             if (chrome.runtime.lastError) {
-                sendResponse({ success: false, error: chrome.runtime.lastError.message });
+                sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, chrome.runtime.lastError.message));
                 return;
             }
             
             sendResponse({ success: true });
             
-            // Log settings change
-            logUsage('settings_updated', data).catch(console.error);
+            // Log which settings changed, not their values: redaction patterns can name customers or ids
+            logUsage('settings_updated', { keys: Object.keys(data) }).catch(console.error);
         });
     } catch (error) {
         console.error('Error updating settings:', error);
-        sendResponse({ success: false, error: 'Failed to update settings' });
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to update settings'));
     }
 }
 
 // Handle statistics retrieval
-function handleGetStats(sendResponse) {
+async function handleGetStats(sendResponse) {
     try {
-        chrome.storage.local.get(['usageStats', 'totalPrompts', 'totalEnhancements', 'lastUpdated'], (result) => {
-            if (chrome.runtime.lastError) {
-                sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                return;
+        const [result, settings] = await Promise.all([
+            storageGet('local', ['usageStats', 'totalPrompts', 'totalEnhancements', 'lastUpdated', ...PERIOD_STATS_KEYS]),
+            getStoredSettings()
+        ]);
+        const { resetPeriod } = getUsageDataSettings(settings);
+        
+        sendResponse({
+            success: true,
+            stats: {
+                totalPrompts: result.totalPrompts || 0,
+                totalEnhancements: result.totalEnhancements || 0,
+                lastUpdated: result.lastUpdated || 0,
+                usageStats: result.usageStats || {},
+                ...getPeriodStats(result, Date.now(), resetPeriod),
+                resetPeriod
             }
-            
-            sendResponse({
-                success: true,
-                stats: {
-                    totalPrompts: result.totalPrompts || 0,
-                    totalEnhancements: result.totalEnhancements || 0,
-                    lastUpdated: result.lastUpdated || 0,
-                    usageStats: result.usageStats || {}
-                }
-            });
         });
     } catch (error) {
         console.error('Error getting stats:', error);
-        sendResponse({ success: false, error: 'Failed to retrieve statistics' });
+        sendResponse(errorResponse(ERROR_CODES.STORAGE_ERROR, 'Failed to retrieve statistics'));
     }
 }
 
+// Handle the dashboard's report for one period ({ period: 'day' | 'week' | 'month' })
+async function handleGetAnalytics(data, sendResponse) {
+    try {
+        const period = data?.period || 'day';
+        if (!ANALYTICS_PERIODS[period]) {
+            sendResponse(errorResponse(ERROR_CODES.INVALID_DATA, `Unknown period "${period}"`));
+            return;
+        }
+        
+        const now = Date.now();
+        const [result, settings] = await Promise.all([
+            storageGet('local', [USAGE_AGGREGATES_KEY, ...PERIOD_STATS_KEYS]),
+            getStoredSettings()
+        ]);
+        const { resetPeriod } = getUsageDataSettings(settings);
+        const report = buildAnalyticsReport(result[USAGE_AGGREGATES_KEY] || {}, period, now);
+        
+        // Label options and rules the way the popup and options page do
+        const optionLabels = new Map(getLocalizedSettingDefinitions().map(definition => [definition.key, definition.label]));
+        const ruleDescriptions = new Map(getRules().map(rule => [rule.id, rule.description]));
+        report.options.forEach(row => { row.label = optionLabels.get(row.key) || row.key; });
+        report.rules.forEach(row => { row.label = ruleDescriptions.get(row.key) || row.key; });
+        
+        sendResponse({ success: true, report, counters: { ...getPeriodStats(result, now, resetPeriod), resetPeriod } });
+    } catch (error) {
+        console.error('Error building analytics report:', error);
+        sendResponse(errorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to build analytics report'));
+    }
+}
+
+// Handle prompt analysis (score, per-dimension scores and lint findings)
+function handleAnalyzePrompt(data, sendResponse) {
+    try {
+        sendResponse({
+            success: true,
+            analysis: analyzePrompt(data && data.prompt),
+            dimensions: ANALYZER_DIMENSIONS
+        });
+    } catch (error) {
+        console.error('Error analyzing prompt:', error);
+        sendResponse(errorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to analyze prompt'));
+    }
+}
+
+// Usage counters in local storage, restarted every statsResetPeriod; lastMonthlyReset is when the current count
+// started. The keys are named for the default period.
+const PERIOD_STATS_KEYS = ['monthlyPrompts', 'monthlyEnhancements', 'lastMonthlyReset'];
+
+// Usage counters as of `now`: zero when they were last reset in an earlier day, week or month
+function getPeriodStats(stored, now, period) {
+    const current = stored.lastMonthlyReset && getPeriodKey(period, stored.lastMonthlyReset) === getPeriodKey(period, now);
+    return {
+        monthlyPrompts: current ? stored.monthlyPrompts || 0 : 0,
+        monthlyEnhancements: current ? stored.monthlyEnhancements || 0 : 0,
+        lastMonthlyReset: current ? stored.lastMonthlyReset : now
+    };
+}
+
 // Log usage for analytics with better error handling
 async function logUsage(action, data = {}) {
     try {
         const timestamp = Date.now();
         
         const result = await new Promise((resolve, reject) => {
-            chrome.storage.local.get(['usageStats', 'totalPrompts', 'totalEnhancements'], (result) => {
+            chrome.storage.local.get(['usageStats', 'totalPrompts', 'totalEnhancements', USAGE_AGGREGATES_KEY, ...PERIOD_STATS_KEYS], (result) => {
                 if (chrome.runtime.lastError) {
                     reject(new Error(chrome.runtime.lastError.message));
                     return;
@@ -319,10 +1061,25 @@ async function logUsage(action, data = {}) {
         // Update totals
         let newTotalPrompts = totalPrompts;
         let newTotalEnhancements = totalEnhancements;
+        const { resetPeriod } = getUsageDataSettings(await getStoredSettings());
+        const counters = getPeriodStats(result, timestamp, resetPeriod);
+        const updates = {};
         
         if (action === 'prompt_enhanced') {
             newTotalPrompts++;
             newTotalEnhancements++;
+            counters.monthlyPrompts++;
+            counters.monthlyEnhancements++;
+            
+            // Roll the request up into the dashboard's day, week and month buckets
+            const ruleSettingKeys = getRuleSettingDefinitions().map(definition => definition.key);
+            updates[USAGE_AGGREGATES_KEY] = recordEnhancementAggregate(result[USAGE_AGGREGATES_KEY] || {}, {
+                site: data.source,
+                originalLength: data.originalLength,
+                enhancedLength: data.enhancedLength,
+                options: ruleSettingKeys.filter(key => data.options && data.options[key]),
+                rules: data.rules
+            }, timestamp);
         }
         
         // Save updated stats
@@ -331,6 +1088,8 @@ async function logUsage(action, data = {}) {
                 usageStats,
                 totalPrompts: newTotalPrompts,
                 totalEnhancements: newTotalEnhancements,
+                ...counters,
+                ...updates,
                 lastUpdated: timestamp
             }, () => {
                 if (chrome.runtime.lastError) {
@@ -347,141 +1106,262 @@ async function logUsage(action, data = {}) {
     }
 }
 
-// Initialize background services with proper cleanup
-function initializeBackgroundServices() {
+// Periodic jobs (lib/scheduler.js); they read their settings on every run, so changes apply from the next one
+defineBackgroundJob('usage-cleanup', {
+    intervalMinutes: CONFIG.cleanupIntervalMinutes,
+    run: async () => cleanupOldUsageData(getUsageDataSettings(await getStoredSettings()).retentionDays)
+});
+
+defineBackgroundJob('stats-reset', {
+    intervalMinutes: CONFIG.statsCheckIntervalMinutes,
+    run: async () => checkAndResetPeriodStats(getUsageDataSettings(await getStoredSettings()).resetPeriod)
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    const jobId = getJobIdFromAlarm(alarm.name);
+    if (jobId) {
+        runBackgroundJob(jobId);
+    }
+});
+
+// Set an alarm for every job from its last run, so overdue jobs run right away; drop alarms of removed jobs
+async function scheduleBackgroundJobs() {
     try {
-        // Set up periodic cleanup of old usage data
-        const cleanupInterval = setInterval(() => {
-            if (abortController.signal.aborted) {
-                clearInterval(cleanupInterval);
-                return;
-            }
-            cleanupOldUsageData().catch(console.error);
-        }, CONFIG.cleanupInterval);
-        
-        // Set up periodic stats reset (optional)
-        const statsInterval = setInterval(() => {
-            if (abortController.signal.aborted) {
-                clearInterval(statsInterval);
-                return;
-            }
-            checkAndResetMonthlyStats().catch(console.error);
-        }, CONFIG.statsCheckInterval);
+        const state = await storageGet('local', [SCHEDULER_STATE_KEY]);
+        const lastRuns = state[SCHEDULER_STATE_KEY] || {};
+        const now = Date.now();
         
-        // Store intervals for cleanup
-        window.cleanupInterval = cleanupInterval;
-        window.statsInterval = statsInterval;
+        await Promise.all(getBackgroundJobs().map(job => chrome.alarms.create(getJobAlarmName(job.id), {
+            when: getNextRunTime(job, lastRuns[job.id], now),
+            periodInMinutes: job.intervalMinutes
+        })));
         
+        const alarms = await chrome.alarms.getAll();
+        await Promise.all(alarms
+            .filter(alarm => {
+                const jobId = getJobIdFromAlarm(alarm.name);
+                return jobId && !getBackgroundJob(jobId);
+            })
+            .map(alarm => chrome.alarms.clear(alarm.name)));
     } catch (error) {
-        console.error('Failed to initialize background services:', error);
+        console.error('Failed to schedule background jobs:', error);
     }
 }
 
-// Clean up old usage data (older than N days)
-async function cleanupOldUsageData() {
-    try {
-        const cutoffDate = Date.now() - (CONFIG.dataRetentionDays * 24 * 60 * 60 * 1000);
-        
-        const result = await new Promise((resolve, reject) => {
-            chrome.storage.local.get(['usageStats'], (result) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                    return;
-                }
-                resolve(result);
+// Jobs run one at a time so their last-run updates do not overwrite each other
+let backgroundJobQueue = Promise.resolve();
+
+// Run a job and save when it ran; a failed run is not saved, so it is retried when the schedule is next set up
+function runBackgroundJob(id) {
+    const job = getBackgroundJob(id);
+    if (!job) return backgroundJobQueue;
+    
+    backgroundJobQueue = backgroundJobQueue.then(async () => {
+        try {
+            await job.run();
+            
+            const state = await storageGet('local', [SCHEDULER_STATE_KEY]);
+            await storageSet('local', {
+                [SCHEDULER_STATE_KEY]: { ...state[SCHEDULER_STATE_KEY], [id]: Date.now() }
             });
-        });
-        
-        const usageStats = result.usageStats || {};
-        let cleaned = false;
+        } catch (error) {
+            console.error(`Background job "${id}" failed:`, error);
+        }
+    });
+    
+    return backgroundJobQueue;
+}
+
+// Retention and reset settings, with the defaults for values that are out of range
+function getUsageDataSettings(settings) {
+    const retentionDays = Math.round(Number(settings.usageRetentionDays));
+    return {
+        retentionDays: retentionDays >= 1 && retentionDays <= CONFIG.maxRetentionDays
+            ? retentionDays
+            : GENERAL_SETTINGS_DEFAULTS.usageRetentionDays,
+        resetPeriod: ANALYTICS_PERIODS[settings.statsResetPeriod]
+            ? settings.statsResetPeriod
+            : GENERAL_SETTINGS_DEFAULTS.statsResetPeriod
+    };
+}
+
+// Delete usage log entries older than retentionDays (errors reach runBackgroundJob)
+async function cleanupOldUsageData(retentionDays) {
+    const cutoffDate = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
+    
+    const result = await storageGet('local', ['usageStats']);
+    const usageStats = result.usageStats || {};
+    let cleaned = false;
+    
+    Object.keys(usageStats).forEach(action => {
+        const entries = usageStats[action].filter(entry => entry.timestamp > cutoffDate);
+        cleaned = cleaned || entries.length !== usageStats[action].length;
         
-        Object.keys(usageStats).forEach(action => {
-            usageStats[action] = usageStats[action].filter(entry => 
-                entry.timestamp > cutoffDate
-            );
-            
-            if (usageStats[action].length === 0) {
-                delete usageStats[action];
-                cleaned = true;
+        if (entries.length === 0) {
+            delete usageStats[action];
+        } else {
+            usageStats[action] = entries;
+        }
+    });
+    
+    if (cleaned) {
+        await storageSet('local', { usageStats });
+        console.log('Cleaned up old usage data');
+    }
+}
+
+// Restart the usage counters when a new reset period (day, week or month) has begun
+async function checkAndResetPeriodStats(period) {
+    const now = Date.now();
+    const result = await storageGet('local', PERIOD_STATS_KEYS);
+    const stats = getPeriodStats(result, now, period);
+    
+    if (stats.lastMonthlyReset === now) {
+        await storageSet('local', stats);
+        console.log('Usage counters reset');
+    }
+}
+
+// "Enhance selected text" context menu: one entry per rule set and per template
+const SELECTION_MENU_ID = 'enhance-selection';
+const SELECTION_MENU_CONTEXTS = ['selection', 'editable'];
+const SELECTION_OVERLAY_FILES = ['adapters/registry.js', 'content/i18n.js', 'content/messaging.js', 'overlay/selection-overlay.js'];
+
+let contextMenuBuild = Promise.resolve();
+
+// Rebuild the menus one at a time (removeAll and create race otherwise)
+function scheduleContextMenuBuild() {
+    contextMenuBuild = contextMenuBuild
+        .then(buildContextMenus)
+        .catch(error => console.error('Failed to build context menus:', error));
+    return contextMenuBuild;
+}
+
+// Create one menu item, resolving once Chrome has added it
+function createMenuItem(properties) {
+    return new Promise((resolve, reject) => {
+        chrome.contextMenus.create({ contexts: SELECTION_MENU_CONTEXTS, ...properties }, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve();
             }
         });
-        
-        if (cleaned) {
-            await new Promise((resolve, reject) => {
-                chrome.storage.local.set({ usageStats }, () => {
-                    if (chrome.runtime.lastError) {
-                        reject(new Error(chrome.runtime.lastError.message));
-                        return;
-                    }
-                    resolve();
-                });
-            });
-            
-            console.log('Cleaned up old usage data');
+    });
+}
+
+async function buildContextMenus() {
+    await chrome.contextMenus.removeAll();
+    
+    await createMenuItem({ id: SELECTION_MENU_ID, title: chrome.i18n.getMessage('menuEnhanceSelection') });
+    await createMenuItem({ id: `${SELECTION_MENU_ID}/default`, parentId: SELECTION_MENU_ID, title: chrome.i18n.getMessage('menuWithMySettings') });
+    
+    // Rule sets: all rules, or a single setting's rules on their own
+    const rulesMenuId = `${SELECTION_MENU_ID}/rules`;
+    await createMenuItem({ id: rulesMenuId, parentId: SELECTION_MENU_ID, title: chrome.i18n.getMessage('menuRuleSet') });
+    await createMenuItem({ id: `${rulesMenuId}/all`, parentId: rulesMenuId, title: chrome.i18n.getMessage('menuAllRules') });
+    for (const definition of getLocalizedSettingDefinitions()) {
+        await createMenuItem({ id: `${rulesMenuId}/${definition.key}`, parentId: rulesMenuId, title: chrome.i18n.getMessage('menuRuleOnly', definition.label) });
+    }
+    
+    const templates = await getAllTemplates();
+    if (templates.length > 0) {
+        const templatesMenuId = `${SELECTION_MENU_ID}/template`;
+        await createMenuItem({ id: templatesMenuId, parentId: SELECTION_MENU_ID, title: chrome.i18n.getMessage('menuTemplate') });
+        for (const template of templates) {
+            await createMenuItem({ id: `${templatesMenuId}/${template.id}`, parentId: templatesMenuId, title: template.name });
         }
-        
-    } catch (error) {
-        console.error('Error cleaning up old usage data:', error);
     }
 }
 
-// Check and reset monthly stats if needed
-async function checkAndResetMonthlyStats() {
-    try {
-        const result = await new Promise((resolve, reject) => {
-            chrome.storage.local.get(['lastMonthlyReset'], (result) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                    return;
-                }
-                resolve(result);
-            });
+// Turn a clicked menu item into the options and template for the enhancement request
+async function getSelectionMenuRequest(menuItemId) {
+    const match = /^enhance-selection\/(default|rules|template)(?:\/(.+))?$/.exec(String(menuItemId));
+    if (!match) return null;
+    
+    const [, kind, value] = match;
+    const request = { options: {}, template: null };
+    
+    if (kind === 'rules' && value) {
+        getRuleSettingDefinitions().forEach(definition => {
+            request.options[definition.key] = value === 'all' || definition.key === value;
         });
+    } else if (kind === 'template' && value) {
+        const template = (await getAllTemplates()).find(t => t.id === value);
+        if (!template) {
+            throw new Error(`Template "${value}" not found`);
+        }
+        const { id, name, variables } = describeTemplate(template);
+        request.template = { id, name, variables };
+    }
+    
+    return request;
+}
+
+// Inject the selection overlay into the clicked frame and hand it the request
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    try {
+        const request = await getSelectionMenuRequest(info.menuItemId);
+        if (!request || !tab || tab.id === undefined) return;
         
-        const lastReset = result.lastMonthlyReset || 0;
-        const now = Date.now();
-        const oneMonth = 30 * 24 * 60 * 60 * 1000;
-        
-        if (now - lastReset > oneMonth) {
-            // Reset monthly stats
-            await new Promise((resolve, reject) => {
-                chrome.storage.local.set({
-                    monthlyPrompts: 0,
-                    monthlyEnhancements: 0,
-                    lastMonthlyReset: now
-                }, () => {
-                    if (chrome.runtime.lastError) {
-                        reject(new Error(chrome.runtime.lastError.message));
-                        return;
-                    }
-                    resolve();
-                });
-            });
-            
-            console.log('Monthly stats reset');
+        request.selectionText = info.selectionText || '';
+        const target = { tabId: tab.id, frameIds: [info.frameId || 0] };
+        
+        await chrome.scripting.executeScript({ target, files: SELECTION_OVERLAY_FILES });
+        await chrome.scripting.executeScript({
+            target,
+            func: (data) => { globalThis.AIPromptEnhancer.selectionOverlay.run(data); },
+            args: [request]
+        });
+    } catch (error) {
+        // Pages such as chrome:// and the Web Store do not allow script injection
+        console.error('Failed to enhance the selection:', error);
+    }
+});
+
+// Keep the template submenu in step with the template editor
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[TEMPLATE_STORAGE_KEY]) {
+        scheduleContextMenuBuild();
+    }
+});
+
+// Forward keyboard commands (manifest "commands") to the content script in the active tab
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    try {
+        if (!tab) {
+            [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         }
+        if (!tab || tab.id === undefined) return;
         
+        await chrome.tabs.sendMessage(tab.id, createRequest('runCommand', { command }));
     } catch (error) {
-        console.error('Error checking monthly stats:', error);
+        // Pages without a site adapter have no content script to receive the command
+        console.log(`Command ${command} not handled on this page:`, error.message);
     }
-}
+});
 
-// Handle tab updates to inject content scripts on Google pages
+// Handle tab updates to inject content scripts on pages covered by a site adapter
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (abortController.signal.aborted) return;
+    if (changeInfo.status !== 'complete' || !tab.url) return;
+    
+    // The manifest's content script entry is generated from the adapters (scripts/build-manifest.js)
+    const [contentScript] = chrome.runtime.getManifest().content_scripts || [];
+    if (!contentScript) return;
     
-    if (changeInfo.status === 'complete' && tab.url && 
-        (tab.url.includes('google.com') || tab.url.includes('google.co.uk') || tab.url.includes('google.ca'))) {
+    chrome.tabs.query({ url: contentScript.matches }).then((tabs) => {
+        if (!tabs.some(matchingTab => matchingTab.id === tabId)) return;
         
-        // Inject content script if not already injected
-        chrome.scripting.executeScript({
+        // Inject content scripts if not already injected (content.js skips a second load)
+        return chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ['content.js']
-        }).catch((error) => {
-            // Script might already be injected, ignore error
-            console.log('Content script injection skipped (likely already present):', error.message);
+            files: contentScript.js
         });
-    }
+    }).catch((error) => {
+        // Script might already be injected, ignore error
+        console.log('Content script injection skipped (likely already present):', error.message);
+    });
 });
 
 // Handle extension uninstall
@@ -492,26 +1372,8 @@ self.addEventListener('beforeunload', () => {
     try {
         abortController.abort();
         
-        // Clear intervals
-        if (window.cleanupInterval) {
-            clearInterval(window.cleanupInterval);
-        }
-        if (window.statsInterval) {
-            clearInterval(window.statsInterval);
-        }
-        
         console.log('Background service worker cleanup completed');
     } catch (error) {
         console.error('Error during cleanup:', error);
     }
 });
-
-// Export functions for testing (if needed)
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        processEnhancement,
-        enhanceClarityLogic,
-        addContextLogic,
-        improveStructureLogic
-    };
-}
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+// Command-line front end for the headless enhancement engine (core/enhancer.js)
+// Enhances the prompt read from stdin, or from each file given, with the built-in rules,
+// templates, personas and format presets. Prints the enhanced text, or one JSON object per prompt with --json.
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { enhancePrompt } from '../core/enhancer.js';
+import { getRuleSettingDefinitions } from '../lib/rule-registry.js';
+import { LLM_PROVIDER_DEFAULTS } from '../lib/llm-provider.js';
+import { BUILTIN_TEMPLATES } from '../lib/templates.js';
+import { BUILTIN_PERSONAS } from '../lib/personas.js';
+import { DEFAULT_MODEL_PRICES } from '../lib/token-estimator.js';
+import { BUILTIN_FORMAT_PRESETS } from '../lib/format-presets.js';
+
+const COMMAND = basename(process.argv[1] || 'prompt-enhance', '.js');
+const API_KEY_ENV = 'PROMPT_ENHANCE_API_KEY';
+
+// Exit codes: 1 when a prompt could not be enhanced, 2 for bad arguments
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// Rule settings become flags: addContext is --add-context / --no-add-context
+const toFlag = key => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+const OPTIONS = {
+    template: { type: 'string', short: 't' },
+    var: { type: 'string', multiple: true },
+    persona: { type: 'string', short: 'p' },
+    'llm-url': { type: 'string' },
+    model: { type: 'string' },
+    redact: { type: 'boolean' },
+    'redact-pattern': { type: 'string', multiple: true },
+    'cost-model': { type: 'string' },
+    'context-budget': { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    'format-value': { type: 'string', multiple: true },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function buildOptions(settings) {
+    const options = { ...OPTIONS };
+    settings.forEach(setting => {
+        options[toFlag(setting.key)] = { type: 'boolean' };
+        options[`no-${toFlag(setting.key)}`] = { type: 'boolean' };
+    });
+    return options;
+}
+
+function usage(settings) {
+    const ruleLines = settings.map(setting => {
+        const flag = `--[no-]${toFlag(setting.key)}`;
+        const state = setting.defaultValue ? 'on' : 'off';
+        return `  ${flag.padEnd(26)}${setting.label} (default: ${state})`;
+    });
+
+    return [
+        `Usage: ${COMMAND} [options] [file ...]`,
+        '',
+        'Enhances the prompt in each file, or on stdin when no file (or "-") is given.',
+        '',
+        'Options:',
+        '  -t, --template <id>       Fill a template before enhancing; the prompt is {{prompt}}',
+        '      --var <name=value>    Template variable (repeatable)',
+        '  -p, --persona <id>        Persona id, or "none"; by default one is suggested from the topic',
+        '      --llm-url <url>       Enhance with an OpenAI-compatible endpoint, falling back to the rules',
+        `      --model <name>        Model for --llm-url (default: ${LLM_PROVIDER_DEFAULTS.model});`,
+        `                            the API key is read from ${API_KEY_ENV}`,
+        '      --redact              Mask emails, phone numbers, card numbers and secrets before',
+        '                            enhancing, and restore them in the result',
+        '      --redact-pattern <re> Also mask matches of a regular expression (repeatable)',
+        `      --cost-model <id>     Model for the token and cost estimate (default: ${DEFAULT_MODEL_PRICES[0].id})`,
+        '      --context-budget <n>  Warn on stderr when the enhanced prompt has more tokens than this;',
+        "                            by default the model's context window",
+        '  -f, --format <id>         Add instructions and an example skeleton for an output format',
+        '      --format-value <name=value>',
+        '                            Format parameter such as columns="Name, Price" (repeatable)',
+        '      --json                Print one JSON object per prompt instead of the text',
+        '  -h, --help                Show this help',
+        '',
+        'Rules:',
+        ...ruleLines,
+        '',
+        `Templates: ${BUILTIN_TEMPLATES.map(template => template.id).join(', ')}`,
+        `Personas:  ${BUILTIN_PERSONAS.map(persona => persona.id).join(', ')}`,
+        `Models:    ${DEFAULT_MODEL_PRICES.map(model => model.id).join(', ')}`,
+        `Formats:   ${BUILTIN_FORMAT_PRESETS.map(preset => preset.id).join(', ')}`
+    ].join('\n');
+}
+
+// Template variables from --var name=value, or format parameters from --format-value
+function parseVariables(pairs = [], flag = '--var') {
+    const values = {};
+    pairs.forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError(`Invalid ${flag} "${pair}", expected name=value`);
+        }
+        values[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+    });
+    return values;
+}
+
+// Rule settings from the flags given; the engine fills in the defaults
+function parseRuleSettings(values, settings) {
+    const options = {};
+    settings.forEach(setting => {
+        const flag = toFlag(setting.key);
+        if (values[flag] && values[`no-${flag}`]) {
+            throw new UsageError(`--${flag} and --no-${flag} cannot be used together`);
+        }
+        if (values[flag]) options[setting.key] = true;
+        if (values[`no-${flag}`]) options[setting.key] = false;
+    });
+    return options;
+}
+
+function parseCommandLine(argv, settings) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: buildOptions(settings), allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.var && !values.template) {
+        throw new UsageError('--var needs a --template');
+    }
+    if (values['format-value'] && !values.format) {
+        throw new UsageError('--format-value needs a --format');
+    }
+    if (values['redact-pattern'] && !values.redact) {
+        throw new UsageError('--redact-pattern needs --redact');
+    }
+    if (values['cost-model'] && !DEFAULT_MODEL_PRICES.some(model => model.id === values['cost-model'])) {
+        throw new UsageError(`Unknown --cost-model "${values['cost-model']}"`);
+    }
+    let budget = 0;
+    if (values['context-budget'] !== undefined) {
+        budget = Number(values['context-budget']);
+        if (!Number.isInteger(budget) || budget < 1) {
+            throw new UsageError(`Invalid --context-budget "${values['context-budget']}", expected a positive whole number`);
+        }
+    }
+
+    return {
+        help: Boolean(values.help),
+        json: Boolean(values.json),
+        files: positionals.length ? positionals : ['-'],
+        request: {
+            options: parseRuleSettings(values, settings),
+            template: values.template ? { id: values.template, values: parseVariables(values.var) } : null,
+            persona: values.persona || null,
+            provider: values['llm-url'] ? {
+                ...LLM_PROVIDER_DEFAULTS,
+                enabled: true,
+                baseUrl: values['llm-url'],
+                model: values.model || LLM_PROVIDER_DEFAULTS.model,
+                apiKey: process.env[API_KEY_ENV] || ''
+            } : null,
+            redaction: values.redact ? { patterns: values['redact-pattern'] || [] } : null,
+            tokens: { model: values['cost-model'], budget },
+            format: values.format ? { id: values.format, values: parseVariables(values['format-value'], '--format-value') } : null
+        }
+    };
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function readInput(file) {
+    return file === '-' ? readStdin() : readFile(file, 'utf8');
+}
+
+// The fields of an engine result that make sense outside the extension
+function toJson(file, result) {
+    return {
+        file: file === '-' ? null : file,
+        text: result.text,
+        language: result.language,
+        provider: result.provider,
+        fallbackReason: result.fallbackReason,
+        applied: result.applied,
+        persona: result.persona ? { id: result.persona.persona.id, source: result.persona.source } : null,
+        analysis: result.analysis,
+        stats: result.stats,
+        redactions: result.redactions
+    };
+}
+
+async function main(argv) {
+    const settings = getRuleSettingDefinitions();
+    let command;
+    try {
+        command = parseCommandLine(argv, settings);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`${COMMAND}: ${error.message}\nTry '${COMMAND} --help' for more information.`);
+        return EXIT_USAGE;
+    }
+
+    if (command.help) {
+        console.log(usage(settings));
+        return 0;
+    }
+
+    let exitCode = 0;
+    for (const file of command.files) {
+        try {
+            // Trailing newlines from files and heredocs are not part of the prompt
+            const prompt = (await readInput(file)).replace(/\s+$/, '');
+            const result = await enhancePrompt(prompt, command.request);
+            const { tokens } = result.stats;
+            if (tokens.overBudget) {
+                console.error(`${COMMAND}: ${file === '-' ? 'stdin' : file}: ${tokens.after} tokens is over the ` +
+                    `${tokens.budget}-token budget for ${tokens.label}`);
+            }
+
+            if (command.json) {
+                console.log(JSON.stringify(toJson(file, result)));
+            } else {
+                if (command.files.length > 1) console.log(`==> ${file} <==`);
+                console.log(result.text);
+            }
+        } catch (error) {
+            console.error(`${COMMAND}: ${file === '-' ? 'stdin' : file}: ${error.message}`);
+            exitCode = EXIT_FAILURE;
+        }
+    }
+    return exitCode;
+}
+
+process.exitCode = await main(process.argv.slice(2));
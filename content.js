@@ -1,32 +1,73 @@
-// AI Prompt Enhancer - Google Search Bar Integration
-// This script integrates with Google's search interface to provide prompt enhancement
+// AI Prompt Enhancer - Page Integration
+// This script adds the enhance button and modal to any site with a registered adapter (see adapters/)
 
 (function() {
     'use strict';
     
+    const namespace = globalThis.AIPromptEnhancer;
+    if (!namespace || !namespace.adapters || namespace.contentLoaded) return;
+    namespace.contentLoaded = true;
+    
+    // UI strings from _locales (content/i18n.js)
+    const { t, plural } = namespace.i18n;
+    
+    // Requests to the background script (content/messaging.js); failures reject with a MessageError
+    const { sendMessage, isRequest, ERROR_CODES } = namespace.messaging;
+    
     // Configuration
     const config = {
         buttonClass: 'ai-enhancer-button',
         modalClass: 'ai-enhancer-modal',
-        searchBarSelectors: [
-            'input[name="q"]',
-            'textarea[name="q"]',
-            '.gLFyf',
-            '[aria-label="Search"]',
-            '[data-ved]'
-        ],
         debounceDelay: 100,
-        maxRetries: 3,
-        retryDelay: 1000
+        launcherDelay: 3000 // Show the floating launcher when no input turns up within this time
     };
     
+    // Themes for the injected UI; 'system' follows the browser's colour scheme and contrast setting
+    const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+    
     // State management
     let isModalOpen = false;
-    let currentSearchBar = null;
+    let activeAdapter = namespace.adapters.getAdapterForUrl(location.href);
+    let currentInput = null;
     let enhancementButton = null;
     let enhancementModal = null;
+    let inputLifecycle = null;
     let isInitialized = false;
     
+    // The button, modal and notifications live in a closed shadow root on this host, so the page's
+    // styles and scripts cannot reach them and ours cannot leak out
+    let uiHost = null;
+    let uiRoot = null;
+    let lastEnhancedPrompt = '';
+    let savedInputSelection = null;
+    const undoStack = [];
+    
+    // Word diff of the last result; rejected hunks keep the original wording
+    let resultDiff = null;
+    let resultView = 'result';
+    
+    // Settings from storage; modal toggles override them for a single request
+    let currentSettings = {};
+    let settingDefinitions = [];
+    const overriddenSettings = new Set();
+    
+    // Prompt templates and the values typed into their variable fields
+    let templates = [];
+    const templateValues = {};
+    
+    // Output format presets and the values typed into their fields
+    let formatPresets = [];
+    const formatValues = {};
+    
+    // Personas for the modal's picker and the persona pinned to each site
+    let personas = [];
+    let sitePersonas = {};
+    
+    // Free text or the guided builder; the builder's steps are parsed from the prompt and written back to it
+    let inputMode = 'text';
+    let builderSteps = null;
+    let builderStepIndex = 0;
+    
     // AbortController for cleanup
     const abortController = new AbortController();
     
@@ -37,7 +78,7 @@
         try {
             // Wait for DOM to be ready
             if (document.readyState === 'loading') {
-                document.addEventListener('DOMContentLoaded', setupEnhancement, { signal: abortController.signal });
+                document.addEventListener('DOMContentLoaded', () => setupEnhancement(), { signal: abortController.signal });
             } else {
                 setupEnhancement();
             }
@@ -45,6 +86,21 @@
             // Handle clicks outside modal to close it
             document.addEventListener('click', handleOutsideClick, { signal: abortController.signal });
             
+            // Load settings and follow changes made in the popup or options page
+            loadSettings();
+            loadTemplates();
+            loadFormatPresets();
+            loadPersonas();
+            chrome.storage.onChanged.addListener(handleStorageChange);
+            
+            // Keyboard commands forwarded by the background script
+            chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+            
+            abortController.signal.addEventListener('abort', () => {
+                chrome.storage.onChanged.removeListener(handleStorageChange);
+                chrome.runtime.onMessage.removeListener(handleRuntimeMessage);
+            });
+            
             isInitialized = true;
             console.log('AI Prompt Enhancer initialized successfully');
         } catch (error) {
@@ -52,76 +108,779 @@
         }
     }
     
-    // Set up enhancement functionality
-    function setupEnhancement() {
+    // Load the user's enhancement settings
+    async function loadSettings() {
         try {
-            const searchBar = findGoogleSearchBar();
+            const response = await sendMessage('getSettings');
+            
+            currentSettings = response.settings;
+            settingDefinitions = response.definitions;
+            applyTheme();
+            renderSettingToggles();
+            renderHotkeyHint();
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    }
+    
+    // Apply settings changed elsewhere, leaving the user's per-request overrides alone
+    function handleStorageChange(changes, areaName) {
+        if (areaName === 'local' && changes.promptTemplates) {
+            loadTemplates();
+        }
+        if (areaName === 'local' && changes.formatPresets) {
+            loadFormatPresets();
+        }
+        if ((areaName === 'local' && changes.customPersonas) || (areaName === 'sync' && changes.sitePersonas)) {
+            loadPersonas();
+        }
+        if (areaName !== 'sync') return;
+        
+        let changed = false;
+        Object.entries(changes).forEach(([key, change]) => {
+            currentSettings[key] = change.newValue;
+            if (settingDefinitions.some(definition => definition.key === key)) {
+                changed = true;
+            }
+        });
+        
+        if (changed) {
+            syncSettingToggles();
+        }
+        if (changes.hotkeys) {
+            renderHotkeyHint();
+        }
+        if (changes.theme) {
+            applyTheme();
+        }
+    }
+    
+    // Run a keyboard command sent by the background script
+    function handleRuntimeMessage(message, sender, sendResponse) {
+        if (!isRequest(message, 'runCommand')) return;
+        
+        const respond = (response) => sendResponse({ ...response, id: message.id, protocol: message.protocol });
+        runCommand(message.data && message.data.command)
+            .then(() => respond({ success: true }))
+            .catch(error => {
+                showNotification(error.message, 'error');
+                respond({ success: false, error: { code: error.code || ERROR_CODES.INTERNAL_ERROR, message: error.message } });
+            });
+        return true; // Respond asynchronously
+    }
+    
+    async function runCommand(command) {
+        switch (command) {
+            case 'open-enhancer':
+                createEnhancementModal();
+                if (!isModalOpen) openModal();
+                break;
+                
+            case 'enhance-in-place':
+                await enhanceInPlace();
+                break;
+                
+            case 'apply-last-result':
+                applyResult('replace');
+                break;
+                
+            default:
+                throw new Error(t('errorUnknownCommand', command));
+        }
+    }
+    
+    // Enhance whatever is in the site's input with the stored settings and write it back
+    async function enhanceInPlace() {
+        if (!currentInput || !currentInput.isConnected) {
+            currentInput = findPromptInput();
+        }
+        if (!currentInput) {
+            throw new Error(getInputNotFoundMessage());
+        }
+        
+        const prompt = activeAdapter.readValue(currentInput).trim();
+        if (!prompt) {
+            throw new Error(t('errorEmptyPrompt'));
+        }
+        
+        // No options: the background script uses the stored settings
+        const response = await sendMessage('enhancePrompt', {
+            prompt,
+            site: activeAdapter.id,
+            options: {}
+        });
+        
+        showResult(prompt, response.enhancedPrompt);
+        applyResult('replace');
+    }
+    
+    function getInputNotFoundMessage() {
+        return activeAdapter ? t('errorInputNotFound', activeAdapter.name) : t('errorPageInputNotFound');
+    }
+    
+    // Render one checkbox per rule setting in the modal
+    function renderSettingToggles() {
+        const container = enhancementModal && enhancementModal.querySelector('#options-list');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        settingDefinitions.forEach(definition => {
+            const label = document.createElement('label');
+            label.className = 'option-toggle';
+            label.title = definition.description;
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.key = definition.key;
+            checkbox.addEventListener('change', () => {
+                overriddenSettings.add(definition.key);
+            }, { signal: abortController.signal });
+            
+            const text = document.createElement('span');
+            text.textContent = definition.label;
             
-            if (searchBar && !searchBar.classList.contains('ai-enhanced')) {
-                currentSearchBar = searchBar;
-                addEnhancementButton(searchBar);
-                searchBar.classList.add('ai-enhanced');
+            label.append(checkbox, text);
+            container.appendChild(label);
+        });
+        
+        syncSettingToggles();
+    }
+    
+    // Reflect stored settings in every toggle the user has not overridden
+    function syncSettingToggles() {
+        if (!enhancementModal) return;
+        
+        enhancementModal.querySelectorAll('#options-list input[data-key]').forEach(checkbox => {
+            if (!overriddenSettings.has(checkbox.dataset.key)) {
+                checkbox.checked = Boolean(currentSettings[checkbox.dataset.key]);
             }
+        });
+    }
+    
+    // Rule options for the next request: stored settings plus the modal's overrides
+    function getRequestOptions() {
+        const options = {};
+        settingDefinitions.forEach(definition => {
+            options[definition.key] = Boolean(currentSettings[definition.key]);
+        });
+        
+        if (enhancementModal) {
+            enhancementModal.querySelectorAll('#options-list input[data-key]').forEach(checkbox => {
+                options[checkbox.dataset.key] = checkbox.checked;
+            });
+        }
+        
+        return options;
+    }
+    
+    // Load the template list into the modal's dropdown
+    async function loadTemplates() {
+        try {
+            const response = await sendMessage('getTemplates');
+            
+            templates = response.templates;
+            renderTemplateOptions();
         } catch (error) {
-            console.error('Failed to setup enhancement:', error);
+            console.error('Failed to load templates:', error);
+        }
+    }
+    
+    function renderTemplateOptions() {
+        const select = enhancementModal && enhancementModal.querySelector('#template-select');
+        if (!select) return;
+        
+        const selectedId = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(t('noTemplate'), ''));
+        
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            select.appendChild(option);
+        });
+        
+        // Keep the current choice if it still exists
+        select.value = templates.some(t => t.id === selectedId) ? selectedId : '';
+        renderTemplateVariables();
+    }
+    
+    // Render one field per variable of the selected template ({{prompt}} comes from the textarea)
+    function renderTemplateVariables() {
+        const container = enhancementModal && enhancementModal.querySelector('#template-variables');
+        const select = enhancementModal && enhancementModal.querySelector('#template-select');
+        if (!container || !select) return;
+        
+        container.innerHTML = '';
+        const template = templates.find(t => t.id === select.value);
+        if (!template) return;
+        
+        template.variables.filter(name => name !== 'prompt').forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'template-variable';
+            
+            const text = document.createElement('span');
+            text.textContent = name;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.variable = name;
+            input.value = templateValues[name] || '';
+            input.placeholder = `{{${name}}}`;
+            input.addEventListener('input', () => {
+                templateValues[name] = input.value;
+            }, { signal: abortController.signal });
+            
+            label.append(text, input);
+            container.appendChild(label);
+        });
+    }
+    
+    // Template for the next request, or null; throws if a variable is still empty
+    function getRequestTemplate() {
+        const select = enhancementModal && enhancementModal.querySelector('#template-select');
+        const template = select && templates.find(t => t.id === select.value);
+        if (!template) return null;
+        
+        const values = {};
+        const missing = [];
+        
+        enhancementModal.querySelectorAll('#template-variables input[data-variable]').forEach(input => {
+            if (input.value.trim()) {
+                values[input.dataset.variable] = input.value.trim();
+            } else {
+                missing.push(input);
+            }
+        });
+        
+        if (missing.length > 0) {
+            missing[0].focus();
+            throw new Error(t('errorTemplateFields', missing.map(input => input.dataset.variable).join(', ')));
         }
+        
+        return { id: template.id, values };
     }
     
-    // Find Google's search input with improved detection and retry logic
-    function findGoogleSearchBar(retryCount = 0) {
+    // Load the format presets into the modal's dropdown
+    async function loadFormatPresets() {
         try {
-            // Try multiple approaches to find the search bar
-            for (const selector of config.searchBarSelectors) {
-                try {
-                    const element = document.querySelector(selector);
-                    if (element && element.offsetParent !== null && element.offsetWidth > 0) {
-                        return element;
-                    }
-                } catch (e) {
-                    console.warn(`Selector "${selector}" failed:`, e);
-                }
+            const response = await sendMessage('getFormatPresets');
+            
+            formatPresets = response.presets;
+            renderFormatOptions();
+        } catch (error) {
+            console.error('Failed to load format presets:', error);
+        }
+    }
+    
+    function renderFormatOptions() {
+        const select = enhancementModal && enhancementModal.querySelector('#format-select');
+        if (!select) return;
+        
+        const selectedId = select.value;
+        select.replaceChildren(new Option(t('noFormat'), ''));
+        formatPresets.forEach(preset => select.appendChild(new Option(preset.name, preset.id)));
+        
+        // Keep the current choice if it still exists
+        select.value = formatPresets.some(preset => preset.id === selectedId) ? selectedId : '';
+        renderFormatFields();
+    }
+    
+    // Render a field for each parameter the selected preset leaves open (lib/format-presets.js)
+    function renderFormatFields() {
+        const container = enhancementModal && enhancementModal.querySelector('#format-fields');
+        const select = enhancementModal && enhancementModal.querySelector('#format-select');
+        if (!container || !select) return;
+        
+        container.innerHTML = '';
+        const preset = formatPresets.find(p => p.id === select.value);
+        if (!preset) return;
+        
+        preset.fields.forEach(field => {
+            const label = document.createElement('label');
+            label.className = `format-field${field.input === 'textarea' ? ' wide' : ''}`;
+            
+            const text = document.createElement('span');
+            text.textContent = field.required ? t(`formatField_${field.name}`) : t('optionalField', t(`formatField_${field.name}`));
+            
+            const input = document.createElement(field.input === 'textarea' ? 'textarea' : 'input');
+            if (field.input === 'textarea') {
+                input.rows = 4;
+            } else {
+                input.type = field.input;
+                if (field.input === 'number') input.min = '1';
             }
+            input.dataset.field = field.name;
+            input.dataset.required = String(field.required);
+            input.value = formatValues[field.name] || '';
+            input.placeholder = t(`formatHint_${field.name}`);
+            input.addEventListener('input', () => {
+                formatValues[field.name] = input.value;
+            }, { signal: abortController.signal });
             
-            // Fallback: look for any input that looks like a search bar
-            const inputs = document.querySelectorAll('input[type="text"], textarea');
-            for (const input of inputs) {
-                if (input.offsetParent !== null && 
-                    input.offsetWidth > 200 && 
-                    input.offsetHeight > 30 &&
-                    (input.placeholder?.toLowerCase().includes('search') || 
-                     input.placeholder?.toLowerCase().includes('google') ||
-                     input.getAttribute('aria-label')?.toLowerCase().includes('search'))) {
-                    return input;
-                }
+            label.append(text, input);
+            container.appendChild(label);
+        });
+    }
+    
+    // Format preset for the next request, or null; throws if a required field is still empty
+    function getRequestFormat() {
+        const select = enhancementModal && enhancementModal.querySelector('#format-select');
+        const preset = select && formatPresets.find(p => p.id === select.value);
+        if (!preset) return null;
+        
+        const values = {};
+        const missing = [];
+        
+        enhancementModal.querySelectorAll('#format-fields [data-field]').forEach(input => {
+            if (input.value.trim()) {
+                values[input.dataset.field] = input.value.trim();
+            } else if (input.dataset.required === 'true') {
+                missing.push(input);
             }
+        });
+        
+        if (missing.length > 0) {
+            missing[0].focus();
+            throw new Error(t('errorFormatFields', missing.map(input => t(`formatField_${input.dataset.field}`)).join(', ')));
+        }
+        
+        return { id: preset.id, values };
+    }
+    
+    // Section labels of the assembled prompt, in the UI language (content/prompt-builder.js)
+    function getBuilderLabels() {
+        const labels = {};
+        Object.keys(namespace.promptBuilder.DEFAULT_LABELS).forEach(key => {
+            labels[key] = t(`builderLabel_${key}`);
+        });
+        return labels;
+    }
+    
+    // Switch between the free-text prompt and the guided builder, which starts from the prompt's parsed steps
+    function setInputMode(mode) {
+        const promptInput = enhancementModal.querySelector('#prompt-input');
+        const builder = enhancementModal.querySelector('#prompt-builder');
+        if (!promptInput || !builder) return;
+        
+        inputMode = mode;
+        enhancementModal.querySelectorAll('.input-mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        promptInput.style.display = mode === 'builder' ? 'none' : '';
+        builder.style.display = mode === 'builder' ? 'block' : 'none';
+        
+        if (mode === 'builder') {
+            builderSteps = namespace.promptBuilder.parsePrompt(promptInput.value, getBuilderLabels());
+            builderStepIndex = 0;
+            renderBuilderStep();
+        } else {
+            promptInput.focus();
+        }
+    }
+    
+    // Parse the prompt again after it was replaced while the builder is open
+    function syncBuilderFromInput() {
+        if (inputMode === 'builder') setInputMode('builder');
+    }
+    
+    function showBuilderStep(index) {
+        builderStepIndex = Math.max(0, Math.min(index, namespace.promptBuilder.BUILDER_STEPS.length - 1));
+        renderBuilderStep();
+    }
+    
+    // Write the assembled prompt into the input; the input event re-scores it as if typed
+    function updateBuilderPrompt() {
+        const promptInput = enhancementModal.querySelector('#prompt-input');
+        if (!promptInput || !builderSteps) return;
+        
+        promptInput.value = namespace.promptBuilder.assemblePrompt(builderSteps, getBuilderLabels());
+        promptInput.dispatchEvent(new Event('input'));
+        
+        enhancementModal.querySelectorAll('.builder-step-btn').forEach((button, index) => {
+            button.classList.toggle('filled', hasBuilderValue(namespace.promptBuilder.BUILDER_STEPS[index]));
+        });
+    }
+    
+    // The step list, the current step's fields and Back / Next
+    function renderBuilderStep() {
+        const stepList = enhancementModal.querySelector('#builder-steps');
+        const container = enhancementModal.querySelector('#builder-step');
+        const progress = enhancementModal.querySelector('#builder-progress');
+        const backButton = enhancementModal.querySelector('#builder-back');
+        const nextButton = enhancementModal.querySelector('#builder-next');
+        if (!stepList || !container || !builderSteps) return;
+        
+        const steps = namespace.promptBuilder.BUILDER_STEPS;
+        const step = steps[builderStepIndex];
+        const isLast = builderStepIndex === steps.length - 1;
+        
+        stepList.replaceChildren(...steps.map((name, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'builder-step-btn';
+            button.textContent = t(`builderStep_${name}`);
+            button.classList.toggle('filled', hasBuilderValue(name));
+            if (index === builderStepIndex) button.setAttribute('aria-current', 'step');
+            button.addEventListener('click', () => showBuilderStep(index));
+            item.appendChild(button);
+            return item;
+        }));
+        
+        const title = document.createElement('label');
+        title.className = 'builder-step-title';
+        title.textContent = t(`builderStep_${step}`);
+        container.replaceChildren(title, ...createBuilderFields(step));
+        
+        progress.textContent = t('builderProgress', [builderStepIndex + 1, steps.length]);
+        backButton.disabled = builderStepIndex === 0;
+        nextButton.textContent = isLast ? t('builderDone') : t('builderNext');
+        
+        const field = container.querySelector('textarea, input');
+        if (field) {
+            title.htmlFor = field.id;
+            field.focus();
+        }
+    }
+    
+    function hasBuilderValue(step) {
+        const value = builderSteps[step];
+        return Array.isArray(value) ? value.length > 0 : Boolean(value.trim());
+    }
+    
+    // Fields for one builder step; edits update the steps and the assembled prompt right away
+    function createBuilderFields(step) {
+        if (step === 'examples') return createExampleFields();
+        
+        const multiline = step === 'task' || step === 'context' || step === 'constraints';
+        const field = document.createElement(multiline ? 'textarea' : 'input');
+        field.id = `builder-${step}`;
+        field.placeholder = t(`builderHint_${step}`);
+        if (multiline) field.rows = step === 'task' ? 4 : 3;
+        
+        if (step === 'constraints') {
+            // One constraint per line
+            field.value = builderSteps.constraints.join('\n');
+            field.addEventListener('input', () => {
+                builderSteps.constraints = field.value.split('\n').map(line => line.trim()).filter(Boolean);
+                updateBuilderPrompt();
+            });
+        } else {
+            field.value = builderSteps[step];
+            field.addEventListener('input', () => {
+                builderSteps[step] = field.value;
+                updateBuilderPrompt();
+            });
+        }
+        return [field];
+    }
+    
+    // One input / output pair per few-shot example, plus a button to add another
+    function createExampleFields() {
+        const hint = document.createElement('p');
+        hint.className = 'builder-hint';
+        hint.textContent = t('builderHint_examples');
+        
+        const pairs = builderSteps.examples.map((example, index) => {
+            const pair = document.createElement('div');
+            pair.className = 'builder-example';
+            
+            ['input', 'output'].forEach(key => {
+                const field = document.createElement('textarea');
+                field.id = `builder-example-${index}-${key}`;
+                field.rows = 2;
+                field.placeholder = t(key === 'input' ? 'builderExampleInput' : 'builderExampleOutput');
+                field.setAttribute('aria-label', field.placeholder);
+                field.value = example[key];
+                field.addEventListener('input', () => {
+                    example[key] = field.value;
+                    updateBuilderPrompt();
+                });
+                pair.appendChild(field);
+            });
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'builder-nav-btn';
+            removeButton.textContent = t('builderRemoveExample');
+            removeButton.addEventListener('click', () => {
+                builderSteps.examples.splice(index, 1);
+                updateBuilderPrompt();
+                renderBuilderStep();
+            });
+            pair.appendChild(removeButton);
+            return pair;
+        });
+        
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'builder-nav-btn';
+        addButton.textContent = t('builderAddExample');
+        addButton.addEventListener('click', () => {
+            builderSteps.examples.push({ input: '', output: '' });
+            renderBuilderStep();
+            const fields = enhancementModal.querySelectorAll('.builder-example textarea');
+            if (fields.length) fields[fields.length - 2].focus();
+        });
+        
+        return [hint, ...pairs, addButton];
+    }
+
+    // Load the persona list and the per-site pins into the modal's picker
+    async function loadPersonas() {
+        try {
+            const response = await sendMessage('getPersonas');
+            
+            personas = response.personas;
+            sitePersonas = response.sitePersonas;
+            renderPersonaOptions();
+        } catch (error) {
+            console.error('Failed to load personas:', error);
+        }
+    }
+    
+    function getPinnedPersona() {
+        return sitePersonas[activeAdapter.id] || null;
+    }
+    
+    function renderPersonaOptions() {
+        const select = enhancementModal && enhancementModal.querySelector('#persona-select');
+        if (!select) return;
+        
+        const selectedId = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(t('personaAuto'), 'auto'));
+        select.appendChild(new Option(t('personaNone'), 'none'));
+        
+        personas.forEach(persona => {
+            const option = new Option(persona.name, persona.id);
+            option.title = persona.preamble;
+            select.appendChild(option);
+        });
+        
+        // Keep the current choice if it still exists
+        select.value = hasPersonaOption(select, selectedId) ? selectedId : 'auto';
+        renderPersonaPin();
+    }
+    
+    function hasPersonaOption(select, value) {
+        return Array.from(select.options).some(option => option.value === value);
+    }
+    
+    // Each time the modal opens, start from the persona pinned to this site
+    function resetPersonaChoice() {
+        const select = enhancementModal.querySelector('#persona-select');
+        if (!select) return;
+        
+        const pinned = getPinnedPersona();
+        select.value = pinned && hasPersonaOption(select, pinned) ? pinned : 'auto';
+        renderPersonaPin();
+    }
+    
+    // The pin button pins the chosen persona to this site, or unpins it when it already is
+    function renderPersonaPin() {
+        const select = enhancementModal && enhancementModal.querySelector('#persona-select');
+        const button = enhancementModal && enhancementModal.querySelector('#persona-pin-btn');
+        if (!select || !button) return;
+        
+        const pinned = select.value === getPinnedPersona();
+        button.disabled = select.value === 'auto';
+        button.textContent = pinned ? t('personaUnpin') : t('personaPin');
+        button.setAttribute('aria-pressed', String(pinned));
+    }
+    
+    async function togglePersonaPin() {
+        const select = enhancementModal.querySelector('#persona-select');
+        if (!select || select.value === 'auto') return;
+        
+        const personaId = select.value === getPinnedPersona() ? null : select.value;
+        
+        try {
+            const response = await sendMessage('pinSitePersona', { site: activeAdapter.id, personaId });
+            
+            sitePersonas = response.sitePersonas;
+            renderPersonaPin();
             
-            // Retry logic for dynamic content
-            if (retryCount < config.maxRetries) {
-                console.log(`Search bar not found, retrying in ${config.retryDelay}ms... (attempt ${retryCount + 1})`);
-                setTimeout(() => findGoogleSearchBar(retryCount + 1), config.retryDelay);
+            if (personaId) {
+                showNotification(t('notifyPersonaPinned', [select.selectedOptions[0].textContent, activeAdapter.name]), 'success');
             } else {
-                console.warn('Search bar not found after maximum retries');
+                showNotification(t('notifyPersonaUnpinned', activeAdapter.name), 'info');
             }
+        } catch (error) {
+            console.error('Failed to pin persona:', error);
+            showNotification(t('notifyPinFailed', error.message), 'error');
+        }
+    }
+    
+    // With "Suggest from my prompt" chosen, say which persona the prompt currently points to
+    async function updatePersonaHint() {
+        const select = enhancementModal && enhancementModal.querySelector('#persona-select');
+        const hint = enhancementModal && enhancementModal.querySelector('#persona-hint');
+        const promptInput = enhancementModal && enhancementModal.querySelector('#prompt-input');
+        if (!select || !hint || !promptInput) return;
+        
+        if (select.value !== 'auto') {
+            hint.textContent = '';
+            return;
+        }
+        
+        try {
+            const response = await sendMessage('suggestPersona', { prompt: promptInput.value });
             
-            return null;
+            // The choice may have changed while the suggestion was on its way
+            if (select.value !== 'auto') return;
+            hint.textContent = response.persona ? t('personaSuggested', response.persona.name) : t('personaNoSuggestion');
+        } catch (error) {
+            console.error('Failed to suggest persona:', error);
+        }
+    }
+    
+    function renderPersonaUsed(persona) {
+        const label = enhancementModal && enhancementModal.querySelector('#persona-used');
+        if (!label) return;
+        
+        label.textContent = persona ? t('personaUsed', persona.name) : '';
+    }
+    
+    // List what the background script masked before enhancing, e.g. "2 email addresses and 1 API key"
+    function renderRedactions(redactions = []) {
+        const warning = enhancementModal && enhancementModal.querySelector('#redaction-warning');
+        if (!warning) return;
+        
+        const items = redactions.map(({ type, count }) => plural(`redacted_${type}`, count));
+        warning.textContent = items.length
+            ? t('redactionWarning', new Intl.ListFormat(chrome.i18n.getUILanguage()).format(items))
+            : '';
+    }
+    
+    // Show "Tokens before → after · cost" for the chosen model and warn when the result is over budget; null hides both
+    function renderTokenEstimate(tokens) {
+        const estimate = enhancementModal && enhancementModal.querySelector('#token-estimate');
+        const warning = enhancementModal && enhancementModal.querySelector('#budget-warning');
+        if (!estimate || !warning) return;
+        
+        if (!tokens) {
+            estimate.textContent = '';
+            warning.textContent = '';
+            return;
+        }
+        
+        const cost = new Intl.NumberFormat(chrome.i18n.getUILanguage(), {
+            style: 'currency',
+            currency: tokens.currency,
+            maximumSignificantDigits: 2
+        }).format(tokens.cost.after);
+        estimate.textContent = t('tokenEstimate', [tokens.before, tokens.after, cost]);
+        estimate.title = t('tokenModel', tokens.label);
+        warning.textContent = tokens.overBudget ? t('budgetWarning', [tokens.after, tokens.budget, tokens.label]) : '';
+    }
+    
+    // Set up enhancement functionality and keep the button on the site's input as the page changes
+    function setupEnhancement() {
+        try {
+            if (!activeAdapter) {
+                console.log('AI Prompt Enhancer: no site adapter for', location.hostname);
+                return;
+            }
+            if (inputLifecycle) return;
+            
+            inputLifecycle = namespace.lifecycle.watchPromptInput({
+                findInput: findPromptInput,
+                onAttach: attachToInput,
+                onDetach: detachFromInput,
+                onReposition: input => positionButton(enhancementButton, input),
+                onMissing: showFloatingLauncher,
+                signal: abortController.signal,
+                debounceDelay: config.debounceDelay,
+                missingDelay: config.launcherDelay
+            });
+        } catch (error) {
+            console.error('Failed to setup enhancement:', error);
+        }
+    }
+    
+    // Anchor the button to a newly found input
+    function attachToInput(input) {
+        currentInput = input;
+        input.classList.add('ai-enhanced');
+        
+        addEnhancementButton();
+        if (!enhancementButton) return;
+        enhancementButton.classList.remove('floating');
+        enhancementButton.hidden = false;
+        positionButton(enhancementButton, input);
+    }
+    
+    // The input was removed or replaced; hide the button until the next one turns up
+    function detachFromInput(input) {
+        input.classList.remove('ai-enhanced');
+        if (currentInput === input) {
+            currentInput = null;
+        }
+        if (enhancementButton) {
+            enhancementButton.hidden = true;
+        }
+    }
+    
+    // No input to anchor to: show the button as a launcher in the corner of the window
+    function showFloatingLauncher() {
+        addEnhancementButton();
+        if (!enhancementButton) return;
+        
+        // Drop the coordinates the adapter set for the last input
+        enhancementButton.removeAttribute('style');
+        enhancementButton.classList.add('floating');
+        enhancementButton.hidden = false;
+    }
+    
+    // Find the site's prompt input through the active adapter
+    function findPromptInput() {
+        try {
+            return activeAdapter.findInput();
         } catch (error) {
-            console.error('Error finding search bar:', error);
+            console.error(`Error finding prompt input for ${activeAdapter.name}:`, error);
             return null;
         }
     }
     
-    // Add enhancement button to the search bar
-    function addEnhancementButton(searchBar) {
+    // Shadow root that holds the injected UI, created on first use
+    function getUiRoot() {
+        if (!uiHost) {
+            uiHost = document.createElement('ai-prompt-enhancer');
+            uiRoot = uiHost.attachShadow({ mode: 'closed' });
+            uiRoot.appendChild(createStyles());
+            applyTheme();
+        }
+        
+        // Some sites rebuild the whole page; mount the host again if it was removed
+        if (!uiHost.isConnected) {
+            document.documentElement.appendChild(uiHost);
+        }
+        return uiRoot;
+    }
+    
+    // Apply the theme chosen in the options page
+    function applyTheme() {
+        if (!uiHost) return;
+        uiHost.dataset.theme = THEMES.includes(currentSettings.theme) ? currentSettings.theme : 'system';
+    }
+    
+    // Create the enhancement button (hidden until it is anchored or floats)
+    function addEnhancementButton() {
+        if (enhancementButton) return;
+        
         try {
             // Create enhancement button
             enhancementButton = document.createElement('button');
             enhancementButton.type = 'button';
             enhancementButton.className = config.buttonClass;
+            enhancementButton.hidden = true;
             enhancementButton.innerHTML = `
                 <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>
                 </svg>
-                AI Enhance
+                ${t('enhanceButton')}
             `;
             
             // Add click handler
@@ -131,11 +890,8 @@
                 toggleModal();
             }, { signal: abortController.signal });
             
-            // Position the button relative to the search bar
-            positionButton(enhancementButton, searchBar);
-            
             // Add button to the page
-            document.body.appendChild(enhancementButton);
+            getUiRoot().appendChild(enhancementButton);
             
             // Create the modal immediately (don't wait for click)
             createEnhancementModal();
@@ -152,33 +908,124 @@
             const modalHTML = `
                 <div class="ai-enhancer-modal" id="ai-enhancer-modal">
                     <div class="modal-header">
-                        <h3>✨ AI Prompt Enhancer</h3>
-                        <p>Enter your prompt and click Enhance to improve it</p>
+                        <h3>✨ ${t('extName')}</h3>
+                        <p>${t('modalIntro')}</p>
                     </div>
                     
                     <div class="modal-content">
                         <div class="input-section">
-                            <label for="prompt-input">Your Prompt:</label>
+                            <div class="input-header">
+                                <label for="prompt-input">${t('promptLabel')}</label>
+                                <div class="input-modes" role="group" aria-label="${t('inputModeLabel')}">
+                                    <button type="button" class="input-mode-btn active" data-mode="text">${t('modeFreeText')}</button>
+                                    <button type="button" class="input-mode-btn" data-mode="builder">${t('modeBuilder')}</button>
+                                </div>
+                            </div>
                             <textarea 
                                 id="prompt-input" 
-                                placeholder="Enter your AI prompt here..."
+                                placeholder="${t('promptPlaceholder')}"
                                 rows="6"
                             ></textarea>
+                            <div class="prompt-builder" id="prompt-builder" style="display: none;">
+                                <ol class="builder-steps" id="builder-steps"></ol>
+                                <div class="builder-step" id="builder-step"></div>
+                                <div class="builder-nav">
+                                    <button type="button" class="builder-nav-btn" id="builder-back">${t('builderBack')}</button>
+                                    <span class="builder-progress" id="builder-progress"></span>
+                                    <button type="button" class="builder-nav-btn" id="builder-next">${t('builderNext')}</button>
+                                </div>
+                            </div>
                         </div>
                         
-                        <div class="modal-actions">
-                            <button id="enhance-btn" class="enhance-btn">
-                                <span class="loading-spinner" style="display: none;"></span>
-                                Enhance
-                            </button>
+                        <div class="analysis-panel" id="analysis-panel">
+                            <span class="score-badge" id="prompt-score" title="${t('scoreTitle')}">${t('scoreEmpty')}</span>
+                            <details class="analysis-details" id="analysis-details">
+                                <summary id="analysis-summary">${t('noSuggestions')}</summary>
+                                <ul class="finding-list" id="finding-list"></ul>
+                            </details>
                         </div>
                         
-                        <div class="result-section" id="result-section" style="display: none;">
-                            <h4>Enhanced Prompt:</h4>
-                            <div class="result-content" id="result-content"></div>
+                        <details class="history-panel" id="history-panel">
+                            <summary>${t('historyReuse')}</summary>
+                            <input type="search" id="history-search" placeholder="${t('historySearchPlaceholder')}">
+                            <ul class="history-list" id="history-list"></ul>
+                        </details>
+                        
+                        <div class="persona-section">
+                            <label for="persona-select">${t('personaLabel')}</label>
+                            <div class="persona-row">
+                                <select id="persona-select">
+                                    <option value="auto">${t('personaAuto')}</option>
+                                </select>
+                                <button type="button" class="persona-pin-btn" id="persona-pin-btn" aria-pressed="false" disabled>${t('personaPin')}</button>
+                            </div>
+                            <p class="persona-hint" id="persona-hint"></p>
                         </div>
-                    </div>
-                </div>
+                        
+                        <div class="template-section">
+                            <label for="template-select">${t('templateLabel')}</label>
+                            <select id="template-select">
+                                <option value="">${t('noTemplate')}</option>
+                            </select>
+                            <div class="template-variables" id="template-variables"></div>
+                        </div>
+                        
+                        <div class="format-section">
+                            <label for="format-select">${t('formatLabel')}</label>
+                            <select id="format-select">
+                                <option value="">${t('noFormat')}</option>
+                            </select>
+                            <div class="format-fields" id="format-fields"></div>
+                        </div>
+                        
+                        <div class="options-section">
+                            <span class="options-label">${t('optionsLabel')}</span>
+                            <div class="options-list" id="options-list"></div>
+                        </div>
+                        
+                        <div class="modal-actions">
+                            <button id="enhance-btn" class="enhance-btn">
+                                <span class="loading-spinner" style="display: none;"></span>
+                                ${t('enhance')}
+                            </button>
+                            <button type="button" id="variants-btn" class="variants-btn">${t('compareVariants')}</button>
+                            <p class="hotkey-hint" id="hotkey-hint"></p>
+                        </div>
+                        
+                        <div class="variant-section" id="variant-section" style="display: none;">
+                            <h4>${t('variantsHeading')}</h4>
+                            <div class="variant-list" id="variant-list"></div>
+                        </div>
+                        
+                        <div class="result-section" id="result-section" style="display: none;">
+                            <div class="result-header">
+                                <h4>${t('enhancedPromptHeading')}</h4>
+                                <span class="persona-used" id="persona-used"></span>
+                                <span class="score-change" id="score-change"></span>
+                                <span class="token-estimate" id="token-estimate"></span>
+                                <div class="result-views" role="group" aria-label="${t('resultViewLabel')}">
+                                    <button type="button" class="result-view-btn active" data-view="result">${t('viewResult')}</button>
+                                    <button type="button" class="result-view-btn" data-view="inline">${t('viewInline')}</button>
+                                    <button type="button" class="result-view-btn" data-view="split">${t('viewSplit')}</button>
+                                </div>
+                            </div>
+                            <p class="redaction-warning" id="redaction-warning" role="status"></p>
+                            <p class="budget-warning" id="budget-warning" role="status"></p>
+                            <div class="result-content" id="result-content"></div>
+                            <div class="diff-summary" id="diff-summary" style="display: none;">
+                                <span id="diff-count"></span>
+                                <button type="button" class="diff-bulk-btn" data-bulk="accept">${t('acceptAll')}</button>
+                                <button type="button" class="diff-bulk-btn" data-bulk="reject">${t('rejectAll')}</button>
+                            </div>
+                            <div class="result-actions">
+                                <button type="button" class="result-action-btn" data-action="replace">${t('applyToInput')}</button>
+                                <button type="button" class="result-action-btn" data-action="insert">${t('insertAtCursor')}</button>
+                                <button type="button" class="result-action-btn" data-action="copy">${t('copy')}</button>
+                                <button type="button" class="result-action-btn" data-action="undo" id="undo-btn" disabled>${t('undo')}</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
             `;
             
             // Create a temporary container to parse the HTML
@@ -188,11 +1035,16 @@
             // Get the modal element
             enhancementModal = tempContainer.firstElementChild;
             
-            // Append to body
-            document.body.appendChild(enhancementModal);
+            // Append to the shadow root
+            getUiRoot().appendChild(enhancementModal);
             
             if (enhancementModal) {
                 setupModalEvents();
+                renderSettingToggles();
+                renderTemplateOptions();
+                renderFormatOptions();
+                renderPersonaOptions();
+                renderHotkeyHint();
             }
         } catch (error) {
             console.error('Failed to create enhancement modal:', error);
@@ -205,16 +1057,142 @@
         
         try {
             const enhanceBtn = enhancementModal.querySelector('#enhance-btn');
+            const variantsBtn = enhancementModal.querySelector('#variants-btn');
             
             // Event listeners
             if (enhanceBtn) {
                 enhanceBtn.addEventListener('click', () => enhancePrompt(), { signal: abortController.signal });
             }
+            if (variantsBtn) {
+                variantsBtn.addEventListener('click', () => enhanceVariants(), { signal: abortController.signal });
+            }
+            
+            enhancementModal.addEventListener('keydown', handleModalKeydown, { signal: abortController.signal });
+            
+            enhancementModal.querySelectorAll('.input-mode-btn').forEach(button => {
+                button.addEventListener('click', () => setInputMode(button.dataset.mode), { signal: abortController.signal });
+            });
+            
+            const builderBack = enhancementModal.querySelector('#builder-back');
+            const builderNext = enhancementModal.querySelector('#builder-next');
+            if (builderBack) {
+                builderBack.addEventListener('click', () => showBuilderStep(builderStepIndex - 1), { signal: abortController.signal });
+            }
+            if (builderNext) {
+                // The last step's Done shows the assembled prompt as free text
+                builderNext.addEventListener('click', () => {
+                    if (builderStepIndex === namespace.promptBuilder.BUILDER_STEPS.length - 1) {
+                        setInputMode('text');
+                    } else {
+                        showBuilderStep(builderStepIndex + 1);
+                    }
+                }, { signal: abortController.signal });
+            }
+            
+            // Re-score the prompt as the user types
+            const promptInput = enhancementModal.querySelector('#prompt-input');
+            let analysisTimer = null;
+            if (promptInput) {
+                promptInput.addEventListener('input', () => {
+                    clearTimeout(analysisTimer);
+                    analysisTimer = setTimeout(() => {
+                        analyzeCurrentPrompt();
+                        updatePersonaHint();
+                    }, 300);
+                }, { signal: abortController.signal });
+            }
+            
+            const historyPanel = enhancementModal.querySelector('#history-panel');
+            const historySearch = enhancementModal.querySelector('#history-search');
+            let historySearchTimer = null;
+            
+            if (historyPanel) {
+                historyPanel.addEventListener('toggle', () => {
+                    if (historyPanel.open) loadHistory();
+                }, { signal: abortController.signal });
+            }
+            if (historySearch) {
+                historySearch.addEventListener('input', () => {
+                    clearTimeout(historySearchTimer);
+                    historySearchTimer = setTimeout(loadHistory, 200);
+                }, { signal: abortController.signal });
+            }
+            
+            const personaSelect = enhancementModal.querySelector('#persona-select');
+            const personaPinButton = enhancementModal.querySelector('#persona-pin-btn');
+            if (personaSelect) {
+                personaSelect.addEventListener('change', () => {
+                    renderPersonaPin();
+                    updatePersonaHint();
+                }, { signal: abortController.signal });
+            }
+            if (personaPinButton) {
+                personaPinButton.addEventListener('click', togglePersonaPin, { signal: abortController.signal });
+            }
+            
+            const templateSelect = enhancementModal.querySelector('#template-select');
+            if (templateSelect) {
+                templateSelect.addEventListener('change', renderTemplateVariables, { signal: abortController.signal });
+            }
+            
+            const formatSelect = enhancementModal.querySelector('#format-select');
+            if (formatSelect) {
+                formatSelect.addEventListener('change', renderFormatFields, { signal: abortController.signal });
+            }
+            
+            enhancementModal.querySelectorAll('.result-action-btn').forEach(button => {
+                button.addEventListener('click', () => handleResultAction(button.dataset.action), { signal: abortController.signal });
+            });
+            
+            enhancementModal.querySelectorAll('.result-view-btn').forEach(button => {
+                button.addEventListener('click', () => setResultView(button.dataset.view), { signal: abortController.signal });
+            });
+            
+            enhancementModal.querySelectorAll('.diff-bulk-btn').forEach(button => {
+                button.addEventListener('click', () => setAllHunks(button.dataset.bulk === 'accept'), { signal: abortController.signal });
+            });
         } catch (error) {
             console.error('Failed to setup modal events:', error);
         }
     }
     
+    // Modal hotkeys: enhance, close, and modifier+digit to toggle the Nth option
+    function handleModalKeydown(event) {
+        const hotkeys = namespace.hotkeys;
+        const bindings = hotkeys.resolveHotkeys(currentSettings.hotkeys);
+        let handled = true;
+        
+        if (hotkeys.matchesBinding(event, bindings.enhance)) {
+            enhancePrompt();
+        } else if (hotkeys.matchesBinding(event, bindings.close)) {
+            closeModal();
+            if (currentInput && currentInput.isConnected) currentInput.focus();
+        } else {
+            const digit = hotkeys.matchDigit(event, bindings.pickOption);
+            const checkbox = digit && enhancementModal.querySelectorAll('#options-list input[data-key]')[digit - 1];
+            if (checkbox) {
+                checkbox.click();
+            } else {
+                handled = false;
+            }
+        }
+        
+        // Keep the host page's own shortcuts from firing as well
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+    
+    // Show the current bindings under the Enhance button
+    function renderHotkeyHint() {
+        const hint = enhancementModal && enhancementModal.querySelector('#hotkey-hint');
+        if (!hint) return;
+        
+        const bindings = namespace.hotkeys.resolveHotkeys(currentSettings.hotkeys);
+        hint.textContent = t('hotkeyHint', [bindings.enhance, bindings.close, bindings.pickOption]);
+    }
+    
     // Toggle modal visibility
     function toggleModal() {
         if (isModalOpen) {
@@ -229,6 +1207,14 @@
         if (!enhancementModal) return;
         
         try {
+            // Remember the caret in the site's input before focus moves into the modal
+            savedInputSelection = currentInput ? namespace.adapters.captureSelection(currentInput) : null;
+            
+            // Each time the modal opens, start again from the stored settings
+            overriddenSettings.clear();
+            syncSettingToggles();
+            resetPersonaChoice();
+            
             // Position the modal before showing it
             positionModal();
             
@@ -236,10 +1222,16 @@
             enhancementModal.classList.add('show');
             isModalOpen = true;
             
-            // Focus on the input
+            // Start from whatever the user already typed into the site's input
             const promptInput = enhancementModal.querySelector('#prompt-input');
             if (promptInput) {
+                if (!promptInput.value.trim() && currentInput) {
+                    promptInput.value = activeAdapter.readValue(currentInput).trim();
+                }
                 promptInput.focus();
+                syncBuilderFromInput();
+                analyzeCurrentPrompt();
+                updatePersonaHint();
             }
         } catch (error) {
             console.error('Failed to open modal:', error);
@@ -264,27 +1256,20 @@
         }
     }
     
-    // Handle clicks outside modal to close it
+    // Handle clicks outside modal to close it. Clicks inside the shadow root reach the document
+    // retargeted to the host.
     function handleOutsideClick(event) {
-        if (isModalOpen && 
-            !enhancementModal.contains(event.target) && 
-            !enhancementButton.contains(event.target)) {
+        if (isModalOpen && event.target !== uiHost) {
             closeModal();
         }
     }
     
-    // Position the enhancement button
-    function positionButton(button, searchBar) {
-        if (!button || !searchBar) return;
+    // Position the enhancement button where the active adapter wants it
+    function positionButton(button, input) {
+        if (!button || !input) return;
         
         try {
-            const rect = searchBar.getBoundingClientRect();
-            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-            const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-            
-            button.style.position = 'absolute';
-            button.style.left = (rect.right - 120) + scrollLeft + 'px';
-            button.style.top = (rect.top + scrollTop) + 'px';
+            activeAdapter.placeButton(button, input);
         } catch (error) {
             console.error('Failed to position button:', error);
         }
@@ -303,83 +1288,507 @@
         }
     }
     
-    // Enhanced prompt function that uses background script with retry logic
-    async function enhancePrompt(retryCount = 0) {
+    // Enhance the modal's prompt in the background script; the messaging client retries lost connections
+    async function enhancePrompt() {
         if (!enhancementModal) return;
         
         const promptInput = enhancementModal.querySelector('#prompt-input');
         const enhanceBtn = enhancementModal.querySelector('#enhance-btn');
         const resultSection = enhancementModal.querySelector('#result-section');
-        const resultContent = enhancementModal.querySelector('#result-content');
         
         if (!promptInput || !enhanceBtn) return;
         
+        // Template and format fields must be filled before anything is sent
+        let template;
+        let format;
+        try {
+            template = getRequestTemplate();
+            format = getRequestFormat();
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        
         try {
             // Show loading state
             enhanceBtn.disabled = true;
-            enhanceBtn.innerHTML = '<span class="loading-spinner"></span> Enhancing...';
+            enhanceBtn.innerHTML = '<span class="loading-spinner"></span> ';
+            enhanceBtn.append(t('enhancing'));
             
             // Hide previous results
             if (resultSection) {
                 resultSection.style.display = 'none';
             }
+            hideVariants();
             
             // Send message to background script to handle the enhancement
-            const response = await new Promise((resolve, reject) => {
-                chrome.runtime.sendMessage({
-                    action: 'enhancePrompt',
-                    data: {
-                        prompt: promptInput.value.trim() || 'Hello world',
-                        options: {
-                            enhanceClarity: true,
-                            addContext: true,
-                            improveStructure: false
-                        }
-                    }
-                }, (response) => {
-                    if (chrome.runtime.lastError) {
-                        reject(new Error(chrome.runtime.lastError.message));
-                    } else {
-                        resolve(response);
-                    }
-                });
-            });
+            const originalPrompt = promptInput.value.trim() || 'Hello world';
+            const response = await sendMessage('enhancePrompt', getEnhanceRequest(originalPrompt, template, format));
             
-            if (response.success) {
-                // Display the enhanced result
-                if (resultContent) {
-                    resultContent.textContent = response.enhancedPrompt;
-                }
-                if (resultSection) {
-                    resultSection.style.display = 'block';
-                }
-                
-                showNotification('Prompt enhanced successfully!', 'success');
-                
-                // Log the enhancement
-                console.log('Enhancement stats:', response.stats);
+            // Display the enhanced result
+            showEnhancement(originalPrompt, response, response.redactions);
+
+            if (response.fallbackReason) {
+                showNotification(t('notifyProviderFallback'), 'info');
             } else {
-                throw new Error(response.error || 'Enhancement failed');
+                showNotification(t('notifyEnhanced'), 'success');
             }
             
+            // Log the enhancement
+            console.log('Enhancement stats:', response.stats);
         } catch (error) {
             console.error('Error enhancing prompt:', error);
+            showNotification(t('notifyEnhanceFailed', error.message), 'error');
+        } finally {
+            // Reset button state
+            enhanceBtn.disabled = false;
+            enhanceBtn.textContent = t('enhance');
+        }
+    }
+    
+    // What the background script needs to enhance the modal's prompt
+    function getEnhanceRequest(prompt, template, format) {
+        const personaSelect = enhancementModal.querySelector('#persona-select');
+        
+        return {
+            prompt,
+            site: activeAdapter.id,
+            options: getRequestOptions(),
+            template,
+            format,
+            persona: personaSelect ? personaSelect.value : undefined
+        };
+    }
+    
+    // Show an enhancement (a response or one of its variants) as the modal's result
+    function showEnhancement(originalPrompt, enhancement, redactions) {
+        const resultSection = enhancementModal.querySelector('#result-section');
+        
+        showResult(originalPrompt, enhancement.enhancedPrompt);
+        renderScoreChange(enhancement.analysis);
+        renderPersonaUsed(enhancement.persona);
+        renderRedactions(redactions);
+        renderTokenEstimate(enhancement.stats.tokens);
+        if (resultSection) {
+            resultSection.style.display = 'block';
+        }
+    }
+    
+    // Enhance the modal's prompt with several strategies and list the variants as cards to pick from
+    async function enhanceVariants() {
+        if (!enhancementModal) return;
+        
+        const promptInput = enhancementModal.querySelector('#prompt-input');
+        const variantsBtn = enhancementModal.querySelector('#variants-btn');
+        const resultSection = enhancementModal.querySelector('#result-section');
+        
+        if (!promptInput || !variantsBtn) return;
+        
+        let template;
+        let format;
+        try {
+            template = getRequestTemplate();
+            format = getRequestFormat();
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        try {
+            variantsBtn.disabled = true;
+            variantsBtn.textContent = t('generatingVariants');
             
-            // Retry logic for transient errors
-            if (retryCount < config.maxRetries && 
-                (error.message.includes('Could not establish connection') || 
-                 error.message.includes('Extension context invalidated'))) {
-                
-                console.log(`Retrying enhancement in ${config.retryDelay}ms... (attempt ${retryCount + 1})`);
-                setTimeout(() => enhancePrompt(retryCount + 1), config.retryDelay);
+            if (resultSection) {
+                resultSection.style.display = 'none';
+            }
+            hideVariants();
+            
+            const originalPrompt = promptInput.value.trim() || 'Hello world';
+            const response = await sendMessage('enhanceVariants', getEnhanceRequest(originalPrompt, template, format));
+            
+            renderVariants(originalPrompt, response);
+            if (response.fallbackReason) {
+                showNotification(t('notifyProviderFallback'), 'info');
+            }
+        } catch (error) {
+            console.error('Error generating variants:', error);
+            showNotification(t('notifyEnhanceFailed', error.message), 'error');
+        } finally {
+            variantsBtn.disabled = false;
+            variantsBtn.textContent = t('compareVariants');
+        }
+    }
+    
+    // One card per variant, best-liked strategy first: its name, score, length and text
+    function renderVariants(originalPrompt, response) {
+        const section = enhancementModal.querySelector('#variant-section');
+        const list = enhancementModal.querySelector('#variant-list');
+        if (!section || !list) return;
+        
+        const shown = response.variants.map(variant => variant.strategy);
+        list.replaceChildren(...response.variants.map(variant => {
+            const card = document.createElement('div');
+            card.className = 'variant-card';
+            
+            const header = document.createElement('div');
+            header.className = 'variant-header';
+            const name = document.createElement('strong');
+            name.textContent = t(`variant_${variant.strategy}`);
+            const score = document.createElement('span');
+            score.className = 'score-change';
+            score.textContent = t('scoreValue', variant.analysis.after.score);
+            score.dataset.level = getScoreLevel(variant.analysis.after.score);
+            header.append(name, score);
+            
+            const stats = document.createElement('small');
+            stats.className = 'variant-stats';
+            stats.textContent = `${plural('variantLength', variant.stats.enhancedLength)} · ${plural('tokenCount', variant.stats.tokens.after)}`;
+            
+            const text = document.createElement('p');
+            text.className = 'variant-text';
+            text.textContent = variant.enhancedPrompt;
+            
+            const useButton = document.createElement('button');
+            useButton.type = 'button';
+            useButton.className = 'variant-use-btn';
+            useButton.textContent = t('useVariant');
+            useButton.addEventListener('click', () => {
+                chooseVariant(originalPrompt, variant, shown, response.redactions);
+            });
+            
+            card.append(header, stats, text, useButton);
+            return card;
+        }));
+        section.style.display = 'block';
+    }
+    
+    function hideVariants() {
+        const section = enhancementModal && enhancementModal.querySelector('#variant-section');
+        if (section) section.style.display = 'none';
+    }
+    
+    // Make the picked variant the result and let the background script count the choice
+    async function chooseVariant(originalPrompt, variant, shown, redactions) {
+        hideVariants();
+        showEnhancement(originalPrompt, variant, redactions);
+        
+        try {
+            await sendMessage('chooseVariant', { strategy: variant.strategy, shown });
+        } catch (error) {
+            console.error('Failed to record variant choice:', error);
+        }
+    }
+
+    // Search the saved history and list it in the modal
+    async function loadHistory() {
+        const list = enhancementModal && enhancementModal.querySelector('#history-list');
+        if (!list) return;
+        
+        if (!currentSettings.historyEnabled) {
+            showHistoryMessage(list, t('historyOff'));
+            return;
+        }
+        
+        try {
+            const query = enhancementModal.querySelector('#history-search')?.value || '';
+            const response = await sendMessage('searchHistory', { query, limit: 10 });
+            
+            list.innerHTML = '';
+            if (response.entries.length === 0) {
+                showHistoryMessage(list, t('noMatchingPrompts'));
                 return;
             }
             
-            showNotification('Failed to enhance prompt: ' + error.message, 'error');
+            response.entries.forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'history-item';
+                item.tabIndex = 0;
+                item.title = entry.enhanced;
+                item.textContent = (entry.starred ? '★ ' : '') + entry.original;
+                item.addEventListener('click', () => reuseHistoryEntry(entry));
+                item.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter') reuseHistoryEntry(entry);
+                });
+                list.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            showHistoryMessage(list, t('historyLoadFailed'));
+        }
+    }
+    
+    // Replace the history list with a single message row
+    function showHistoryMessage(list, message) {
+        const item = document.createElement('li');
+        item.className = 'history-empty';
+        item.textContent = message;
+        list.replaceChildren(item);
+    }
+    
+    // Put a history entry back into the modal: its prompt in the input, its result ready to apply
+    function reuseHistoryEntry(entry) {
+        const promptInput = enhancementModal.querySelector('#prompt-input');
+        const resultSection = enhancementModal.querySelector('#result-section');
+        const historyPanel = enhancementModal.querySelector('#history-panel');
+        
+        if (promptInput) promptInput.value = entry.original;
+        syncBuilderFromInput();
+        showResult(entry.original, entry.enhanced);
+        renderScoreChange(null);
+        renderPersonaUsed(null);
+        renderTokenEstimate(null);
+        hideVariants();
+        analyzeCurrentPrompt();
+        updatePersonaHint();
+        if (resultSection) resultSection.style.display = 'block';
+        if (historyPanel) historyPanel.open = false;
+    }
+    
+    // Score the modal's prompt and list what could be better
+    async function analyzeCurrentPrompt() {
+        const promptInput = enhancementModal && enhancementModal.querySelector('#prompt-input');
+        if (!promptInput) return;
+        
+        try {
+            const response = await sendMessage('analyzePrompt', { prompt: promptInput.value });
+            renderAnalysis(response.analysis);
+        } catch (error) {
+            console.error('Failed to analyze prompt:', error);
+        }
+    }
+    
+    function renderAnalysis(analysis) {
+        const badge = enhancementModal.querySelector('#prompt-score');
+        const summary = enhancementModal.querySelector('#analysis-summary');
+        const list = enhancementModal.querySelector('#finding-list');
+        if (!badge || !summary || !list) return;
+        
+        badge.textContent = t('scoreValue', analysis.score);
+        badge.dataset.level = getScoreLevel(analysis.score);
+        badge.title = Object.entries(analysis.dimensions)
+            .map(([key, value]) => t('dimensionScore', [t(`dimension_${key}`), value]))
+            .join('\n');
+        
+        const count = analysis.findings.length;
+        summary.textContent = count === 0 ? t('noSuggestions') : plural('suggestionCount', count);
+        
+        list.innerHTML = '';
+        analysis.findings.forEach(finding => {
+            const item = document.createElement('li');
+            item.className = `finding ${finding.severity}`;
+            
+            const text = describeFinding(finding);
+            const message = document.createElement('span');
+            message.textContent = text.message;
+            const suggestion = document.createElement('small');
+            suggestion.textContent = text.suggestion;
+            
+            item.append(message, suggestion);
+            list.appendChild(item);
+        });
+    }
+    
+    // A finding in the UI language: finding_<id> filled in with its params (counted ones by plural rules),
+    // and finding_<id>_fix for the suggestion
+    function describeFinding(finding) {
+        const key = `finding_${finding.id.replace(/[.-]/g, '_')}`;
+        const { count, ...params } = finding.params || {};
+        const values = Object.values(params).map(value => Array.isArray(value)
+            ? new Intl.ListFormat(chrome.i18n.getUILanguage()).format(value.map(word => t('quotedWord', word)))
+            : value);
+        
+        return {
+            message: count === undefined ? t(key, values) : plural(key, count, [count, ...values]),
+            suggestion: t(`${key}_fix`)
+        };
+    }
+    
+    // Show "before → after" next to the result heading; null hides it
+    function renderScoreChange(analysis) {
+        const scoreChange = enhancementModal && enhancementModal.querySelector('#score-change');
+        if (!scoreChange) return;
+        
+        if (!analysis) {
+            scoreChange.textContent = '';
+            return;
+        }
+        
+        scoreChange.textContent = t('scoreChange', [analysis.before.score, analysis.after.score]);
+        scoreChange.dataset.level = getScoreLevel(analysis.after.score);
+        scoreChange.title = plural('suggestionsLeft', analysis.after.findings.length);
+    }
+    
+    function getScoreLevel(score) {
+        if (score >= 70) return 'high';
+        if (score >= 40) return 'medium';
+        return 'low';
+    }
+    
+    // Diff a new result against the prompt it came from; every hunk starts accepted
+    function showResult(original, enhanced) {
+        const segments = namespace.diff.buildSegments(namespace.diff.diffWords(original, enhanced));
+        resultDiff = { segments, rejected: new Set() };
+        renderResult();
+    }
+    
+    // Switch between the plain result and the inline or side-by-side diff
+    function setResultView(view) {
+        resultView = view;
+        enhancementModal.querySelectorAll('.result-view-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        renderResult();
+    }
+    
+    // Accept or reject one hunk
+    function toggleHunk(id) {
+        if (!resultDiff) return;
+        
+        if (resultDiff.rejected.has(id)) {
+            resultDiff.rejected.delete(id);
+        } else {
+            resultDiff.rejected.add(id);
+        }
+        renderResult();
+    }
+    
+    // Accept or reject every hunk at once
+    function setAllHunks(accepted) {
+        if (!resultDiff) return;
+        
+        resultDiff.rejected.clear();
+        if (!accepted) {
+            resultDiff.segments
+                .filter(segment => segment.type === 'change')
+                .forEach(segment => resultDiff.rejected.add(segment.id));
+        }
+        renderResult();
+    }
+    
+    // Render the current view and recompute the text the result actions will use
+    function renderResult() {
+        const resultContent = enhancementModal && enhancementModal.querySelector('#result-content');
+        const diffSummary = enhancementModal && enhancementModal.querySelector('#diff-summary');
+        if (!resultDiff) return;
+        
+        const { segments, rejected } = resultDiff;
+        lastEnhancedPrompt = namespace.diff.applyDecisions(segments, rejected);
+        if (!resultContent) return;
+        
+        if (resultView === 'inline') {
+            namespace.diff.renderInline(resultContent, segments, rejected, toggleHunk);
+        } else if (resultView === 'split') {
+            namespace.diff.renderSplit(resultContent, segments, rejected, toggleHunk);
+        } else {
+            namespace.diff.setViewClass(resultContent, null);
+            resultContent.textContent = lastEnhancedPrompt;
+        }
+        
+        if (diffSummary) {
+            const total = segments.filter(segment => segment.type === 'change').length;
+            diffSummary.style.display = resultView === 'result' || total === 0 ? 'none' : 'flex';
+            diffSummary.querySelector('#diff-count').textContent =
+                plural('changesAccepted', total, [total - rejected.size, total]);
+        }
+    }
+    
+    // Run one of the result actions (replace, insert, copy, undo)
+    async function handleResultAction(action) {
+        try {
+            switch (action) {
+                case 'replace':
+                    applyResult('replace');
+                    break;
+                    
+                case 'insert':
+                    applyResult('insert');
+                    break;
+                    
+                case 'copy':
+                    await copyToClipboard(lastEnhancedPrompt);
+                    showNotification(t('notifyCopied'), 'success');
+                    break;
+                    
+                case 'undo':
+                    undoLastApply();
+                    break;
+                    
+                default:
+                    console.warn('Unknown result action:', action);
+            }
+        } catch (error) {
+            console.error(`Result action "${action}" failed:`, error);
+            showNotification(t('notifyActionFailed', error.message), 'error');
+        }
+    }
+    
+    // Write the enhanced prompt into the site's input, replacing it or inserting at the cursor
+    function applyResult(mode, text = lastEnhancedPrompt) {
+        if (!text) {
+            throw new Error(t('errorNothingToApply'));
+        }
+        if (!currentInput || !currentInput.isConnected) {
+            currentInput = findPromptInput();
+        }
+        if (!currentInput) {
+            throw new Error(getInputNotFoundMessage());
+        }
+        
+        undoStack.push(activeAdapter.readValue(currentInput));
+        
+        const written = mode === 'insert'
+            ? activeAdapter.insertValue(currentInput, text, savedInputSelection)
+            : activeAdapter.writeValue(currentInput, text);
+        
+        if (!written) {
+            undoStack.pop();
+            throw new Error(t('errorInputNotUpdated'));
+        }
+        
+        updateUndoButton();
+        showNotification(t(mode === 'insert' ? 'notifyInserted' : 'notifyApplied'), 'success');
+    }
+    
+    // Restore the input text from before the last apply
+    function undoLastApply() {
+        if (undoStack.length === 0 || !currentInput) return;
+        
+        activeAdapter.writeValue(currentInput, undoStack.pop());
+        updateUndoButton();
+        showNotification(t('notifyRestored'), 'info');
+    }
+    
+    function updateUndoButton() {
+        const undoBtn = enhancementModal && enhancementModal.querySelector('#undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = undoStack.length === 0;
+        }
+    }
+    
+    // Copy text with the async clipboard API, falling back to execCommand on insecure pages
+    async function copyToClipboard(text) {
+        if (!text) {
+            throw new Error(t('errorNothingToCopy'));
+        }
+        
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+        
+        const helper = document.createElement('textarea');
+        helper.value = text;
+        helper.setAttribute('readonly', '');
+        helper.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+        document.body.appendChild(helper);
+        helper.select();
+        
+        try {
+            if (!document.execCommand('copy')) {
+                throw new Error(t('errorClipboardUnavailable'));
+            }
         } finally {
-            // Reset button state
-            enhanceBtn.disabled = false;
-            enhanceBtn.textContent = 'Enhance';
+            helper.remove();
         }
     }
     
@@ -387,35 +1796,12 @@
     function showNotification(message, type = 'info') {
         try {
             const notification = document.createElement('div');
-            notification.className = 'ai-enhancer-notification';
+            notification.className = `ai-enhancer-notification ${type}`;
             notification.textContent = message;
             notification.setAttribute('role', 'alert');
             notification.setAttribute('aria-live', 'polite');
             
-            notification.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                padding: 12px 20px;
-                border-radius: 8px;
-                color: white;
-                font-size: 14px;
-                font-weight: 500;
-                z-index: 10000;
-                max-width: 300px;
-                animation: slideIn 0.3s ease;
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-            `;
-            
-            if (type === 'success') {
-                notification.style.background = '#28a745';
-            } else if (type === 'error') {
-                notification.style.background = '#dc3545';
-            } else {
-                notification.style.background = '#17a2b8';
-            }
-            
-            document.body.appendChild(notification);
+            getUiRoot().appendChild(notification);
             
             // Auto-remove after 4 seconds
             setTimeout(() => {
@@ -433,23 +1819,156 @@
         }
     }
     
-    // Add CSS animations
-    function addStyles() {
-        try {
-            const style = document.createElement('style');
-            style.textContent = `
-                @keyframes slideIn {
-                    from {
-                        transform: translateX(100%);
-                        opacity: 0;
-                    }
-                    to {
-                        transform: translateX(0);
-                        opacity: 1;
-                    }
+    // Colours of the injected UI per theme, set as custom properties on the shadow host
+    const THEME_PALETTES = {
+        light: {
+            'surface': '#ffffff',
+            'surface-alt': '#f8f9fa',
+            'field': '#ffffff',
+            'text': '#333333',
+            'text-muted': '#555555',
+            'text-subtle': '#888888',
+            'border': '#e1e5e9',
+            'accent': '#667eea',
+            'accent-soft': '#f1f3ff',
+            'accent-gradient': 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            'on-accent': '#ffffff',
+            'badge-bg': '#e9ecef',
+            'badge-text': '#495057',
+            'good-bg': '#dcf5e3',
+            'good-text': '#146c2e',
+            'warn-bg': '#fff3cd',
+            'warn-text': '#856404',
+            'bad-bg': '#fde2e1',
+            'bad-text': '#a11b1b',
+            'info': '#17a2b8',
+            'warning': '#ffc107',
+            'shadow': 'rgba(0, 0, 0, 0.15)',
+            'notice-text': '#ffffff',
+            'notice-info': '#17a2b8',
+            'notice-success': '#28a745',
+            'notice-error': '#dc3545',
+            'notice-border': 'transparent'
+        },
+        dark: {
+            'surface': '#1f2126',
+            'surface-alt': '#272a31',
+            'field': '#16181c',
+            'text': '#e8eaed',
+            'text-muted': '#b8bcc4',
+            'text-subtle': '#8b9099',
+            'border': '#3a3f48',
+            'accent': '#8b9cf4',
+            'accent-soft': '#2d3350',
+            'accent-gradient': 'linear-gradient(135deg, #5a6fd8 0%, #6a4394 100%)',
+            'on-accent': '#ffffff',
+            'badge-bg': '#343842',
+            'badge-text': '#d0d4da',
+            'good-bg': '#163b24',
+            'good-text': '#8fdca6',
+            'warn-bg': '#4a3c12',
+            'warn-text': '#ffd978',
+            'bad-bg': '#4a1f1f',
+            'bad-text': '#ffb4ab',
+            'info': '#3bb8cc',
+            'warning': '#e0a800',
+            'shadow': 'rgba(0, 0, 0, 0.5)',
+            'notice-text': '#ffffff',
+            'notice-info': '#127a8a',
+            'notice-success': '#1f7a38',
+            'notice-error': '#b3261e',
+            'notice-border': 'transparent'
+        },
+        'high-contrast': {
+            'surface': '#000000',
+            'surface-alt': '#000000',
+            'field': '#000000',
+            'text': '#ffffff',
+            'text-muted': '#ffffff',
+            'text-subtle': '#e0e0e0',
+            'border': '#ffffff',
+            'accent': '#ffff00',
+            'accent-soft': '#333300',
+            'accent-gradient': '#ffff00',
+            'on-accent': '#000000',
+            'badge-bg': '#000000',
+            'badge-text': '#ffffff',
+            'good-bg': '#000000',
+            'good-text': '#00ff7f',
+            'warn-bg': '#000000',
+            'warn-text': '#ffff00',
+            'bad-bg': '#000000',
+            'bad-text': '#ff6b6b',
+            'info': '#00ffff',
+            'warning': '#ffff00',
+            'shadow': 'rgba(255, 255, 255, 0.3)',
+            'notice-text': '#ffffff',
+            'notice-info': '#000000',
+            'notice-success': '#000000',
+            'notice-error': '#000000',
+            'notice-border': '#ffffff'
+        }
+    };
+    
+    // Custom property declarations for a palette
+    function paletteDeclarations(palette) {
+        return Object.entries(palette).map(([name, value]) => `--${name}: ${value};`).join(' ');
+    }
+    
+    // Styles for the shadow root. They reach only our elements, and the page's styles reach only the host.
+    function createStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+                :host {
+                    all: initial;
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    z-index: 2147483647;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    font-size: 14px;
+                    line-height: normal;
+                    ${paletteDeclarations(THEME_PALETTES.light)}
                 }
                 
-                @keyframes slideOut {
+                :host([data-theme="dark"]) {
+                    ${paletteDeclarations(THEME_PALETTES.dark)}
+                }
+                
+                :host([data-theme="high-contrast"]) {
+                    ${paletteDeclarations(THEME_PALETTES['high-contrast'])}
+                }
+                
+                @media (prefers-color-scheme: dark) {
+                    :host([data-theme="system"]) {
+                        ${paletteDeclarations(THEME_PALETTES.dark)}
+                    }
+                }
+                
+                @media (prefers-contrast: more) {
+                    :host([data-theme="system"]) {
+                        ${paletteDeclarations(THEME_PALETTES['high-contrast'])}
+                    }
+                }
+                
+                *,
+                *::before,
+                *::after {
+                    box-sizing: border-box;
+                }
+                
+                @keyframes slideIn {
+                    from {
+                        transform: translateX(100%);
+                        opacity: 0;
+                    }
+                    to {
+                        transform: translateX(0);
+                        opacity: 1;
+                    }
+                }
+                
+                @keyframes slideOut {
                     from {
                         transform: translateX(0);
                         opacity: 1;
@@ -460,9 +1979,33 @@
                     }
                 }
                 
+                .ai-enhancer-notification {
+                    position: fixed;
+                    top: 20px;
+                    right: 20px;
+                    padding: 12px 20px;
+                    border: 2px solid var(--notice-border);
+                    border-radius: 8px;
+                    color: var(--notice-text);
+                    background: var(--notice-info);
+                    font-size: 14px;
+                    font-weight: 500;
+                    max-width: 300px;
+                    animation: slideIn 0.3s ease;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                }
+                
+                .ai-enhancer-notification.success {
+                    background: var(--notice-success);
+                }
+                
+                .ai-enhancer-notification.error {
+                    background: var(--notice-error);
+                }
+                
                 .ai-enhancer-button {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
+                    background: var(--accent-gradient);
+                    color: var(--on-accent);
                     border: none;
                     border-radius: 6px;
                     padding: 8px 16px;
@@ -474,7 +2017,18 @@
                     gap: 8px;
                     box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
                     transition: all 0.2s ease;
-                    z-index: 1000;
+                }
+                
+                .ai-enhancer-button[hidden] {
+                    display: none;
+                }
+                
+                .ai-enhancer-button.floating {
+                    position: fixed;
+                    right: 24px;
+                    bottom: 24px;
+                    padding: 10px 18px;
+                    border-radius: 24px;
                 }
                 
                 .ai-enhancer-button:hover {
@@ -492,10 +2046,10 @@
                     top: 50%;
                     left: 50%;
                     transform: translate(-50%, -50%);
-                    background: white;
+                    color: var(--text);
+                    background: var(--surface);
                     border-radius: 12px;
-                    box-shadow: 0 20px 40px rgba(0, 0, 0, 0.15);
-                    z-index: 10000;
+                    box-shadow: 0 20px 40px var(--shadow);
                     max-width: 500px;
                     width: 90%;
                     max-height: 80vh;
@@ -508,8 +2062,8 @@
                 }
                 
                 .modal-header {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
+                    background: var(--accent-gradient);
+                    color: var(--on-accent);
                     padding: 20px;
                     border-radius: 12px 12px 0 0;
                 }
@@ -537,23 +2091,352 @@
                     display: block;
                     margin-bottom: 8px;
                     font-weight: 500;
-                    color: #333;
+                    color: var(--text);
                 }
                 
                 .input-section textarea {
                     width: 100%;
                     padding: 12px;
-                    border: 2px solid #e1e5e9;
+                    border: 2px solid var(--border);
                     border-radius: 8px;
                     font-size: 14px;
                     font-family: inherit;
+                    color: var(--text);
+                    background: var(--field);
                     resize: vertical;
                     transition: border-color 0.3s ease;
                 }
                 
-                .input-section textarea:focus {
+                .input-section textarea:focus,
+                .prompt-builder input:focus,
+                .prompt-builder textarea:focus {
                     outline: none;
-                    border-color: #667eea;
+                    border-color: var(--accent);
+                }
+                
+                .input-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    margin-bottom: 8px;
+                }
+                
+                .input-header label {
+                    margin-bottom: 0;
+                }
+                
+                .input-modes {
+                    display: flex;
+                    gap: 4px;
+                }
+                
+                .input-mode-btn,
+                .builder-step-btn,
+                .builder-nav-btn {
+                    background: none;
+                    border: 1px solid var(--border);
+                    border-radius: 4px;
+                    padding: 3px 8px;
+                    font-size: 12px;
+                    color: var(--text-muted);
+                    cursor: pointer;
+                }
+                
+                .input-mode-btn.active,
+                .builder-step-btn[aria-current="step"] {
+                    background: var(--accent);
+                    border-color: var(--accent);
+                    color: var(--on-accent);
+                }
+                
+                .builder-nav-btn:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+                
+                .builder-steps {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    list-style: none;
+                    margin: 0 0 10px;
+                    padding: 0;
+                }
+                
+                .builder-step-btn.filled:not([aria-current]) {
+                    border-color: var(--accent);
+                    color: var(--accent);
+                }
+                
+                .builder-step {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+                
+                .builder-step-title {
+                    font-weight: 500;
+                    color: var(--text);
+                }
+                
+                .prompt-builder input,
+                .prompt-builder textarea {
+                    width: 100%;
+                    padding: 8px 10px;
+                    border: 2px solid var(--border);
+                    border-radius: 8px;
+                    font-size: 14px;
+                    font-family: inherit;
+                    color: var(--text);
+                    background: var(--field);
+                    resize: vertical;
+                }
+                
+                .builder-hint {
+                    margin: 0;
+                    font-size: 12px;
+                    color: var(--text-muted);
+                }
+                
+                .builder-example {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr auto;
+                    gap: 6px;
+                    align-items: start;
+                }
+                
+                .builder-step > .builder-nav-btn {
+                    align-self: flex-start;
+                }
+                
+                .builder-nav {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    margin-top: 10px;
+                }
+                
+                .builder-progress {
+                    font-size: 12px;
+                    color: var(--text-subtle);
+                }
+                
+                .history-panel {
+                    margin-bottom: 20px;
+                    font-size: 14px;
+                }
+                
+                .history-panel summary {
+                    cursor: pointer;
+                    color: var(--accent);
+                    font-weight: 500;
+                }
+                
+                .history-panel input[type="search"] {
+                    width: 100%;
+                    margin: 10px 0 8px;
+                    padding: 8px 10px;
+                    border: 2px solid var(--border);
+                    border-radius: 6px;
+                    font-size: 14px;
+                    font-family: inherit;
+                    color: var(--text);
+                    background: var(--field);
+                }
+                
+                .history-list {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                    max-height: 160px;
+                    overflow-y: auto;
+                }
+                
+                .history-item {
+                    padding: 6px 8px;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    color: var(--text);
+                }
+                
+                .history-item:hover,
+                .history-item:focus {
+                    background: var(--accent-soft);
+                    outline: none;
+                }
+                
+                .history-empty {
+                    color: var(--text-subtle);
+                    font-size: 13px;
+                }
+                
+                .persona-section,
+                .template-section,
+                .format-section {
+                    margin-bottom: 20px;
+                }
+                
+                .persona-section > label,
+                .template-section > label,
+                .format-section > label {
+                    display: block;
+                    margin-bottom: 8px;
+                    font-weight: 500;
+                    color: var(--text);
+                }
+                
+                .persona-section select,
+                .template-section select,
+                .template-variable input,
+                .format-section select,
+                .format-field input,
+                .format-field textarea {
+                    width: 100%;
+                    padding: 8px 10px;
+                    border: 2px solid var(--border);
+                    border-radius: 6px;
+                    font-size: 14px;
+                    font-family: inherit;
+                    color: var(--text);
+                    background: var(--field);
+                }
+                
+                .persona-section select:focus,
+                .template-section select:focus,
+                .template-variable input:focus,
+                .format-section select:focus,
+                .format-field input:focus,
+                .format-field textarea:focus {
+                    outline: none;
+                    border-color: var(--accent);
+                }
+                
+                .persona-row {
+                    display: flex;
+                    gap: 8px;
+                }
+                
+                .persona-row select {
+                    flex: 1;
+                    min-width: 0;
+                }
+                
+                .persona-pin-btn {
+                    flex-shrink: 0;
+                    background: none;
+                    border: 2px solid var(--border);
+                    border-radius: 6px;
+                    padding: 0 10px;
+                    font-size: 13px;
+                    color: var(--text-muted);
+                    cursor: pointer;
+                    white-space: nowrap;
+                }
+                
+                .persona-pin-btn[aria-pressed="true"] {
+                    border-color: var(--accent);
+                    color: var(--accent);
+                }
+                
+                .persona-pin-btn:disabled {
+                    opacity: 0.5;
+                    cursor: default;
+                }
+                
+                .persona-hint {
+                    margin: 6px 0 0;
+                    font-size: 12px;
+                    color: var(--text-subtle);
+                }
+                
+                .persona-hint:empty,
+                .persona-used:empty {
+                    display: none;
+                }
+                
+                .persona-used {
+                    font-size: 12px;
+                    color: var(--accent);
+                }
+                
+                .redaction-warning,
+                .budget-warning {
+                    margin: 0 0 10px;
+                    padding: 8px 10px;
+                    border-left: 3px solid var(--warning);
+                    border-radius: 4px;
+                    background: var(--warn-bg);
+                    color: var(--warn-text);
+                    font-size: 12px;
+                }
+                
+                .redaction-warning:empty,
+                .budget-warning:empty {
+                    display: none;
+                }
+                
+                .token-estimate {
+                    font-size: 12px;
+                    color: var(--text-muted);
+                }
+                
+                .template-variables,
+                .format-fields {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+                    gap: 8px 12px;
+                    margin-top: 10px;
+                }
+                
+                .format-field.wide {
+                    grid-column: 1 / -1;
+                }
+                
+                .format-field textarea {
+                    resize: vertical;
+                    font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                    font-size: 13px;
+                }
+                
+                .template-variable span,
+                .format-field span {
+                    display: block;
+                    margin-bottom: 4px;
+                    font-size: 13px;
+                    color: var(--text-muted);
+                }
+                
+                .options-section {
+                    margin-bottom: 20px;
+                }
+                
+                .options-label {
+                    display: block;
+                    margin-bottom: 8px;
+                    font-weight: 500;
+                    color: var(--text);
+                }
+                
+                .options-list {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 8px 16px;
+                }
+                
+                .option-toggle {
+                    display: flex;
+                    align-items: center;
+                    gap: 6px;
+                    font-size: 14px;
+                    color: var(--text-muted);
+                    cursor: pointer;
+                }
+                
+                .option-toggle input {
+                    accent-color: var(--accent);
                 }
                 
                 .modal-actions {
@@ -562,8 +2445,8 @@
                 }
                 
                 .enhance-btn {
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                    color: white;
+                    background: var(--accent-gradient);
+                    color: var(--on-accent);
                     border: none;
                     padding: 12px 24px;
                     border-radius: 8px;
@@ -583,24 +2466,183 @@
                     cursor: not-allowed;
                 }
                 
+                .variants-btn,
+                .variant-use-btn {
+                    background: var(--surface);
+                    color: var(--accent);
+                    border: 1px solid var(--accent);
+                    border-radius: 8px;
+                    font-weight: 500;
+                    cursor: pointer;
+                    transition: all 0.2s ease;
+                }
+                
+                .variants-btn {
+                    margin-left: 8px;
+                    padding: 11px 18px;
+                    font-size: 14px;
+                }
+                
+                .variants-btn:hover:not(:disabled),
+                .variant-use-btn:hover {
+                    background: var(--accent);
+                    color: var(--on-accent);
+                }
+                
+                .variants-btn:disabled {
+                    opacity: 0.6;
+                    cursor: not-allowed;
+                }
+                
+                .variant-section {
+                    margin-bottom: 20px;
+                }
+                
+                .variant-section h4 {
+                    margin: 0 0 8px;
+                    font-size: 16px;
+                    color: var(--text);
+                }
+                
+                .variant-list {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+                    gap: 10px;
+                }
+                
+                .variant-card {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    padding: 10px;
+                    border: 1px solid var(--border);
+                    border-radius: 8px;
+                    background: var(--surface-alt);
+                }
+                
+                .variant-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 8px;
+                    color: var(--text);
+                }
+                
+                .variant-stats {
+                    color: var(--text-muted);
+                }
+                
+                .variant-text {
+                    flex: 1;
+                    margin: 0;
+                    font-size: 13px;
+                    line-height: 1.4;
+                    white-space: pre-wrap;
+                    word-wrap: break-word;
+                    max-height: 140px;
+                    overflow-y: auto;
+                }
+                
+                .variant-use-btn {
+                    align-self: flex-start;
+                    padding: 4px 10px;
+                    font-size: 13px;
+                }
+                
+                .analysis-panel {
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 12px;
+                    margin: -8px 0 16px;
+                    font-size: 13px;
+                }
+                
+                .score-badge,
+                .score-change {
+                    flex-shrink: 0;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    font-size: 12px;
+                    font-weight: 600;
+                    background: var(--badge-bg);
+                    color: var(--badge-text);
+                }
+                
+                .score-change:empty {
+                    display: none;
+                }
+                
+                .score-badge[data-level="low"],
+                .score-change[data-level="low"] {
+                    background: var(--bad-bg);
+                    color: var(--bad-text);
+                }
+                
+                .score-badge[data-level="medium"],
+                .score-change[data-level="medium"] {
+                    background: var(--warn-bg);
+                    color: var(--warn-text);
+                }
+                
+                .score-badge[data-level="high"],
+                .score-change[data-level="high"] {
+                    background: var(--good-bg);
+                    color: var(--good-text);
+                }
+                
+                .analysis-details summary {
+                    cursor: pointer;
+                    color: var(--accent);
+                }
+                
+                .finding-list {
+                    list-style: none;
+                    margin: 6px 0 0;
+                    padding: 0;
+                    max-height: 140px;
+                    overflow-y: auto;
+                }
+                
+                .finding {
+                    display: flex;
+                    flex-direction: column;
+                    padding: 4px 0 4px 8px;
+                    border-left: 3px solid var(--info);
+                    margin-bottom: 4px;
+                }
+                
+                .finding.warning {
+                    border-left-color: var(--warning);
+                }
+                
+                .finding small {
+                    color: var(--text-muted);
+                }
+                
+                .hotkey-hint {
+                    margin: 8px 0 0;
+                    font-size: 11px;
+                    color: var(--text-subtle);
+                }
+                
                 .result-section {
-                    background: #f8f9fa;
+                    background: var(--surface-alt);
                     border-radius: 8px;
                     padding: 16px;
-                    border-left: 4px solid #667eea;
+                    border-left: 4px solid var(--accent);
                 }
                 
                 .result-section h4 {
-                    margin: 0 0 12px 0;
+                    margin: 0;
                     font-size: 16px;
-                    color: #333;
+                    color: var(--text);
                 }
                 
                 .result-content {
-                    background: white;
+                    background: var(--surface);
                     padding: 12px;
                     border-radius: 6px;
-                    border: 1px solid #e1e5e9;
+                    border: 1px solid var(--border);
                     font-size: 14px;
                     line-height: 1.5;
                     white-space: pre-wrap;
@@ -609,11 +2651,134 @@
                     overflow-y: auto;
                 }
                 
+                .result-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 8px;
+                    margin-bottom: 12px;
+                }
+                
+                .result-header h4 {
+                    margin: 0;
+                }
+                
+                .result-views {
+                    display: flex;
+                    gap: 4px;
+                }
+                
+                .result-view-btn,
+                .diff-bulk-btn {
+                    background: none;
+                    border: 1px solid var(--border);
+                    border-radius: 4px;
+                    padding: 3px 8px;
+                    font-size: 12px;
+                    color: var(--text-muted);
+                    cursor: pointer;
+                }
+                
+                .result-view-btn.active {
+                    background: var(--accent);
+                    border-color: var(--accent);
+                    color: var(--on-accent);
+                }
+                
+                .diff-split {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 12px;
+                }
+                
+                .diff-pane {
+                    min-width: 0;
+                }
+                
+                .diff-original {
+                    border-right: 1px solid var(--border);
+                    padding-right: 12px;
+                }
+                
+                .diff-del {
+                    background: var(--bad-bg);
+                    color: var(--bad-text);
+                    text-decoration: line-through;
+                }
+                
+                .diff-ins {
+                    background: var(--good-bg);
+                    color: var(--good-text);
+                }
+                
+                .diff-hunk.rejected .diff-ins,
+                .diff-del.rejected {
+                    opacity: 0.45;
+                }
+                
+                .diff-inline .diff-hunk.rejected .diff-del,
+                .diff-original .diff-del.rejected {
+                    background: none;
+                    color: inherit;
+                    text-decoration: none;
+                }
+                
+                .diff-hunk-toggle {
+                    background: none;
+                    border: none;
+                    padding: 0 2px;
+                    font-size: 11px;
+                    color: var(--text-subtle);
+                    cursor: pointer;
+                    vertical-align: super;
+                }
+                
+                .diff-hunk-toggle:hover {
+                    color: var(--text);
+                }
+                
+                .diff-summary {
+                    align-items: center;
+                    gap: 8px;
+                    margin-top: 8px;
+                    font-size: 12px;
+                    color: var(--text-muted);
+                }
+                
+                .result-actions {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 8px;
+                    margin-top: 12px;
+                }
+                
+                .result-action-btn {
+                    background: var(--surface);
+                    color: var(--accent);
+                    border: 1px solid var(--accent);
+                    border-radius: 6px;
+                    padding: 6px 12px;
+                    font-size: 13px;
+                    font-weight: 500;
+                    cursor: pointer;
+                    transition: all 0.2s ease;
+                }
+                
+                .result-action-btn:hover:not(:disabled) {
+                    background: var(--accent);
+                    color: var(--on-accent);
+                }
+                
+                .result-action-btn:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+                
                 .loading-spinner {
                     display: inline-block;
                     width: 16px;
                     height: 16px;
-                    border: 2px solid #ffffff;
+                    border: 2px solid var(--on-accent);
                     border-radius: 50%;
                     border-top-color: transparent;
                     animation: spin 1s ease-in-out infinite;
@@ -622,16 +2787,17 @@
                 @keyframes spin {
                     to { transform: rotate(360deg); }
                 }
+                
+                :host([data-theme="high-contrast"]) :focus-visible {
+                    outline: 3px solid var(--accent);
+                    outline-offset: 2px;
+                }
             `;
-            document.head.appendChild(style);
-        } catch (error) {
-            console.error('Failed to add styles:', error);
-        }
+        return style;
     }
     
     // Initialize the content script
     try {
-        addStyles();
         init();
     } catch (error) {
         console.error('Failed to initialize content script:', error);
@@ -641,8 +2807,7 @@
     window.addEventListener('beforeunload', () => {
         try {
             abortController.abort();
-            if (enhancementButton) enhancementButton.remove();
-            if (enhancementModal) enhancementModal.remove();
+            if (uiHost) uiHost.remove();
         } catch (error) {
             console.error('Error during cleanup:', error);
         }
@@ -0,0 +1,229 @@
+// AI Prompt Enhancer - Word-level diff
+// Compares the original and enhanced prompt, groups changes into hunks the user can
+// accept or reject, and renders inline or side-by-side views inside the modal.
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.diff) return; // Already loaded in this page
+
+    // Above this many token pairs the LCS table gets too big; fall back to one hunk
+    const MAX_DIFF_CELLS = 4000000;
+
+    // Split text into word and whitespace tokens so joining them restores the text exactly
+    function tokenize(text) {
+        return String(text || '').match(/\s+|[^\s]+/g) || [];
+    }
+
+    // Word-level diff as a list of { type: 'equal' | 'delete' | 'insert', text } operations
+    function diffWords(original, enhanced) {
+        const a = tokenize(original);
+        const b = tokenize(enhanced);
+
+        // Trim the common prefix and suffix; prompts usually change at the edges
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        const push = (type, text) => {
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else if (text) {
+                ops.push({ type, text });
+            }
+        };
+
+        a.slice(0, start).forEach(token => push('equal', token));
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+
+        if (midA.length * midB.length > MAX_DIFF_CELLS) {
+            push('delete', midA.join(''));
+            push('insert', midB.join(''));
+        } else {
+            lcsOps(midA, midB).forEach(op => push(op.type, op.text));
+        }
+
+        a.slice(endA).forEach(token => push('equal', token));
+
+        return ops;
+    }
+
+    // Classic LCS table walk over two token arrays
+    function lcsOps(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const table = new Uint32Array(rows * cols);
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * cols + j] = a[i] === b[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', text: a[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                ops.push({ type: 'delete', text: a[i++] });
+            } else {
+                ops.push({ type: 'insert', text: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: 'delete', text: a[i++] });
+        while (j < b.length) ops.push({ type: 'insert', text: b[j++] });
+
+        return ops;
+    }
+
+    // Group operations into segments: unchanged text, or a change hunk with deleted/inserted text.
+    // Changes separated only by whitespace are merged so one edit reads as one hunk.
+    function buildSegments(ops) {
+        const segments = [];
+        let hunkCount = 0;
+
+        ops.forEach((op, index) => {
+            const last = segments[segments.length - 1];
+
+            if (op.type === 'equal') {
+                const next = ops[index + 1];
+                const bridgesChanges = last && last.type === 'change' && next && next.type !== 'equal' && !op.text.trim();
+                if (bridgesChanges) {
+                    last.deleted += op.text;
+                    last.inserted += op.text;
+                } else {
+                    segments.push({ type: 'equal', text: op.text });
+                }
+                return;
+            }
+
+            let hunk = last;
+            if (!hunk || hunk.type !== 'change') {
+                hunk = { type: 'change', id: hunkCount++, deleted: '', inserted: '' };
+                segments.push(hunk);
+            }
+
+            if (op.type === 'delete') {
+                hunk.deleted += op.text;
+            } else {
+                hunk.inserted += op.text;
+            }
+        });
+
+        return segments;
+    }
+
+    // Assemble the final text: accepted hunks use the enhanced text, rejected ones keep the original
+    function applyDecisions(segments, rejected = new Set()) {
+        return segments.map(segment => {
+            if (segment.type === 'equal') return segment.text;
+            return rejected.has(segment.id) ? segment.deleted : segment.inserted;
+        }).join('');
+    }
+
+    // Mark the container with the current view, keeping any classes it already has
+    function setViewClass(container, view) {
+        container.classList.remove('diff-view', 'diff-inline', 'diff-split');
+        if (view) container.classList.add('diff-view', `diff-${view}`);
+    }
+
+    // Build a span for a piece of text with the given class
+    function createSpan(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    }
+
+    // Accept/reject toggle for one hunk
+    function createHunkToggle(segment, rejected, onToggle) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'diff-hunk-toggle';
+        button.textContent = rejected.has(segment.id) ? '↺' : '✕';
+        button.title = namespace.i18n.t(rejected.has(segment.id) ? 'diffAcceptChange' : 'diffRejectChange');
+        button.setAttribute('aria-pressed', String(rejected.has(segment.id)));
+        button.addEventListener('click', () => onToggle(segment.id));
+        return button;
+    }
+
+    // Inline view: deletions struck through, insertions highlighted, in reading order
+    function renderInline(container, segments, rejected, onToggle) {
+        container.innerHTML = '';
+        setViewClass(container, 'inline');
+
+        segments.forEach(segment => {
+            if (segment.type === 'equal') {
+                container.appendChild(document.createTextNode(segment.text));
+                return;
+            }
+
+            const hunk = document.createElement('span');
+            hunk.className = 'diff-hunk' + (rejected.has(segment.id) ? ' rejected' : '');
+            if (segment.deleted) hunk.appendChild(createSpan('diff-del', segment.deleted));
+            if (segment.inserted) hunk.appendChild(createSpan('diff-ins', segment.inserted));
+            hunk.appendChild(createHunkToggle(segment, rejected, onToggle));
+            container.appendChild(hunk);
+        });
+    }
+
+    // Split view: original on the left with deletions, enhanced on the right with insertions
+    function renderSplit(container, segments, rejected, onToggle) {
+        container.innerHTML = '';
+        setViewClass(container, 'split');
+
+        const left = document.createElement('div');
+        left.className = 'diff-pane diff-original';
+        const right = document.createElement('div');
+        right.className = 'diff-pane diff-enhanced';
+
+        segments.forEach(segment => {
+            if (segment.type === 'equal') {
+                left.appendChild(document.createTextNode(segment.text));
+                right.appendChild(document.createTextNode(segment.text));
+                return;
+            }
+
+            const stateClass = rejected.has(segment.id) ? ' rejected' : '';
+            if (segment.deleted) {
+                left.appendChild(createSpan('diff-del' + stateClass, segment.deleted));
+            }
+
+            const hunk = document.createElement('span');
+            hunk.className = 'diff-hunk' + stateClass;
+            if (segment.inserted) hunk.appendChild(createSpan('diff-ins', segment.inserted));
+            hunk.appendChild(createHunkToggle(segment, rejected, onToggle));
+            right.appendChild(hunk);
+        });
+
+        container.append(left, right);
+    }
+
+    namespace.diff = {
+        tokenize,
+        diffWords,
+        buildSegments,
+        applyDecisions,
+        setViewClass,
+        renderInline,
+        renderSplit
+    };
+
+})(globalThis);
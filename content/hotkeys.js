@@ -0,0 +1,107 @@
+// AI Prompt Enhancer - Modal hotkeys
+// Bindings are strings such as "Ctrl+Enter" or "Alt+Shift+K", stored under the `hotkeys`
+// sync setting. Only the keys the user changed are stored; the rest fall back to defaults.
+// Loaded as a content script and by the options page, which records new bindings.
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.hotkeys) return; // Already loaded in this page
+
+    const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    // Hotkeys inside the modal. `pickOption` is a modifier; its digits 1-9 toggle the Nth option.
+    // Their labels are the hotkey_<key> messages in _locales.
+    const HOTKEY_DEFINITIONS = [
+        { key: 'enhance', defaultValue: 'Ctrl+Enter' },
+        { key: 'close', defaultValue: 'Escape' },
+        { key: 'pickOption', defaultValue: 'Alt', modifierOnly: true }
+    ];
+
+    // Stored overrides merged over the defaults
+    function resolveHotkeys(stored = {}) {
+        const bindings = {};
+        HOTKEY_DEFINITIONS.forEach(definition => {
+            const value = stored && stored[definition.key];
+            bindings[definition.key] = typeof value === 'string' && value ? value : definition.defaultValue;
+        });
+        return bindings;
+    }
+
+    // Split a binding into its modifiers and main key ("Ctrl+Shift+K" -> { ctrl, shift, key: 'k' })
+    function parseBinding(binding) {
+        const parts = String(binding || '').split('+').map(part => part.trim()).filter(Boolean);
+        const parsed = { ctrl: false, alt: false, shift: false, meta: false, key: '' };
+
+        parts.forEach(part => {
+            const modifier = MODIFIERS.find(name => name.toLowerCase() === part.toLowerCase());
+            if (modifier) {
+                parsed[modifier.toLowerCase()] = true;
+            } else {
+                parsed.key = part.toLowerCase();
+            }
+        });
+
+        return parsed;
+    }
+
+    // True when the event's modifiers are exactly the binding's modifiers
+    function modifiersMatch(event, parsed) {
+        return event.ctrlKey === parsed.ctrl &&
+            event.altKey === parsed.alt &&
+            event.shiftKey === parsed.shift &&
+            event.metaKey === parsed.meta;
+    }
+
+    // Does a keydown event trigger this binding?
+    function matchesBinding(event, binding) {
+        const parsed = parseBinding(binding);
+        if (!parsed.key || !modifiersMatch(event, parsed)) return false;
+
+        // Compare against event.code too, since Alt/Option changes event.key on macOS
+        const key = String(event.key || '').toLowerCase();
+        const code = String(event.code || '').replace(/^(Key|Digit)/, '').toLowerCase();
+        return key === parsed.key || code === parsed.key;
+    }
+
+    // For a modifier-only binding, the digit 1-9 pressed with it, or 0 if none
+    function matchDigit(event, binding) {
+        const parsed = parseBinding(binding);
+        if (!modifiersMatch(event, parsed)) return 0;
+
+        const match = /^(?:Digit|Numpad)([1-9])$/.exec(event.code || '');
+        return match ? Number(match[1]) : 0;
+    }
+
+    // Turn a keydown event into a binding string; null while only modifiers are held
+    function bindingFromEvent(event, { modifierOnly = false } = {}) {
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey) modifiers.push('Shift');
+        if (event.metaKey) modifiers.push('Meta');
+
+        if (modifierOnly) {
+            return modifiers.length > 0 ? modifiers.join('+') : null;
+        }
+
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+        let key = /^(Key|Digit)/.test(event.code || '') ? event.code.replace(/^(Key|Digit)/, '') : event.key;
+        if (key === ' ') key = 'Space';
+        if (key.length === 1) key = key.toUpperCase();
+
+        return [...modifiers, key].join('+');
+    }
+
+    namespace.hotkeys = {
+        HOTKEY_DEFINITIONS,
+        resolveHotkeys,
+        parseBinding,
+        matchesBinding,
+        matchDigit,
+        bindingFromEvent
+    };
+
+})(globalThis);
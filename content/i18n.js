@@ -0,0 +1,54 @@
+// AI Prompt Enhancer - UI strings
+// Looks up chrome.i18n messages from _locales/<language>/messages.json. Extension pages mark
+// translatable elements with data-i18n (text content), data-i18n-placeholder, data-i18n-title
+// or data-i18n-aria-label and call localizePage() once loaded.
+// Loaded as a content script, by the selection overlay and by the popup, options, welcome and dashboard pages.
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.i18n) return; // Already loaded in this page
+
+    const ATTRIBUTES = [
+        ['data-i18n-placeholder', 'placeholder'],
+        ['data-i18n-title', 'title'],
+        ['data-i18n-aria-label', 'aria-label']
+    ];
+
+    // Message for a key with $1-$9 filled from substitutions; the key itself if there is none
+    function t(key, substitutions) {
+        const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+        return chrome.i18n.getMessage(key, values) || key;
+    }
+
+    // Count-dependent message: `${key}_one` or `${key}_other`, chosen by the UI language's plural rules
+    function plural(key, count, substitutions = [count]) {
+        const category = new Intl.PluralRules(chrome.i18n.getUILanguage()).select(count);
+        return t(`${key}_${category === 'one' ? 'one' : 'other'}`, substitutions);
+    }
+
+    // Translate every marked element under root and set the page language
+    function localizePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+
+        ATTRIBUTES.forEach(([dataAttribute, attribute]) => {
+            root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(dataAttribute)));
+            });
+        });
+
+        if (root === document) {
+            document.documentElement.lang = chrome.i18n.getUILanguage();
+        }
+    }
+
+    namespace.i18n = {
+        t,
+        plural,
+        localizePage
+    };
+
+})(globalThis);
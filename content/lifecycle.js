@@ -0,0 +1,152 @@
+// AI Prompt Enhancer - Prompt input lifecycle
+// Chat sites and Google re-render their input on navigation and resize without reloading the
+// page. watchPromptInput() keeps track of the current input: a MutationObserver notices when it is
+// replaced or removed, a ResizeObserver and scroll/resize listeners notice when it moves, and the
+// callbacks re-attach or re-anchor the button. When no input turns up within missingDelay, onMissing
+// lets the caller fall back to a floating launcher. Everything stops when the signal aborts.
+//
+// Options:
+//   findInput()        - returns the input to anchor to, or null
+//   onAttach(input)    - a new input was found
+//   onDetach(input)    - the input was removed, hidden or replaced
+//   onReposition(input) - the input (or the page around it) moved or changed size
+//   onMissing()        - no input for missingDelay ms after start, a navigation or a detach
+//   signal             - AbortSignal that stops the watcher
+//   debounceDelay      - ms to wait for DOM changes to settle (default 100)
+//   missingDelay       - ms to wait before onMissing (default 3000)
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.lifecycle) return; // Already loaded in this page
+
+    const noop = () => {};
+
+    function watchPromptInput({
+        findInput,
+        onAttach = noop,
+        onDetach = noop,
+        onReposition = noop,
+        onMissing = noop,
+        signal,
+        debounceDelay = 100,
+        missingDelay = 3000
+    }) {
+        const isVisible = namespace.adapters.isVisible;
+
+        let input = null;
+        let lastUrl = location.href;
+        let checkTimer = null;
+        let missingTimer = null;
+        let frame = null;
+        let stopped = false;
+
+        // Coalesce DOM changes into one check once the page settles
+        function scheduleCheck() {
+            clearTimeout(checkTimer);
+            checkTimer = setTimeout(check, debounceDelay);
+        }
+
+        // Re-anchor at most once per frame
+        function scheduleReposition() {
+            if (!input || frame !== null) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                if (input) onReposition(input);
+            });
+        }
+
+        function startMissingTimer() {
+            if (missingTimer !== null) return;
+            missingTimer = setTimeout(() => {
+                missingTimer = null;
+                if (!input && !stopped) onMissing();
+            }, missingDelay);
+        }
+
+        function attach(element) {
+            input = element;
+            clearTimeout(missingTimer);
+            missingTimer = null;
+            resizeObserver.observe(element);
+            onAttach(element);
+        }
+
+        function detach() {
+            if (!input) return;
+            const previous = input;
+            input = null;
+            resizeObserver.unobserve(previous);
+            onDetach(previous);
+        }
+
+        // Keep the current input while it is on the page, else look for a new one
+        function check() {
+            if (stopped) return;
+
+            // Single-page apps navigate without unloading; their new view brings a new input
+            const navigated = location.href !== lastUrl;
+            lastUrl = location.href;
+
+            const current = input && input.isConnected && isVisible(input) ? input : null;
+            const found = current || findInput();
+
+            if (found === input) {
+                if (navigated && input) onReposition(input);
+                if (navigated && !input) startMissingTimer();
+                return;
+            }
+
+            detach();
+            if (found) {
+                attach(found);
+            } else {
+                startMissingTimer();
+            }
+        }
+
+        const mutationObserver = new MutationObserver(scheduleCheck);
+        const resizeObserver = new ResizeObserver(scheduleReposition);
+
+        function stop() {
+            if (stopped) return;
+            stopped = true;
+            mutationObserver.disconnect();
+            resizeObserver.disconnect();
+            clearTimeout(checkTimer);
+            clearTimeout(missingTimer);
+            if (frame !== null) cancelAnimationFrame(frame);
+            detach();
+        }
+
+        mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+        resizeObserver.observe(document.documentElement);
+
+        // Scroll listeners capture, so inputs inside scrolling containers are followed too
+        const options = { passive: true, capture: true, signal };
+        window.addEventListener('scroll', scheduleReposition, options);
+        window.addEventListener('resize', scheduleReposition, options);
+        window.addEventListener('popstate', scheduleCheck, options);
+
+        if (signal) {
+            signal.addEventListener('abort', stop, { once: true });
+        }
+
+        check();
+
+        // Nothing to attach to yet: give the page missingDelay to render one
+        if (!input) startMissingTimer();
+
+        return {
+            refresh: check,
+            stop,
+            getInput: () => input
+        };
+    }
+
+    namespace.lifecycle = {
+        watchPromptInput
+    };
+
+})(globalThis);
@@ -0,0 +1,130 @@
+// AI Prompt Enhancer - Messaging client
+// Sends requests to the background script in the format lib/message-protocol.js checks:
+// { protocol, id, action, data }. Resolves with the response, or rejects with a MessageError whose
+// code is one of ERROR_CODES. While the service worker starts up, Chrome can answer "Could not
+// establish connection"; those requests are retried a few times before giving up. Every request
+// has a time limit, so a worker that never answers does not leave the caller waiting.
+// Loaded as a content script, by the selection overlay and by the extension's pages.
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.messaging) return; // Already loaded in this page
+
+    // Must match lib/message-protocol.js
+    const PROTOCOL_VERSION = 1;
+
+    const ERROR_CODES = {
+        UNSUPPORTED_VERSION: 'unsupported_version',
+        INVALID_REQUEST: 'invalid_request',
+        UNKNOWN_ACTION: 'unknown_action',
+        INVALID_DATA: 'invalid_data',
+        NOT_FOUND: 'not_found',
+        LIMIT_REACHED: 'limit_reached',
+        STORAGE_ERROR: 'storage_error',
+        INTERNAL_ERROR: 'internal_error',
+        TIMEOUT: 'timeout',
+        NO_CONNECTION: 'no_connection'
+    };
+
+    const DEFAULT_TIMEOUT_MS = 10000;
+
+    // Enhancement may wait on an LLM provider, whose own timeout is configurable; variants wait on one
+    // provider request per strategy, made one after another
+    const ACTION_TIMEOUTS = {
+        enhancePrompt: 120000,
+        enhanceVariants: 600000
+    };
+
+    const CONNECTION_RETRIES = 3;
+    const RETRY_DELAY_MS = 200;
+    const CONNECTION_ERROR_PATTERN = /Could not establish connection|Receiving end does not exist/i;
+
+    // Error for failed requests, with the code the background script (or this client) gave
+    class MessageError extends Error {
+        constructor(code, message) {
+            super(message);
+            this.name = 'MessageError';
+            this.code = code;
+        }
+    }
+
+    let requestCount = 0;
+
+    // Unique enough to match a response to its request across the extension's contexts
+    function createRequestId() {
+        requestCount += 1;
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${requestCount}`;
+    }
+
+    function createRequest(action, data) {
+        return { protocol: PROTOCOL_VERSION, id: createRequestId(), action, data };
+    }
+
+    // Check that a message received from the background script is a request for an action
+    function isRequest(message, action) {
+        return Boolean(message) && message.protocol === PROTOCOL_VERSION && message.action === action;
+    }
+
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    function sendOnce(request, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new MessageError(ERROR_CODES.TIMEOUT, `No response to "${request.action}" within ${timeoutMs} ms`));
+            }, timeoutMs);
+
+            const settle = (callback, value) => {
+                clearTimeout(timer);
+                callback(value);
+            };
+
+            try {
+                chrome.runtime.sendMessage(request, (response) => {
+                    if (chrome.runtime.lastError) {
+                        settle(reject, new MessageError(ERROR_CODES.NO_CONNECTION, chrome.runtime.lastError.message));
+                    } else if (!response) {
+                        settle(reject, new MessageError(ERROR_CODES.NO_CONNECTION, `No response to "${request.action}"`));
+                    } else if (!response.success) {
+                        const error = response.error || {};
+                        settle(reject, new MessageError(error.code || ERROR_CODES.INTERNAL_ERROR, error.message || 'Request failed'));
+                    } else {
+                        settle(resolve, response);
+                    }
+                });
+            } catch (error) {
+                // "Extension context invalidated" after the extension was reloaded
+                settle(reject, new MessageError(ERROR_CODES.NO_CONNECTION, error.message));
+            }
+        });
+    }
+
+    // Send a request and resolve with the response. Options:
+    //   timeoutMs - time limit per attempt (default per action, else DEFAULT_TIMEOUT_MS)
+    //   retries   - attempts after the first when the background script cannot be reached
+    async function sendMessage(action, data, { timeoutMs, retries = CONNECTION_RETRIES } = {}) {
+        const request = createRequest(action, data);
+        const limit = timeoutMs || ACTION_TIMEOUTS[action] || DEFAULT_TIMEOUT_MS;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await sendOnce(request, limit);
+            } catch (error) {
+                const retryable = error.code === ERROR_CODES.NO_CONNECTION && CONNECTION_ERROR_PATTERN.test(error.message);
+                if (!retryable || attempt >= retries) throw error;
+                await delay(RETRY_DELAY_MS * 2 ** attempt);
+            }
+        }
+    }
+
+    namespace.messaging = {
+        PROTOCOL_VERSION,
+        ERROR_CODES,
+        MessageError,
+        createRequest,
+        isRequest,
+        sendMessage
+    };
+
+})(globalThis);
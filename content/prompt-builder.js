@@ -0,0 +1,161 @@
+// AI Prompt Enhancer - Guided prompt builder
+// Turns the builder's steps (task, background context, audience, constraints, few-shot examples,
+// output format and tone) into one prompt with a labelled section per step, and parses a prompt back
+// into the steps so it can be edited again. Text before the first section is the task.
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.promptBuilder) return; // Already loaded in this page
+
+    const BUILDER_STEPS = ['task', 'context', 'audience', 'constraints', 'examples', 'format', 'tone'];
+
+    // Section labels written into the prompt; the modal passes its UI language's, and English is always understood
+    const DEFAULT_LABELS = {
+        context: 'Context',
+        audience: 'Audience',
+        constraints: 'Constraints',
+        examples: 'Examples',
+        format: 'Output format',
+        tone: 'Tone',
+        example: 'Example',
+        input: 'Input',
+        output: 'Output'
+    };
+
+    const SECTIONS = BUILDER_STEPS.filter(step => step !== 'task');
+    const LIST_MARKER = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+    function createEmptySteps() {
+        return { task: '', context: '', audience: '', constraints: [], examples: [], format: '', tone: '' };
+    }
+
+    const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // "Label: value" (optionally bold or after #) or a Markdown heading with the label alone
+    function labelPattern(labels) {
+        const names = [...new Set(labels)].map(escapeRegExp).join('|');
+        return new RegExp(`^(?:#{1,6}\\s*)?\\**(${names})\\**\\s*[:：]\\**\\s*(.*)$|^#{1,6}\\s*(${names})\\s*$`, 'i');
+    }
+
+    // A single-line value goes after its label, a longer one or a list below it
+    function section(label, value, block = false) {
+        return block || value.includes('\n') ? `${label}:\n${value}` : `${label}: ${value}`;
+    }
+
+    function assembleExamples(examples, labels) {
+        return examples
+            .filter(example => example.input.trim() || example.output.trim())
+            .map((example, index) => [
+                `${labels.example} ${index + 1}:`,
+                section(labels.input, example.input.trim()),
+                example.output.trim() ? section(labels.output, example.output.trim()) : null
+            ].filter(Boolean).join('\n'))
+            .join('\n\n');
+    }
+
+    // The prompt for a set of steps; empty steps are left out
+    function assemblePrompt(steps, labels = DEFAULT_LABELS) {
+        const names = { ...DEFAULT_LABELS, ...labels };
+        const parts = [];
+
+        if (steps.task && steps.task.trim()) parts.push(steps.task.trim());
+        SECTIONS.forEach(step => {
+            let value;
+            if (step === 'constraints') {
+                value = (steps.constraints || []).map(item => item.trim()).filter(Boolean).map(item => `- ${item}`).join('\n');
+            } else if (step === 'examples') {
+                value = assembleExamples(steps.examples || [], names);
+            } else {
+                value = (steps[step] || '').trim();
+            }
+            if (value) parts.push(section(names[step], value, step === 'constraints' || step === 'examples'));
+        });
+
+        return parts.join('\n\n');
+    }
+
+    // Split an examples section into { input, output } pairs; a block without labels is all input
+    function parseExamples(text, labels) {
+        const example = new RegExp(`^(?:#{1,6}\\s*)?\\**(?:${labels.example.map(escapeRegExp).join('|')})\\s*\\d*\\**\\s*[:：]?\\**\\s*$`, 'i');
+        const input = labelPattern(labels.input);
+        const output = labelPattern(labels.output);
+        const examples = [];
+        let current = null;
+        let field = 'input';
+
+        text.split('\n').forEach(line => {
+            if (example.test(line.trim())) {
+                current = { input: '', output: '' };
+                examples.push(current);
+                field = 'input';
+                return;
+            }
+            if (!current) {
+                if (!line.trim()) return;
+                current = { input: '', output: '' };
+                examples.push(current);
+            }
+
+            const match = line.match(input) || line.match(output);
+            if (match) {
+                field = output.test(line) ? 'output' : 'input';
+                line = match[2] || '';
+            }
+            current[field] = current[field] ? `${current[field]}\n${line}` : line;
+        });
+
+        return examples
+            .map(item => ({ input: item.input.trim(), output: item.output.trim() }))
+            .filter(item => item.input || item.output);
+    }
+
+    // The steps in a prompt: each labelled section goes to its step, everything before the first one to the task
+    function parsePrompt(text, labels = DEFAULT_LABELS) {
+        const names = {};
+        Object.keys(DEFAULT_LABELS).forEach(key => {
+            names[key] = [labels[key], DEFAULT_LABELS[key]].filter(Boolean);
+        });
+        const headings = SECTIONS.map(step => ({ step, pattern: labelPattern(names[step]) }));
+
+        const collected = { task: [] };
+        SECTIONS.forEach(step => {
+            collected[step] = [];
+        });
+        let current = 'task';
+
+        String(text || '').split('\n').forEach(line => {
+            const heading = headings.find(({ pattern }) => pattern.test(line.trim()));
+            if (heading) {
+                current = heading.step;
+                const rest = line.trim().match(heading.pattern)[2];
+                if (rest) collected[current].push(rest);
+                return;
+            }
+            collected[current].push(line);
+        });
+
+        const steps = createEmptySteps();
+        const joined = step => collected[step].join('\n').trim();
+        steps.task = joined('task');
+        steps.context = joined('context');
+        steps.audience = joined('audience');
+        steps.format = joined('format');
+        steps.tone = joined('tone');
+        steps.constraints = collected.constraints
+            .map(line => line.replace(LIST_MARKER, '').trim())
+            .filter(Boolean);
+        steps.examples = parseExamples(joined('examples'), names);
+
+        return steps;
+    }
+
+    namespace.promptBuilder = {
+        BUILDER_STEPS,
+        DEFAULT_LABELS,
+        createEmptySteps,
+        assemblePrompt,
+        parsePrompt
+    };
+})(globalThis);
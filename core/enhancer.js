@@ -0,0 +1,236 @@
+// Headless enhancement engine for AI Prompt Enhancer
+// Everything that turns a prompt into an enhanced one, without chrome.* APIs: the service worker
+// calls it with the settings, templates and personas it keeps in storage, and bin/prompt-enhance.js
+// runs it from the command line with the built-in ones.
+
+// Locale packs - English first, as the fallback for the others
+import '../lib/locales/en.js';
+import '../lib/locales/es.js';
+import '../lib/locales/fr.js';
+import '../lib/locales/de.js';
+
+// Enhancement rules - import your own rule modules here
+import '../lib/builtin-rules.js';
+
+import { detectPromptLanguage, fillLocalePhrase } from '../lib/locale-packs.js';
+import { detectIntents } from '../lib/intent-detector.js';
+import { getRuleSettingsDefaults, runRules } from '../lib/rule-registry.js';
+import { BUILTIN_TEMPLATES, TemplateError, renderTemplate } from '../lib/templates.js';
+import { BUILTIN_PERSONAS, PersonaError, localizePersona, suggestPersona } from '../lib/personas.js';
+import { LLM_PROVIDER_DEFAULTS, requestLlmEnhancement } from '../lib/llm-provider.js';
+import { analyzePrompt } from '../lib/prompt-analyzer.js';
+import { getRedactionDetectors, redactText, restoreRedactions, summarizeRedactions } from '../lib/redaction.js';
+import { VARIANT_STRATEGIES, getStrategyPersona } from '../lib/variants.js';
+import { estimatePromptTokens } from '../lib/token-estimator.js';
+import { BUILTIN_FORMAT_PRESETS, FormatPresetError, renderFormatInstructions } from '../lib/format-presets.js';
+
+// Error raised for requests the engine cannot enhance
+class EnhancementError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EnhancementError';
+    }
+}
+
+// Pick the persona for a prompt: an explicit choice ('none' for the generic role), else the pinned
+// one (the site's default in the extension), else the one the prompt's topic suggests. 'auto' skips
+// the pin. Returns { persona, source } or null.
+function resolvePersona(choice, { personas = BUILTIN_PERSONAS, pinned = null, prompt = '', language } = {}) {
+    if (choice === 'none') return null;
+
+    if (choice && choice !== 'auto') {
+        const persona = personas.find(p => p.id === choice);
+        if (!persona) {
+            throw new PersonaError(`Persona "${choice}" not found`, 'not_found');
+        }
+        return { persona, source: 'chosen' };
+    }
+
+    if (choice !== 'auto' && pinned) {
+        if (pinned === 'none') return null;
+
+        const persona = personas.find(p => p.id === pinned);
+        if (persona) return { persona, source: 'site' };
+    }
+
+    const suggested = suggestPersona(prompt, personas, language);
+    return suggested ? { persona: suggested, source: 'suggested' } : null;
+}
+
+// Fill a template ({ id, values }) from the list, with the prompt as {{prompt}}
+function applyTemplate(prompt, template, templates = BUILTIN_TEMPLATES) {
+    const selected = templates.find(t => t.id === template.id);
+    if (!selected) {
+        throw new TemplateError(`Template "${template.id}" not found`, 'not_found');
+    }
+    return renderTemplate(selected.body, { ...template.values, prompt });
+}
+
+// Instructions and an example skeleton for a format preset ({ id, values }) from the list
+function getFormatInstructions(format, presets = BUILTIN_FORMAT_PRESETS, language) {
+    const selected = presets.find(p => p.id === format.id);
+    if (!selected) {
+        throw new FormatPresetError(`Format preset "${format.id}" not found`, 'not_found');
+    }
+    return { kind: selected.kind, text: renderFormatInstructions(selected, format.values, language) };
+}
+
+// Add a strategy's closing phrase (lib/variants.js) unless the prompt already asks for what it would,
+// or a format preset already fixes the format it would ask for
+function applyStrategyPhrase(text, strategy, prompt, language, format = null) {
+    if (!strategy.phrase) return text;
+    if (format && (strategy.skipIntents || []).includes('format')) return text;
+
+    const intents = detectIntents(prompt, language);
+    if ((strategy.skipIntents || []).some(name => intents[name] && intents[name].mentioned)) return text;
+
+    return fillLocalePhrase(language, strategy.phrase, text);
+}
+
+// Mask the prompt and the template values with one set of placeholders (lib/redaction.js)
+function redactRequest(original, template, patterns) {
+    const detectors = getRedactionDetectors(patterns);
+    let { text: prompt, matches } = redactText(original, detectors);
+
+    if (!template || !template.values) {
+        return { prompt, template, matches };
+    }
+
+    const values = {};
+    Object.entries(template.values).forEach(([name, value]) => {
+        ({ text: values[name], matches } = redactText(value, detectors, matches));
+    });
+    return { prompt, template: { ...template, values }, matches };
+}
+
+// Enhance a prompt. The request may give:
+//   options   - rule settings; the registered defaults fill in the rest
+//   template  - { id, values } from `templates`, filled in before the rules run
+//   persona   - persona id, 'auto' or 'none' (see resolvePersona), chosen from `personas`
+//   pinned    - persona id pinned for the site the prompt comes from, if any
+//   provider  - LLM provider config (llm-provider.js); the rules run when it is off or fails
+//   redaction - { patterns } to mask PII and secrets, plus matches of the custom regular expressions in
+//               patterns, before the template, rules and provider see the prompt; off when null
+//   strategy  - a variant strategy (lib/variants.js) whose settings, persona and phrase or instruction apply
+//   tokens    - { model, prices, budget } for the token and cost estimate (lib/token-estimator.js)
+//   format    - { id, values } of an output format preset from `formatPresets` (lib/format-presets.js),
+//               whose instructions and example skeleton go after the enhanced prompt
+// Resolves with { text, prompt, language, provider, fallbackReason, applied, persona, analysis, stats,
+// redactions }, where prompt is the input after the template, persona the resolved { persona, source }
+// or null, stats.tokens the estimate for the original and enhanced prompt, and redactions lists what
+// was masked as [{ type, count }]. The masked values are restored in text and prompt.
+async function enhancePrompt(original, {
+    options = {},
+    template = null,
+    templates = BUILTIN_TEMPLATES,
+    persona = null,
+    personas = BUILTIN_PERSONAS,
+    pinned = null,
+    provider = null,
+    redaction = null,
+    strategy = null,
+    tokens = {},
+    format = null,
+    formatPresets = BUILTIN_FORMAT_PRESETS
+} = {}) {
+    if (typeof original !== 'string' || !original.trim()) {
+        throw new EnhancementError('No prompt provided');
+    }
+
+    // Nothing after this point sees the masked values until they are restored at the end
+    const masked = redaction
+        ? redactRequest(original, template, redaction.patterns)
+        : { prompt: original, template, matches: [] };
+    const placeholders = masked.matches.map(match => match.placeholder);
+
+    // Fill the chosen template first so the rules see the role, audience and format it adds
+    const prompt = masked.template && masked.template.id
+        ? applyTemplate(masked.prompt, masked.template, templates)
+        : masked.prompt;
+    const settings = { ...getRuleSettingsDefaults(), ...options, ...(strategy ? strategy.settings : {}) };
+
+    // The rules add text in the prompt's own language
+    const language = detectPromptLanguage(masked.prompt);
+    const personaChoice = strategy ? getStrategyPersona(strategy, persona) : persona;
+    const resolved = resolvePersona(personaChoice, { personas, pinned, prompt: masked.prompt, language });
+    const localized = resolved ? localizePersona(resolved.persona, language) : null;
+
+    // Checked before the provider is asked, so missing values fail fast
+    const formatInstructions = format && format.id ? getFormatInstructions(format, formatPresets, language) : null;
+
+    let text;
+    let applied = [];
+    let usedProvider = 'heuristic';
+    let fallbackReason = null;
+
+    // Use the LLM provider when configured, with the rule pipeline as offline fallback
+    if (provider && provider.enabled) {
+        try {
+            const config = strategy
+                ? { ...provider, systemPrompt: `${provider.systemPrompt || LLM_PROVIDER_DEFAULTS.systemPrompt}\n\n${strategy.instruction}` }
+                : provider;
+            const completion = await requestLlmEnhancement(prompt, settings, config, localized, placeholders);
+            text = completion.text;
+            usedProvider = 'llm';
+        } catch (error) {
+            console.warn('LLM provider failed, falling back to heuristic rules:', error.message);
+            fallbackReason = error.message;
+        }
+    }
+
+    if (text === undefined) {
+        const formatKind = formatInstructions ? formatInstructions.kind : null;
+        ({ text, applied } = runRules(prompt, settings, { language, persona: localized, format: formatKind }));
+        if (strategy) {
+            text = applyStrategyPhrase(text, strategy, prompt, language, formatKind);
+        }
+    }
+
+    if (formatInstructions) {
+        text = `${text}\n\n${formatInstructions.text}`;
+    }
+
+    text = restoreRedactions(text, masked.matches);
+
+    return {
+        text,
+        prompt: restoreRedactions(prompt, masked.matches),
+        language,
+        provider: usedProvider,
+        fallbackReason,
+        applied,
+        persona: resolved,
+        analysis: {
+            before: analyzePrompt(original),
+            after: analyzePrompt(text)
+        },
+        stats: {
+            originalLength: original.length,
+            enhancedLength: text.length,
+            improvement: Math.round(((text.length - original.length) / original.length) * 100),
+            tokens: estimatePromptTokens(original, text, tokens)
+        },
+        redactions: summarizeRedactions(masked.matches)
+    };
+}
+
+// Enhance a prompt once per strategy with the same request. Resolves with [{ strategy, ...result }]
+// in the order of `strategies`; the strategy is its id. Strategies run one after another so an LLM
+// provider gets one request at a time rather than a burst that trips its rate limits.
+async function enhanceVariants(original, request = {}, strategies = VARIANT_STRATEGIES) {
+    const results = [];
+    for (const strategy of strategies) {
+        results.push({
+            ...await enhancePrompt(original, { ...request, strategy }),
+            strategy: strategy.id
+        });
+    }
+    return results;
+}
+
+export {
+    EnhancementError,
+    resolvePersona,
+    enhancePrompt,
+    enhanceVariants
+};
@@ -0,0 +1,206 @@
+// Usage dashboard for AI Prompt Enhancer
+// Charts the day, week and month aggregates that logUsage keeps (lib/usage-analytics.js).
+// Every view exports the rows it shows as CSV.
+import { USAGE_AGGREGATES_KEY, toCsv } from './lib/usage-analytics.js';
+
+const { t } = globalThis.AIPromptEnhancer.i18n;
+const { sendMessage } = globalThis.AIPromptEnhancer.messaging;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+
+// CSV columns per view; the headers stay in English so exports match in every UI language
+const EXPORT_COLUMNS = {
+    prompts: ['period', 'prompts'],
+    length: ['period', 'prompts', 'averageOriginalLength', 'averageEnhancedLength', 'lengthGrowth'],
+    rules: ['key', 'label', 'count'],
+    sites: ['key', 'count'],
+    options: ['key', 'label', 'count']
+};
+
+// Summary card label for the usage counters, by the period they restart after (statsResetPeriod)
+const COUNTER_LABELS = { day: 'summaryToday', week: 'summaryThisWeek', month: 'summaryThisMonth' };
+
+// The report on screen, which the export buttons write out
+let currentReport = null;
+
+document.addEventListener('DOMContentLoaded', function() {
+    // Translate the static markup (data-i18n attributes)
+    globalThis.AIPromptEnhancer.i18n.localizePage();
+
+    const periodSelect = document.getElementById('period');
+    periodSelect.addEventListener('change', () => loadReport(periodSelect.value));
+
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportView(button.dataset.export));
+    });
+
+    // Pick up enhancements made while the dashboard is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[USAGE_AGGREGATES_KEY]) {
+            loadReport(periodSelect.value);
+        }
+    });
+
+    loadReport(periodSelect.value);
+});
+
+// Fetch the report for a period from the background script and render every view
+async function loadReport(period) {
+    const status = document.getElementById('dashboard-status');
+
+    let response;
+    try {
+        response = await sendMessage('getAnalytics', { period });
+    } catch (error) {
+        console.error('Failed to load analytics:', error);
+        status.textContent = t('dashboardLoadFailed');
+        status.classList.add('error');
+        return;
+    }
+
+    const { report, counters } = response;
+    currentReport = report;
+    status.textContent = report.totals.prompts ? '' : t('dashboardEmpty');
+    status.classList.remove('error');
+
+    renderSummary(report, counters);
+    renderBarChart(document.getElementById('prompts-chart'), report.series, ['prompts']);
+    renderBarChart(document.getElementById('length-chart'), report.series, ['averageOriginalLength', 'averageEnhancedLength']);
+    renderRanking(document.getElementById('rules-table'), report.rules);
+    renderRanking(document.getElementById('sites-table'), report.sites);
+    renderRanking(document.getElementById('options-table'), report.options);
+}
+
+// Growth as a signed percentage in the UI language, e.g. '+42%'
+function formatGrowth(growth) {
+    return new Intl.NumberFormat(chrome.i18n.getUILanguage(), { style: 'percent', signDisplay: 'exceptZero' }).format(growth / 100);
+}
+
+// Fill the summary cards above the charts
+function renderSummary(report, counters) {
+    const topRule = report.rules[0];
+
+    document.getElementById('summary-prompts').textContent = report.totals.prompts;
+    document.getElementById('summary-counter-label').textContent = t(COUNTER_LABELS[counters.resetPeriod] || 'summaryThisMonth');
+    document.getElementById('summary-counter').textContent = counters.monthlyPrompts;
+    document.getElementById('summary-growth').textContent = report.totals.prompts ? formatGrowth(report.totals.lengthGrowth) : '–';
+
+    const rule = document.getElementById('summary-rule');
+    rule.textContent = topRule ? topRule.label : '–';
+    rule.title = topRule ? topRule.key : '';
+}
+
+// Create an SVG element with the given attributes
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+// Draw one group of bars per period, one bar per field, scaled to the largest value
+function renderBarChart(container, series, fields) {
+    const max = Math.max(1, ...series.flatMap(point => fields.map(field => point[field])));
+    const slot = CHART_WIDTH / series.length;
+    const barWidth = (slot * 0.7) / fields.length;
+
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 20}`,
+        role: 'img',
+        'aria-label': container.closest('section').querySelector('h2').textContent
+    });
+
+    series.forEach((point, index) => {
+        fields.forEach((field, fieldIndex) => {
+            const height = (point[field] / max) * CHART_HEIGHT;
+            const bar = createSvgElement('rect', {
+                class: `bar bar-${fieldIndex}`,
+                x: index * slot + slot * 0.15 + fieldIndex * barWidth,
+                y: CHART_HEIGHT - height,
+                width: barWidth,
+                height
+            });
+
+            const title = createSvgElement('title');
+            title.textContent = `${point.period}: ${point[field]}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+    });
+
+    // Label the first and last period and the scale
+    [[0, 'start'], [series.length - 1, 'end']].forEach(([index, anchor]) => {
+        const label = createSvgElement('text', {
+            class: 'axis-label',
+            x: anchor === 'start' ? 0 : CHART_WIDTH,
+            y: CHART_HEIGHT + 16,
+            'text-anchor': anchor
+        });
+        label.textContent = series[index].period;
+        svg.appendChild(label);
+    });
+
+    const scale = createSvgElement('text', { class: 'axis-label', x: 0, y: 12 });
+    scale.textContent = max;
+    svg.appendChild(scale);
+
+    container.replaceChildren(svg);
+}
+
+// Fill a ranking table: name (its label where the report has one), count and a proportional bar
+function renderRanking(table, rows) {
+    const max = rows.length ? rows[0].count : 0;
+
+    const head = document.createElement('tr');
+    [t(table.dataset.column), t('columnCount')].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        head.appendChild(cell);
+    });
+
+    const body = rows.map(row => {
+        const tr = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.textContent = row.label || row.key;
+        name.title = row.key;
+
+        const count = document.createElement('td');
+        count.className = 'ranking-count';
+        const meter = document.createElement('span');
+        meter.className = 'ranking-bar';
+        meter.style.width = `${Math.round((row.count / max) * 100)}%`;
+        count.append(meter, String(row.count));
+
+        tr.append(name, count);
+        return tr;
+    });
+
+    if (body.length === 0) {
+        const empty = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 2;
+        cell.className = 'ranking-empty';
+        cell.textContent = t('dashboardEmpty');
+        empty.appendChild(cell);
+        body.push(empty);
+    }
+
+    table.replaceChildren(head, ...body);
+}
+
+// Download one view of the current report as a CSV file
+function exportView(view) {
+    if (!currentReport) return;
+
+    const rows = view === 'prompts' || view === 'length' ? currentReport.series : currentReport[view];
+    const blob = new Blob([toCsv(rows, EXPORT_COLUMNS[view])], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `prompt-enhancer-${view}-by-${currentReport.period}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+}
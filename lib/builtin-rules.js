@@ -0,0 +1,102 @@
+// Built-in enhancement rules for AI Prompt Enhancer
+// Each rule skips prompts that already address what it would add, asked for or ruled out
+// ("no bullet points"), using detectIntents() from intent-detector.js. What they add comes from
+// the locale pack for the prompt's language (context.language, see locale-packs.js), and the role
+// from context.persona when one was chosen (personas.js). context.format is the kind of output
+// format preset in use (format-presets.js), if any.
+// Imported by core/enhancer.js; add your own rules in a separate module the same way.
+
+import { defineRuleSetting, registerRule } from './rule-registry.js';
+import { detectIntents } from './intent-detector.js';
+import { getLocalePack, fillLocalePhrase } from './locale-packs.js';
+import { applyPersona } from './personas.js';
+
+defineRuleSetting('enhanceClarity', {
+    label: 'Enhance clarity',
+    description: 'Turn the prompt into a clear, explicit request',
+    defaultValue: true
+});
+
+defineRuleSetting('addContext', {
+    label: 'Add context',
+    description: 'Give the assistant a role and describe the audience',
+    defaultValue: true
+});
+
+defineRuleSetting('improveStructure', {
+    label: 'Improve structure',
+    description: 'Ask for an organized answer with a summary',
+    defaultValue: false
+});
+
+// True when none of the intents is mentioned yet. Prompts in a language without a locale pack
+// are left alone rather than given English additions.
+function lacksIntents(prompt, context, ...names) {
+    if (!getLocalePack(context.language)) return false;
+
+    const intents = detectIntents(prompt, context.language);
+    return names.every(name => !intents[name].mentioned);
+}
+
+// Clarity
+registerRule({
+    id: 'clarity.polite-request',
+    settingsKey: 'enhanceClarity',
+    order: 100,
+    description: 'Phrase the prompt as a polite request',
+    condition: (prompt, context) => lacksIntents(prompt, context, 'politeness'),
+    transform: (prompt, context) => fillLocalePhrase(context.language, 'politeRequest', prompt)
+});
+
+registerRule({
+    id: 'clarity.response-quality',
+    settingsKey: 'enhanceClarity',
+    order: 110,
+    description: 'Ask for a clear, well-structured response',
+    condition: (prompt, context) => lacksIntents(prompt, context, 'format'),
+    transform: (prompt, context) => fillLocalePhrase(context.language, 'responseQuality', prompt)
+});
+
+// Context
+// The chosen persona's role, tone and output constraints, or a generic expert role without one.
+// The constraints are defaults, so a prompt that already asks for a format keeps its own.
+registerRule({
+    id: 'context.role',
+    settingsKey: 'addContext',
+    order: 200,
+    description: 'Give the assistant a role: the chosen persona or a general expert',
+    condition: (prompt, context) => lacksIntents(prompt, context, 'role'),
+    transform: (prompt, context) => context.persona
+        ? applyPersona(prompt, context.persona, lacksIntents(prompt, context, 'format', 'list'))
+        : fillLocalePhrase(context.language, 'role', prompt)
+});
+
+registerRule({
+    id: 'context.audience',
+    settingsKey: 'addContext',
+    order: 210,
+    description: 'Describe who the answer is for',
+    condition: (prompt, context) => lacksIntents(prompt, context, 'audience'),
+    transform: (prompt, context) => fillLocalePhrase(context.language, 'audience', prompt)
+});
+
+// Structure
+registerRule({
+    id: 'structure.organization',
+    settingsKey: 'improveStructure',
+    order: 300,
+    description: 'Ask for sections, bullet points or numbered steps',
+    // A requested format (JSON, a table, an email) or format preset leaves no room for bullet points
+    condition: (prompt, context) => !context.format && lacksIntents(prompt, context, 'list', 'format'),
+    transform: (prompt, context) => fillLocalePhrase(context.language, 'organization', prompt)
+});
+
+registerRule({
+    id: 'structure.summary',
+    settingsKey: 'improveStructure',
+    order: 310,
+    description: 'Ask for a closing summary',
+    // Nothing goes after an answer whose shape a format preset fixes
+    condition: (prompt, context) => !context.format && lacksIntents(prompt, context, 'summary'),
+    transform: (prompt, context) => fillLocalePhrase(context.language, 'summary', prompt)
+});
@@ -0,0 +1,255 @@
+// Output format presets for AI Prompt Enhancer
+// A preset pins down the shape of the answer: JSON valid against a schema, a Markdown table or CSV with
+// named columns, code only in one language, numbered steps or a word limit. Its kind (FORMAT_KINDS)
+// turns the parameters into precise instructions and an example skeleton of the answer, written in
+// the prompt's language (the pack's `formats`, see locale-packs.js) and added after the enhanced prompt.
+// Built-in presets leave every parameter to the modal; user presets can fix some of them. Parameters
+// are strings, as typed on the options page or in the modal, and are parsed when the preset is used.
+
+import { fillLocaleFormat } from './locale-packs.js';
+
+const FORMAT_PRESET_STORAGE_KEY = 'formatPresets';
+const FORMAT_PRESET_LIMITS = {
+    maxPresets: 50,
+    maxNameLength: 80,
+    maxParamLength: 10000,
+    maxColumns: 20,
+    maxSteps: 50,
+    maxWords: 100000
+};
+
+// Error raised for invalid presets or parameters; code is the message protocol's error code
+class FormatPresetError extends Error {
+    constructor(message, code = 'invalid_data') {
+        super(message);
+        this.name = 'FormatPresetError';
+        this.code = code;
+    }
+}
+
+const PLACEHOLDER = '...';
+
+function parseSchema(value) {
+    let schema;
+    try {
+        schema = JSON.parse(value);
+    } catch (error) {
+        throw new FormatPresetError(`The JSON Schema is not valid JSON: ${error.message}`);
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new FormatPresetError('The JSON Schema must be an object');
+    }
+    return schema;
+}
+
+function parseColumns(value) {
+    const columns = value.split(/[,\n]/).map(column => column.trim()).filter(Boolean);
+    if (columns.length === 0) {
+        throw new FormatPresetError('List at least one column');
+    }
+    if (columns.length > FORMAT_PRESET_LIMITS.maxColumns) {
+        throw new FormatPresetError(`A table can have up to ${FORMAT_PRESET_LIMITS.maxColumns} columns`);
+    }
+    return columns;
+}
+
+function parseCount(label, max) {
+    return value => {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 1 || count > max) {
+            throw new FormatPresetError(`${label} must be a whole number from 1 to ${max}`);
+        }
+        return count;
+    };
+}
+
+// A sample value for a JSON Schema: its const or first enum value, else a placeholder of its type
+function schemaSkeleton(schema, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > 10) return null;
+    if ('const' in schema) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    const type = Array.isArray(schema.type) ? schema.type.find(name => name !== 'null') : schema.type;
+    if (type === 'object' || (!type && schema.properties)) {
+        return Object.fromEntries(Object.entries(schema.properties || {})
+            .map(([name, property]) => [name, schemaSkeleton(property, depth + 1)]));
+    }
+    if (type === 'array' || (!type && schema.items)) {
+        return schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)
+            ? [schemaSkeleton(schema.items, depth + 1)]
+            : [];
+    }
+    if (type === 'string') return PLACEHOLDER;
+    if (type === 'number' || type === 'integer') return 0;
+    if (type === 'boolean') return false;
+    return null;
+}
+
+const tableRow = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+const csvField = field => /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+
+// Kinds of preset. Each declares its parameters - { name, label, input: 'text' | 'textarea' | 'number',
+// required, parse } - and renders the parsed ones as { phrase, values, skeleton }, where phrase is a key
+// of the locale pack's formats.
+const FORMAT_KINDS = {
+    json: {
+        label: 'JSON following a schema',
+        params: [{ name: 'schema', label: 'JSON Schema', input: 'textarea', required: true, parse: parseSchema }],
+        render: ({ schema }) => ({
+            phrase: 'json',
+            values: { schema: JSON.stringify(schema, null, 2) },
+            skeleton: JSON.stringify(schemaSkeleton(schema), null, 2)
+        })
+    },
+    table: {
+        label: 'Markdown table',
+        params: [{ name: 'columns', label: 'Columns', input: 'text', required: true, parse: parseColumns }],
+        render: ({ columns }) => ({
+            phrase: 'table',
+            values: { columns: columns.join(', ') },
+            skeleton: [tableRow(columns), tableRow(columns.map(() => '---')), tableRow(columns.map(() => PLACEHOLDER))].join('\n')
+        })
+    },
+    csv: {
+        label: 'CSV',
+        params: [{ name: 'columns', label: 'Columns', input: 'text', required: true, parse: parseColumns }],
+        render: ({ columns }) => ({
+            phrase: 'csv',
+            values: { columns: columns.join(', ') },
+            skeleton: [columns.map(csvField).join(','), columns.map(() => PLACEHOLDER).join(',')].join('\n')
+        })
+    },
+    code: {
+        label: 'Code only',
+        params: [{ name: 'language', label: 'Language', input: 'text', required: true, parse: value => value.slice(0, 40) }],
+        render: ({ language }) => ({
+            phrase: 'code',
+            values: { language },
+            skeleton: `\`\`\`${language.toLowerCase().replace(/\s+/g, '-')}\n${PLACEHOLDER}\n\`\`\``
+        })
+    },
+    steps: {
+        label: 'Numbered steps',
+        params: [{ name: 'steps', label: 'Most steps', input: 'number', required: false, parse: parseCount('The number of steps', FORMAT_PRESET_LIMITS.maxSteps) }],
+        render: ({ steps }) => ({
+            phrase: steps ? 'stepsLimit' : 'steps',
+            values: { steps },
+            skeleton: Array.from({ length: Math.min(steps || 3, 3) }, (_, index) => `${index + 1}. ${PLACEHOLDER}`).join('\n')
+        })
+    },
+    limit: {
+        label: 'Word limit',
+        params: [{ name: 'words', label: 'Word limit', input: 'number', required: true, parse: parseCount('The word limit', FORMAT_PRESET_LIMITS.maxWords) }],
+        render: ({ words }, language) => ({
+            phrase: 'limit',
+            values: { words },
+            skeleton: fillLocaleFormat(language, 'limitExample', { words })
+        })
+    }
+};
+
+// Read-only presets that ship with the extension, one per kind
+const BUILTIN_FORMAT_PRESETS = Object.entries(FORMAT_KINDS).map(([kind, definition]) => ({
+    id: `builtin.${kind}`,
+    name: definition.label,
+    kind,
+    params: {},
+    builtin: true
+}));
+
+// Parse a preset's parameters, fixed ones first and then the values given for the rest; empty ones are left out
+function parseFormatParams(kind, params = {}, values = {}) {
+    const parsed = {};
+    const missing = [];
+
+    FORMAT_KINDS[kind].params.forEach(param => {
+        const fixed = String(params[param.name] ?? '').trim();
+        const value = fixed || String(values[param.name] ?? '').trim();
+        if (value) {
+            parsed[param.name] = param.parse(value);
+        } else if (param.required) {
+            missing.push(param.name);
+        }
+    });
+
+    if (missing.length > 0) {
+        throw new FormatPresetError(`Missing format values: ${missing.join(', ')}`);
+    }
+    return parsed;
+}
+
+// The instructions and example skeleton for a preset, in a language with a locale pack (English otherwise)
+function renderFormatInstructions(preset, values = {}, language = 'en') {
+    const kind = FORMAT_KINDS[preset.kind];
+    if (!kind) {
+        throw new FormatPresetError(`Unknown format kind "${preset.kind}"`);
+    }
+
+    const { phrase, values: phraseValues, skeleton } = kind.render(parseFormatParams(preset.kind, preset.params, values), language);
+    return [
+        fillLocaleFormat(language, phrase, phraseValues),
+        `${fillLocaleFormat(language, 'example', {})}\n${skeleton}`
+    ].join('\n\n');
+}
+
+// Check and normalise a user preset before it is saved; parameters left empty are asked for in the modal
+function validateFormatPreset(preset) {
+    const name = String(preset?.name || '').trim();
+    const kind = preset?.kind;
+
+    if (!name) {
+        throw new FormatPresetError('Preset name is required');
+    }
+    if (name.length > FORMAT_PRESET_LIMITS.maxNameLength) {
+        throw new FormatPresetError(`Preset name must be at most ${FORMAT_PRESET_LIMITS.maxNameLength} characters`);
+    }
+    if (!FORMAT_KINDS[kind]) {
+        throw new FormatPresetError(`Unknown format kind "${kind}"`);
+    }
+
+    const params = {};
+    FORMAT_KINDS[kind].params.forEach(param => {
+        const value = String(preset.params?.[param.name] ?? '').trim();
+        if (!value) return;
+        if (value.length > FORMAT_PRESET_LIMITS.maxParamLength) {
+            throw new FormatPresetError(`The ${param.name} must be at most ${FORMAT_PRESET_LIMITS.maxParamLength} characters`);
+        }
+        param.parse(value);
+        params[param.name] = value;
+    });
+
+    return { name, kind, params };
+}
+
+// Describe a preset for the UI, including the fields the modal asks for
+function describeFormatPreset(preset) {
+    return {
+        ...preset,
+        builtin: Boolean(preset.builtin),
+        fields: FORMAT_KINDS[preset.kind].params
+            .filter(param => !String(preset.params?.[param.name] ?? '').trim())
+            .map(({ name, input, required }) => ({ name, input, required }))
+    };
+}
+
+// The kinds and their parameters, for the options page's preset form
+function describeFormatKinds() {
+    return Object.entries(FORMAT_KINDS).map(([id, kind]) => ({
+        id,
+        label: kind.label,
+        params: kind.params.map(({ name, label, input, required }) => ({ name, label, input, required }))
+    }));
+}
+
+export {
+    FORMAT_PRESET_STORAGE_KEY,
+    FORMAT_PRESET_LIMITS,
+    FORMAT_KINDS,
+    BUILTIN_FORMAT_PRESETS,
+    FormatPresetError,
+    schemaSkeleton,
+    renderFormatInstructions,
+    validateFormatPreset,
+    describeFormatPreset,
+    describeFormatKinds
+};
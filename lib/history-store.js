@@ -0,0 +1,214 @@
+// Prompt history store for AI Prompt Enhancer
+// Kept in IndexedDB (chrome.storage quotas are too small for full prompts).
+// Every entry is indexed by its search terms so lookups do not scan the whole store.
+
+const HISTORY_DB_NAME = 'ai-prompt-enhancer';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'history';
+const HISTORY_LIMITS = {
+    defaultPageSize: 20,
+    maxPageSize: 100,
+    maxEntries: 5000
+};
+
+let historyDbPromise = null;
+
+// Open (and create on first use) the history database
+function openHistoryDb() {
+    if (historyDbPromise) return historyDbPromise;
+
+    historyDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('terms', 'terms', { multiEntry: true });
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a future version upgrade from another context close this connection
+            db.onversionchange = () => {
+                db.close();
+                historyDbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            historyDbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return historyDbPromise;
+}
+
+// Wrap an IDBRequest in a Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run a function inside a transaction and resolve once the transaction commits
+async function withHistoryStore(mode, callback) {
+    const db = await openHistoryDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        let result;
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+
+        Promise.resolve(callback(transaction.objectStore(HISTORY_STORE)))
+            .then(value => { result = value; })
+            .catch(error => {
+                reject(error);
+                transaction.abort();
+            });
+    });
+}
+
+// Split text into lowercase search terms (letters and digits in any script)
+function tokenizeForSearch(text) {
+    const terms = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return Array.from(new Set(terms.filter(term => term.length > 1)));
+}
+
+// Save an enhancement to history and return the new entry id
+async function addHistoryEntry({ original, enhanced, options = {}, site = 'unknown', template = null }) {
+    const entry = {
+        original,
+        enhanced,
+        options,
+        site,
+        template,
+        starred: false,
+        timestamp: Date.now(),
+        terms: tokenizeForSearch(`${original} ${enhanced}`)
+    };
+
+    const id = await withHistoryStore('readwrite', store => promisifyRequest(store.add(entry)));
+    await trimHistory();
+    return id;
+}
+
+// Drop the oldest unstarred entries once the store grows past its limit
+async function trimHistory() {
+    await withHistoryStore('readwrite', async store => {
+        const count = await promisifyRequest(store.count());
+        let excess = count - HISTORY_LIMITS.maxEntries;
+        if (excess <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index('timestamp').openCursor();
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                if (!cursor.value.starred) {
+                    cursor.delete();
+                    excess--;
+                }
+                cursor.continue();
+            };
+        });
+    });
+}
+
+// Search history, newest first. Every query term must prefix-match a term of the entry.
+async function searchHistory({ query = '', starredOnly = false, limit = HISTORY_LIMITS.defaultPageSize, before = null } = {}) {
+    const queryTerms = tokenizeForSearch(query);
+    const pageSize = Math.min(Math.max(1, Number(limit) || HISTORY_LIMITS.defaultPageSize), HISTORY_LIMITS.maxPageSize);
+
+    const matches = (entry) => {
+        if (starredOnly && !entry.starred) return false;
+        if (before !== null && entry.timestamp >= before) return false;
+        return queryTerms.every(queryTerm => entry.terms.some(term => term.startsWith(queryTerm)));
+    };
+
+    const results = await withHistoryStore('readonly', async store => {
+        if (queryTerms.length === 0) {
+            return collectNewest(store.index('timestamp'), matches, pageSize);
+        }
+
+        // Narrow down with the index on the longest (most selective) query term
+        const seed = queryTerms.reduce((a, b) => (b.length > a.length ? b : a));
+        const range = IDBKeyRange.bound(seed, seed + '\uffff');
+        const candidates = await promisifyRequest(store.index('terms').getAll(range));
+
+        // An entry appears once per matching term; keep one copy
+        const seen = new Set();
+        return candidates
+            .filter(entry => !seen.has(entry.id) && seen.add(entry.id))
+            .filter(matches)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, pageSize);
+    });
+
+    return results.map(({ terms, ...entry }) => entry);
+}
+
+// Walk an index newest-first until enough entries pass the filter
+function collectNewest(index, filter, limit) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+        const cursorRequest = index.openCursor(null, 'prev');
+
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || results.length >= limit) {
+                resolve(results);
+                return;
+            }
+            if (filter(cursor.value)) {
+                results.push(cursor.value);
+            }
+            cursor.continue();
+        };
+    });
+}
+
+// Star or unstar an entry
+async function setHistoryStar(id, starred) {
+    return withHistoryStore('readwrite', async store => {
+        const entry = await promisifyRequest(store.get(id));
+        if (!entry) {
+            throw new Error(`History entry ${id} not found`);
+        }
+        entry.starred = Boolean(starred);
+        await promisifyRequest(store.put(entry));
+        return entry.starred;
+    });
+}
+
+// Delete one entry
+async function deleteHistoryEntry(id) {
+    return withHistoryStore('readwrite', store => promisifyRequest(store.delete(id)));
+}
+
+// Delete every entry (starred ones too)
+async function clearHistory() {
+    return withHistoryStore('readwrite', store => promisifyRequest(store.clear()));
+}
+
+export {
+    HISTORY_LIMITS,
+    addHistoryEntry,
+    searchHistory,
+    setHistoryStar,
+    deleteHistoryEntry,
+    clearHistory
+};
@@ -0,0 +1,219 @@
+// Intent detection for AI Prompt Enhancer
+// Recognises what a prompt already asks for (a role, an audience, a format, a list, a summary,
+// a polite request) by matching whole words and phrases, never substrings, so "format" is not
+// mistaken for "for". Matches preceded by a negation in the same clause ("no bullet points",
+// "don't summarize") are reported as negated. The phrases and negations for each language come
+// from its locale pack (locale-packs.js, lib/locales/).
+//
+// Phrase syntax: words separated by spaces; "*" matches exactly one word, "**" up to three words
+// between two others, and "#" a number ("5" or "five").
+// Intent shape:
+//   phrases   - phrases that signal the intent
+//   excludes  - phrases that veto a match starting at the same word ("as a result" is not a role)
+
+import { DEFAULT_LOCALE, getLocalePack, detectPromptLanguage } from './locale-packs.js';
+
+const INTENT_NEGATION_WINDOW = 4; // Words allowed between a negation and the phrase it negates
+
+const intentVocabularies = new Map();
+
+// The intent vocabulary for a language (see locale-packs.js), with English filling in whatever its
+// pack leaves out; languages without a pack get English
+function getIntentVocabulary(language = DEFAULT_LOCALE) {
+    const pack = getLocalePack(language) || getLocalePack(DEFAULT_LOCALE);
+    if (intentVocabularies.has(pack.code)) return intentVocabularies.get(pack.code);
+
+    const fallback = getLocalePack(DEFAULT_LOCALE).intents;
+    const own = pack.intents;
+    const vocabulary = {
+        negations: own.negations || fallback.negations,
+        negationExceptions: own.negationExceptions || fallback.negationExceptions,
+        numberWords: own.numberWords || fallback.numberWords,
+        clauseBreaks: own.clauseBreaks || fallback.clauseBreaks,
+        elisions: own.elisions || [],
+        definitions: { ...fallback.definitions, ...own.definitions }
+    };
+
+    intentVocabularies.set(pack.code, vocabulary);
+    return vocabulary;
+}
+
+// Lowercase a word and split it into the tokens it stands for: an elided article or pronoun
+// ("l'audience", "n'utilise") becomes its own word, and "don't", "doesn't", "won't" all fold
+// into "dont". Each part is { word, offset } with offset counted from the start of the word.
+function splitWord(raw, vocabulary) {
+    const word = raw.toLowerCase();
+    const apostrophe = word.indexOf("'");
+
+    if (apostrophe > 0 && vocabulary.elisions.includes(word.slice(0, apostrophe))) {
+        return [
+            { word: word.slice(0, apostrophe), offset: 0 },
+            ...splitWord(raw.slice(apostrophe + 1), vocabulary).map(part => ({ ...part, offset: part.offset + apostrophe + 1 }))
+        ];
+    }
+
+    return [{ word: /n't$/.test(word) ? 'dont' : word, offset: 0 }];
+}
+
+// Split text into lowercase word tokens, numbering the clause each word is in
+function tokenizePrompt(text, language = DEFAULT_LOCALE) {
+    const vocabulary = getIntentVocabulary(language);
+    const normalized = String(text || '')
+        .replace(/[‘’]/g, "'")
+        .replace(/\btl;dr\b/gi, 'tldr');
+
+    const tokens = [];
+    let clause = 0;
+    const pattern = /[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*|[.,;:!?()\n]/gu;
+
+    for (const match of normalized.matchAll(pattern)) {
+        if (/^[.,;:!?()\n]$/.test(match[0])) {
+            clause++;
+            continue;
+        }
+
+        splitWord(match[0], vocabulary).forEach(({ word, offset }, index, parts) => {
+            if (vocabulary.clauseBreaks.includes(word)) {
+                clause++;
+            }
+
+            const start = match.index + offset;
+            const end = index + 1 < parts.length ? match.index + parts[index + 1].offset - 1 : match.index + match[0].length;
+            tokens.push({ word, start, end, clause });
+        });
+    }
+
+    return tokens;
+}
+
+// Parse a phrase into its words the way the tokenizer splits them (wildcards are kept as they are)
+function parsePhrase(phrase, vocabulary) {
+    return phrase.split(/\s+/).filter(Boolean).flatMap(word => splitWord(word.replace(/[‘’]/g, "'"), vocabulary).map(part => part.word));
+}
+
+// Does one phrase word (or wildcard) match a token?
+function matchesPhraseWord(token, part, vocabulary) {
+    if (part === '*') return true;
+    if (part === '#') return /^\d+$/.test(token.word) || vocabulary.numberWords.includes(token.word);
+    return token.word === part;
+}
+
+// Length of the match of a parsed phrase starting at tokens[index], or -1 if it does not match
+function matchPhraseAt(tokens, index, parts, vocabulary) {
+    if (index >= tokens.length) return -1;
+
+    const [part, ...rest] = parts;
+
+    if (part === '**') {
+        if (rest.length === 0) return -1;
+
+        for (let skip = 0; skip <= 3 && index + skip < tokens.length; skip++) {
+            if (tokens[index + skip].clause !== tokens[index].clause) break;
+
+            const length = matchPhraseAt(tokens, index + skip, rest, vocabulary);
+            if (length > 0) return skip + length;
+        }
+        return -1;
+    }
+
+    if (!matchesPhraseWord(tokens[index], part, vocabulary)) return -1;
+    if (rest.length === 0) return 1;
+
+    // Phrases do not run across clause boundaries
+    if (index + 1 < tokens.length && tokens[index + 1].clause !== tokens[index].clause) return -1;
+
+    const length = matchPhraseAt(tokens, index + 1, rest, vocabulary);
+    return length > 0 ? length + 1 : -1;
+}
+
+// True when a negation comes shortly before tokens[index] in the same clause. An exception word
+// next to the negation cancels it: "no more than", "don't forget", "n'oublie pas".
+function isNegatedAt(tokens, index, vocabulary) {
+    const clause = tokens[index].clause;
+
+    for (let back = 1; back <= INTENT_NEGATION_WINDOW + 1 && index - back >= 0; back++) {
+        const token = tokens[index - back];
+        if (token.clause !== clause) return false;
+        if (vocabulary.negations.includes(token.word)) {
+            const neighbours = [tokens[index - back - 1], tokens[index - back + 1]];
+            return !neighbours.some(neighbour => neighbour && neighbour.clause === clause && vocabulary.negationExceptions.includes(neighbour.word));
+        }
+    }
+
+    return false;
+}
+
+// Every match of the given phrases in a token list
+function findPhraseMatches(tokens, phrases, excludes = [], vocabulary = getIntentVocabulary()) {
+    const parsedPhrases = phrases.map(phrase => ({ phrase, parts: parsePhrase(phrase, vocabulary) }));
+    const parsedExcludes = excludes.map(phrase => parsePhrase(phrase, vocabulary));
+    const matches = [];
+
+    tokens.forEach((token, index) => {
+        if (parsedExcludes.some(parts => matchPhraseAt(tokens, index, parts, vocabulary) > 0)) return;
+
+        parsedPhrases.forEach(({ phrase, parts }) => {
+            const length = matchPhraseAt(tokens, index, parts, vocabulary);
+            if (length > 0) {
+                matches.push({
+                    phrase,
+                    start: tokens[index].start,
+                    end: tokens[index + length - 1].end,
+                    negated: isNegatedAt(tokens, index, vocabulary)
+                });
+            }
+        });
+    });
+
+    return matches;
+}
+
+// The phrases from a list that appear in the text as whole words
+function matchedPhrases(text, phrases, language = DEFAULT_LOCALE) {
+    const vocabulary = getIntentVocabulary(language);
+    const found = new Set(findPhraseMatches(tokenizePrompt(text, language), phrases, [], vocabulary).map(match => match.phrase));
+    return phrases.filter(phrase => found.has(phrase));
+}
+
+let lastIntentText = null;
+let lastIntentLanguage = null;
+let lastIntentResult = null;
+
+// Detect every intent in a prompt, in its own language unless one is given. For each intent:
+//   mentioned - the prompt talks about it at all (asked for or ruled out)
+//   requested - at least one match is not negated
+//   negated   - every match is negated ("no bullet points")
+//   matches   - [{ phrase, start, end, negated }]
+function detectIntents(text, language = detectPromptLanguage(text)) {
+    // Rules ask about the same prompt several times in a row
+    if (text === lastIntentText && language === lastIntentLanguage) return lastIntentResult;
+
+    const vocabulary = getIntentVocabulary(language);
+    const tokens = tokenizePrompt(text, language);
+    const intents = {};
+
+    Object.entries(vocabulary.definitions).forEach(([name, definition]) => {
+        const matches = findPhraseMatches(tokens, definition.phrases, definition.excludes, vocabulary);
+        const requested = matches.some(match => !match.negated);
+
+        intents[name] = {
+            mentioned: matches.length > 0,
+            requested,
+            negated: matches.length > 0 && !requested,
+            matches
+        };
+    });
+
+    lastIntentText = text;
+    lastIntentLanguage = language;
+    lastIntentResult = intents;
+    return intents;
+}
+
+export {
+    getIntentVocabulary,
+    tokenizePrompt,
+    findPhraseMatches,
+    matchedPhrases,
+    detectIntents
+};
@@ -0,0 +1,128 @@
+// LLM enhancement provider for AI Prompt Enhancer
+// Calls any OpenAI-compatible chat-completions endpoint (OpenAI, Azure-style proxies,
+// Ollama, LM Studio, vLLM, or the local stand-in in tools/mock-llm-server.js)
+
+const LLM_PROVIDER_DEFAULTS = {
+    enabled: false,
+    baseUrl: 'http://localhost:8787/v1',
+    model: 'gpt-4o-mini',
+    apiKey: '',
+    systemPrompt: 'You are an expert prompt engineer. Rewrite the user\'s prompt so that it is clear, specific and well-structured for an AI assistant. Keep the original intent and language. Reply with the improved prompt only, without commentary.',
+    temperature: 0.3,
+    timeoutMs: 15000
+};
+
+// Error raised when the provider cannot produce a usable completion
+class LlmProviderError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'LlmProviderError';
+        this.code = code;
+    }
+}
+
+// Build the chat-completions URL from a base URL such as https://api.openai.com/v1
+function buildCompletionsUrl(baseUrl) {
+    const trimmed = String(baseUrl || '').trim().replace(/\/+$/, '');
+    if (!/^https?:\/\//i.test(trimmed)) {
+        throw new LlmProviderError(`Invalid provider base URL: "${baseUrl}"`, 'invalid_config');
+    }
+    return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+}
+
+// Describe the enabled enhancement options so the model knows what to focus on
+function describeOptions(options = {}) {
+    const focus = [];
+    if (options.enhanceClarity) focus.push('clarity');
+    if (options.addContext) focus.push('context and audience');
+    if (options.improveStructure) focus.push('structure of the expected answer');
+    return focus.length ? `Focus on improving: ${focus.join(', ')}.` : '';
+}
+
+// Ask the model to set up the chosen persona (personas.js) in the rewritten prompt
+function describePersonaInstruction(persona) {
+    if (!persona) return '';
+    return `Have the rewritten prompt give the assistant this role: ${[persona.preamble, persona.tone].filter(Boolean).join(' ')}`;
+}
+
+// Ask the model to leave the placeholders of masked values (redaction.js) as they are
+function describePlaceholderInstruction(placeholders) {
+    if (!placeholders.length) return '';
+    return `Keep these placeholders exactly as written; they stand for values that were removed: ${placeholders.join(', ')}`;
+}
+
+// Request an enhanced prompt from the configured endpoint
+async function requestLlmEnhancement(prompt, options, providerConfig, persona = null, placeholders = []) {
+    const config = { ...LLM_PROVIDER_DEFAULTS, ...providerConfig };
+    const url = buildCompletionsUrl(config.baseUrl);
+
+    if (!config.model) {
+        throw new LlmProviderError('No provider model configured', 'invalid_config');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const systemPrompt = [
+        config.systemPrompt,
+        describeOptions(options),
+        describePersonaInstruction(persona),
+        describePlaceholderInstruction(placeholders)
+    ].filter(Boolean).join('\n\n');
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({
+                model: config.model,
+                temperature: config.temperature,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: prompt }
+                ]
+            })
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new LlmProviderError(`Provider timed out after ${config.timeoutMs}ms`, 'timeout');
+        }
+        throw new LlmProviderError(`Provider request failed: ${error.message}`, 'network_error');
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+        throw new LlmProviderError(`Provider responded with HTTP ${response.status}`, 'http_error');
+    }
+
+    let payload;
+    try {
+        payload = await response.json();
+    } catch (error) {
+        throw new LlmProviderError('Provider returned invalid JSON', 'bad_response');
+    }
+
+    const content = payload?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new LlmProviderError('Provider returned an empty completion', 'bad_response');
+    }
+
+    return {
+        text: content.trim(),
+        model: payload.model || config.model
+    };
+}
+
+export {
+    LLM_PROVIDER_DEFAULTS,
+    LlmProviderError,
+    requestLlmEnhancement
+};
@@ -0,0 +1,123 @@
+// Locale packs for AI Prompt Enhancer
+// A pack holds everything language-specific about how prompts are read and enhanced:
+//   name       - the language's own name, e.g. 'Français'
+//   detection  - { words, characters }: common words and letters that give the language away
+//   intents    - vocabulary for intent-detector.js:
+//                  negations, negationExceptions, numberWords, clauseBreaks
+//                  elisions    - prefixes split off before an apostrophe ("l'audience" -> "audience")
+//                  definitions - { role, audience, format, list, summary, politeness, task }, each { phrases, excludes }
+//   phrases    - what the built-in rules add; "{prompt}" marks where the prompt goes
+//   formats    - instructions for output format presets (format-presets.js), with {name} for their values
+//   analyzer   - word lists for prompt-analyzer.js: vague, unclearStarts, purpose, format, length, restrictions
+//   personas   - translations of the built-in personas (personas.js), keyed by persona id
+// Packs live in lib/locales/ and register themselves when core/enhancer.js imports them. English fills in any intent or phrase a pack lacks.
+
+const DEFAULT_LOCALE = 'en';
+
+// Scripts that identify a language by themselves. Kana is checked before Han so Japanese
+// (which mixes the two) is not taken for Chinese.
+const LOCALE_SCRIPTS = [
+    { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+    { language: 'ko', pattern: /\p{Script=Hangul}/gu },
+    { language: 'zh', pattern: /\p{Script=Han}/gu },
+    { language: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+    { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+    { language: 'he', pattern: /\p{Script=Hebrew}/gu },
+    { language: 'el', pattern: /\p{Script=Greek}/gu },
+    { language: 'hi', pattern: /\p{Script=Devanagari}/gu },
+    { language: 'th', pattern: /\p{Script=Thai}/gu }
+];
+
+const localePacks = new Map();
+
+// Register a locale pack under a language code such as 'fr'
+function registerLocalePack(code, pack) {
+    if (typeof code !== 'string' || !/^[a-z]{2,3}$/.test(code)) {
+        throw new Error(`Locale code "${code}" must be a lowercase ISO 639 code`);
+    }
+    if (!pack || !pack.detection || !Array.isArray(pack.detection.words)) {
+        throw new Error(`Locale pack "${code}" must list detection words`);
+    }
+    if (localePacks.has(code)) {
+        throw new Error(`Locale pack "${code}" is already registered`);
+    }
+
+    localePacks.set(code, { code, name: code, intents: {}, phrases: {}, ...pack });
+}
+
+// The pack for a language, or null when none is registered
+function getLocalePack(code) {
+    return localePacks.get(code) || null;
+}
+
+function getLocaleCodes() {
+    return Array.from(localePacks.keys());
+}
+
+// Guess the language of a prompt. Non-Latin scripts decide on their own; Latin text is scored
+// against each pack's common words and letters. Returns a language code, which may have no pack
+// ('ja', 'ru', ...); text with nothing to go on is taken to be the default locale.
+function detectPromptLanguage(text) {
+    const value = String(text || '');
+    const letters = (value.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return DEFAULT_LOCALE;
+
+    const latin = (value.match(/\p{Script=Latin}/gu) || []).length;
+    if (latin < letters / 2) {
+        const script = LOCALE_SCRIPTS.find(({ pattern }) => (value.match(pattern) || []).length > 0);
+        if (script) return script.language;
+    }
+
+    const lower = value.toLowerCase();
+    const words = lower.match(/\p{L}+/gu) || [];
+    let best = DEFAULT_LOCALE;
+    let bestScore = 0;
+
+    localePacks.forEach((pack, code) => {
+        const vocabulary = new Set(pack.detection.words);
+        let score = words.filter(word => vocabulary.has(word)).length;
+        for (const character of pack.detection.characters || '') {
+            score += lower.split(character).length - 1;
+        }
+
+        // Ties go to whichever scored first, and the default locale registers first
+        if (score > bestScore) {
+            best = code;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+// Fill one of a pack's phrases with the prompt, falling back to the default locale's phrase
+function fillLocalePhrase(code, key, prompt) {
+    const pack = getLocalePack(code);
+    const template = (pack && pack.phrases[key]) || getLocalePack(DEFAULT_LOCALE)?.phrases[key];
+    if (!template) {
+        throw new Error(`No "${key}" phrase for locale "${code}"`);
+    }
+
+    return template.replace('{prompt}', () => prompt);
+}
+
+// Fill one of a pack's format instructions with its values, falling back to the default locale's
+function fillLocaleFormat(code, key, values) {
+    const pack = getLocalePack(code);
+    const template = (pack && pack.formats && pack.formats[key]) || getLocalePack(DEFAULT_LOCALE)?.formats?.[key];
+    if (!template) {
+        throw new Error(`No "${key}" format for locale "${code}"`);
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+}
+
+export {
+    DEFAULT_LOCALE,
+    registerLocalePack,
+    getLocalePack,
+    getLocaleCodes,
+    detectPromptLanguage,
+    fillLocalePhrase,
+    fillLocaleFormat
+};
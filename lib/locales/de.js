@@ -0,0 +1,215 @@
+// German locale pack
+
+import { registerLocalePack } from '../locale-packs.js';
+
+registerLocalePack('de', {
+    name: 'Deutsch',
+    detection: {
+        words: [
+            'der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'sie', 'ein', 'eine', 'einen', 'mit', 'für', 'auf',
+            'wie', 'was', 'warum', 'bitte', 'zu', 'den', 'dem', 'des', 'von', 'erkläre', 'erklär', 'schreibe', 'schreib',
+            'mir', 'mein', 'meine', 'über', 'auch', 'es', 'kannst', 'gib'
+        ],
+        characters: 'ßäöü'
+    },
+    intents: {
+        negations: ['nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'keines', 'ohne', 'nie', 'niemals', 'weder', 'vermeide', 'vermeiden'],
+        // "nicht mehr als", "vergiss nicht", "nicht nur"
+        negationExceptions: ['mehr', 'weniger', 'länger', 'nur', 'vergiss', 'vergessen', 'zögere'],
+        numberWords: ['eins', 'ein', 'eine', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn', 'zwölf', 'zwanzig'],
+        clauseBreaks: ['aber', 'sondern', 'jedoch', 'obwohl', 'trotzdem'],
+        elisions: [],
+        definitions: {
+            role: {
+                phrases: [
+                    'als ein', 'als eine', 'als erfahrener', 'als erfahrene', 'als experte', 'als expertin', 'du bist ein',
+                    'du bist eine', 'sie sind ein', 'sie sind eine', 'agiere als', 'handle als', 'in der rolle', 'in die rolle',
+                    'stell dir vor du bist', 'persona'
+                ],
+                excludes: [
+                    'als eine liste', 'als ein json', 'als eine tabelle', 'als ein beispiel', 'als eine zusammenfassung',
+                    'als ein ganzes', 'als ein absatz', 'als eine e-mail'
+                ]
+            },
+            audience: {
+                phrases: [
+                    'zielgruppe', 'publikum', 'leserschaft', 'gerichtet an', 'richtet sich an', 'jahre alt', 'jährige', 'jährigen',
+                    'laie', 'laien', 'nicht-technisch', 'nicht-technische', 'nicht-technischen',
+                    // "für mein Team", "an die Entwickler"
+                    ...[
+                        'anfänger', 'anfängerin', 'anfängern', 'einsteiger', 'einsteigern', 'kind', 'kinder', 'kindern', 'schüler',
+                        'schülern', 'student', 'studenten', 'studierende', 'leser', 'lesern', 'experte', 'experten', 'entwickler',
+                        'entwicklern', 'ingenieure', 'ingenieuren', 'manager', 'führungskräfte', 'team', 'kollegen', 'kunden',
+                        'nutzer', 'nutzern', 'benutzer', 'jemanden', 'leute', 'menschen', 'klasse', 'eltern'
+                    ].flatMap(noun => [`für ** ${noun}`, `an ** ${noun}`])
+                ]
+            },
+            format: {
+                phrases: [
+                    'format', 'formatiert', 'formatierung', 'tabelle', 'tabellen', 'json', 'markdown', 'csv', 'yaml', 'xml', 'html',
+                    'codeblock', 'überschriften', 'überschrift', 'vorlage', 'gliederung', 'aufsatz', 'e-mail', 'email', 'absatz',
+                    'absätze', 'tweet', 'folie', 'folien', 'diagramm', 'tabellenkalkulation', 'bericht', 'memo'
+                ]
+            },
+            list: {
+                phrases: [
+                    'liste', 'listen', 'auflisten', 'liste auf', 'aufzählung', 'aufzählungspunkte', 'stichpunkte', 'stichpunkten',
+                    'nummeriert', 'nummerierte', 'nummerierten', 'schritt', 'schritte', 'schritten', 'schritt für schritt',
+                    'checkliste', 'top #', '# ideen', '# tipps', '# gründe', '# beispiele', '# möglichkeiten'
+                ]
+            },
+            summary: {
+                phrases: [
+                    'zusammenfassung', 'zusammenfassen', 'fasse', 'fass', 'fazit', 'schlussfolgerung', 'tldr', 'kernaussagen',
+                    'wichtigsten punkte', 'kurz gesagt', 'auf den punkt'
+                ]
+            },
+            politeness: {
+                phrases: [
+                    'bitte', 'könntest du', 'kannst du', 'würdest du', 'könnten sie', 'würden sie', 'ich möchte', 'ich hätte gern',
+                    'ich hätte gerne', 'danke', 'vielen dank'
+                ]
+            },
+            task: {
+                phrases: [
+                    'erkläre', 'erklär', 'erklären', 'schreibe', 'schreib', 'schreiben', 'liste', 'zähle', 'fasse', 'erstelle',
+                    'erstellen', 'generiere', 'beschreibe', 'beschreiben', 'vergleiche', 'vergleichen', 'analysiere', 'übersetze',
+                    'übersetzen', 'korrigiere', 'behebe', 'prüfe', 'hilf', 'helfen', 'gib', 'geben', 'mach', 'mache', 'entwirf',
+                    'entwerfe', 'plane', 'skizziere', 'schlage', 'nenne', 'nennen', 'zeige', 'zeig', 'finde', 'berechne',
+                    'konvertiere', 'formuliere', 'verbessere', 'baue', 'implementiere', 'debugge', 'bearbeite', 'überarbeite',
+                    'empfiehl', 'bewerte', 'definiere'
+                ]
+            }
+        }
+    },
+    phrases: {
+        politeRequest: 'Bitte {prompt}',
+        responseQuality: '{prompt}\n\nBitte gib eine klare, gut strukturierte Antwort.',
+        role: 'Als KI-Assistent mit Fachwissen in diesem Bereich: {prompt}',
+        audience: '{prompt}\n\nBitte erkläre es so, dass es für jemanden hilfreich ist, der sich in das Thema einarbeitet.',
+        organization: '{prompt}\n\nBitte gliedere deine Antwort, wo sinnvoll, mit klaren Abschnitten, Aufzählungspunkten oder nummerierten Schritten.',
+        summary: '{prompt}\n\nBitte schließe mit einer kurzen Zusammenfassung oder den wichtigsten Erkenntnissen ab.',
+        concise: '{prompt}\n\nBitte antworte kurz und auf den Punkt.',
+        detailed: '{prompt}\n\nBitte sei gründlich: geh auf die Details ein, gib Beispiele und nenne Sonderfälle.',
+        stepByStep: '{prompt}\n\nBitte geh Schritt für Schritt vor und nummeriere die Schritte.',
+        formatConstrained: '{prompt}\n\nBitte antworte in Markdown mit einer Überschrift pro Abschnitt und mit höchstens 300 Wörtern.'
+    },
+    formats: {
+        json: 'Antworte nur mit einem JSON-Wert, der diesem JSON Schema entspricht, ohne Erklärung und ohne Codeblock.\n{schema}',
+        table: 'Antworte mit einer einzigen Markdown-Tabelle mit genau diesen Spalten in dieser Reihenfolge: {columns}. Schreib einen Eintrag pro Zeile und nichts vor oder nach der Tabelle.',
+        csv: 'Antworte nur als CSV: eine Kopfzeile mit den Spalten {columns}, dann eine Zeile pro Eintrag. Trenne die Felder mit Kommas und setze Felder mit Kommas, Anführungszeichen oder Zeilenumbrüchen in doppelte Anführungszeichen. Kein Codeblock und keine Erklärung.',
+        code: 'Antworte mit einem einzigen {language}-Codeblock und sonst nichts. Schreib Erklärungen als Kommentare in den Code.',
+        steps: 'Antworte als nummerierte Liste von Schritten. Jeder Schritt ist eine einzelne Handlung und beginnt mit einem Verb.',
+        stepsLimit: 'Antworte als nummerierte Liste mit höchstens {steps} Schritten. Jeder Schritt ist eine einzelne Handlung und beginnt mit einem Verb.',
+        limit: 'Halte die gesamte Antwort unter {words} Wörtern.',
+        limitExample: '... (höchstens {words} Wörter)',
+        example: 'Beispielstruktur:'
+    },
+    analyzer: {
+        vague: ['etwas', 'irgendwas', 'irgendwie', 'sachen', 'ding', 'dinge', 'zeug', 'usw', 'etc', 'egal was', 'einige'],
+        unclearStarts: ['es', 'das', 'dies', 'dieses', 'diese', 'sie', 'er'],
+        purpose: [
+            'weil', 'damit', 'um ** zu', 'mein ziel', 'unser ziel', 'das ziel', 'ich bin', 'wir sind', 'kontext', 'hintergrund',
+            'ich brauche', 'wir brauchen'
+        ],
+        format: ['strukturiert', 'strukturierte', 'abschnitte', 'code'],
+        length: [
+            'wörter', 'wörtern', 'sätze', 'sätzen', 'satz', 'absätze', 'absätzen', 'zeilen', 'seiten', 'kurz', 'kurze', 'knapp',
+            'prägnant', 'ausführlich', 'detailliert', 'höchstens', 'mindestens', 'nicht mehr als', 'unter', 'maximal', 'minimal',
+            'grenze'
+        ],
+        restrictions: [
+            'vermeide', 'vermeiden', 'nicht', 'ohne', 'nur', 'muss', 'musst', 'müssen', 'nie', 'niemals', 'immer', 'ton', 'tonfall',
+            'formell', 'förmlich', 'locker', 'freundlich', 'professionell', 'stil', 'sprache'
+        ]
+    },
+    personas: {
+        'builtin.software-engineer': {
+            name: 'Senior-Softwareentwickler',
+            preamble: 'Du bist ein Senior-Softwareentwickler, der klaren, wartbaren und gut getesteten Code schreibt.',
+            tone: 'Sei direkt und technisch, und erkläre die Abwägungen hinter deinen Empfehlungen.',
+            constraints: ['Setze Code in Codeblöcke und nenne die Sprache.', 'Weise auf Randfälle hin und darauf, wie man sie testet.'],
+            topics: [
+                'code', 'programmieren', 'funktion', 'bug', 'debuggen', 'fehler', 'fehlermeldung', 'exception', 'api', 'python',
+                'javascript', 'typescript', 'java', 'sql', 'regex', 'refactoring', 'kompilieren', 'algorithmus', 'git',
+                'deployen', 'docker', 'unit-test', 'unit-tests', 'skript', 'bibliothek'
+            ]
+        },
+        'builtin.copy-editor': {
+            name: 'Lektor',
+            preamble: 'Du bist ein erfahrener Lektor mit einem scharfen Blick für Grammatik, Klarheit und einheitlichen Stil.',
+            tone: 'Sei genau und konstruktiv, und bewahre die Stimme des Autors.',
+            constraints: ['Gib zuerst den überarbeiteten Text und liste dann die wichtigsten Änderungen auf.', 'Ändere nicht den Sinn des Originals.'],
+            topics: [
+                'korrigiere', 'korrigieren', 'korrekturlesen', 'lektorat', 'grammatik', 'rechtschreibung', 'tippfehler',
+                'zeichensetzung', 'umformulieren', 'formuliere', 'umschreiben', 'formulierung', 'satz', 'sätze',
+                'styleguide', 'überarbeiten', 'überarbeite'
+            ]
+        },
+        'builtin.data-analyst': {
+            name: 'Datenanalyst',
+            preamble: 'Du bist ein Datenanalyst, der aus Daten klare, gut begründete Schlüsse zieht.',
+            tone: 'Sei gründlich und verständlich, und nenne deine Annahmen und wie sicher du dir bist.',
+            constraints: ['Zeige die Methode, Formel oder Abfrage hinter jedem Ergebnis.', 'Fasse die Ergebnisse mit den wichtigsten Zahlen zusammen.'],
+            topics: [
+                'daten', 'datensatz', 'datensätze', 'statistik', 'statistiken', 'durchschnitt', 'mittelwert', 'median',
+                'korrelation', 'regression', 'trend', 'trends', 'kennzahl', 'kennzahlen', 'kpi', 'tabellenkalkulation', 'excel',
+                'pivot', 'dashboard', 'analysiere', 'analysieren', 'analyse', 'prognose'
+            ]
+        },
+        'builtin.tutor': {
+            name: 'Nachhilfelehrer',
+            preamble: 'Du bist ein geduldiger Nachhilfelehrer, der hilft, ein Thema Schritt für Schritt zu verstehen.',
+            tone: 'Sei ermutigend und klar, und erkläre Fachbegriffe, die du verwendest.',
+            constraints: ['Baue auf den Grundlagen auf und rechne ein Beispiel vor.', 'Schließe mit einer kurzen Frage, die das Verständnis prüft.'],
+            topics: [
+                'lernen', 'verstehen', 'bring mir bei', 'beibringen', 'hausaufgaben', 'hausaufgabe', 'studieren', 'prüfung',
+                'klausur', 'lektion', 'konzept', 'theorem', 'gleichung', 'gleichungen', 'mathe', 'mathematik',
+                'physik', 'chemie', 'biologie'
+            ]
+        },
+        'builtin.legal-reviewer': {
+            name: 'Juristische Prüfung',
+            preamble: 'Du bist ein sorgfältiger juristischer Prüfer, der Dokumente auf Risiken, Pflichten und Unklarheiten liest.',
+            tone: 'Sei vorsichtig und genau, und sage deutlich, dass dies keine Rechtsberatung ist.',
+            constraints: ['Zitiere die Klauseln, auf die du dich beziehst.', 'Ordne die Probleme nach Risiko.'],
+            topics: [
+                'vertrag', 'verträge', 'klausel', 'klauseln', 'vereinbarung', 'agb', 'haftung', 'nda', 'dsgvo', 'gdpr',
+                'compliance', 'rechtlich', 'juristisch', 'klage', 'lizenz', 'datenschutzerklärung', 'gewährleistung',
+                'garantie', 'mietvertrag', 'gerichtsstand'
+            ]
+        },
+        'builtin.marketing-writer': {
+            name: 'Werbetexter',
+            preamble: 'Du bist ein Werbetexter, der überzeugende Texte für eine bestimmte Zielgruppe schreibt.',
+            tone: 'Sei lebendig und stelle den Nutzen in den Vordergrund, ohne zu viel zu versprechen.',
+            constraints: ['Biete drei Varianten an.', 'Halte Überschriften unter zehn Wörtern.'],
+            topics: [
+                'marketing', 'kampagne', 'slogan', 'claim', 'headline', 'schlagzeile', 'werbung', 'anzeige', 'anzeigen',
+                'landingpage', 'newsletter', 'produktbeschreibung', 'seo', 'marke', 'social media', 'instagram', 'linkedin',
+                'call to action', 'werbetext'
+            ]
+        },
+        'builtin.product-manager': {
+            name: 'Produktmanager',
+            preamble: 'Du bist ein Produktmanager, der Nutzerbedürfnisse, Geschäftsziele und Entwicklungsaufwand abwägt.',
+            tone: 'Sei pragmatisch und strukturiert, und mache Prioritäten ausdrücklich.',
+            constraints: ['Beschreibe das Problem und wie Erfolg gemessen wird, bevor du eine Lösung nennst.', 'Liste offene Fragen und Risiken auf.'],
+            topics: [
+                'roadmap', 'feature', 'features', 'anforderungen', 'user story', 'user stories', 'priorisieren',
+                'priorisierung', 'stakeholder', 'mvp', 'backlog', 'sprint', 'okr', 'okrs', 'produkteinführung',
+                'produktstrategie', 'markteinführung'
+            ]
+        },
+        'builtin.researcher': {
+            name: 'Rechercheassistent',
+            preamble: 'Du bist ein Rechercheassistent, der Belege sammelt und ausgewogen darstellt.',
+            tone: 'Sei neutral und gründlich, und trenne Fakten von Deutung.',
+            constraints: ['Nenne Quellen oder sage, woher die Belege kämen.', 'Weise auf abweichende Ansichten und offene Fragen hin.'],
+            topics: [
+                'recherche', 'recherchiere', 'forschung', 'studien', 'fachartikel', 'literatur', 'belege', 'quellen', 'zitat',
+                'zitate', 'hypothese', 'peer-review', 'metaanalyse', 'geschichte der', 'geschichte des', 'vor- und nachteile'
+            ]
+        }
+    }
+});
@@ -0,0 +1,129 @@
+// English locale pack; also the fallback for anything another pack leaves out
+
+import { registerLocalePack } from '../locale-packs.js';
+
+registerLocalePack('en', {
+    name: 'English',
+    detection: {
+        words: [
+            'the', 'and', 'is', 'are', 'you', 'your', 'what', 'how', 'why', 'please', 'with', 'for', 'this', 'that',
+            'of', 'to', 'in', 'on', 'it', 'be', 'an', 'my', 'me', 'about', 'can', 'should', 'would', 'write',
+            'explain', 'give', 'make', 'which', 'from'
+        ],
+        characters: ''
+    },
+    intents: {
+        negations: ['not', 'no', 'never', 'without', 'avoid', 'skip', 'nor', 'neither', 'omit', 'dont', 'cannot'],
+        // Words that turn a negation into something else: "no more than", "don't forget", "not only"
+        negationExceptions: ['more', 'less', 'fewer', 'longer', 'shorter', 'later', 'only', 'forget', 'hesitate', 'fail', 'miss', 'matter'],
+        numberWords: ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'twelve', 'twenty'],
+        clauseBreaks: ['but', 'however', 'although', 'though', 'instead'],
+        elisions: [],
+        definitions: {
+            role: {
+                phrases: [
+                    'as a', 'as an', 'act as', 'acting as', 'you are a', 'you are an', "you're a", "you're an",
+                    'pretend to be', 'pretend you are', 'imagine you are', 'in the role of', 'take on the role', 'persona'
+                ],
+                excludes: [
+                    'as a result', 'as a whole', 'as a rule', 'as an example', 'as a reminder', 'as a side', 'as a bonus',
+                    'as a list', 'as a table', 'as a bulleted', 'as a numbered', 'as a json', 'as a markdown', 'as a csv',
+                    'as a summary', 'as an outline', 'as a paragraph', 'as an essay', 'as an email', 'as a poem', 'as a story',
+                    'as a single', 'as a string', 'as a function', 'as a script', 'as a starting', 'as a last', 'as a first'
+                ]
+            },
+            audience: {
+                phrases: [
+                    'audience', 'target audience', 'explain to', 'explained to', 'aimed at', 'targeting', 'targeted at',
+                    'written for', 'year old', 'year-old', 'years old', 'eli5', "like i'm five", 'like i am five',
+                    'layperson', 'laypeople', 'non-technical', 'nontechnical',
+                    // "for my team", "to a beginner", "for non-technical readers"
+                    ...[
+                        'beginner', 'beginners', 'novice', 'novices', 'newcomer', 'newcomers', 'kid', 'kids', 'child', 'children',
+                        'student', 'students', 'reader', 'readers', 'expert', 'experts', 'non-experts', 'developer', 'developers',
+                        'engineer', 'engineers', 'manager', 'managers', 'executive', 'executives', 'team', 'colleague', 'colleagues',
+                        'customer', 'customers', 'client', 'clients', 'user', 'users', 'someone', 'anyone', 'people', 'boss', 'class',
+                        'parents', 'stakeholders', 'audience'
+                    ].flatMap(noun => [`for ** ${noun}`, `to ** ${noun}`])
+                ]
+            },
+            format: {
+                phrases: [
+                    'format', 'formatted', 'formatting', 'output', 'table', 'tables', 'json', 'markdown', 'csv', 'yaml', 'xml',
+                    'html', 'code block', 'headings', 'heading', 'template', 'outline', 'essay', 'email', 'paragraph',
+                    'paragraphs', 'tweet', 'slide', 'slides', 'diagram', 'chart', 'spreadsheet', 'memo', 'report'
+                ]
+            },
+            list: {
+                phrases: [
+                    'list', 'lists', 'listing', 'bullet', 'bullets', 'bullet point', 'bullet points', 'bulleted', 'bullet-point',
+                    'numbered', 'step', 'steps', 'step-by-step', 'checklist', 'enumerate', 'itemize', 'itemise', 'top #',
+                    '# ways', '# ideas', '# tips', '# reasons', '# examples', '# options'
+                ],
+                excludes: ['step in', 'step up', 'step down', 'step away', 'step back', 'step aside']
+            },
+            summary: {
+                phrases: [
+                    'summary', 'summaries', 'summarize', 'summarise', 'summarized', 'summarised', 'sum up', 'summing up',
+                    'conclusion', 'conclude', 'tldr', 'key takeaways', 'takeaways', 'recap', 'in short', 'in a nutshell'
+                ]
+            },
+            politeness: {
+                phrases: [
+                    'please', 'pls', 'plz', 'kindly', 'could you', 'would you', 'can you', 'would you mind', 'i would like',
+                    "i'd like", 'thank you', 'thanks'
+                ]
+            },
+            // Verbs that ask for something to be done (a question mark counts too, see prompt-analyzer.js)
+            task: {
+                phrases: [
+                    'write', 'explain', 'list', 'summarize', 'summarise', 'create', 'generate', 'describe', 'compare',
+                    'analyze', 'analyse', 'translate', 'fix', 'review', 'help', 'give', 'make', 'draft', 'design', 'plan',
+                    'outline', 'suggest', 'tell', 'show', 'find', 'calculate', 'convert', 'rewrite', 'improve', 'build',
+                    'implement', 'debug', 'edit', 'proofread', 'recommend', 'evaluate', 'teach', 'define', 'brainstorm'
+                ]
+            }
+        }
+    },
+    phrases: {
+        politeRequest: 'Please {prompt}',
+        responseQuality: '{prompt}\n\nPlease provide a clear, well-structured response.',
+        role: 'As an AI assistant with expertise in this area, {prompt}',
+        audience: '{prompt}\n\nPlease explain this in a way that would be helpful for someone learning about this topic.',
+        organization: '{prompt}\n\nPlease organize your response with clear sections, bullet points, or numbered steps where appropriate.',
+        summary: '{prompt}\n\nPlease provide a brief summary or key takeaways at the end.',
+        concise: '{prompt}\n\nPlease keep the answer short and to the point.',
+        detailed: '{prompt}\n\nPlease be thorough: cover the details, give examples and mention edge cases.',
+        stepByStep: '{prompt}\n\nPlease work through this step by step and number the steps.',
+        formatConstrained: '{prompt}\n\nPlease answer in Markdown with a heading per section and no more than 300 words.'
+    },
+    formats: {
+        json: 'Answer with one JSON value that is valid against this JSON Schema and nothing else: no explanation and no code fences.\n{schema}',
+        table: 'Answer with one Markdown table with exactly these columns, in this order: {columns}. Put one item per row and write nothing before or after the table.',
+        csv: 'Answer in CSV only: a header row with the columns {columns}, then one row per item. Separate fields with commas and put double quotes around fields that contain commas, quotes or line breaks. No code fences and no explanation.',
+        code: 'Answer with one {language} code block and nothing else. Put any explanation in code comments.',
+        steps: 'Answer as a numbered list of steps. Each step is one action and starts with a verb.',
+        stepsLimit: 'Answer as a numbered list of at most {steps} steps. Each step is one action and starts with a verb.',
+        limit: 'Keep the whole answer under {words} words.',
+        limitExample: '... ({words} words or fewer)',
+        example: 'Example structure:'
+    },
+    // Word lists for prompt-analyzer.js
+    analyzer: {
+        vague: ['something', 'stuff', 'things', 'thing', 'etc', 'whatever', 'kind of', 'sort of', 'somehow', 'some'],
+        unclearStarts: ['it', 'this', 'that', 'they', 'these', 'those'],
+        purpose: [
+            'because', 'so that', 'in order to', 'my goal', 'our goal', 'the goal', 'i am', "i'm", 'we are', "we're", 'context',
+            'background', 'i need', 'we need'
+        ],
+        format: ['structured', 'well-structured', 'sections', 'code'],
+        length: [
+            'words', 'sentences', 'sentence', 'paragraphs', 'lines', 'pages', 'short', 'brief', 'concise', 'detailed',
+            'in depth', 'at most', 'at least', 'no more than', 'under', 'maximum', 'minimum', 'limit'
+        ],
+        restrictions: [
+            'avoid', "don't", 'do not', 'without', 'only', 'must', 'never', 'always', 'exclude', 'tone', 'formal',
+            'casual', 'friendly', 'professional', 'style', 'language'
+        ]
+    }
+});
@@ -0,0 +1,215 @@
+// Spanish locale pack
+
+import { registerLocalePack } from '../locale-packs.js';
+
+registerLocalePack('es', {
+    name: 'Español',
+    detection: {
+        words: [
+            'el', 'la', 'los', 'las', 'que', 'de', 'del', 'y', 'es', 'por', 'para', 'con', 'una', 'un', 'al', 'cómo',
+            'qué', 'mi', 'mis', 'tu', 'explica', 'escribe', 'dame', 'favor', 'puedes', 'sobre', 'está', 'son', 'pero',
+            'más', 'lo', 'se', 'muy', 'también', 'hazme'
+        ],
+        characters: 'ñ¿¡áíóú'
+    },
+    intents: {
+        negations: ['no', 'nunca', 'jamás', 'sin', 'ni', 'tampoco', 'evita', 'evitar', 'evites', 'omite', 'omitir'],
+        negationExceptions: ['más', 'menos', 'solo', 'sólo', 'olvides', 'dudes', 'importa'],
+        numberWords: ['uno', 'una', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez', 'doce', 'veinte'],
+        clauseBreaks: ['pero', 'sino', 'aunque'],
+        elisions: [],
+        definitions: {
+            role: {
+                phrases: [
+                    'actúa como', 'actua como', 'como un', 'como una', 'eres un', 'eres una', 'imagina que eres', 'finge ser',
+                    'en el papel de', 'en el rol de', 'asume el rol', 'haz de', 'persona'
+                ],
+                excludes: [
+                    'como un todo', 'como una lista', 'como una tabla', 'como un resumen', 'como un ejemplo', 'como un json',
+                    'como un párrafo', 'como un correo', 'como un esquema', 'como una regla'
+                ]
+            },
+            audience: {
+                phrases: [
+                    'audiencia', 'público objetivo', 'dirigido a', 'dirigida a', 'destinado a', 'destinada a', 'pensado para',
+                    'explícale a', 'de # años', 'no técnico', 'no técnica', 'no técnicos', 'profano', 'profanos',
+                    // "para mi equipo", "a un principiante"
+                    ...[
+                        'principiante', 'principiantes', 'novato', 'novatos', 'niño', 'niños', 'niña', 'niñas', 'estudiante',
+                        'estudiantes', 'alumnos', 'lector', 'lectores', 'experto', 'expertos', 'desarrollador', 'desarrolladores',
+                        'ingeniero', 'ingenieros', 'gerente', 'gerentes', 'directivos', 'jefe', 'equipo', 'compañeros', 'colegas',
+                        'cliente', 'clientes', 'usuario', 'usuarios', 'alguien', 'personas', 'gente', 'clase', 'padres', 'público'
+                    ].flatMap(noun => [`para ** ${noun}`, `a ** ${noun}`])
+                ]
+            },
+            format: {
+                phrases: [
+                    'formato', 'formateado', 'tabla', 'tablas', 'json', 'markdown', 'csv', 'yaml', 'xml', 'html',
+                    'bloque de código', 'encabezados', 'títulos', 'plantilla', 'esquema', 'ensayo', 'correo', 'email',
+                    'párrafo', 'párrafos', 'tuit', 'diapositiva', 'diapositivas', 'diagrama', 'gráfico', 'hoja de cálculo',
+                    'informe', 'memorando'
+                ]
+            },
+            list: {
+                phrases: [
+                    'lista', 'listas', 'enumera', 'enumerar', 'viñeta', 'viñetas', 'numerada', 'numeradas', 'numerados',
+                    'paso', 'pasos', 'paso a paso', 'checklist', 'top #', '# ideas', '# consejos', '# formas', '# maneras',
+                    '# razones', '# ejemplos', '# opciones'
+                ]
+            },
+            summary: {
+                phrases: [
+                    'resumen', 'resume', 'resumir', 'resúmelo', 'resumido', 'conclusión', 'conclusiones', 'en resumen',
+                    'en pocas palabras', 'tldr', 'puntos clave', 'recapitula'
+                ]
+            },
+            politeness: {
+                phrases: [
+                    'por favor', 'porfa', 'podrías', 'podría', 'puedes', 'me gustaría', 'quisiera', 'te agradecería',
+                    'gracias'
+                ]
+            },
+            task: {
+                phrases: [
+                    'explica', 'explique', 'explícame', 'explicar', 'escribe', 'escriba', 'escribir', 'enumera', 'enumere',
+                    'resume', 'resuma', 'resumir', 'crea', 'crear', 'genera', 'genere', 'generar', 'describe', 'describa',
+                    'compara', 'compare', 'analiza', 'analice', 'traduce', 'traduzca', 'corrige', 'corrija', 'arregla',
+                    'revisa', 'revise', 'ayuda', 'ayúdame', 'ayude', 'dame', 'danos', 'haz', 'hazme', 'haga', 'redacta',
+                    'redacte', 'diseña', 'planifica', 'sugiere', 'sugiera', 'propón', 'dime', 'muestra', 'muéstrame',
+                    'encuentra', 'busca', 'calcula', 'convierte', 'reescribe', 'mejora', 'construye', 'implementa', 'depura',
+                    'edita', 'recomienda', 'evalúa', 'enseña', 'define'
+                ]
+            }
+        }
+    },
+    phrases: {
+        politeRequest: 'Por favor, {prompt}',
+        responseQuality: '{prompt}\n\nPor favor, ofrece una respuesta clara y bien estructurada.',
+        role: 'Como asistente de IA con experiencia en este campo, {prompt}',
+        audience: '{prompt}\n\nPor favor, explícalo de forma que resulte útil para alguien que está aprendiendo sobre este tema.',
+        organization: '{prompt}\n\nPor favor, organiza tu respuesta con secciones claras, viñetas o pasos numerados cuando corresponda.',
+        summary: '{prompt}\n\nPor favor, incluye al final un breve resumen o las conclusiones clave.',
+        concise: '{prompt}\n\nPor favor, da una respuesta breve y directa.',
+        detailed: '{prompt}\n\nPor favor, sé exhaustivo: cubre los detalles, da ejemplos y menciona los casos límite.',
+        stepByStep: '{prompt}\n\nPor favor, resuélvelo paso a paso y numera los pasos.',
+        formatConstrained: '{prompt}\n\nPor favor, responde en Markdown con un título por sección y en no más de 300 palabras.'
+    },
+    formats: {
+        json: 'Responde solo con un valor JSON válido según este JSON Schema, sin explicaciones ni bloques de código.\n{schema}',
+        table: 'Responde con una única tabla Markdown con exactamente estas columnas, en este orden: {columns}. Pon un elemento por fila y no escribas nada antes ni después de la tabla.',
+        csv: 'Responde solo en CSV: una fila de encabezado con las columnas {columns} y luego una fila por elemento. Separa los campos con comas y pon entre comillas dobles los campos que contengan comas, comillas o saltos de línea. Sin bloques de código ni explicaciones.',
+        code: 'Responde con un único bloque de código {language} y nada más. Pon cualquier explicación en comentarios del código.',
+        steps: 'Responde con una lista numerada de pasos. Cada paso es una sola acción y empieza con un verbo.',
+        stepsLimit: 'Responde con una lista numerada de {steps} pasos como máximo. Cada paso es una sola acción y empieza con un verbo.',
+        limit: 'Mantén toda la respuesta por debajo de {words} palabras.',
+        limitExample: '... ({words} palabras o menos)',
+        example: 'Estructura de ejemplo:'
+    },
+    analyzer: {
+        vague: ['algo', 'cosas', 'cosa', 'etc', 'lo que sea', 'más o menos', 'de alguna manera', 'algunos', 'algunas'],
+        unclearStarts: ['esto', 'eso', 'ello', 'estos', 'esos', 'estas', 'esas', 'él', 'ella', 'ellos'],
+        purpose: [
+            'porque', 'para que', 'con el fin de', 'mi objetivo', 'nuestro objetivo', 'el objetivo', 'soy', 'estoy', 'somos',
+            'estamos', 'contexto', 'necesito', 'necesitamos'
+        ],
+        format: ['estructurado', 'estructurada', 'secciones', 'código'],
+        length: [
+            'palabras', 'frases', 'frase', 'oraciones', 'párrafos', 'líneas', 'páginas', 'corto', 'corta', 'breve', 'conciso',
+            'concisa', 'detallado', 'detallada', 'en profundidad', 'como máximo', 'como mínimo', 'no más de', 'menos de',
+            'máximo', 'mínimo', 'límite'
+        ],
+        restrictions: [
+            'evita', 'evite', 'no', 'sin', 'solo', 'sólo', 'solamente', 'debe', 'debes', 'nunca', 'siempre', 'excluye', 'tono',
+            'formal', 'informal', 'amigable', 'profesional', 'estilo', 'idioma'
+        ]
+    },
+    personas: {
+        'builtin.software-engineer': {
+            name: 'Ingeniero de software sénior',
+            preamble: 'Eres un ingeniero de software sénior que escribe código claro, mantenible y bien probado.',
+            tone: 'Sé directo y técnico, y explica los compromisos detrás de tus recomendaciones.',
+            constraints: ['Pon el código en bloques de código e indica el lenguaje.', 'Señala los casos límite y cómo probarlos.'],
+            topics: [
+                'código', 'programar', 'función', 'bug', 'depurar', 'error', 'excepción', 'api', 'python', 'javascript',
+                'typescript', 'java', 'sql', 'regex', 'refactorizar', 'compilar', 'algoritmo', 'git', 'desplegar', 'docker',
+                'prueba unitaria', 'pruebas unitarias', 'script', 'librería', 'biblioteca'
+            ]
+        },
+        'builtin.copy-editor': {
+            name: 'Corrector de estilo',
+            preamble: 'Eres un corrector de estilo con experiencia y buen ojo para la gramática, la claridad y la coherencia.',
+            tone: 'Sé preciso y constructivo, y respeta la voz del autor.',
+            constraints: ['Da primero el texto corregido y después enumera los cambios más importantes.', 'No cambies el sentido del original.'],
+            topics: [
+                'corrige', 'corregir', 'gramática', 'ortografía', 'errata', 'erratas', 'puntuación',
+                'reformula', 'reformular', 'reescribe', 'reescribir', 'redacción', 'frase', 'frases', 'guía de estilo', 'pulir'
+            ]
+        },
+        'builtin.data-analyst': {
+            name: 'Analista de datos',
+            preamble: 'Eres un analista de datos que convierte los datos en conclusiones claras y bien fundamentadas.',
+            tone: 'Sé riguroso y llano, y expón tus supuestos y tu grado de certeza.',
+            constraints: ['Muestra el método, la fórmula o la consulta detrás de cada resultado.', 'Resume las conclusiones con las cifras clave.'],
+            topics: [
+                'datos', 'conjunto de datos', 'estadística', 'estadísticas', 'promedio', 'media', 'mediana', 'correlación',
+                'regresión', 'tendencia', 'tendencias', 'métrica', 'métricas', 'kpi', 'hoja de cálculo', 'excel',
+                'tabla dinámica', 'dashboard', 'analiza', 'analizar', 'análisis', 'previsión'
+            ]
+        },
+        'builtin.tutor': {
+            name: 'Tutor',
+            preamble: 'Eres un tutor paciente que ayuda a entender una materia paso a paso.',
+            tone: 'Sé alentador y claro, y explica la jerga que uses.',
+            constraints: ['Parte de lo básico e incluye un ejemplo resuelto.', 'Termina con una pregunta breve que compruebe lo aprendido.'],
+            topics: [
+                'aprender', 'aprendizaje', 'entender', 'comprender', 'enséñame', 'enseñar', 'deberes', 'tarea', 'estudiar',
+                'examen', 'exámenes', 'lección', 'concepto', 'teorema', 'ecuación', 'ecuaciones', 'matemáticas', 'física',
+                'química', 'biología'
+            ]
+        },
+        'builtin.legal-reviewer': {
+            name: 'Revisor legal',
+            preamble: 'Eres un revisor legal minucioso que lee documentos en busca de riesgos, obligaciones y ambigüedades.',
+            tone: 'Sé prudente y exacto, y deja claro que esto no es asesoramiento jurídico.',
+            constraints: ['Cita las cláusulas a las que te refieras.', 'Ordena los problemas según su riesgo.'],
+            topics: [
+                'contrato', 'contratos', 'cláusula', 'cláusulas', 'acuerdo', 'términos y condiciones', 'responsabilidad',
+                'nda', 'rgpd', 'gdpr', 'cumplimiento', 'legal', 'demanda', 'licencia', 'política de privacidad',
+                'indemnización', 'garantía', 'arrendamiento', 'jurisdicción'
+            ]
+        },
+        'builtin.marketing-writer': {
+            name: 'Redactor publicitario',
+            preamble: 'Eres un redactor publicitario que escribe textos persuasivos para un público concreto.',
+            tone: 'Sé animado y céntrate en los beneficios sin prometer de más.',
+            constraints: ['Ofrece tres variantes.', 'Mantén los titulares por debajo de diez palabras.'],
+            topics: [
+                'marketing', 'campaña', 'eslogan', 'titular', 'titulares', 'anuncio', 'anuncios', 'página de aterrizaje',
+                'boletín', 'descripción de producto', 'seo', 'marca', 'redes sociales', 'instagram', 'linkedin',
+                'llamada a la acción', 'promoción'
+            ]
+        },
+        'builtin.product-manager': {
+            name: 'Product manager',
+            preamble: 'Eres un product manager que sopesa las necesidades de los usuarios, los objetivos de negocio y el esfuerzo de ingeniería.',
+            tone: 'Sé pragmático y estructurado, y haz explícitas las prioridades.',
+            constraints: ['Plantea el problema y cómo se medirá el éxito antes de la solución.', 'Enumera las preguntas abiertas y los riesgos.'],
+            topics: [
+                'roadmap', 'hoja de ruta', 'funcionalidad', 'funcionalidades', 'requisitos', 'historia de usuario',
+                'historias de usuario', 'priorizar', 'priorización', 'stakeholders', 'partes interesadas', 'mvp', 'backlog',
+                'sprint', 'okr', 'lanzamiento', 'estrategia de producto'
+            ]
+        },
+        'builtin.researcher': {
+            name: 'Asistente de investigación',
+            preamble: 'Eres un asistente de investigación que reúne pruebas y las presenta con imparcialidad.',
+            tone: 'Sé neutral y exhaustivo, y separa los hechos de la interpretación.',
+            constraints: ['Cita las fuentes o indica de dónde saldrían las pruebas.', 'Señala las opiniones enfrentadas y las preguntas abiertas.'],
+            topics: [
+                'investigación', 'investigar', 'estudios', 'artículo científico', 'artículos', 'literatura', 'evidencia',
+                'pruebas', 'fuentes', 'cita', 'citas', 'hipótesis', 'revisión por pares', 'metaanálisis', 'historia de',
+                'pros y contras'
+            ]
+        }
+    }
+});
@@ -0,0 +1,217 @@
+// French locale pack
+
+import { registerLocalePack } from '../locale-packs.js';
+
+registerLocalePack('fr', {
+    name: 'Français',
+    detection: {
+        words: [
+            'le', 'la', 'les', 'des', 'du', 'et', 'est', 'une', 'un', 'pour', 'avec', 'que', 'qui', 'dans', 'sur',
+            'pas', 'je', 'tu', 'vous', 'mon', 'ma', 'mes', 'explique', 'expliquez', 'écris', 'écrivez', 'comment',
+            'quel', 'quelle', 'ce', 'cette', 'il', 'au', 'aux', 'moi', 'plaît'
+        ],
+        characters: 'çœàâèêëîïôûù'
+    },
+    intents: {
+        negations: ['ne', 'n', 'pas', 'sans', 'jamais', 'aucun', 'aucune', 'ni', 'évite', 'évitez', 'éviter', 'omets', 'omettez'],
+        // "pas plus de", "n'oublie pas", "pas seulement"
+        negationExceptions: ['plus', 'moins', 'seulement', 'oublie', 'oubliez', 'hésite', 'hésitez'],
+        numberWords: ['un', 'une', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix', 'douze', 'vingt'],
+        clauseBreaks: ['mais', 'cependant', 'pourtant', 'toutefois', 'plutôt'],
+        elisions: ['l', 'd', 'j', 'm', 'n', 's', 't', 'c', 'qu', 'jusqu', 'lorsqu', 'puisqu'],
+        definitions: {
+            role: {
+                phrases: [
+                    'en tant que', 'agis comme', 'agissez comme', 'joue le rôle', 'jouez le rôle', 'dans le rôle de',
+                    'tu es un', 'tu es une', 'vous êtes un', 'vous êtes une', 'imagine que tu es', 'imaginez que vous êtes',
+                    'comme un expert', 'comme une experte', 'persona'
+                ]
+            },
+            audience: {
+                phrases: [
+                    'public cible', 'audience', 'destiné à', 'destinée à', 'adressé à', 'adressée à', 'explique à', 'expliquez à',
+                    'de # ans', 'non technique', 'non-technique', 'non techniques', 'néophyte', 'néophytes', 'profane', 'profanes',
+                    // "pour mon équipe", "à un débutant"
+                    ...[
+                        'débutant', 'débutants', 'débutante', 'novice', 'novices', 'enfant', 'enfants', 'étudiant', 'étudiants',
+                        'élève', 'élèves', 'lecteur', 'lecteurs', 'expert', 'experts', 'développeur', 'développeurs', 'ingénieur',
+                        'ingénieurs', 'manager', 'managers', 'dirigeants', 'responsable', 'équipe', 'collègue', 'collègues',
+                        'client', 'clients', 'utilisateur', 'utilisateurs', "quelqu'un", 'gens', 'classe', 'parents', 'public'
+                    ].flatMap(noun => [`pour ** ${noun}`, `à ** ${noun}`])
+                ]
+            },
+            format: {
+                phrases: [
+                    'format', 'formaté', 'mise en forme', 'tableau', 'tableaux', 'json', 'markdown', 'csv', 'yaml', 'xml', 'html',
+                    'bloc de code', 'titres', 'intertitres', 'gabarit', 'dissertation', 'e-mail', 'email', 'courriel', 'paragraphe',
+                    'paragraphes', 'tweet', 'diapositive', 'diapositives', 'diagramme', 'graphique', 'tableur', 'rapport',
+                    'note de synthèse'
+                ]
+            },
+            list: {
+                phrases: [
+                    'liste', 'listes', 'lister', 'énumère', 'énumérez', 'énumérer', 'puce', 'puces', 'numérotée', 'numérotées',
+                    'numérotés', 'étape', 'étapes', 'étape par étape', 'checklist', 'top #', '# idées', '# conseils', '# façons',
+                    '# raisons', '# exemples', '# options'
+                ]
+            },
+            summary: {
+                phrases: [
+                    'résumé', 'résume', 'résumez', 'résumer', 'synthèse', 'synthétise', 'conclusion', 'conclus', 'en résumé',
+                    'en bref', 'tldr', 'points clés', 'à retenir', 'récapitulatif'
+                ]
+            },
+            politeness: {
+                phrases: [
+                    "s'il te plaît", "s'il vous plaît", "s'il te plait", "s'il vous plait", 'stp', 'svp', 'merci',
+                    'pourrais-tu', 'pourriez-vous', 'peux-tu', 'pouvez-vous', 'je voudrais', "j'aimerais", 'veuillez'
+                ]
+            },
+            task: {
+                phrases: [
+                    'explique', 'expliquez', 'expliquer', 'écris', 'écrivez', 'écrire', 'liste', 'listez', 'énumère', 'énumérez',
+                    'résume', 'résumez', 'résumer', 'crée', 'créez', 'créer', 'génère', 'générez', 'générer', 'décris',
+                    'décrivez', 'décrire', 'compare', 'comparez', 'analyse', 'analysez', 'traduis', 'traduisez', 'corrige',
+                    'corrigez', 'aide', 'aidez', 'donne', 'donnez', 'fais', 'faites', 'rédige', 'rédigez', 'conçois', 'concevez',
+                    'planifie', 'propose', 'proposez', 'suggère', 'suggérez', 'dis', 'dites', 'montre', 'montrez', 'trouve',
+                    'trouvez', 'calcule', 'calculez', 'convertis', 'convertissez', 'réécris', 'réécrivez', 'améliore',
+                    'améliorez', 'construis', 'implémente', 'implémentez', 'débogue', 'relis', 'relisez', 'recommande',
+                    'évalue', 'évaluez', 'enseigne', 'définis', 'définissez'
+                ]
+            }
+        }
+    },
+    phrases: {
+        politeRequest: "S'il vous plaît, {prompt}",
+        responseQuality: '{prompt}\n\nMerci de fournir une réponse claire et bien structurée.',
+        role: "En tant qu'assistant IA expert dans ce domaine, {prompt}",
+        audience: "{prompt}\n\nMerci d'expliquer cela de manière utile pour une personne qui découvre ce sujet.",
+        organization: "{prompt}\n\nMerci d'organiser votre réponse avec des sections claires, des puces ou des étapes numérotées si nécessaire.",
+        summary: '{prompt}\n\nMerci de terminer par un bref résumé ou les points clés à retenir.',
+        concise: '{prompt}\n\nMerci de répondre de façon brève et directe.',
+        detailed: "{prompt}\n\nMerci d'être exhaustif : couvrez les détails, donnez des exemples et mentionnez les cas limites.",
+        stepByStep: '{prompt}\n\nMerci de procéder étape par étape et de numéroter les étapes.',
+        formatConstrained: '{prompt}\n\nMerci de répondre en Markdown, avec un titre par section et en 300 mots au maximum.'
+    },
+    formats: {
+        json: 'Répondez uniquement par une valeur JSON valide selon ce JSON Schema, sans explication ni bloc de code.\n{schema}',
+        table: "Répondez par un seul tableau Markdown avec exactement ces colonnes, dans cet ordre : {columns}. Mettez un élément par ligne et n'écrivez rien avant ni après le tableau.",
+        csv: "Répondez uniquement en CSV : une ligne d'en-tête avec les colonnes {columns}, puis une ligne par élément. Séparez les champs par des virgules et mettez entre guillemets doubles les champs qui contiennent des virgules, des guillemets ou des sauts de ligne. Ni bloc de code ni explication.",
+        code: "Répondez par un seul bloc de code {language} et rien d'autre. Mettez les explications dans des commentaires du code.",
+        steps: "Répondez par une liste numérotée d'étapes. Chaque étape est une seule action et commence par un verbe.",
+        stepsLimit: 'Répondez par une liste numérotée de {steps} étapes au maximum. Chaque étape est une seule action et commence par un verbe.',
+        limit: 'Limitez la réponse entière à moins de {words} mots.',
+        limitExample: '... ({words} mots au maximum)',
+        example: 'Structure attendue :'
+    },
+    analyzer: {
+        vague: [
+            'quelque chose', 'truc', 'trucs', 'chose', 'choses', 'etc', 'peu importe', 'en quelque sorte', 'plus ou moins',
+            'certains', 'certaines'
+        ],
+        unclearStarts: ['ça', 'cela', 'ceci', 'ce', 'il', 'elle', 'ils', 'elles', 'ces'],
+        purpose: [
+            'parce que', 'car', 'afin de', 'pour que', 'mon objectif', 'notre objectif', "l'objectif", 'le but', 'je suis',
+            'nous sommes', 'contexte', "j'ai besoin", 'nous avons besoin'
+        ],
+        format: ['structuré', 'structurée', 'sections', 'code'],
+        length: [
+            'mots', 'phrases', 'phrase', 'paragraphes', 'lignes', 'pages', 'court', 'courte', 'bref', 'brève', 'concis',
+            'concise', 'détaillé', 'détaillée', 'en détail', 'au maximum', 'au minimum', 'au plus', 'au moins', 'pas plus de',
+            'moins de', 'maximum', 'minimum', 'limite'
+        ],
+        restrictions: [
+            'évite', 'évitez', 'ne ** pas', 'n ** pas', 'sans', 'seulement', 'uniquement', 'doit', 'dois', 'devez', 'jamais',
+            'toujours', 'exclus', 'excluez', 'ton', 'formel', 'formelle', 'décontracté', 'amical', 'professionnel', 'style', 'langue'
+        ]
+    },
+    personas: {
+        'builtin.software-engineer': {
+            name: 'Ingénieur logiciel senior',
+            preamble: 'Vous êtes un ingénieur logiciel senior qui écrit du code clair, maintenable et bien testé.',
+            tone: 'Soyez direct et technique, et expliquez les compromis derrière vos recommandations.',
+            constraints: ['Mettez le code dans des blocs de code en indiquant le langage.', 'Signalez les cas limites et comment les tester.'],
+            topics: [
+                'code', 'coder', 'fonction', 'bug', 'déboguer', 'erreur', 'exception', 'api', 'python', 'javascript',
+                'typescript', 'java', 'sql', 'regex', 'refactoriser', 'compiler', 'algorithme', 'git', 'déployer', 'docker',
+                'test unitaire', 'tests unitaires', 'script', 'bibliothèque'
+            ]
+        },
+        'builtin.copy-editor': {
+            name: 'Correcteur',
+            preamble: 'Vous êtes un correcteur expérimenté, attentif à la grammaire, à la clarté et à la cohérence du style.',
+            tone: "Soyez précis et constructif, et respectez la voix de l'auteur.",
+            constraints: ["Donnez d'abord le texte corrigé, puis la liste des principales modifications.", 'Ne changez pas le sens du texte original.'],
+            topics: [
+                'corrige', 'corriger', 'relis', 'relire', 'relecture', 'grammaire', 'orthographe', 'coquille', 'coquilles',
+                'ponctuation', 'reformule', 'reformuler', 'réécris', 'réécrire', 'formulation', 'phrase', 'phrases',
+                'guide de style', 'peaufiner'
+            ]
+        },
+        'builtin.data-analyst': {
+            name: 'Analyste de données',
+            preamble: 'Vous êtes un analyste de données qui tire des données des conclusions claires et bien étayées.',
+            tone: 'Soyez rigoureux et simple, et précisez vos hypothèses et votre degré de certitude.',
+            constraints: ['Montrez la méthode, la formule ou la requête derrière chaque résultat.', 'Résumez les constats avec les chiffres clés.'],
+            topics: [
+                'données', 'jeu de données', 'statistiques', 'statistique', 'moyenne', 'médiane', 'corrélation', 'régression',
+                'tendance', 'tendances', 'indicateur', 'indicateurs', 'kpi', 'tableur', 'excel', 'tableau croisé',
+                'tableau de bord', 'analyse', 'analyser', 'prévision'
+            ]
+        },
+        'builtin.tutor': {
+            name: 'Tuteur',
+            preamble: 'Vous êtes un tuteur patient qui aide à comprendre une matière pas à pas.',
+            tone: 'Soyez encourageant et clair, et expliquez le jargon que vous employez.',
+            constraints: ['Partez des bases et donnez un exemple résolu.', 'Terminez par une courte question qui vérifie la compréhension.'],
+            topics: [
+                'apprendre', 'apprentissage', 'comprendre', 'enseigne-moi', 'enseigner', 'devoirs', 'étudier', 'examen',
+                'examens', 'leçon', 'concept', 'théorème', 'équation', 'équations', 'maths', 'mathématiques', 'physique',
+                'chimie', 'biologie'
+            ]
+        },
+        'builtin.legal-reviewer': {
+            name: 'Relecteur juridique',
+            preamble: "Vous êtes un relecteur juridique minutieux qui examine les documents à la recherche de risques, d'obligations et d'ambiguïtés.",
+            tone: "Soyez prudent et exact, et précisez clairement que ceci n'est pas un conseil juridique.",
+            constraints: ['Citez les clauses dont vous parlez.', 'Classez les problèmes par niveau de risque.'],
+            topics: [
+                'contrat', 'contrats', 'clause', 'clauses', 'accord', 'conditions générales', 'responsabilité', 'nda', 'rgpd',
+                'gdpr', 'conformité', 'juridique', 'procès', 'licence', 'politique de confidentialité', 'indemnisation',
+                'garantie', 'bail', 'juridiction'
+            ]
+        },
+        'builtin.marketing-writer': {
+            name: 'Rédacteur publicitaire',
+            preamble: 'Vous êtes un rédacteur publicitaire qui écrit des textes persuasifs pour un public précis.',
+            tone: 'Soyez vivant et mettez en avant les bénéfices sans trop promettre.',
+            constraints: ['Proposez trois variantes.', 'Gardez les titres sous dix mots.'],
+            topics: [
+                'marketing', 'campagne', 'slogan', 'accroche', 'titre', 'titres', 'publicité', 'annonce', 'page de destination',
+                'newsletter', 'description produit', 'seo', 'marque', 'réseaux sociaux', 'instagram', 'linkedin',
+                "appel à l'action", 'promotion'
+            ]
+        },
+        'builtin.product-manager': {
+            name: 'Product manager',
+            preamble: "Vous êtes un product manager qui met en balance les besoins des utilisateurs, les objectifs de l'entreprise et l'effort d'ingénierie.",
+            tone: 'Soyez pragmatique et structuré, et rendez les priorités explicites.',
+            constraints: ['Posez le problème et la mesure du succès avant la solution.', 'Listez les questions ouvertes et les risques.'],
+            topics: [
+                'roadmap', 'feuille de route', 'fonctionnalité', 'fonctionnalités', 'exigences', 'user story', 'user stories',
+                'prioriser', 'priorisation', 'parties prenantes', 'mvp', 'backlog', 'sprint', 'okr', 'lancement',
+                'stratégie produit'
+            ]
+        },
+        'builtin.researcher': {
+            name: 'Assistant de recherche',
+            preamble: 'Vous êtes un assistant de recherche qui rassemble des éléments probants et les présente avec impartialité.',
+            tone: "Soyez neutre et rigoureux, et distinguez les faits de l'interprétation.",
+            constraints: ["Citez vos sources, ou indiquez d'où viendraient les preuves.", 'Signalez les points de vue divergents et les questions ouvertes.'],
+            topics: [
+                'recherche', 'recherches', 'études', 'article scientifique', 'articles', 'littérature', 'preuves', 'sources',
+                'citation', 'citations', 'hypothèse', 'évalué par les pairs', 'méta-analyse', 'histoire de', 'avantages et inconvénients'
+            ]
+        }
+    }
+});
@@ -0,0 +1,350 @@
+// Message protocol between the extension's pages, content scripts and the background script
+// Every request is { protocol, id, action, data }. The background script checks the protocol version
+// and validates data against the action's schema before a handler sees it, and every response
+// carries the request's id back. Failures are { success: false, error: { code, message } } with a
+// code from ERROR_CODES. The sending side is content/messaging.js, which declares the same
+// PROTOCOL_VERSION and ERROR_CODES.
+//
+// Schemas are plain objects:
+//   type       - 'string', 'number', 'integer', 'boolean', 'object' or 'array'
+//   nullable   - also accept null
+//   enum       - allowed values
+//   minLength / maxLength - for strings
+//   min / max  - for numbers
+//   properties - for objects: schema per known key; other keys are rejected unless `additional` is set
+//   required   - for objects: keys that must be present
+//   additional - for objects: schema for every key not in `properties`
+//   items      - for arrays: schema for every item
+//   maxItems   - for arrays
+
+import { VARIANT_STRATEGIES } from './variants.js';
+import { TOKEN_FAMILIES, MODEL_PRICE_LIMITS } from './token-estimator.js';
+import { FORMAT_KINDS, FORMAT_PRESET_LIMITS } from './format-presets.js';
+
+const PROTOCOL_VERSION = 1;
+
+const ERROR_CODES = {
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    INVALID_REQUEST: 'invalid_request',
+    UNKNOWN_ACTION: 'unknown_action',
+    INVALID_DATA: 'invalid_data',
+    NOT_FOUND: 'not_found',
+    LIMIT_REACHED: 'limit_reached',
+    STORAGE_ERROR: 'storage_error',
+    INTERNAL_ERROR: 'internal_error',
+    // Raised by the sender (content/messaging.js), never sent by the background script
+    TIMEOUT: 'timeout',
+    NO_CONNECTION: 'no_connection'
+};
+
+// Error for requests that break the protocol or their action's schema
+class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+    }
+}
+
+const MAX_PROMPT_LENGTH = 50000;
+
+const id = { type: 'string', minLength: 1, maxLength: 200 };
+const text = (maxLength) => ({ type: 'string', maxLength });
+const none = { type: 'object', properties: {} };
+
+// Settings updateSettings accepts besides one boolean per rule setting (see getMessageSchemas)
+const GENERAL_SETTINGS_SCHEMA = {
+    historyEnabled: { type: 'boolean' },
+    hotkeys: { type: 'object', additional: text(40) },
+    usageRetentionDays: { type: 'integer', min: 1, max: 365 },
+    statsResetPeriod: { type: 'string', enum: ['day', 'week', 'month'] },
+    theme: { type: 'string', enum: ['system', 'light', 'dark', 'high-contrast'] },
+    redactionEnabled: { type: 'boolean' },
+    redactionPatterns: { type: 'array', maxItems: 20, items: text(200) },
+    tokenModel: id,
+    contextBudget: { type: 'integer', min: 0, max: 10000000 },
+    modelPrices: {
+        type: 'array',
+        maxItems: MODEL_PRICE_LIMITS.maxModels,
+        items: {
+            type: 'object',
+            required: ['id', 'label', 'family', 'inputPrice', 'contextWindow'],
+            properties: {
+                id,
+                label: { ...text(60), minLength: 1 },
+                family: { type: 'string', enum: Object.keys(TOKEN_FAMILIES) },
+                inputPrice: { type: 'number', min: 0, max: 1000 },
+                contextWindow: { type: 'integer', min: 1, max: 10000000 }
+            }
+        }
+    }
+};
+
+const ENHANCE_PROPERTIES = {
+    prompt: text(MAX_PROMPT_LENGTH),
+    site: text(200),
+    template: {
+        type: 'object',
+        nullable: true,
+        required: ['id'],
+        properties: { id, values: { type: 'object', additional: text(5000) } }
+    },
+    persona: id,
+    format: {
+        type: 'object',
+        nullable: true,
+        required: ['id'],
+        properties: { id, values: { type: 'object', additional: text(FORMAT_PRESET_LIMITS.maxParamLength) } }
+    }
+};
+
+const strategy = { type: 'string', enum: VARIANT_STRATEGIES.map(item => item.id) };
+
+const MESSAGE_SCHEMAS = {
+    enhancePrompt: {
+        type: 'object',
+        required: ['prompt'],
+        properties: ENHANCE_PROPERTIES
+    },
+    enhanceVariants: {
+        type: 'object',
+        required: ['prompt'],
+        properties: {
+            ...ENHANCE_PROPERTIES,
+            count: { type: 'integer', min: 1, max: VARIANT_STRATEGIES.length }
+        }
+    },
+    chooseVariant: {
+        type: 'object',
+        required: ['strategy'],
+        properties: {
+            strategy,
+            shown: { type: 'array', maxItems: VARIANT_STRATEGIES.length, items: strategy }
+        }
+    },
+    getSettings: none,
+    getStats: none,
+    getAnalytics: {
+        type: 'object',
+        properties: { period: { type: 'string', enum: ['day', 'week', 'month'] } }
+    },
+    analyzePrompt: {
+        type: 'object',
+        required: ['prompt'],
+        properties: { prompt: text(MAX_PROMPT_LENGTH) }
+    },
+    getProviderSettings: none,
+    updateProviderSettings: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            baseUrl: text(2000),
+            model: text(200),
+            apiKey: text(1000),
+            systemPrompt: text(10000),
+            temperature: { type: 'number', min: 0, max: 2 },
+            timeoutMs: { type: 'integer', min: 1000, max: 300000 }
+        }
+    },
+    getTemplates: none,
+    saveTemplate: {
+        type: 'object',
+        properties: { id, name: text(1000), body: text(50000) }
+    },
+    deleteTemplate: { type: 'object', required: ['id'], properties: { id } },
+    getFormatPresets: none,
+    saveFormatPreset: {
+        type: 'object',
+        required: ['kind'],
+        properties: {
+            id,
+            name: text(1000),
+            kind: { type: 'string', enum: Object.keys(FORMAT_KINDS) },
+            params: { type: 'object', additional: text(50000) }
+        }
+    },
+    deleteFormatPreset: { type: 'object', required: ['id'], properties: { id } },
+    getPersonas: none,
+    savePersona: {
+        type: 'object',
+        properties: {
+            id,
+            name: text(1000),
+            preamble: text(10000),
+            tone: text(10000),
+            constraints: text(50000),
+            topics: text(10000)
+        }
+    },
+    deletePersona: { type: 'object', required: ['id'], properties: { id } },
+    pinSitePersona: {
+        type: 'object',
+        required: ['site'],
+        properties: { site: id, personaId: { ...id, nullable: true } }
+    },
+    suggestPersona: {
+        type: 'object',
+        required: ['prompt'],
+        properties: { prompt: text(MAX_PROMPT_LENGTH) }
+    },
+    searchHistory: {
+        type: 'object',
+        properties: {
+            query: text(1000),
+            starredOnly: { type: 'boolean' },
+            limit: { type: 'integer', min: 1, max: 1000 },
+            before: { type: 'number', nullable: true }
+        }
+    },
+    starHistoryEntry: {
+        type: 'object',
+        required: ['id', 'starred'],
+        properties: { id: { type: 'integer', min: 1 }, starred: { type: 'boolean' } }
+    },
+    deleteHistoryEntry: {
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'integer', min: 1 } }
+    },
+    clearHistory: none
+};
+
+// The schemas, with updateSettings taking the general settings and a boolean per rule setting key,
+// and the enhancement requests' options only the rule settings (they are merged over the stored settings)
+function getMessageSchemas(ruleSettingKeys = []) {
+    const ruleSettings = Object.fromEntries(ruleSettingKeys.map(key => [key, { type: 'boolean' }]));
+    const options = { type: 'object', properties: ruleSettings };
+    return {
+        ...MESSAGE_SCHEMAS,
+        enhancePrompt: withProperties(MESSAGE_SCHEMAS.enhancePrompt, { options }),
+        enhanceVariants: withProperties(MESSAGE_SCHEMAS.enhanceVariants, { options }),
+        updateSettings: { type: 'object', properties: { ...ruleSettings, ...GENERAL_SETTINGS_SCHEMA } }
+    };
+}
+
+function withProperties(schema, properties) {
+    return { ...schema, properties: { ...schema.properties, ...properties } };
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'object': return describeType(value) === 'object';
+        case 'array': return Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+// Check a value against a schema; throws ProtocolError (invalid_data) naming the first problem
+function validateValue(value, schema, path = 'data') {
+    const fail = (message) => {
+        throw new ProtocolError(ERROR_CODES.INVALID_DATA, `${path} ${message}`);
+    };
+
+    if (value === null && schema.nullable) return;
+    if (!matchesType(value, schema.type)) {
+        fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, not ${describeType(value)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(option => `"${option}"`).join(', ')}`);
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+    }
+
+    if (schema.type === 'number' || schema.type === 'integer') {
+        if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}`);
+        if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}`);
+    }
+
+    if (schema.type === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`));
+    }
+
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                throw new ProtocolError(ERROR_CODES.INVALID_DATA, `${path}.${key} is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const itemSchema = properties[key] || schema.additional;
+            if (!itemSchema) {
+                throw new ProtocolError(ERROR_CODES.INVALID_DATA, `${path}.${key} is not allowed`);
+            }
+            if (item !== undefined) validateValue(item, itemSchema, `${path}.${key}`);
+        });
+    }
+}
+
+// Check a request's envelope and data; returns { id, action, data } or throws ProtocolError
+function parseRequest(request, schemas) {
+    if (describeType(request) !== 'object') {
+        throw new ProtocolError(ERROR_CODES.INVALID_REQUEST, 'Request must be an object');
+    }
+    if (request.protocol !== PROTOCOL_VERSION) {
+        throw new ProtocolError(ERROR_CODES.UNSUPPORTED_VERSION,
+            `Unsupported protocol version ${request.protocol}, expected ${PROTOCOL_VERSION}`);
+    }
+    if (typeof request.id !== 'string' || !request.id) {
+        throw new ProtocolError(ERROR_CODES.INVALID_REQUEST, 'Request must have a string id');
+    }
+
+    const schema = Object.hasOwn(schemas, request.action) ? schemas[request.action] : null;
+    if (!schema) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_ACTION, `Unknown action "${request.action}"`);
+    }
+
+    // Actions without parameters may leave data out
+    const data = request.data === undefined || request.data === null ? {} : request.data;
+    validateValue(data, schema);
+
+    return { id: request.id, action: request.action, data };
+}
+
+let requestCount = 0;
+
+// Web Crypto's UUID where there is one (Node 18 has no global crypto), else the same kind of id
+// content/messaging.js makes
+function createRequestId() {
+    if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+
+    requestCount += 1;
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${requestCount}`;
+}
+
+// Request in the protocol's envelope, for messages the background script sends to content scripts
+function createRequest(action, data) {
+    return { protocol: PROTOCOL_VERSION, id: createRequestId(), action, data };
+}
+
+// Response for a failed request
+function errorResponse(code, message) {
+    return { success: false, error: { code, message } };
+}
+
+export {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    ProtocolError,
+    getMessageSchemas,
+    validateValue,
+    parseRequest,
+    createRequest,
+    errorResponse
+};
@@ -0,0 +1,251 @@
+// Personas for AI Prompt Enhancer
+// A persona is who the assistant should be for a prompt. The context.role rule uses it in place of
+// the generic expert role:
+//   preamble    - sets the role, e.g. 'You are a senior software engineer ...'
+//   tone        - one sentence of tone guidance
+//   constraints - default output constraints, left out when the prompt asks for a format itself
+//   topics      - words and phrases that make the persona the suggestion for a prompt
+// Built-ins are written in English; a locale pack may translate them under personas[<id>].
+// Custom personas live in chrome.storage.local, per-site defaults in chrome.storage.sync.
+
+import { getLocalePack, detectPromptLanguage } from './locale-packs.js';
+import { matchedPhrases } from './intent-detector.js';
+
+const PERSONA_STORAGE_KEY = 'customPersonas';
+const SITE_PERSONA_STORAGE_KEY = 'sitePersonas';
+const PERSONA_LIMITS = {
+    maxPersonas: 50,
+    maxNameLength: 60,
+    maxTextLength: 1000,
+    maxListItems: 30
+};
+
+// Read-only personas that ship with the extension
+const BUILTIN_PERSONAS = [
+    {
+        id: 'builtin.software-engineer',
+        name: 'Senior software engineer',
+        preamble: 'You are a senior software engineer who writes clear, maintainable and well-tested code.',
+        tone: 'Be direct and technical, and explain the trade-offs behind your recommendations.',
+        constraints: [
+            'Put code in fenced code blocks and name the language.',
+            'Point out edge cases and how to test them.'
+        ],
+        topics: [
+            'code', 'coding', 'function', 'bug', 'debug', 'error', 'exception', 'stack trace', 'api', 'python',
+            'javascript', 'typescript', 'java', 'rust', 'golang', 'sql', 'regex', 'refactor', 'compile',
+            'compiler', 'algorithm', 'git', 'deploy', 'docker', 'unit test', 'unit tests', 'script', 'library', 'endpoint'
+        ]
+    },
+    {
+        id: 'builtin.copy-editor',
+        name: 'Copy editor',
+        preamble: 'You are an experienced copy editor with a sharp eye for grammar, clarity and consistent style.',
+        tone: "Be precise and constructive, and keep the author's voice.",
+        constraints: [
+            'Give the edited text first, then list the most important changes.',
+            'Do not change the meaning of the original.'
+        ],
+        topics: [
+            'proofread', 'proofreading', 'edit', 'editing', 'grammar', 'spelling', 'typo', 'typos', 'punctuation',
+            'rephrase', 'reword', 'rewrite', 'wording', 'sentence', 'sentences', 'style guide', 'copyedit', 'polish'
+        ]
+    },
+    {
+        id: 'builtin.data-analyst',
+        name: 'Data analyst',
+        preamble: 'You are a data analyst who turns data into clear, well-supported conclusions.',
+        tone: 'Be rigorous and plain-spoken, and state your assumptions and how certain you are.',
+        constraints: [
+            'Show the method, formula or query behind each result.',
+            'Summarize the findings with the key numbers.'
+        ],
+        topics: [
+            'data', 'dataset', 'datasets', 'statistics', 'statistical', 'average', 'median', 'correlation', 'regression',
+            'trend', 'trends', 'metric', 'metrics', 'kpi', 'kpis', 'spreadsheet', 'excel', 'pivot', 'dashboard',
+            'survey results', 'analyze', 'analyse', 'analysis', 'forecast', 'outliers'
+        ]
+    },
+    {
+        id: 'builtin.tutor',
+        name: 'Tutor',
+        preamble: 'You are a patient tutor who helps people understand a subject step by step.',
+        tone: 'Be encouraging and clear, and explain any jargon you use.',
+        constraints: [
+            'Build up from the basics and include a worked example.',
+            'End with a short question that checks understanding.'
+        ],
+        topics: [
+            'learn', 'learning', 'understand', 'teach', 'teach me', 'homework', 'study', 'exam', 'exams', 'lesson',
+            'concept', 'quiz', 'theorem', 'equation', 'equations', 'math', 'maths', 'physics', 'chemistry', 'biology',
+            'grammar rule', 'textbook'
+        ]
+    },
+    {
+        id: 'builtin.legal-reviewer',
+        name: 'Legal reviewer',
+        preamble: 'You are a careful legal reviewer who reads documents for risks, obligations and ambiguities.',
+        tone: 'Be cautious and exact, and say plainly that this is not legal advice.',
+        constraints: [
+            'Quote the clauses you refer to.',
+            'Rank the issues by risk.'
+        ],
+        topics: [
+            'contract', 'contracts', 'clause', 'clauses', 'agreement', 'terms and conditions', 'terms of service',
+            'liability', 'nda', 'gdpr', 'compliance', 'legal', 'lawsuit', 'license', 'licence', 'privacy policy',
+            'indemnity', 'warranty', 'lease', 'jurisdiction'
+        ]
+    },
+    {
+        id: 'builtin.marketing-writer',
+        name: 'Marketing copywriter',
+        preamble: 'You are a marketing copywriter who writes persuasive copy for a specific audience.',
+        tone: 'Be lively and focus on benefits without overpromising.',
+        constraints: [
+            'Offer three variations.',
+            'Keep headlines under ten words.'
+        ],
+        topics: [
+            'marketing', 'campaign', 'slogan', 'tagline', 'headline', 'headlines', 'ad', 'ads', 'advert', 'landing page',
+            'newsletter', 'product description', 'seo', 'brand', 'branding', 'social media', 'instagram', 'linkedin post',
+            'call to action', 'promo'
+        ]
+    },
+    {
+        id: 'builtin.product-manager',
+        name: 'Product manager',
+        preamble: 'You are a product manager who weighs user needs, business goals and engineering effort.',
+        tone: 'Be pragmatic and structured, and make priorities explicit.',
+        constraints: [
+            'State the problem and how success is measured before the solution.',
+            'List open questions and risks.'
+        ],
+        topics: [
+            'roadmap', 'feature', 'features', 'requirements', 'user story', 'user stories', 'prd', 'prioritize',
+            'prioritise', 'prioritization', 'stakeholder', 'stakeholders', 'mvp', 'backlog', 'sprint', 'okr', 'okrs',
+            'go-to-market', 'product launch', 'product strategy'
+        ]
+    },
+    {
+        id: 'builtin.researcher',
+        name: 'Research assistant',
+        preamble: 'You are a research assistant who gathers evidence and presents it fairly.',
+        tone: 'Be neutral and thorough, and keep facts apart from interpretation.',
+        constraints: [
+            'Cite sources, or say where the evidence would come from.',
+            'Note competing views and open questions.'
+        ],
+        topics: [
+            'research', 'studies', 'paper', 'papers', 'literature', 'literature review', 'evidence', 'sources',
+            'citation', 'citations', 'hypothesis', 'peer-reviewed', 'meta-analysis', 'history of', 'pros and cons'
+        ]
+    }
+].map(persona => ({ ...persona, builtin: true }));
+
+// Error raised for invalid persona definitions; code is the message protocol's error code
+class PersonaError extends Error {
+    constructor(message, code = 'invalid_data') {
+        super(message);
+        this.name = 'PersonaError';
+        this.code = code;
+    }
+}
+
+// Accept a list or one item per line / comma, trimmed and without blanks
+function normalizePersonaList(value, separator) {
+    const items = Array.isArray(value) ? value : String(value || '').split(separator);
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Check and normalise a custom persona before it is saved
+function validatePersona(persona) {
+    const name = String(persona?.name || '').trim();
+    const preamble = String(persona?.preamble || '').trim();
+    const tone = String(persona?.tone || '').trim();
+    const constraints = normalizePersonaList(persona?.constraints, '\n');
+    const topics = normalizePersonaList(persona?.topics, ',').map(topic => topic.toLowerCase());
+
+    if (!name) {
+        throw new PersonaError('Persona name is required');
+    }
+    if (name.length > PERSONA_LIMITS.maxNameLength) {
+        throw new PersonaError(`Persona name must be at most ${PERSONA_LIMITS.maxNameLength} characters`);
+    }
+    if (!preamble) {
+        throw new PersonaError('Persona preamble is required');
+    }
+    if ([preamble, tone, ...constraints].some(text => text.length > PERSONA_LIMITS.maxTextLength)) {
+        throw new PersonaError(`Persona texts must be at most ${PERSONA_LIMITS.maxTextLength} characters`);
+    }
+    if (constraints.length > PERSONA_LIMITS.maxListItems || topics.length > PERSONA_LIMITS.maxListItems) {
+        throw new PersonaError(`Personas can have at most ${PERSONA_LIMITS.maxListItems} constraints and topics`);
+    }
+
+    return { name, preamble, tone, constraints, topics };
+}
+
+// A persona in the prompt's language: built-ins take the locale pack's translation where it has one
+function localizePersona(persona, language) {
+    const translation = persona.builtin && getLocalePack(language)?.personas?.[persona.id];
+    return translation ? { ...persona, ...translation } : persona;
+}
+
+// The persona whose topics the prompt mentions most, or null when none stands out
+function suggestPersona(prompt, personas, language = detectPromptLanguage(prompt)) {
+    let best = null;
+    let bestScore = 0;
+    let tied = false;
+
+    personas.forEach(persona => {
+        const { topics = [] } = localizePersona(persona, language);
+        const score = matchedPhrases(prompt, topics, language).length;
+
+        if (score > bestScore) {
+            best = persona;
+            bestScore = score;
+            tied = false;
+        } else if (score > 0 && score === bestScore) {
+            tied = true;
+        }
+    });
+
+    // A prompt that touches two personas equally gets the generic role instead of a guess
+    return tied ? null : best;
+}
+
+// Put the persona's preamble before the prompt and its tone and constraints after it
+function applyPersona(prompt, persona, includeConstraints = true) {
+    const guidance = [
+        persona.tone,
+        ...(includeConstraints ? persona.constraints || [] : []).map(constraint => `- ${constraint}`)
+    ].filter(Boolean);
+
+    const text = `${persona.preamble}\n\n${prompt}`;
+    return guidance.length ? `${text}\n\n${guidance.join('\n')}` : text;
+}
+
+// Describe a persona for the UI
+function describePersona(persona) {
+    return {
+        id: persona.id,
+        name: persona.name,
+        preamble: persona.preamble,
+        tone: persona.tone || '',
+        constraints: persona.constraints || [],
+        topics: persona.topics || [],
+        builtin: Boolean(persona.builtin)
+    };
+}
+
+export {
+    PERSONA_STORAGE_KEY,
+    SITE_PERSONA_STORAGE_KEY,
+    PERSONA_LIMITS,
+    BUILTIN_PERSONAS,
+    PersonaError,
+    validatePersona,
+    localizePersona,
+    suggestPersona,
+    applyPersona,
+    describePersona
+};
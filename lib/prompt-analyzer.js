@@ -0,0 +1,191 @@
+// Prompt quality analyzer for AI Prompt Enhancer
+// Scores a prompt from 0 to 100 on five dimensions and explains what is weak about it.
+// Each finding says what was noticed and how to fix it; the score is the average of the
+// dimension scores. Prompts are read in their own language, with the task verbs from the locale
+// pack's intents and the other word lists from its `analyzer` section (English fills in the rest).
+// Findings carry an id and params so the UI can show them from _locales (finding_<id>); message and
+// suggestion are the English text. Loaded by the service worker after intent-detector.js and exposed
+// as the analyzePrompt action.
+
+import { DEFAULT_LOCALE, getLocalePack, detectPromptLanguage } from './locale-packs.js';
+import { tokenizePrompt, matchedPhrases, detectIntents } from './intent-detector.js';
+
+const ANALYZER_DIMENSIONS = [
+    { key: 'clarity', label: 'Clarity' },
+    { key: 'specificity', label: 'Specificity' },
+    { key: 'context', label: 'Context' },
+    { key: 'outputFormat', label: 'Output format' },
+    { key: 'constraints', label: 'Constraints' }
+];
+
+const analyzerVocabularies = new Map();
+
+// The analyzer's word lists for a language, matched as whole words (role, audience, format and task
+// come from detectIntents); English fills in whatever the pack leaves out
+function getAnalyzerVocabulary(language = DEFAULT_LOCALE) {
+    const pack = getLocalePack(language) || getLocalePack(DEFAULT_LOCALE);
+    if (analyzerVocabularies.has(pack.code)) return analyzerVocabularies.get(pack.code);
+
+    const vocabulary = { ...getLocalePack(DEFAULT_LOCALE).analyzer, ...pack.analyzer };
+    analyzerVocabularies.set(pack.code, vocabulary);
+    return vocabulary;
+}
+
+const ANALYZER_LIMITS = {
+    shortPromptWords: 6,
+    longSentenceWords: 40
+};
+
+function clampScore(value) {
+    return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+// Score and lint a prompt
+function analyzePrompt(prompt) {
+    const text = String(prompt || '').trim();
+    const language = detectPromptLanguage(text);
+    const vocabulary = getAnalyzerVocabulary(language);
+    const words = tokenizePrompt(text, language).map(token => token.word);
+    const intents = detectIntents(text, language);
+    const findings = [];
+    const matches = list => matchedPhrases(text, list, language);
+
+    const addFinding = (id, dimension, severity, message, suggestion, params = {}) => {
+        findings.push({ id, dimension, severity, message, suggestion, params });
+    };
+
+    if (!text) {
+        addFinding('clarity.empty', 'clarity', 'warning', 'The prompt is empty.', 'Type what you want the assistant to do.');
+        const dimensions = {};
+        ANALYZER_DIMENSIONS.forEach(dimension => { dimensions[dimension.key] = 0; });
+        return { score: 0, dimensions, findings };
+    }
+
+    // Clarity: a recognisable task, no vague filler, no dangling references, readable sentences
+    let clarity = 100;
+    const hasTask = intents.task.mentioned || /[?¿]/.test(text);
+    if (!hasTask) {
+        clarity -= 40;
+        addFinding('clarity.no-task', 'clarity', 'warning',
+            'The prompt does not say what you want done.',
+            'Start with a task verb such as "Explain", "Write", "Compare" or "List", or ask a direct question.');
+    }
+
+    const vague = matches(vocabulary.vague);
+    if (vague.length > 0) {
+        clarity -= Math.min(30, vague.length * 10);
+        addFinding('clarity.vague-words', 'clarity', 'warning',
+            `Vague wording: ${vague.map(word => `"${word}"`).join(', ')}.`,
+            'Replace vague words with the specific thing you mean.',
+            { words: vague });
+    }
+
+    if (words.length > 0 && vocabulary.unclearStarts.includes(words[0])) {
+        clarity -= 15;
+        addFinding('clarity.unclear-reference', 'clarity', 'info',
+            `The prompt starts with "${words[0]}" without saying what it refers to.`,
+            'Name the subject explicitly; the assistant cannot see what you are looking at.',
+            { word: words[0] });
+    }
+
+    const longSentences = text.split(/[.!?\n]+/).filter(sentence => tokenizePrompt(sentence, language).length > ANALYZER_LIMITS.longSentenceWords);
+    if (longSentences.length > 0) {
+        clarity -= 10;
+        addFinding('clarity.long-sentence', 'clarity', 'info',
+            `${longSentences.length} sentence${longSentences.length === 1 ? ' is' : 's are'} over ${ANALYZER_LIMITS.longSentenceWords} words long.`,
+            'Split long sentences so each one carries a single instruction.',
+            { count: longSentences.length, limit: ANALYZER_LIMITS.longSentenceWords });
+    }
+
+    // Specificity: enough words, and concrete details such as numbers, names or quoted text
+    let specificity = Math.min(70, words.length * 5);
+    if (words.length < ANALYZER_LIMITS.shortPromptWords) {
+        addFinding('specificity.too-short', 'specificity', 'warning',
+            `The prompt is only ${words.length} word${words.length === 1 ? '' : 's'} long.`,
+            'Add the details the answer depends on: the subject, the situation and what a good answer looks like.',
+            { count: words.length });
+    }
+
+    // Capitalised words count as names only mid-sentence, not at the start of one
+    const hasDetails = /\d/.test(text) || /["“'`].+?["”'`]/.test(text) || /[\p{Ll},;:]\s+\p{Lu}\p{L}*/u.test(text);
+    if (hasDetails) {
+        specificity += 30;
+    } else {
+        addFinding('specificity.no-details', 'specificity', 'info',
+            'No concrete details such as names, numbers or examples.',
+            'Include specifics, for example the language, product, version, dataset or an example of the input.');
+    }
+
+    // Context: who the assistant should be, who the answer is for, and why you are asking
+    let context = 0;
+    if (intents.role.mentioned) {
+        context += 40;
+    } else {
+        addFinding('context.no-role', 'context', 'info',
+            'The assistant is not given a role.',
+            'Say who should answer, e.g. "As an experienced data engineer, ...".');
+    }
+    if (intents.audience.mentioned) {
+        context += 30;
+    } else {
+        addFinding('context.no-audience', 'context', 'info',
+            'The audience for the answer is not described.',
+            'Say who will read the answer, e.g. "for a beginner" or "for my engineering team".');
+    }
+    if (matches(vocabulary.purpose).length > 0) {
+        context += 30;
+    } else {
+        addFinding('context.no-purpose', 'context', 'info',
+            'There is no background or goal.',
+            'Explain why you need this or what you will do with the answer.');
+    }
+
+    // Output format
+    let outputFormat = 20;
+    const asksForFormat = intents.format.mentioned || intents.list.mentioned || intents.summary.mentioned;
+    if (asksForFormat || matches(vocabulary.format).length > 0) {
+        outputFormat = 100;
+    } else {
+        addFinding('format.unspecified', 'outputFormat', 'warning',
+            'The prompt does not say how the answer should be formatted.',
+            'Ask for a format such as a bulleted list, a table, numbered steps, JSON or a short paragraph.');
+    }
+
+    // Constraints: length plus any other restrictions (tone, exclusions, must/only)
+    let constraints = 10;
+    if (matches(vocabulary.length).length > 0) {
+        constraints += 45;
+    } else {
+        addFinding('constraints.no-length', 'constraints', 'info',
+            'No length is given.',
+            'Say how long the answer should be, e.g. "in under 200 words" or "in three bullet points".');
+    }
+    if (matches(vocabulary.restrictions).length > 0) {
+        constraints += 45;
+    } else {
+        addFinding('constraints.none', 'constraints', 'info',
+            'No constraints on tone, scope or what to avoid.',
+            'Add any rules the answer must follow, e.g. "use a friendly tone" or "do not use jargon".');
+    }
+
+    const dimensions = {
+        clarity: clampScore(clarity),
+        specificity: clampScore(specificity),
+        context: clampScore(context),
+        outputFormat: clampScore(outputFormat),
+        constraints: clampScore(constraints)
+    };
+
+    const total = ANALYZER_DIMENSIONS.reduce((sum, dimension) => sum + dimensions[dimension.key], 0);
+
+    return {
+        score: clampScore(total / ANALYZER_DIMENSIONS.length),
+        dimensions,
+        findings
+    };
+}
+
+export {
+    ANALYZER_DIMENSIONS,
+    analyzePrompt
+};
@@ -0,0 +1,166 @@
+// PII and secret redaction for AI Prompt Enhancer
+// Before a prompt is enhanced, emails, phone numbers, card numbers, access tokens and the user's own
+// patterns are swapped for placeholders such as [EMAIL_1], so the rules and the LLM provider never see
+// them. restoreRedactions() puts the original values back into the enhanced text.
+
+const REDACTION_LIMITS = {
+    maxPatterns: 20,
+    maxPatternLength: 200
+};
+
+const PLACEHOLDER_PATTERN = /^\[[A-Z_]+_\d+\]$/;
+
+// Error raised for custom patterns that are not usable regular expressions; code is the message protocol's error code
+class RedactionError extends Error {
+    constructor(message, code = 'invalid_data') {
+        super(message);
+        this.name = 'RedactionError';
+        this.code = code;
+    }
+}
+
+const digitCount = value => value.replace(/\D/g, '').length;
+
+// Luhn checksum, so order numbers and other long digit runs are not taken for cards
+function passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Detectors run in this order; secrets first, so a token that contains digits is not taken for a phone number.
+// `check` rejects matches the pattern alone cannot rule out.
+const BUILTIN_DETECTORS = [
+    {
+        type: 'private_key',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        type: 'aws_secret_key',
+        pattern: /(?<=aws_secret_access_key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi
+    },
+    {
+        type: 'aws_access_key',
+        pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g
+    },
+    {
+        type: 'github_token',
+        pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+    },
+    {
+        // OpenAI-style, Slack and Google API keys
+        type: 'api_key',
+        pattern: /\b(?:sk-(?:proj-)?[A-Za-z0-9_-]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[A-Za-z0-9_-]{35})/g
+    },
+    {
+        type: 'email',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    {
+        type: 'credit_card',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        check: value => digitCount(value) >= 13 && passesLuhn(value)
+    },
+    {
+        // International (+44 20 7946 0958), area code in brackets ((030) 1234 5678) and 555-123-4567
+        type: 'phone',
+        pattern: /(?:\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}|\(\d{2,4}\)\s?\d{3,4}[\s.-]?\d{3,4}|\b\d{3}[.-]\d{3}[.-]\d{4})\b/g,
+        check: value => digitCount(value) >= 7 && digitCount(value) <= 15
+    }
+];
+
+// The built-in detectors plus one 'custom' detector per user pattern (a regular expression source).
+// Throws RedactionError for patterns that do not compile or that match empty text.
+function getRedactionDetectors(customPatterns = []) {
+    const patterns = customPatterns.map(pattern => String(pattern).trim()).filter(Boolean);
+
+    if (patterns.length > REDACTION_LIMITS.maxPatterns) {
+        throw new RedactionError(`You can add up to ${REDACTION_LIMITS.maxPatterns} custom patterns`);
+    }
+
+    const custom = patterns.map(source => {
+        if (source.length > REDACTION_LIMITS.maxPatternLength) {
+            throw new RedactionError(`Custom patterns must be at most ${REDACTION_LIMITS.maxPatternLength} characters`);
+        }
+
+        let pattern;
+        try {
+            pattern = new RegExp(source, 'g');
+        } catch (error) {
+            throw new RedactionError(`Invalid pattern "${source}": ${error.message}`);
+        }
+        if (new RegExp(source).test('')) {
+            throw new RedactionError(`Pattern "${source}" matches empty text`);
+        }
+
+        return { type: 'custom', pattern };
+    });
+
+    return [...BUILTIN_DETECTORS, ...custom];
+}
+
+// Swap every detected value in a text for a placeholder. Pass the matches of an earlier call to
+// share its numbering, so a value found in both the prompt and a template value gets one placeholder.
+// Returns { text, matches } with matches as [{ type, value, placeholder }].
+function redactText(text, detectors = BUILTIN_DETECTORS, matches = []) {
+    const found = [...matches];
+    let redacted = String(text);
+
+    detectors.forEach(({ type, pattern, check }) => {
+        redacted = redacted.replace(pattern, value => {
+            if (PLACEHOLDER_PATTERN.test(value) || (check && !check(value))) return value;
+
+            const existing = found.find(match => match.value === value);
+            if (existing) return existing.placeholder;
+
+            const placeholder = createPlaceholder(type, found, [text, redacted]);
+            found.push({ type, value, placeholder });
+            return placeholder;
+        });
+    });
+
+    return { text: redacted, matches: found };
+}
+
+// Next free placeholder for a type, skipping any that is taken or that the text already contains
+function createPlaceholder(type, matches, texts) {
+    const prefix = type.toUpperCase();
+    const taken = placeholder => matches.some(match => match.placeholder === placeholder) ||
+        texts.some(text => text.includes(placeholder));
+
+    let index = 1;
+    while (taken(`[${prefix}_${index}]`)) {
+        index++;
+    }
+    return `[${prefix}_${index}]`;
+}
+
+// Put the original values back in place of their placeholders
+function restoreRedactions(text, matches = []) {
+    return matches.reduce((restored, match) => restored.split(match.placeholder).join(match.value), String(text));
+}
+
+// What was masked, without the values: [{ type, count }] in the order the types were first found
+function summarizeRedactions(matches = []) {
+    const counts = new Map();
+    matches.forEach(match => counts.set(match.type, (counts.get(match.type) || 0) + 1));
+    return [...counts].map(([type, count]) => ({ type, count }));
+}
+
+export {
+    REDACTION_LIMITS,
+    RedactionError,
+    BUILTIN_DETECTORS,
+    getRedactionDetectors,
+    redactText,
+    restoreRedactions,
+    summarizeRedactions
+};
@@ -0,0 +1,161 @@
+// Enhancement rule registry for AI Prompt Enhancer
+// Rules are small, independent transforms that processEnhancement runs in order.
+// Each rule declares:
+//   id           - unique identifier, e.g. 'clarity.polite-request'
+//   settingsKey  - storage key that turns the rule on or off (several rules may share one)
+//   order        - lower runs first
+//   defaultEnabled - used when neither storage nor defineRuleSetting() gives a value
+//   condition    - (prompt, context) => boolean, whether the rule should fire
+//   transform    - (prompt, context) => string, the enhanced prompt
+// context.language is the language of the original prompt (locale-packs.js) unless the caller sets it;
+// context.persona is the persona to write for (personas.js), if any.
+
+import { detectPromptLanguage } from './locale-packs.js';
+
+const RULE_DEFAULTS = {
+    order: 100,
+    defaultEnabled: true,
+    description: ''
+};
+
+const ruleRegistry = new Map();
+const settingDefinitions = new Map();
+
+// Describe a settings key so options UIs can label it; rules reference it by settingsKey
+function defineRuleSetting(key, { label, description = '', defaultValue = true } = {}) {
+    if (typeof key !== 'string' || !key.trim()) {
+        throw new Error('Rule setting must have a non-empty string key');
+    }
+
+    settingDefinitions.set(key, {
+        key,
+        label: label || key,
+        description,
+        defaultValue: Boolean(defaultValue)
+    });
+}
+
+// Get every settings key used by a rule, with its label and the rules it controls
+function getRuleSettingDefinitions() {
+    const definitions = new Map();
+
+    getRules().forEach(rule => {
+        if (!definitions.has(rule.settingsKey)) {
+            definitions.set(rule.settingsKey, {
+                key: rule.settingsKey,
+                label: rule.settingsKey,
+                description: '',
+                defaultValue: rule.defaultEnabled,
+                ...settingDefinitions.get(rule.settingsKey),
+                rules: []
+            });
+        }
+
+        definitions.get(rule.settingsKey).rules.push({
+            id: rule.id,
+            description: rule.description
+        });
+    });
+
+    return Array.from(definitions.values());
+}
+
+// Register a rule; throws if the definition is invalid or the id is taken
+function registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id.trim()) {
+        throw new Error('Rule must have a non-empty string id');
+    }
+    if (typeof rule.transform !== 'function') {
+        throw new Error(`Rule "${rule.id}" must define a transform function`);
+    }
+    if (rule.condition !== undefined && typeof rule.condition !== 'function') {
+        throw new Error(`Rule "${rule.id}" condition must be a function`);
+    }
+    if (typeof rule.settingsKey !== 'string' || !rule.settingsKey.trim()) {
+        throw new Error(`Rule "${rule.id}" must declare a settingsKey`);
+    }
+    if (ruleRegistry.has(rule.id)) {
+        throw new Error(`Rule "${rule.id}" is already registered`);
+    }
+
+    const definition = {
+        ...RULE_DEFAULTS,
+        ...rule,
+        condition: rule.condition || (() => true),
+        registeredAt: ruleRegistry.size
+    };
+
+    ruleRegistry.set(rule.id, definition);
+    return definition;
+}
+
+// Remove a rule from the registry
+function unregisterRule(id) {
+    return ruleRegistry.delete(id);
+}
+
+// Get all registered rules sorted by order, then registration order
+function getRules() {
+    return Array.from(ruleRegistry.values()).sort((a, b) =>
+        (a.order - b.order) || (a.registeredAt - b.registeredAt)
+    );
+}
+
+// Default value for every settings key declared by a registered rule
+function getRuleSettingsDefaults() {
+    const defaults = {};
+
+    getRuleSettingDefinitions().forEach(definition => {
+        defaults[definition.key] = definition.defaultValue;
+    });
+
+    return defaults;
+}
+
+// Check whether a rule is switched on by the given settings
+function isRuleEnabled(rule, settings = {}) {
+    const value = settings[rule.settingsKey];
+    if (value !== undefined) return Boolean(value);
+
+    const definition = settingDefinitions.get(rule.settingsKey);
+    return definition ? definition.defaultValue : rule.defaultEnabled;
+}
+
+// Run every enabled rule over the prompt and report which ones fired
+function runRules(prompt, settings = {}, context = {}) {
+    let text = prompt;
+    const applied = [];
+
+    // Rules see each other's additions, so the language is settled on the prompt as written
+    const ruleContext = { language: detectPromptLanguage(prompt), ...context };
+
+    for (const rule of getRules()) {
+        if (!isRuleEnabled(rule, settings)) continue;
+
+        try {
+            if (!rule.condition(text, ruleContext)) continue;
+
+            const result = rule.transform(text, ruleContext);
+            if (typeof result === 'string' && result !== text) {
+                text = result;
+                applied.push(rule.id);
+            }
+        } catch (error) {
+            console.error(`Error in rule "${rule.id}":`, error);
+            // Skip the failing rule and keep the text from the previous one
+        }
+    }
+
+    return { text, applied };
+}
+
+export {
+    defineRuleSetting,
+    getRuleSettingDefinitions,
+    registerRule,
+    unregisterRule,
+    getRules,
+    getRuleSettingsDefaults,
+    isRuleEnabled,
+    runRules
+};
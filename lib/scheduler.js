@@ -0,0 +1,65 @@
+// Background job scheduler for AI Prompt Enhancer
+// An MV3 service worker is stopped when idle, so timers set in it do not survive. Jobs run from
+// chrome.alarms instead, one alarm per job. Each job's last run is saved in chrome.storage.local
+// (SCHEDULER_STATE_KEY), and the alarm is set from it, so a job that came due while the worker or
+// the browser was not running runs as soon as the schedule is set up again.
+// Each job declares:
+//   id              - unique identifier, e.g. 'usage-cleanup'
+//   intervalMinutes - time between runs (chrome.alarms allows no less than MIN_JOB_INTERVAL_MINUTES)
+//   run             - async () => void
+
+const SCHEDULER_STATE_KEY = 'schedulerLastRuns';
+const JOB_ALARM_PREFIX = 'job:';
+const MIN_JOB_INTERVAL_MINUTES = 0.5;
+
+const jobRegistry = new Map();
+
+// Register a background job (replaces a job with the same id)
+function defineBackgroundJob(id, { intervalMinutes, run } = {}) {
+    if (typeof id !== 'string' || !id.trim()) {
+        throw new Error('Background job must have a non-empty string id');
+    }
+    if (typeof run !== 'function') {
+        throw new Error(`Background job "${id}" must have a run function`);
+    }
+    if (!(intervalMinutes >= MIN_JOB_INTERVAL_MINUTES)) {
+        throw new Error(`Background job "${id}" must run at most every ${MIN_JOB_INTERVAL_MINUTES} minutes`);
+    }
+
+    jobRegistry.set(id, { id, intervalMinutes, run });
+}
+
+// Get a registered job by id
+function getBackgroundJob(id) {
+    return jobRegistry.get(id);
+}
+
+// Get every registered job
+function getBackgroundJobs() {
+    return Array.from(jobRegistry.values());
+}
+
+// Name of the alarm that runs a job
+function getJobAlarmName(id) {
+    return `${JOB_ALARM_PREFIX}${id}`;
+}
+
+// Id of the job an alarm runs, or null for alarms that are not ours
+function getJobIdFromAlarm(alarmName) {
+    return alarmName.startsWith(JOB_ALARM_PREFIX) ? alarmName.slice(JOB_ALARM_PREFIX.length) : null;
+}
+
+// When a job should next run: one interval after its last run, or now if that has passed or it never ran
+function getNextRunTime(job, lastRun, now = Date.now()) {
+    return lastRun ? Math.max(now, lastRun + job.intervalMinutes * 60 * 1000) : now;
+}
+
+export {
+    SCHEDULER_STATE_KEY,
+    defineBackgroundJob,
+    getBackgroundJob,
+    getBackgroundJobs,
+    getJobAlarmName,
+    getJobIdFromAlarm,
+    getNextRunTime
+};
@@ -0,0 +1,112 @@
+// Prompt templates for AI Prompt Enhancer
+// A template is a named body with {{variable}} placeholders. {{prompt}} is filled with the
+// user's prompt; every other variable is asked for in the modal before enhancement runs.
+
+const TEMPLATE_STORAGE_KEY = 'promptTemplates';
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g;
+const TEMPLATE_LIMITS = {
+    maxTemplates: 100,
+    maxNameLength: 80,
+    maxBodyLength: 5000
+};
+
+// Read-only templates that ship with the extension
+const BUILTIN_TEMPLATES = [
+    {
+        id: 'builtin.expert',
+        name: 'Expert answer',
+        body: 'As {{role}}, {{prompt}}\n\nWrite for {{audience}} and format the answer as {{format}}.',
+        builtin: true
+    },
+    {
+        id: 'builtin.explain',
+        name: 'Explain a concept',
+        body: 'Explain {{prompt}} to {{audience}}. Start with a one-sentence definition, then give an example, then list common misconceptions.',
+        builtin: true
+    },
+    {
+        id: 'builtin.review',
+        name: 'Review my work',
+        body: 'Act as {{role}} and review the following. Point out problems in order of severity and suggest concrete fixes.\n\n{{prompt}}',
+        builtin: true
+    }
+];
+
+// Error raised for invalid template definitions or missing variables; code is the message protocol's error code
+class TemplateError extends Error {
+    constructor(message, code = 'invalid_data') {
+        super(message);
+        this.name = 'TemplateError';
+        this.code = code;
+    }
+}
+
+// List the distinct variable names in a template body, in order of appearance
+function extractTemplateVariables(body) {
+    const names = [];
+
+    for (const match of String(body || '').matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+
+    return names;
+}
+
+// Fill a template body; throws if any variable has no value
+function renderTemplate(body, values = {}) {
+    const missing = extractTemplateVariables(body).filter(name =>
+        typeof values[name] !== 'string' || !values[name].trim()
+    );
+
+    if (missing.length > 0) {
+        throw new TemplateError(`Missing template values: ${missing.join(', ')}`);
+    }
+
+    return body.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) => values[name].trim());
+}
+
+// Check and normalise a user template before it is saved
+function validateTemplate(template) {
+    const name = String(template?.name || '').trim();
+    const body = String(template?.body || '').trim();
+
+    if (!name) {
+        throw new TemplateError('Template name is required');
+    }
+    if (name.length > TEMPLATE_LIMITS.maxNameLength) {
+        throw new TemplateError(`Template name must be at most ${TEMPLATE_LIMITS.maxNameLength} characters`);
+    }
+    if (!body) {
+        throw new TemplateError('Template body is required');
+    }
+    if (body.length > TEMPLATE_LIMITS.maxBodyLength) {
+        throw new TemplateError(`Template body must be at most ${TEMPLATE_LIMITS.maxBodyLength} characters`);
+    }
+    if (!extractTemplateVariables(body).includes('prompt')) {
+        throw new TemplateError('Template body must contain {{prompt}}');
+    }
+
+    return { name, body };
+}
+
+// Describe a template for the UI, including its variables
+function describeTemplate(template) {
+    return {
+        ...template,
+        builtin: Boolean(template.builtin),
+        variables: extractTemplateVariables(template.body)
+    };
+}
+
+export {
+    TEMPLATE_STORAGE_KEY,
+    TEMPLATE_LIMITS,
+    BUILTIN_TEMPLATES,
+    TemplateError,
+    extractTemplateVariables,
+    renderTemplate,
+    validateTemplate,
+    describeTemplate
+};
@@ -0,0 +1,141 @@
+// Token counts and cost estimates for AI Prompt Enhancer
+// Each model family's tokenizer is approximated locally: the text is split the way GPT-style
+// tokenizers pre-split it (words with their leading space, digit runs, punctuation, whitespace) and
+// each piece is counted with the family's averages. Counts are estimates, usually within 10-15% of
+// the provider's own. Costs come from a price table the user can edit on the options page.
+//
+// Each family declares:
+//   label          - name shown on the options page
+//   wordLength     - letters a common word can have and still be one token
+//   charsPerToken  - letters per extra token in a longer word
+//   digitsPerToken - digits per token in a number (1 for tokenizers that split every digit)
+//   cjkPerToken    - Chinese, Japanese or Korean characters per token
+
+const TOKEN_FAMILIES = {
+    gpt: { label: 'GPT', wordLength: 8, charsPerToken: 4, digitsPerToken: 3, cjkPerToken: 1 },
+    claude: { label: 'Claude', wordLength: 7, charsPerToken: 3.5, digitsPerToken: 3, cjkPerToken: 0.8 },
+    llama: { label: 'Llama', wordLength: 6, charsPerToken: 3.5, digitsPerToken: 1, cjkPerToken: 0.7 },
+    gemini: { label: 'Gemini', wordLength: 8, charsPerToken: 4, digitsPerToken: 1, cjkPerToken: 1.2 }
+};
+
+// USD per million input tokens; prices change, so the table is a starting point the user keeps up to date
+const DEFAULT_MODEL_PRICES = [
+    { id: 'gpt-4o', label: 'GPT-4o', family: 'gpt', inputPrice: 2.5, contextWindow: 128000 },
+    { id: 'gpt-4o-mini', label: 'GPT-4o mini', family: 'gpt', inputPrice: 0.15, contextWindow: 128000 },
+    { id: 'claude-sonnet', label: 'Claude Sonnet', family: 'claude', inputPrice: 3, contextWindow: 200000 },
+    { id: 'claude-haiku', label: 'Claude Haiku', family: 'claude', inputPrice: 0.8, contextWindow: 200000 },
+    { id: 'llama-3-70b', label: 'Llama 3 70B', family: 'llama', inputPrice: 0.88, contextWindow: 128000 },
+    { id: 'gemini-pro', label: 'Gemini Pro', family: 'gemini', inputPrice: 1.25, contextWindow: 2000000 },
+    { id: 'gemini-flash', label: 'Gemini Flash', family: 'gemini', inputPrice: 0.075, contextWindow: 1000000 }
+];
+
+const MODEL_PRICE_LIMITS = {
+    maxModels: 20
+};
+
+// Pre-split pieces: contractions, words with one leading non-letter, digit runs, punctuation runs, whitespace
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)\b|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}+| ?[^\s\p{L}\p{N}]+|\s*[\r\n]+|\s+/giu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+// Error raised for price tables the estimator cannot use; code is the message protocol's error code
+class PriceTableError extends Error {
+    constructor(message, code = 'invalid_data') {
+        super(message);
+        this.name = 'PriceTableError';
+        this.code = code;
+    }
+}
+
+function countPieceTokens(piece, family) {
+    const cjk = (piece.match(CJK_PATTERN) || []).length;
+    const rest = piece.replace(CJK_PATTERN, '');
+    let tokens = cjk / family.cjkPerToken;
+
+    if (/\p{L}/u.test(rest)) {
+        const letters = rest.replace(/[^\p{L}]/gu, '').length;
+        tokens += 1 + Math.ceil(Math.max(0, letters - family.wordLength) / family.charsPerToken);
+    } else if (/\p{N}/u.test(rest)) {
+        tokens += Math.ceil(rest.length / family.digitsPerToken);
+    } else if (rest.trim()) {
+        tokens += Math.ceil(rest.trim().length / 2);
+    } else if (rest) {
+        tokens += 1;
+    }
+    return tokens;
+}
+
+// Estimated number of tokens in a text for a model family (TOKEN_FAMILIES key)
+function countTokens(text, familyId = 'gpt') {
+    const family = TOKEN_FAMILIES[familyId] || TOKEN_FAMILIES.gpt;
+    const pieces = String(text).match(PIECE_PATTERN) || [];
+    return Math.ceil(pieces.reduce((sum, piece) => sum + countPieceTokens(piece, family), 0));
+}
+
+// Check an edited price table: at least one model, unique ids and known families.
+// Throws PriceTableError; the message protocol has already checked the field types.
+function validateModelPrices(models) {
+    if (!models.length) {
+        throw new PriceTableError('The price table needs at least one model');
+    }
+    if (models.length > MODEL_PRICE_LIMITS.maxModels) {
+        throw new PriceTableError(`The price table can have up to ${MODEL_PRICE_LIMITS.maxModels} models`);
+    }
+
+    const seen = new Set();
+    models.forEach(model => {
+        if (seen.has(model.id)) {
+            throw new PriceTableError(`Model "${model.id}" is listed twice`);
+        }
+        if (!TOKEN_FAMILIES[model.family]) {
+            throw new PriceTableError(`Model "${model.id}" has an unknown family "${model.family}"`);
+        }
+        seen.add(model.id);
+    });
+}
+
+// The model with this id, or the first one when it was removed from the table
+function getModelPrice(id, models = DEFAULT_MODEL_PRICES) {
+    return models.find(model => model.id === id) || models[0] || DEFAULT_MODEL_PRICES[0];
+}
+
+// Input cost in USD of a number of tokens
+function estimateCost(tokens, model) {
+    return (tokens * model.inputPrice) / 1000000;
+}
+
+// Token counts and input costs of a prompt before and after enhancement for one model.
+// budget is the most tokens a prompt should use; 0 or unset means the model's context window.
+// Returns { model, label, before, after, cost: { before, after }, currency, budget, overBudget }.
+function estimatePromptTokens(before, after, { model: modelId, prices = DEFAULT_MODEL_PRICES, budget = 0 } = {}) {
+    const model = getModelPrice(modelId, prices);
+    const tokens = {
+        before: countTokens(before, model.family),
+        after: countTokens(after, model.family)
+    };
+    const limit = budget || model.contextWindow;
+
+    return {
+        model: model.id,
+        label: model.label,
+        ...tokens,
+        cost: {
+            before: estimateCost(tokens.before, model),
+            after: estimateCost(tokens.after, model)
+        },
+        currency: 'USD',
+        budget: limit,
+        overBudget: tokens.after > limit
+    };
+}
+
+export {
+    TOKEN_FAMILIES,
+    DEFAULT_MODEL_PRICES,
+    MODEL_PRICE_LIMITS,
+    PriceTableError,
+    countTokens,
+    validateModelPrices,
+    getModelPrice,
+    estimateCost,
+    estimatePromptTokens
+};
@@ -0,0 +1,202 @@
+// Usage analytics for AI Prompt Enhancer
+// logUsage rolls every enhancement up into day, week and month buckets, so the dashboard can
+// chart long ranges without keeping each request. A bucket holds:
+//   prompts                      - enhancements in the period
+//   originalChars, enhancedChars - summed prompt lengths, for average length growth
+//   options, sites, rules        - { key: count }: rule settings that were on, where it ran, rules that fired
+// Buckets are keyed by local date: '2026-10-19', ISO week '2026-W42', month '2026-10'.
+
+const USAGE_AGGREGATES_KEY = 'usageAggregates';
+
+// How many buckets each period keeps, and how many the dashboard shows
+const ANALYTICS_PERIODS = {
+    day: { retain: 90, range: 30 },
+    week: { retain: 52, range: 12 },
+    month: { retain: 24, range: 12 }
+};
+
+function padNumber(value) {
+    return String(value).padStart(2, '0');
+}
+
+function getDayKey(date) {
+    return `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(date.getDate())}`;
+}
+
+// ISO 8601 week: weeks start on Monday and belong to the year of their Thursday
+function getWeekKey(date) {
+    const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${padNumber(week)}`;
+}
+
+function getMonthKey(date) {
+    return `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}`;
+}
+
+const PERIOD_KEYS = {
+    day: getDayKey,
+    week: getWeekKey,
+    month: getMonthKey
+};
+
+// Bucket key for a timestamp in the given period
+function getPeriodKey(period, timestamp) {
+    const keyFor = PERIOD_KEYS[period];
+    if (!keyFor) {
+        throw new Error(`Unknown analytics period "${period}"`);
+    }
+    return keyFor(new Date(timestamp));
+}
+
+// The last `count` bucket keys of a period, oldest first, ending with the one for `now`
+function getRecentPeriodKeys(period, count, now = Date.now()) {
+    const keys = [];
+    const date = new Date(now);
+
+    while (keys.length < count) {
+        keys.unshift(getPeriodKey(period, date.getTime()));
+
+        if (period === 'day') {
+            date.setDate(date.getDate() - 1);
+        } else if (period === 'week') {
+            date.setDate(date.getDate() - 7);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() - 1);
+        }
+    }
+
+    return keys;
+}
+
+function createBucket() {
+    return { prompts: 0, originalChars: 0, enhancedChars: 0, options: {}, sites: {}, rules: {} };
+}
+
+function countInto(counts, keys) {
+    keys.forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+    });
+}
+
+// Add one enhancement ({ site, originalLength, enhancedLength, options, rules }) to every period.
+// options and rules are lists of setting keys and rule ids. Returns the updated aggregates.
+function recordEnhancementAggregate(aggregates = {}, event = {}, timestamp = Date.now()) {
+    Object.keys(ANALYTICS_PERIODS).forEach(period => {
+        const buckets = aggregates[period] = aggregates[period] || {};
+        const key = getPeriodKey(period, timestamp);
+        const bucket = buckets[key] = buckets[key] || createBucket();
+
+        bucket.prompts++;
+        bucket.originalChars += event.originalLength || 0;
+        bucket.enhancedChars += event.enhancedLength || 0;
+        countInto(bucket.options, event.options || []);
+        countInto(bucket.sites, [event.site || 'unknown']);
+        countInto(bucket.rules, event.rules || []);
+    });
+
+    return pruneAggregates(aggregates, timestamp);
+}
+
+// Drop buckets older than each period keeps
+function pruneAggregates(aggregates, now = Date.now()) {
+    Object.entries(ANALYTICS_PERIODS).forEach(([period, { retain }]) => {
+        const buckets = aggregates[period];
+        if (!buckets) return;
+
+        // Keys sort in time order, so the oldest kept key is a lower bound
+        const [oldest] = getRecentPeriodKeys(period, retain, now);
+        Object.keys(buckets).forEach(key => {
+            if (key < oldest) delete buckets[key];
+        });
+    });
+
+    return aggregates;
+}
+
+// Percentage by which enhancement lengthened prompts on average (0 with no data)
+function getLengthGrowth(originalChars, enhancedChars) {
+    return originalChars > 0 ? Math.round(((enhancedChars - originalChars) / originalChars) * 100) : 0;
+}
+
+// Sum a { key: count } field over buckets and rank it, most frequent first
+function rankCounts(buckets, field) {
+    const totals = {};
+    buckets.forEach(bucket => {
+        Object.entries(bucket[field] || {}).forEach(([key, count]) => {
+            totals[key] = (totals[key] || 0) + count;
+        });
+    });
+
+    return Object.entries(totals)
+        .map(([key, count]) => ({ key, count }))
+        .sort((a, b) => (b.count - a.count) || a.key.localeCompare(b.key));
+}
+
+// Everything the dashboard shows for the last `range` buckets of a period
+function buildAnalyticsReport(aggregates = {}, period = 'day', now = Date.now(), range = ANALYTICS_PERIODS[period]?.range) {
+    if (!ANALYTICS_PERIODS[period]) {
+        throw new Error(`Unknown analytics period "${period}"`);
+    }
+
+    const stored = aggregates[period] || {};
+    const keys = getRecentPeriodKeys(period, range, now);
+    const buckets = keys.map(key => stored[key] || createBucket());
+
+    const series = keys.map((key, index) => {
+        const { prompts, originalChars, enhancedChars } = buckets[index];
+        return {
+            period: key,
+            prompts,
+            averageOriginalLength: prompts ? Math.round(originalChars / prompts) : 0,
+            averageEnhancedLength: prompts ? Math.round(enhancedChars / prompts) : 0,
+            lengthGrowth: getLengthGrowth(originalChars, enhancedChars)
+        };
+    });
+
+    const totals = buckets.reduce((sum, bucket) => ({
+        prompts: sum.prompts + bucket.prompts,
+        originalChars: sum.originalChars + bucket.originalChars,
+        enhancedChars: sum.enhancedChars + bucket.enhancedChars
+    }), { prompts: 0, originalChars: 0, enhancedChars: 0 });
+
+    return {
+        period,
+        series,
+        totals: {
+            prompts: totals.prompts,
+            lengthGrowth: getLengthGrowth(totals.originalChars, totals.enhancedChars)
+        },
+        rules: rankCounts(buckets, 'rules'),
+        sites: rankCounts(buckets, 'sites'),
+        options: rankCounts(buckets, 'options')
+    };
+}
+
+// Rows of objects as CSV text with a header line (RFC 4180 quoting)
+function toCsv(rows, columns) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.map(escape).join(','),
+        ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+export {
+    USAGE_AGGREGATES_KEY,
+    ANALYTICS_PERIODS,
+    getPeriodKey,
+    getRecentPeriodKeys,
+    recordEnhancementAggregate,
+    pruneAggregates,
+    buildAnalyticsReport,
+    toCsv
+};
@@ -0,0 +1,102 @@
+// Enhancement variants for AI Prompt Enhancer
+// A strategy is one way to enhance a prompt: the rule settings it turns on or off, whether it uses a
+// persona, and a closing phrase from the locale pack (locale-packs.js) that steers the answer. The LLM
+// provider gets the strategy's instruction instead. core/enhancer.js runs one enhancement per strategy
+// so the modal can show them side by side. Which variant the user picks is counted, and
+// rankStrategies() puts the strategies the user prefers first.
+//
+// Each strategy declares:
+//   id          - unique identifier, also the suffix of its variant_<id> UI string
+//   label       - English name for pages without _locales
+//   settings    - rule settings it overrides (rule-registry.js)
+//   persona     - 'none' for no persona, 'required' to suggest one when none was chosen,
+//                 or undefined to use the request's
+//   phrase      - locale pack phrase added after the rules, if any
+//   skipIntents - the phrase is left out when the prompt already mentions one of these (intent-detector.js)
+//   instruction - what the LLM provider is asked to do for this strategy
+
+const VARIANT_PREFERENCES_KEY = 'variantPreferences';
+
+const VARIANT_STRATEGIES = [
+    {
+        id: 'concise',
+        label: 'Concise',
+        settings: { enhanceClarity: true, addContext: false, improveStructure: false },
+        persona: 'none',
+        phrase: 'concise',
+        instruction: 'Keep the rewritten prompt short and have it ask for a brief, direct answer.'
+    },
+    {
+        id: 'detailed',
+        label: 'Detailed',
+        settings: { enhanceClarity: true, addContext: true, improveStructure: true },
+        phrase: 'detailed',
+        instruction: 'Make the rewritten prompt thorough: have it ask for details, examples and edge cases.'
+    },
+    {
+        id: 'stepByStep',
+        label: 'Step by step',
+        settings: { enhanceClarity: true, addContext: true, improveStructure: false },
+        phrase: 'stepByStep',
+        skipIntents: ['list'],
+        instruction: 'Have the rewritten prompt ask for a step-by-step answer with numbered steps.'
+    },
+    {
+        id: 'persona',
+        label: 'Persona',
+        settings: { enhanceClarity: true, addContext: true, improveStructure: false },
+        persona: 'required',
+        instruction: 'Build the rewritten prompt around the role it gives the assistant.'
+    },
+    {
+        id: 'format',
+        label: 'Format-constrained',
+        settings: { enhanceClarity: true, addContext: false, improveStructure: true },
+        phrase: 'formatConstrained',
+        skipIntents: ['format', 'list'],
+        instruction: 'Have the rewritten prompt fix the answer format: Markdown, a heading per section, at most 300 words.'
+    }
+];
+
+// The persona a strategy enhances with, from the one the request chose (an id, 'auto', 'none' or null)
+function getStrategyPersona(strategy, persona) {
+    if (strategy.persona === 'none') return 'none';
+    if (strategy.persona === 'required') return persona && persona !== 'none' ? persona : 'auto';
+    return persona;
+}
+
+// Share of the times a strategy was shown that the user picked it, starting from an even 1 in 2
+// so a strategy is not written off (or crowned) after one choice
+function getPreferenceScore({ shown = 0, chosen = 0 } = {}) {
+    return (chosen + 1) / (shown + 2);
+}
+
+// Strategies ordered by preference; ties keep the order of `strategies`
+function rankStrategies(preferences = {}, strategies = VARIANT_STRATEGIES) {
+    return strategies
+        .map((strategy, index) => ({ strategy, index, score: getPreferenceScore(preferences[strategy.id]) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.strategy);
+}
+
+// Count one choice: every shown strategy was passed over except the chosen one. Returns new preferences.
+function recordVariantChoice(preferences = {}, chosen, shown = []) {
+    const updated = { ...preferences };
+    new Set([...shown, chosen]).forEach(id => {
+        const counts = updated[id] || { shown: 0, chosen: 0 };
+        updated[id] = {
+            shown: counts.shown + 1,
+            chosen: counts.chosen + (id === chosen ? 1 : 0)
+        };
+    });
+    return updated;
+}
+
+export {
+    VARIANT_PREFERENCES_KEY,
+    VARIANT_STRATEGIES,
+    getStrategyPersona,
+    getPreferenceScore,
+    rankStrategies,
+    recordVariantChoice
+};
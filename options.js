@@ -0,0 +1,983 @@
+// Options page script for AI Prompt Enhancer
+
+// Requests to the background script (content/messaging.js); failures reject with a MessageError
+const { sendMessage } = globalThis.AIPromptEnhancer.messaging;
+// UI strings from _locales (content/i18n.js)
+const { t } = globalThis.AIPromptEnhancer.i18n;
+
+document.addEventListener('DOMContentLoaded', function() {
+    // Translate the static markup (data-i18n attributes)
+    globalThis.AIPromptEnhancer.i18n.localizePage();
+
+    loadRuleSettings();
+    loadProviderSettings();
+    loadTemplates();
+    loadFormatPresets();
+    loadPersonas();
+    setupThemeSettings();
+    setupHistorySettings();
+    loadPrivacySettings();
+    loadTokenSettings();
+    loadUsageSettings();
+    loadShortcuts();
+
+    const providerForm = document.getElementById('provider-form');
+    if (providerForm) {
+        providerForm.addEventListener('submit', saveProviderSettings);
+    }
+
+    const templateForm = document.getElementById('template-form');
+    if (templateForm) {
+        templateForm.addEventListener('submit', saveTemplate);
+        templateForm.elements.body.addEventListener('input', updateTemplateVariablesHint);
+        templateForm.addEventListener('reset', () => setTimeout(updateTemplateVariablesHint));
+    }
+
+    const formatForm = document.getElementById('format-form');
+    if (formatForm) {
+        formatForm.addEventListener('submit', saveFormatPreset);
+        formatForm.elements.kind.addEventListener('change', () => renderFormatParams());
+        formatForm.addEventListener('reset', () => setTimeout(() => renderFormatParams()));
+    }
+
+    const personaForm = document.getElementById('persona-form');
+    if (personaForm) {
+        personaForm.addEventListener('submit', savePersona);
+    }
+
+    const privacyForm = document.getElementById('privacy-form');
+    if (privacyForm) {
+        privacyForm.addEventListener('submit', savePrivacySettings);
+    }
+
+    const tokensForm = document.getElementById('tokens-form');
+    if (tokensForm) {
+        tokensForm.addEventListener('submit', saveTokenSettings);
+    }
+
+    const usageForm = document.getElementById('usage-form');
+    if (usageForm) {
+        usageForm.addEventListener('submit', saveUsageSettings);
+    }
+
+    // Keep toggles in sync when settings change elsewhere (popup, another options tab)
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        // Pins are made from the modal
+        if (areaName === 'sync' && changes.sitePersonas) {
+            loadPersonas();
+        }
+        if (areaName !== 'sync') return;
+
+        Object.entries(changes).forEach(([key, change]) => {
+            const checkbox = document.querySelector(`#rule-settings input[data-key="${key}"]`);
+            if (checkbox) {
+                checkbox.checked = Boolean(change.newValue);
+            }
+        });
+    });
+});
+
+// Show a short status message next to a form's save button
+function showStatus(element, message, isError = false) {
+    if (!element) return;
+
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+
+    clearTimeout(element.hideTimer);
+    element.hideTimer = setTimeout(() => {
+        element.textContent = '';
+    }, 3000);
+}
+
+// History opt-in and clear button
+async function setupHistorySettings() {
+    const toggle = document.getElementById('history-enabled');
+    const clearButton = document.getElementById('clear-history-btn');
+    const status = document.getElementById('history-status');
+
+    if (toggle) {
+        try {
+            const { settings } = await sendMessage('getSettings');
+            toggle.checked = Boolean(settings.historyEnabled);
+        } catch (error) {
+            console.error('Failed to load history setting:', error);
+        }
+
+        toggle.addEventListener('change', async () => {
+            try {
+                await sendMessage('updateSettings', { historyEnabled: toggle.checked });
+                showStatus(status, t(toggle.checked ? 'options_historyOn' : 'options_historyOff'));
+            } catch (error) {
+                toggle.checked = !toggle.checked;
+                showStatus(status, t('options_saveFailed', error.message), true);
+            }
+        });
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener('click', async () => {
+            if (!confirm(t('options_clearHistoryConfirm'))) return;
+
+            try {
+                await sendMessage('clearHistory');
+                showStatus(status, t('options_historyCleared'));
+            } catch (error) {
+                showStatus(status, t('options_clearHistoryFailed', error.message), true);
+            }
+        });
+    }
+}
+
+// Load the theme and save it as soon as another one is picked; open pages restyle right away
+async function setupThemeSettings() {
+    const form = document.getElementById('appearance-form');
+    if (!form) return;
+
+    const select = form.elements.theme;
+    const status = document.getElementById('theme-status');
+
+    try {
+        const { settings } = await sendMessage('getSettings');
+        select.value = settings.theme;
+    } catch (error) {
+        console.error('Failed to load theme setting:', error);
+    }
+
+    form.addEventListener('submit', event => event.preventDefault());
+    select.addEventListener('change', async () => {
+        try {
+            await sendMessage('updateSettings', { theme: select.value });
+            showStatus(status, t('options_themeSaved'));
+        } catch (error) {
+            showStatus(status, t('options_saveFailed', error.message), true);
+        }
+    });
+}
+
+// Fill the privacy form from the stored settings
+async function loadPrivacySettings() {
+    const form = document.getElementById('privacy-form');
+    if (!form) return;
+
+    try {
+        const { settings } = await sendMessage('getSettings');
+        form.elements.redactionEnabled.checked = Boolean(settings.redactionEnabled);
+        form.elements.redactionPatterns.value = settings.redactionPatterns.join('\n');
+    } catch (error) {
+        console.error('Failed to load privacy settings:', error);
+        showStatus(document.getElementById('privacy-status'), t('options_privacyLoadFailed'), true);
+    }
+}
+
+// Save redaction; the background script rejects patterns that are not valid regular expressions
+async function savePrivacySettings(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('privacy-status');
+    const patterns = form.elements.redactionPatterns.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+    try {
+        await sendMessage('updateSettings', {
+            redactionEnabled: form.elements.redactionEnabled.checked,
+            redactionPatterns: patterns
+        });
+        showStatus(status, t('options_privacySaved'));
+    } catch (error) {
+        showStatus(status, t('options_saveFailed', error.message), true);
+    }
+}
+
+// Fill the token estimate form and the editable price table from the stored settings.
+// The families and default prices come from the estimator module itself.
+async function loadTokenSettings() {
+    const form = document.getElementById('tokens-form');
+    if (!form) return;
+
+    const { TOKEN_FAMILIES, DEFAULT_MODEL_PRICES } = await import('./lib/token-estimator.js');
+    const rows = document.getElementById('price-rows');
+
+    document.getElementById('add-model-btn').addEventListener('click', () => {
+        rows.appendChild(createPriceRow({ id: '', label: '', family: 'gpt', inputPrice: 0, contextWindow: 128000 }, TOKEN_FAMILIES));
+    });
+    document.getElementById('reset-prices-btn').addEventListener('click', () => {
+        renderPriceRows(DEFAULT_MODEL_PRICES, form.elements.tokenModel.value, TOKEN_FAMILIES);
+    });
+    rows.addEventListener('change', () => renderModelChoices(readPriceRows(), form.elements.tokenModel.value));
+
+    try {
+        const { settings } = await sendMessage('getSettings');
+        form.elements.contextBudget.value = settings.contextBudget;
+        renderPriceRows(settings.modelPrices, settings.tokenModel, TOKEN_FAMILIES);
+    } catch (error) {
+        console.error('Failed to load token settings:', error);
+        showStatus(document.getElementById('tokens-status'), t('options_tokensLoadFailed'), true);
+    }
+}
+
+function renderPriceRows(models, selected, families) {
+    document.getElementById('price-rows').replaceChildren(...models.map(model => createPriceRow(model, families)));
+    renderModelChoices(models, selected);
+}
+
+// One editable row of the price table
+function createPriceRow(model, families) {
+    const row = document.createElement('tr');
+    const cell = (input) => {
+        const td = document.createElement('td');
+        td.appendChild(input);
+        row.appendChild(td);
+        return input;
+    };
+    const input = (name, type, value, attributes = {}) => {
+        const element = document.createElement('input');
+        Object.assign(element, { name, type, value, required: true, ...attributes });
+        return cell(element);
+    };
+
+    input('id', 'text', model.id, { maxLength: 200, spellcheck: false });
+    input('label', 'text', model.label, { maxLength: 60 });
+
+    const family = document.createElement('select');
+    family.name = 'family';
+    Object.entries(families).forEach(([id, definition]) => family.add(new Option(definition.label, id)));
+    family.value = model.family;
+    cell(family);
+
+    input('inputPrice', 'number', model.inputPrice, { min: 0, max: 1000, step: 'any' });
+    input('contextWindow', 'number', model.contextWindow, { min: 1, step: 1 });
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'secondary-btn';
+    removeButton.textContent = t('options_remove');
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        const select = document.querySelector('#tokens-form select[name="tokenModel"]');
+        renderModelChoices(readPriceRows(), select.value);
+    });
+    cell(removeButton);
+
+    return row;
+}
+
+function readPriceRows() {
+    return [...document.querySelectorAll('#price-rows tr')].map(row => {
+        const field = name => row.querySelector(`[name="${name}"]`).value;
+        return {
+            id: field('id').trim(),
+            label: field('label').trim(),
+            family: field('family'),
+            inputPrice: Number(field('inputPrice')),
+            contextWindow: Number(field('contextWindow'))
+        };
+    });
+}
+
+// The model select lists the table's models; the choice is kept while it is still in the table
+function renderModelChoices(models, selected) {
+    const select = document.querySelector('#tokens-form select[name="tokenModel"]');
+    const named = models.filter(model => model.id);
+
+    select.replaceChildren(...named.map(model => new Option(model.label || model.id, model.id)));
+    if (named.some(model => model.id === selected)) {
+        select.value = selected;
+    }
+}
+
+// Save the model, budget and price table; the background script rejects duplicate ids
+async function saveTokenSettings(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('tokens-status');
+
+    try {
+        await sendMessage('updateSettings', {
+            tokenModel: form.elements.tokenModel.value,
+            contextBudget: Number(form.elements.contextBudget.value),
+            modelPrices: readPriceRows()
+        });
+        showStatus(status, t('options_tokensSaved'));
+    } catch (error) {
+        showStatus(status, t('options_saveFailed', error.message), true);
+    }
+}
+
+// Fill the usage data form from the stored settings
+async function loadUsageSettings() {
+    const form = document.getElementById('usage-form');
+    if (!form) return;
+
+    try {
+        const { settings } = await sendMessage('getSettings');
+        form.elements.usageRetentionDays.value = settings.usageRetentionDays;
+        form.elements.statsResetPeriod.value = settings.statsResetPeriod;
+    } catch (error) {
+        console.error('Failed to load usage settings:', error);
+        showStatus(document.getElementById('usage-status'), t('options_usageLoadFailed'), true);
+    }
+}
+
+// Save the retention and reset periods; the background jobs pick them up on their next run
+async function saveUsageSettings(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('usage-status');
+
+    try {
+        await sendMessage('updateSettings', {
+            usageRetentionDays: Number(form.elements.usageRetentionDays.value),
+            statsResetPeriod: form.elements.statsResetPeriod.value
+        });
+        showStatus(status, t('options_usageSaved'));
+    } catch (error) {
+        showStatus(status, t('options_saveFailed', error.message), true);
+    }
+}
+
+// List the browser commands and the remappable modal hotkeys
+async function loadShortcuts() {
+    const commandList = document.getElementById('command-list');
+    const editButton = document.getElementById('edit-commands-btn');
+
+    if (editButton) {
+        // Chrome only lets the user change command shortcuts on its own page
+        editButton.addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+    }
+
+    if (commandList) {
+        try {
+            const commands = await chrome.commands.getAll();
+            commandList.innerHTML = '';
+            commands
+                .filter(command => command.description)
+                .forEach(command => {
+                    commandList.appendChild(createShortcutItem(command.description, command.shortcut || t('options_notSet')));
+                });
+        } catch (error) {
+            console.error('Failed to load commands:', error);
+            commandList.innerHTML = `<li>${t('options_shortcutsLoadFailed')}</li>`;
+        }
+    }
+
+    loadHotkeys();
+}
+
+function createShortcutItem(label, shortcut) {
+    const item = document.createElement('li');
+    item.className = 'shortcut-item';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    const key = document.createElement('kbd');
+    key.textContent = shortcut;
+
+    item.append(text, key);
+    return item;
+}
+
+// Render one recorder field per modal hotkey
+async function loadHotkeys() {
+    const list = document.getElementById('hotkey-list');
+    if (!list) return;
+
+    const { HOTKEY_DEFINITIONS, resolveHotkeys } = globalThis.AIPromptEnhancer.hotkeys;
+
+    try {
+        const { settings } = await sendMessage('getSettings');
+        const stored = settings.hotkeys || {};
+        const bindings = resolveHotkeys(stored);
+        list.innerHTML = '';
+
+        HOTKEY_DEFINITIONS.forEach(definition => {
+            const item = document.createElement('li');
+            item.className = 'shortcut-item';
+
+            const label = t(`hotkey_${definition.key}`);
+            const text = document.createElement('span');
+            text.textContent = label;
+
+            const controls = document.createElement('span');
+            controls.className = 'shortcut-controls';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.readOnly = true;
+            input.value = bindings[definition.key];
+            input.setAttribute('aria-label', label);
+            input.addEventListener('keydown', event => recordHotkey(event, definition, stored));
+
+            const resetButton = createItemButton(t('options_reset'), () => {
+                const { [definition.key]: removed, ...rest } = stored;
+                saveHotkeys(rest);
+            });
+            resetButton.disabled = !stored[definition.key];
+
+            controls.append(input, resetButton);
+            item.append(text, controls);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load hotkeys:', error);
+        list.innerHTML = `<li>${t('options_hotkeysLoadFailed')}</li>`;
+    }
+}
+
+// Turn a key press in a recorder field into a new binding
+function recordHotkey(event, definition, stored) {
+    // Leave Tab alone so the page stays keyboard navigable
+    if (event.key === 'Tab' && !event.ctrlKey && !event.altKey && !event.metaKey) return;
+
+    event.preventDefault();
+
+    const { bindingFromEvent, resolveHotkeys, parseBinding } = globalThis.AIPromptEnhancer.hotkeys;
+    const binding = bindingFromEvent(event, { modifierOnly: definition.modifierOnly });
+    if (!binding) return;
+
+    const status = document.getElementById('hotkey-status');
+    const parsed = parseBinding(binding);
+
+    // A bare letter or digit would fire while typing the prompt
+    if (!definition.modifierOnly && parsed.key.length === 1 && !parsed.ctrl && !parsed.alt && !parsed.meta) {
+        showStatus(status, t('options_hotkeyNeedsModifier'), true);
+        return;
+    }
+
+    const bindings = resolveHotkeys({ ...stored, [definition.key]: binding });
+    const clash = Object.keys(bindings).find(key => key !== definition.key && bindings[key] === binding);
+    if (clash) {
+        showStatus(status, t('options_hotkeyInUse', binding), true);
+        return;
+    }
+
+    saveHotkeys({ ...stored, [definition.key]: binding });
+}
+
+async function saveHotkeys(hotkeys) {
+    const status = document.getElementById('hotkey-status');
+
+    try {
+        await sendMessage('updateSettings', { hotkeys });
+        showStatus(status, t('options_saved'));
+        loadHotkeys();
+    } catch (error) {
+        console.error('Failed to save hotkeys:', error);
+        showStatus(status, t('options_saveFailed', error.message), true);
+    }
+}
+
+// Render one toggle per rule setting, listing the rules it controls
+async function loadRuleSettings() {
+    const container = document.getElementById('rule-settings');
+    if (!container) return;
+
+    try {
+        const { settings, definitions } = await sendMessage('getSettings');
+        container.innerHTML = '';
+
+        definitions.forEach(definition => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'rule-setting';
+
+            const label = document.createElement('label');
+            label.className = 'checkbox-row';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.key = definition.key;
+            checkbox.checked = Boolean(settings[definition.key]);
+            checkbox.addEventListener('change', async () => {
+                try {
+                    await sendMessage('updateSettings', { [definition.key]: checkbox.checked });
+                } catch (error) {
+                    console.error('Failed to save setting:', error);
+                    checkbox.checked = !checkbox.checked;
+                }
+            });
+
+            const title = document.createElement('span');
+            title.textContent = definition.description
+                ? `${definition.label} - ${definition.description}`
+                : definition.label;
+
+            label.append(checkbox, title);
+
+            const ruleList = document.createElement('ul');
+            ruleList.className = 'rule-list';
+            definition.rules.forEach(rule => {
+                const item = document.createElement('li');
+                item.textContent = rule.description || rule.id;
+                ruleList.appendChild(item);
+            });
+
+            wrapper.append(label, ruleList);
+            container.appendChild(wrapper);
+        });
+    } catch (error) {
+        console.error('Failed to load rule settings:', error);
+        container.innerHTML = `<p>${t('settingsLoadFailed')}</p>`;
+    }
+}
+
+// Fill the provider form from storage
+async function loadProviderSettings() {
+    const form = document.getElementById('provider-form');
+    if (!form) return;
+
+    try {
+        const { settings } = await sendMessage('getProviderSettings');
+
+        form.elements.enabled.checked = Boolean(settings.enabled);
+        form.elements.baseUrl.value = settings.baseUrl || '';
+        form.elements.model.value = settings.model || '';
+        form.elements.systemPrompt.value = settings.systemPrompt || '';
+        form.elements.timeoutMs.value = settings.timeoutMs || '';
+        form.elements.apiKey.placeholder = settings.hasApiKey
+            ? t('options_apiKeySaved')
+            : t('options_apiKeyOptional');
+    } catch (error) {
+        console.error('Failed to load provider settings:', error);
+        showStatus(document.getElementById('provider-status'), t('options_providerLoadFailed'), true);
+    }
+}
+
+// Save the provider form, asking for host access to the endpoint first
+async function saveProviderSettings(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('provider-status');
+
+    const data = {
+        enabled: form.elements.enabled.checked,
+        baseUrl: form.elements.baseUrl.value.trim(),
+        model: form.elements.model.value.trim(),
+        systemPrompt: form.elements.systemPrompt.value.trim()
+    };
+
+    if (Number(form.elements.timeoutMs.value) > 0) {
+        data.timeoutMs = Number(form.elements.timeoutMs.value);
+    }
+    if (form.elements.apiKey.value) {
+        data.apiKey = form.elements.apiKey.value;
+    }
+
+    try {
+        if (data.enabled) {
+            const origin = new URL(data.baseUrl).origin;
+            const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+            if (!granted) {
+                showStatus(status, t('options_hostAccess', origin), true);
+                return;
+            }
+        }
+
+        await sendMessage('updateProviderSettings', data);
+        form.elements.apiKey.value = '';
+        showStatus(status, t('options_saved'));
+        loadProviderSettings();
+    } catch (error) {
+        console.error('Failed to save provider settings:', error);
+        showStatus(status, t('options_saveFailed', error.message), true);
+    }
+}
+
+// Same placeholder syntax as lib/templates.js, for the live hint only
+function listTemplateVariables(body) {
+    const names = [];
+    for (const match of body.matchAll(/\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+function updateTemplateVariablesHint() {
+    const form = document.getElementById('template-form');
+    const hint = document.getElementById('template-variables-hint');
+    if (!form || !hint) return;
+
+    const variables = listTemplateVariables(form.elements.body.value);
+    if (variables.length === 0) {
+        hint.textContent = t('options_variablesNone');
+    } else {
+        hint.textContent = t(variables.includes('prompt') ? 'options_variables' : 'options_variablesAddPrompt', variables.join(', '));
+    }
+}
+
+// Render the template list with edit, duplicate and delete actions
+async function loadTemplates() {
+    const list = document.getElementById('template-list');
+    if (!list) return;
+
+    try {
+        const { templates } = await sendMessage('getTemplates');
+        list.innerHTML = '';
+
+        templates.forEach(template => {
+            const item = document.createElement('li');
+            item.className = 'template-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = template.name;
+            info.appendChild(name);
+
+            if (template.builtin) {
+                const badge = document.createElement('span');
+                badge.className = 'badge';
+                badge.textContent = t('options_builtIn');
+                info.appendChild(badge);
+            }
+
+            const meta = document.createElement('div');
+            meta.className = 'template-meta';
+            meta.textContent = template.variables.map(variable => `{{${variable}}}`).join(' ');
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'item-actions';
+
+            if (template.builtin) {
+                actions.appendChild(createItemButton(t('options_duplicate'), () => editTemplate({
+                    name: t('options_copyName', template.name),
+                    body: template.body
+                })));
+            } else {
+                actions.appendChild(createItemButton(t('options_edit'), () => editTemplate(template)));
+                actions.appendChild(createItemButton(t('delete'), () => deleteTemplate(template)));
+            }
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load templates:', error);
+        list.innerHTML = `<li>${t('options_templatesLoadFailed')}</li>`;
+    }
+}
+
+function createItemButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Load a template into the form for editing (no id means a new template)
+function editTemplate(template) {
+    const form = document.getElementById('template-form');
+    if (!form) return;
+
+    form.elements.id.value = template.id || '';
+    form.elements.name.value = template.name || '';
+    form.elements.body.value = template.body || '';
+    updateTemplateVariablesHint();
+    form.elements.name.focus();
+}
+
+async function saveTemplate(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('template-status');
+
+    try {
+        await sendMessage('saveTemplate', {
+            id: form.elements.id.value || undefined,
+            name: form.elements.name.value,
+            body: form.elements.body.value
+        });
+        form.reset();
+        showStatus(status, t('options_saved'));
+        loadTemplates();
+    } catch (error) {
+        console.error('Failed to save template:', error);
+        showStatus(status, error.message, true);
+    }
+}
+
+async function deleteTemplate(template) {
+    if (!confirm(t('options_deleteTemplateConfirm', template.name))) return;
+
+    try {
+        await sendMessage('deleteTemplate', { id: template.id });
+        loadTemplates();
+    } catch (error) {
+        console.error('Failed to delete template:', error);
+        showStatus(document.getElementById('template-status'), error.message, true);
+    }
+}
+
+// Kinds a format preset can have, with their parameters (lib/format-presets.js)
+let formatKinds = [];
+
+// Render the format preset list: each preset's kind, the parameters it fixes and the ones the modal asks for
+async function loadFormatPresets() {
+    const list = document.getElementById('format-list');
+    if (!list) return;
+
+    try {
+        const { presets, kinds } = await sendMessage('getFormatPresets');
+        formatKinds = kinds;
+        renderFormatKinds();
+        list.innerHTML = '';
+
+        presets.forEach(preset => {
+            const kind = formatKinds.find(k => k.id === preset.kind);
+            const labelOf = name => kind.params.find(param => param.name === name).label;
+
+            const item = document.createElement('li');
+            item.className = 'template-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = preset.name;
+            info.appendChild(name);
+
+            if (preset.builtin) {
+                const badge = document.createElement('span');
+                badge.className = 'badge';
+                badge.textContent = t('options_builtIn');
+                info.appendChild(badge);
+            }
+
+            const fixed = Object.entries(preset.params).map(([param, value]) => {
+                const line = value.replace(/\s+/g, ' ');
+                return t('options_paramValue', [labelOf(param), line.length > 40 ? `${line.slice(0, 40)}...` : line]);
+            });
+            const meta = document.createElement('div');
+            meta.className = 'template-meta';
+            meta.textContent = [
+                preset.name === kind.label ? '' : kind.label,
+                ...fixed,
+                preset.fields.length ? t('options_asksFor', preset.fields.map(field => labelOf(field.name)).join(', ')) : ''
+            ].filter(Boolean).join(' · ');
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'item-actions';
+
+            if (preset.builtin) {
+                actions.appendChild(createItemButton(t('options_duplicate'), () => editFormatPreset({
+                    name: t('options_copyName', preset.name),
+                    kind: preset.kind,
+                    params: preset.params
+                })));
+            } else {
+                actions.appendChild(createItemButton(t('options_edit'), () => editFormatPreset(preset)));
+                actions.appendChild(createItemButton(t('delete'), () => deleteFormatPreset(preset)));
+            }
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load format presets:', error);
+        list.innerHTML = `<li>${t('options_formatsLoadFailed')}</li>`;
+    }
+}
+
+// Fill the form's kind dropdown once the kinds are known
+function renderFormatKinds() {
+    const select = document.getElementById('format-kind');
+    if (!select || select.options.length > 0) return;
+
+    formatKinds.forEach(kind => select.appendChild(new Option(kind.label, kind.id)));
+    renderFormatParams();
+}
+
+// One field per parameter of the chosen kind; the modal asks for the ones left empty
+function renderFormatParams(params = {}) {
+    const form = document.getElementById('format-form');
+    const container = document.getElementById('format-params');
+    if (!form || !container) return;
+
+    container.innerHTML = '';
+    const kind = formatKinds.find(k => k.id === form.elements.kind.value);
+    if (!kind) return;
+
+    kind.params.forEach(param => {
+        const label = document.createElement('label');
+        const text = document.createElement('span');
+        text.textContent = param.label;
+
+        const input = document.createElement(param.input === 'textarea' ? 'textarea' : 'input');
+        if (param.input === 'textarea') {
+            input.rows = 6;
+        } else {
+            input.type = param.input;
+        }
+        input.dataset.param = param.name;
+        input.value = params[param.name] || '';
+        input.placeholder = t(param.required ? 'options_fillInModal' : 'options_optional');
+
+        label.append(text, input);
+        container.appendChild(label);
+    });
+}
+
+// Load a preset into the form for editing (no id means a new preset)
+function editFormatPreset(preset) {
+    const form = document.getElementById('format-form');
+    if (!form) return;
+
+    form.elements.id.value = preset.id || '';
+    form.elements.name.value = preset.name || '';
+    form.elements.kind.value = preset.kind;
+    renderFormatParams(preset.params);
+    form.elements.name.focus();
+}
+
+async function saveFormatPreset(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('format-status');
+    const params = {};
+    form.querySelectorAll('#format-params [data-param]').forEach(input => {
+        params[input.dataset.param] = input.value;
+    });
+
+    try {
+        await sendMessage('saveFormatPreset', {
+            id: form.elements.id.value || undefined,
+            name: form.elements.name.value,
+            kind: form.elements.kind.value,
+            params
+        });
+        form.reset();
+        showStatus(status, t('options_saved'));
+        loadFormatPresets();
+    } catch (error) {
+        console.error('Failed to save format preset:', error);
+        showStatus(status, error.message, true);
+    }
+}
+
+async function deleteFormatPreset(preset) {
+    if (!confirm(t('options_deleteFormatConfirm', preset.name))) return;
+
+    try {
+        await sendMessage('deleteFormatPreset', { id: preset.id });
+        loadFormatPresets();
+    } catch (error) {
+        console.error('Failed to delete format preset:', error);
+        showStatus(document.getElementById('format-status'), error.message, true);
+    }
+}
+
+// Render the persona list with the sites each one is pinned to
+async function loadPersonas() {
+    const list = document.getElementById('persona-list');
+    if (!list) return;
+
+    try {
+        const { personas, sitePersonas } = await sendMessage('getPersonas');
+        list.innerHTML = '';
+
+        personas.forEach(persona => {
+            const item = document.createElement('li');
+            item.className = 'persona-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = persona.name;
+            name.title = persona.preamble;
+            info.appendChild(name);
+
+            if (persona.builtin) {
+                const badge = document.createElement('span');
+                badge.className = 'badge';
+                badge.textContent = t('options_builtIn');
+                info.appendChild(badge);
+            }
+
+            const sites = Object.keys(sitePersonas).filter(site => sitePersonas[site] === persona.id);
+            const meta = document.createElement('div');
+            meta.className = 'template-meta';
+            meta.textContent = [
+                persona.topics.length ? t('options_topicList', `${persona.topics.slice(0, 8).join(', ')}${persona.topics.length > 8 ? ', ...' : ''}`) : t('options_noTopics'),
+                sites.length ? t('options_pinnedOn', sites.join(', ')) : ''
+            ].filter(Boolean).join(' · ');
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'item-actions';
+
+            if (persona.builtin) {
+                actions.appendChild(createItemButton(t('options_duplicate'), () => editPersona({
+                    ...persona,
+                    id: '',
+                    name: t('options_copyName', persona.name)
+                })));
+            } else {
+                actions.appendChild(createItemButton(t('options_edit'), () => editPersona(persona)));
+                actions.appendChild(createItemButton(t('delete'), () => deletePersona(persona)));
+            }
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load personas:', error);
+        list.innerHTML = `<li>${t('options_personasLoadFailed')}</li>`;
+    }
+}
+
+// Load a persona into the form for editing (no id means a new persona)
+function editPersona(persona) {
+    const form = document.getElementById('persona-form');
+    if (!form) return;
+
+    form.elements.id.value = persona.id || '';
+    form.elements.name.value = persona.name || '';
+    form.elements.preamble.value = persona.preamble || '';
+    form.elements.tone.value = persona.tone || '';
+    form.elements.constraints.value = (persona.constraints || []).join('\n');
+    form.elements.topics.value = (persona.topics || []).join(', ');
+    form.elements.name.focus();
+}
+
+async function savePersona(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('persona-status');
+
+    try {
+        await sendMessage('savePersona', {
+            id: form.elements.id.value || undefined,
+            name: form.elements.name.value,
+            preamble: form.elements.preamble.value,
+            tone: form.elements.tone.value,
+            constraints: form.elements.constraints.value,
+            topics: form.elements.topics.value
+        });
+        form.reset();
+        showStatus(status, t('options_saved'));
+        loadPersonas();
+    } catch (error) {
+        console.error('Failed to save persona:', error);
+        showStatus(status, error.message, true);
+    }
+}
+
+async function deletePersona(persona) {
+    if (!confirm(t('options_deletePersonaConfirm', persona.name))) return;
+
+    try {
+        await sendMessage('deletePersona', { id: persona.id });
+        loadPersonas();
+    } catch (error) {
+        console.error('Failed to delete persona:', error);
+        showStatus(document.getElementById('persona-status'), error.message, true);
+    }
+}
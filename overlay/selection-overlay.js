@@ -0,0 +1,435 @@
+// AI Prompt Enhancer - Selection overlay
+// Injected on demand by the "Enhance selected text" context menu (see background.js), after
+// adapters/registry.js, content/i18n.js and content/messaging.js, on any page the user
+// right-clicks. Inside an editable field the selection (or the whole field when nothing is
+// selected) is replaced in place; elsewhere the result is shown in a small overlay with copy and
+// replace actions.
+
+(function(global) {
+    'use strict';
+
+    const namespace = global.AIPromptEnhancer = global.AIPromptEnhancer || {};
+    if (namespace.selectionOverlay) return; // Already loaded in this page
+
+    const { t } = namespace.i18n;
+    const { sendMessage } = namespace.messaging;
+
+    // The overlay lives in a closed shadow root on this host, like the content script's modal, so
+    // the page's styles and scripts cannot reach it and its styles cannot leak into the page
+    let uiHost = null;
+    let uiRoot = null;
+    let overlay = null;
+    let removeListeners = null;
+
+    // Work out what was selected: a range inside an editable field, or a range of page text
+    function captureTarget(fallbackText) {
+        const helpers = namespace.adapters;
+        const element = document.activeElement;
+
+        if (element && helpers.isEditable(element)) {
+            let selection = helpers.captureSelection(element);
+            let text = '';
+
+            if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+                text = selection ? element.value.slice(selection.start, selection.end) : '';
+                if (!text.trim()) {
+                    selection = { start: 0, end: element.value.length };
+                    text = element.value;
+                }
+            } else {
+                text = selection ? selection.range.toString() : '';
+                if (!text.trim()) {
+                    const range = document.createRange();
+                    range.selectNodeContents(element);
+                    selection = { range };
+                    text = helpers.readInputValue(element);
+                }
+            }
+
+            return { editable: true, element, selection, text };
+        }
+
+        const selection = window.getSelection();
+        const range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+        const text = selection ? selection.toString() : '';
+
+        return { editable: false, range, text: text.trim() ? text : (fallbackText || '') };
+    }
+
+    // Enhance the selection with the rule set or template chosen in the menu
+    async function run({ options = {}, template = null, selectionText = '' } = {}) {
+        const target = captureTarget(selectionText);
+        const anchor = getAnchorRect(target);
+
+        if (!target.text.trim()) {
+            showOverlay(anchor, { error: t('errorEmptySelection') });
+            return;
+        }
+
+        let values = {};
+        const missing = template ? template.variables.filter(name => name !== 'prompt') : [];
+        if (missing.length > 0) {
+            values = await askForValues(anchor, template, missing);
+            if (!values) return; // Cancelled
+        }
+
+        showOverlay(anchor, { loading: true });
+
+        try {
+            const adapter = namespace.adapters.getAdapterForUrl(location.href);
+            const response = await sendMessage('enhancePrompt', {
+                prompt: target.text,
+                site: adapter ? adapter.id : 'selection',
+                options,
+                template: template ? { id: template.id, values } : null
+            });
+
+            if (target.editable) {
+                replaceInField(target, response.enhancedPrompt);
+                showOverlay(anchor, { result: response.enhancedPrompt, applied: true, target });
+            } else {
+                showOverlay(anchor, { result: response.enhancedPrompt, target });
+            }
+        } catch (error) {
+            console.error('Failed to enhance selection:', error);
+            showOverlay(anchor, { error: error.message });
+        }
+    }
+
+    // Swap the selected text in an input, textarea or contenteditable for the result
+    function replaceInField(target, text) {
+        target.previousValue = namespace.adapters.readInputValue(target.element);
+        const written = namespace.adapters.insertInputValue(target.element, text, target.selection);
+        if (!written) {
+            throw new Error(t('errorFieldNotUpdated'));
+        }
+    }
+
+    // Put the field back the way it was before the replacement
+    function undoReplace(target) {
+        namespace.adapters.writeInputValue(target.element, target.previousValue);
+    }
+
+    // Replace selected page text (outside editable fields) with the result
+    function replaceRange(target, text) {
+        if (!target.range) return false;
+
+        target.range.deleteContents();
+        target.range.insertNode(document.createTextNode(text));
+        return true;
+    }
+
+    // Screen rectangle to place the overlay under
+    function getAnchorRect(target) {
+        try {
+            if (target.range) return target.range.getBoundingClientRect();
+            if (target.element) return target.element.getBoundingClientRect();
+        } catch (error) {
+            // Detached ranges have no geometry; fall through to the default spot
+        }
+        return null;
+    }
+
+    // Ask for the template's extra variables; resolves with the values, or null if cancelled
+    function askForValues(anchor, template, names) {
+        return new Promise(resolve => {
+            const form = document.createElement('form');
+            form.className = 'form';
+
+            const title = document.createElement('strong');
+            title.textContent = template.name;
+            form.appendChild(title);
+
+            names.forEach(name => {
+                const label = document.createElement('label');
+                const text = document.createElement('span');
+                text.textContent = name;
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.name = name;
+                input.required = true;
+                label.append(text, input);
+                form.appendChild(label);
+            });
+
+            const submit = document.createElement('button');
+            submit.type = 'submit';
+            submit.textContent = t('enhance');
+            form.appendChild(submit);
+
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const values = {};
+                names.forEach(name => { values[name] = form.elements[name].value; });
+                resolve(values);
+            });
+
+            showOverlay(anchor, { content: form, onClose: () => resolve(null) });
+            form.querySelector('input').focus();
+        });
+    }
+
+    // Shadow root that holds the overlay, created on first use
+    function getUiRoot() {
+        if (!uiHost) {
+            uiHost = document.createElement('ai-prompt-enhancer-selection');
+            uiRoot = uiHost.attachShadow({ mode: 'closed' });
+            uiRoot.appendChild(createStyles());
+        }
+
+        // Mount the host again if the page removed it
+        if (!uiHost.isConnected) {
+            document.documentElement.appendChild(uiHost);
+        }
+        return uiRoot;
+    }
+
+    // Create (or reuse) the overlay box and fill it for the given state
+    function showOverlay(anchor, state) {
+        closeOverlay();
+
+        overlay = document.createElement('div');
+        overlay.className = 'overlay';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-label', t('overlayTitle'));
+
+        const header = document.createElement('div');
+        header.className = 'header';
+        const title = document.createElement('span');
+        title.textContent = `✨ ${t('overlayTitle')}`;
+        const closeButton = createButton('✕', () => closeOverlay());
+        closeButton.setAttribute('aria-label', t('close'));
+        header.append(title, closeButton);
+        overlay.appendChild(header);
+
+        if (state.content) {
+            overlay.appendChild(state.content);
+        } else if (state.loading) {
+            overlay.appendChild(createMessage(t('enhancing')));
+        } else if (state.error) {
+            overlay.appendChild(createMessage(state.error, true));
+        } else {
+            const result = document.createElement('div');
+            result.className = 'result';
+            result.textContent = state.result;
+            overlay.appendChild(result);
+            overlay.appendChild(createResultActions(state));
+        }
+
+        overlay.onClose = state.onClose || null;
+        getUiRoot().appendChild(overlay);
+        positionOverlay(anchor);
+
+        // Close on Escape or a click elsewhere on the page. Clicks inside the shadow root reach the
+        // document retargeted to the host.
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape') closeOverlay();
+        };
+        const handleClick = (event) => {
+            if (overlay && event.target !== uiHost) closeOverlay();
+        };
+        document.addEventListener('keydown', handleKeydown, true);
+        document.addEventListener('mousedown', handleClick, true);
+        removeListeners = () => {
+            document.removeEventListener('keydown', handleKeydown, true);
+            document.removeEventListener('mousedown', handleClick, true);
+        };
+    }
+
+    // Copy plus either Undo (already replaced in a field) or Replace (page text)
+    function createResultActions(state) {
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        const status = document.createElement('span');
+
+        const copyButton = createButton(t('copy'), async () => {
+            try {
+                await navigator.clipboard.writeText(state.result);
+                status.textContent = t('copied');
+            } catch (error) {
+                console.error('Failed to copy:', error);
+                status.textContent = t('copyFailed');
+            }
+        });
+        actions.appendChild(copyButton);
+
+        if (state.applied) {
+            const undoButton = createButton(t('undo'), () => {
+                undoReplace(state.target);
+                undoButton.disabled = true;
+                status.textContent = t('restored');
+            });
+            actions.appendChild(undoButton);
+            status.textContent = t('replacedInPlace');
+        } else if (state.target && state.target.range) {
+            const replaceButton = createButton(t('replace'), () => {
+                replaceRange(state.target, state.result);
+                replaceButton.disabled = true;
+                status.textContent = t('replaced');
+            });
+            actions.appendChild(replaceButton);
+        }
+
+        actions.appendChild(status);
+        return actions;
+    }
+
+    function createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function createMessage(text, isError = false) {
+        const message = document.createElement('p');
+        message.className = 'message' + (isError ? ' error' : '');
+        message.textContent = text;
+        return message;
+    }
+
+    // Place the overlay under the selection, kept inside the viewport
+    function positionOverlay(anchor) {
+        const margin = 12;
+        const width = overlay.offsetWidth || 360;
+        const height = overlay.offsetHeight || 200;
+
+        let left = anchor ? anchor.left : window.innerWidth - width - margin;
+        let top = anchor ? anchor.bottom + 8 : margin;
+
+        if (top + height > window.innerHeight - margin && anchor) {
+            top = anchor.top - height - 8;
+        }
+        left = Math.min(Math.max(margin, left), window.innerWidth - width - margin);
+        top = Math.min(Math.max(margin, top), window.innerHeight - height - margin);
+
+        overlay.style.left = `${left}px`;
+        overlay.style.top = `${top}px`;
+    }
+
+    function closeOverlay() {
+        if (removeListeners) {
+            removeListeners();
+            removeListeners = null;
+        }
+        if (overlay) {
+            const onClose = overlay.onClose;
+            overlay.remove();
+            overlay = null;
+            if (onClose) onClose();
+        }
+    }
+
+    // Styles for the shadow root. They reach only the overlay, and the page's styles reach only the host.
+    function createStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            :host {
+                all: initial;
+            }
+
+            .overlay {
+                position: fixed;
+                z-index: 2147483647;
+                width: 360px;
+                max-width: calc(100vw - 24px);
+                background: white;
+                color: #333;
+                border-radius: 10px;
+                box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+                font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                overflow: hidden;
+            }
+
+            .header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 8px 12px;
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                color: white;
+                font-weight: 600;
+            }
+
+            .header button {
+                background: none;
+                border: none;
+                color: white;
+                cursor: pointer;
+                font-size: 14px;
+            }
+
+            .result {
+                max-height: 220px;
+                overflow-y: auto;
+                padding: 12px;
+                white-space: pre-wrap;
+                word-wrap: break-word;
+            }
+
+            .message {
+                margin: 0;
+                padding: 12px;
+            }
+
+            .message.error {
+                color: #dc3545;
+            }
+
+            .actions,
+            .form {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                padding: 10px 12px;
+                border-top: 1px solid #e1e5e9;
+                font-size: 12px;
+                color: #666;
+            }
+
+            .form {
+                flex-direction: column;
+                align-items: stretch;
+                border-top: none;
+            }
+
+            .form label {
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+
+            input {
+                padding: 6px 8px;
+                border: 1px solid #e1e5e9;
+                border-radius: 6px;
+                font: inherit;
+            }
+
+            .actions button,
+            .form button {
+                background: white;
+                color: #667eea;
+                border: 1px solid #667eea;
+                border-radius: 6px;
+                padding: 4px 10px;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        `;
+        return style;
+    }
+
+    namespace.selectionOverlay = {
+        run,
+        close: closeOverlay
+    };
+
+})(globalThis);
@@ -1,83 +1,243 @@
 // Popup script for AI Prompt Enhancer
+const { t } = globalThis.AIPromptEnhancer.i18n;
+const { sendMessage } = globalThis.AIPromptEnhancer.messaging;
+
+// Label for the usage counters, by the period they restart after (statsResetPeriod)
+const COUNTER_LABELS = { day: 'today', week: 'thisWeek', month: 'thisMonth' };
+
 document.addEventListener('DOMContentLoaded', function() {
     console.log('AI Prompt Enhancer popup loaded');
-    
+
+    // Translate the static markup (data-i18n attributes)
+    globalThis.AIPromptEnhancer.i18n.localizePage();
+
     // Get elements
     const statusElement = document.getElementById('status');
-    const statsElement = document.getElementById('stats');
-    const settingsElement = document.getElementById('settings');
-    
+    const optionsLink = document.getElementById('optionsLink');
+    const dashboardLink = document.getElementById('dashboardLink');
+
     // Show initial status
     if (statusElement) {
-        statusElement.textContent = 'Extension is active!';
+        statusElement.textContent = t('popupActive');
         statusElement.style.color = '#28a745';
     }
-    
+
+    if (optionsLink) {
+        optionsLink.addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+    }
+
+    if (dashboardLink) {
+        dashboardLink.addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+        });
+    }
+
     // Load and display stats
     loadStats();
-    
+
     // Load and display settings
     loadSettings();
+
+    // Load and display prompt history
+    setupHistory();
 });
 
 // Load statistics from background script
-function loadStats() {
-    chrome.runtime.sendMessage({ action: 'getStats' }, (response) => {
-        if (response && response.success && statsElement) {
-            const stats = response.stats;
-            statsElement.innerHTML = `
-                <h3>Usage Statistics</h3>
-                <p><strong>Total Prompts:</strong> ${stats.totalPrompts}</p>
-                <p><strong>Total Enhancements:</strong> ${stats.totalEnhancements}</p>
-                <p><strong>Last Updated:</strong> ${stats.lastUpdated ? new Date(stats.lastUpdated).toLocaleString() : 'Never'}</p>
-            `;
-        } else {
-            if (statsElement) {
-                statsElement.innerHTML = '<p>Unable to load statistics</p>';
-            }
-        }
+async function loadStats() {
+    const statsElement = document.getElementById('stats');
+    if (!statsElement) return;
+
+    try {
+        const { stats } = await sendMessage('getStats');
+        statsElement.innerHTML = `
+            <h3>${t('statsHeading')}</h3>
+            <p><strong>${t('totalPrompts')}</strong> ${stats.totalPrompts}</p>
+            <p><strong>${t('totalEnhancements')}</strong> ${stats.totalEnhancements}</p>
+            <p><strong>${t(COUNTER_LABELS[stats.resetPeriod] || 'thisMonth')}</strong> ${stats.monthlyPrompts}</p>
+            <p><strong>${t('lastUpdated')}</strong> ${stats.lastUpdated ? new Date(stats.lastUpdated).toLocaleString() : t('never')}</p>
+        `;
+    } catch (error) {
+        console.error('Failed to load stats:', error);
+        statsElement.innerHTML = `<p>${t('statsLoadFailed')}</p>`;
+    }
+}
+
+// Load settings from background script and render them as toggles
+async function loadSettings() {
+    const settingsList = document.getElementById('settingsList');
+    if (!settingsList) return;
+
+    try {
+        const { settings, definitions } = await sendMessage('getSettings');
+        settingsList.innerHTML = '';
+        definitions.forEach(definition => {
+            settingsList.appendChild(createSettingToggle(definition, settings[definition.key]));
+        });
+    } catch (error) {
+        console.error('Failed to load settings:', error);
+        settingsList.innerHTML = `<p>${t('settingsLoadFailed')}</p>`;
+    }
+}
+
+// Create a labelled checkbox that writes through updateSettings
+function createSettingToggle(definition, checked) {
+    const label = document.createElement('label');
+    label.className = 'setting-toggle';
+    label.title = definition.description;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(checked);
+    checkbox.addEventListener('change', () => {
+        saveSetting(definition.key, checkbox.checked, checkbox);
     });
+
+    const text = document.createElement('span');
+    text.textContent = definition.label;
+
+    label.append(checkbox, text);
+    return label;
+}
+
+// Save one setting; revert the checkbox if the update fails
+async function saveSetting(key, value, checkbox) {
+    try {
+        await sendMessage('updateSettings', { [key]: value });
+    } catch (error) {
+        console.error('Failed to save setting:', error);
+        checkbox.checked = !value;
+    }
+}
+
+// Wire up the history opt-in, search box and star filter
+function setupHistory() {
+    const enabledToggle = document.getElementById('historyEnabled');
+    const searchInput = document.getElementById('historySearch');
+    const starredToggle = document.getElementById('historyStarred');
+
+    if (enabledToggle) {
+        sendMessage('getSettings')
+            .then(({ settings }) => { enabledToggle.checked = Boolean(settings.historyEnabled); })
+            .catch(error => console.error('Failed to load settings:', error));
+    }
+
+    if (enabledToggle) {
+        enabledToggle.addEventListener('change', () => {
+            saveSetting('historyEnabled', enabledToggle.checked, enabledToggle);
+        });
+    }
+
+    let searchTimer = null;
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(loadHistory, 200);
+        });
+    }
+
+    if (starredToggle) {
+        starredToggle.addEventListener('change', loadHistory);
+    }
+
+    loadHistory();
+}
+
+// Search history and render the results
+async function loadHistory() {
+    const list = document.getElementById('historyList');
+    const query = document.getElementById('historySearch')?.value || '';
+    const starredOnly = Boolean(document.getElementById('historyStarred')?.checked);
+    if (!list) return;
+
+    let entries;
+    try {
+        ({ entries } = await sendMessage('searchHistory', { query, starredOnly, limit: 50 }));
+    } catch (error) {
+        console.error('Failed to load history:', error);
+        list.innerHTML = `<li class="history-empty">${t('historyLoadFailed')}</li>`;
+        return;
+    }
+
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        list.innerHTML = `<li class="history-empty">${t(query || starredOnly ? 'noMatchingPrompts' : 'noSavedPrompts')}</li>`;
+        return;
+    }
+
+    entries.forEach(entry => list.appendChild(createHistoryItem(entry)));
 }
 
-// Load settings from background script
-function loadSettings() {
-    chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
-        if (response && response.success && settingsElement) {
-            const settings = response.settings;
-            settingsElement.innerHTML = `
-                <h3>Current Settings</h3>
-                <p><strong>Enhance Clarity:</strong> ${settings.enhanceClarity ? '✅ Enabled' : '❌ Disabled'}</p>
-                <p><strong>Add Context:</strong> ${settings.addContext ? '✅ Enabled' : '❌ Disabled'}</p>
-                <p><strong>Improve Structure:</strong> ${settings.improveStructure ? '✅ Enabled' : '❌ Disabled'}</p>
-            `;
-        } else {
-            if (settingsElement) {
-                settingsElement.innerHTML = '<p>Unable to load settings</p>';
-            }
-        }
+// Change one history entry, then show the list again
+function updateHistoryEntry(action, data) {
+    sendMessage(action, data)
+        .catch(error => console.error(`Failed to ${action}:`, error))
+        .finally(loadHistory);
+}
+
+// Create one history row with star, copy and delete actions
+function createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const text = document.createElement('div');
+    text.className = 'history-text';
+    text.textContent = entry.original;
+    text.title = entry.enhanced;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+
+    const info = document.createElement('span');
+    info.textContent = `${entry.site} · ${new Date(entry.timestamp).toLocaleString()}`;
+
+    const actions = document.createElement('span');
+
+    const starButton = document.createElement('button');
+    starButton.textContent = entry.starred ? '★' : '☆';
+    starButton.title = t(entry.starred ? 'unstar' : 'star');
+    starButton.addEventListener('click', () => {
+        updateHistoryEntry('starHistoryEntry', { id: entry.id, starred: !entry.starred });
     });
+
+    const copyButton = document.createElement('button');
+    copyButton.textContent = t('copy');
+    copyButton.title = t('copyEnhancedTitle');
+    copyButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(entry.enhanced)
+            .then(() => { copyButton.textContent = t('copied'); })
+            .catch(error => console.error('Failed to copy:', error));
+    });
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = t('delete');
+    deleteButton.addEventListener('click', () => {
+        updateHistoryEntry('deleteHistoryEntry', { id: entry.id });
+    });
+
+    actions.append(starButton, copyButton, deleteButton);
+    meta.append(info, actions);
+    item.append(text, meta);
+    return item;
 }
 
 // Test the extension functionality
-function testExtension() {
+async function testExtension() {
     console.log('Testing extension...');
-    
-    // Send a test message to background script
-    chrome.runtime.sendMessage({ 
-        action: 'enhancePrompt', 
-        data: { 
-            prompt: 'Hello world', 
-            options: { enhanceClarity: true, addContext: true, improveStructure: false } 
-        } 
-    }, (response) => {
-        if (response && response.success) {
-            console.log('Test successful:', response);
-            alert('Extension test successful! Enhanced prompt: ' + response.enhancedPrompt);
-        } else {
-            console.error('Test failed:', response);
-            alert('Extension test failed: ' + (response?.error || 'Unknown error'));
-        }
-    });
+
+    // Send a test message to background script (stored settings decide the rules)
+    try {
+        const response = await sendMessage('enhancePrompt', { prompt: 'Hello world', options: {} });
+        console.log('Test successful:', response);
+        alert(t('testSucceeded', response.enhancedPrompt));
+    } catch (error) {
+        console.error('Test failed:', error);
+        alert(t('testFailed', error.message || t('unknownError')));
+    }
 }
 
 // Add test button if it doesn't exist
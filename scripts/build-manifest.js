@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Regenerate manifest.json's content script and host permission entries from the site adapters
+//
+// Usage:
+//   node scripts/build-manifest.js          # rewrite manifest.json
+//   node scripts/build-manifest.js --check  # exit 1 if manifest.json is out of date
+//
+// Every file in adapters/ (other than registry.js) is loaded in a sandbox; whatever it
+// passes to registerAdapter() contributes its match patterns to the manifest. Helper
+// modules in content/ are loaded after the adapters and before content.js.
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const ADAPTER_DIR = 'adapters';
+const REGISTRY_FILE = `${ADAPTER_DIR}/registry.js`;
+const CONTENT_MODULE_DIR = 'content';
+const CONTENT_SCRIPT = 'content.js';
+
+// List the .js files in a directory, sorted, as manifest-relative paths
+function listScripts(dir) {
+    return fs.readdirSync(path.join(ROOT, dir))
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => `${dir}/${file}`);
+}
+
+// Load the registry and every adapter into one sandbox and return the registered adapters
+function loadAdapters() {
+    const adapterFiles = listScripts(ADAPTER_DIR).filter(file => file !== REGISTRY_FILE);
+
+    const sandbox = { console };
+    sandbox.globalThis = sandbox;
+    vm.createContext(sandbox);
+
+    [REGISTRY_FILE, ...adapterFiles].forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, sandbox, { filename: file });
+    });
+
+    return {
+        adapterFiles,
+        adapters: sandbox.AIPromptEnhancer.adapters.getAdapters()
+    };
+}
+
+// Build the updated manifest object
+function buildManifest(manifest, adapterFiles, adapters) {
+    const matches = Array.from(new Set(adapters.flatMap(adapter => adapter.matches)));
+
+    const contentScript = {
+        ...(manifest.content_scripts && manifest.content_scripts[0]),
+        matches,
+        js: [REGISTRY_FILE, ...adapterFiles, ...listScripts(CONTENT_MODULE_DIR), CONTENT_SCRIPT]
+    };
+
+    return {
+        ...manifest,
+        host_permissions: matches,
+        content_scripts: [contentScript, ...(manifest.content_scripts || []).slice(1)]
+    };
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const manifestPath = path.join(ROOT, 'manifest.json');
+    const current = fs.readFileSync(manifestPath, 'utf8');
+
+    const { adapterFiles, adapters } = loadAdapters();
+    const manifest = buildManifest(JSON.parse(current), adapterFiles, adapters);
+    const output = JSON.stringify(manifest, null, 2) + '\n';
+
+    if (check) {
+        if (output !== current) {
+            console.error('manifest.json is out of date; run: node scripts/build-manifest.js');
+            process.exit(1);
+        }
+        console.log('manifest.json is up to date');
+        return;
+    }
+
+    fs.writeFileSync(manifestPath, output);
+    console.log(`manifest.json updated from ${adapters.length} adapters: ${adapters.map(a => a.id).join(', ')}`);
+}
+
+main();
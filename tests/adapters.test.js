@@ -0,0 +1,170 @@
+// Tests for the site adapters (adapters/registry.js and the adapters next to it): URL matching and
+// prompt input detection. They run in a VM context like the other content scripts, against a
+// stand-in document whose querySelector answers from a table of selectors.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ADAPTER_FILES = readdirSync(new URL('../adapters/', import.meta.url))
+    .filter(file => file.endsWith('.js') && file !== 'registry.js')
+    .sort();
+
+// Load the registry and every adapter; the page's elements are looked up in `page` by selector
+function loadAdapters(page = {}) {
+    const context = vm.createContext({
+        console: { warn() {} },
+        window: { pageXOffset: 0, pageYOffset: 0 },
+        document: {
+            documentElement: { scrollTop: 0, scrollLeft: 0 },
+            querySelector(selector) {
+                if (selector === 'bad[') throw new SyntaxError(`'${selector}' is not a valid selector`);
+                return page[selector] || null;
+            },
+            querySelectorAll: selector => page[selector] || []
+        }
+    });
+
+    ['registry.js', ...ADAPTER_FILES].forEach(file => {
+        vm.runInContext(readFileSync(new URL(`../adapters/${file}`, import.meta.url), 'utf8'), context, { filename: file });
+    });
+    return { adapters: context.AIPromptEnhancer.adapters };
+}
+
+// A rendered element; pass { offsetParent: null } for a hidden one
+const element = (tagName, properties = {}) => ({
+    tagName,
+    type: tagName === 'INPUT' ? 'text' : undefined,
+    readOnly: false,
+    disabled: false,
+    isContentEditable: false,
+    offsetParent: {},
+    offsetWidth: 300,
+    offsetHeight: 40,
+    getAttribute: name => properties.attributes?.[name] ?? null,
+    ...properties
+});
+
+test('every adapter file registers an adapter', () => {
+    const { adapters } = loadAdapters();
+
+    assert.deepEqual([...adapters.getAdapters().map(adapter => `${adapter.id}.js`)].sort(), ADAPTER_FILES);
+    adapters.getAdapters().forEach(adapter => {
+        assert.ok(adapter.name && adapter.name !== adapter.id, `${adapter.id} has a display name`);
+        assert.equal(typeof adapter.findInput, 'function');
+        assert.equal(typeof adapter.placeButton, 'function');
+    });
+});
+
+test('a URL is matched to the adapter for its site', () => {
+    const { adapters } = loadAdapters();
+    const idFor = url => adapters.getAdapterForUrl(url)?.id ?? null;
+
+    assert.equal(idFor('https://chatgpt.com/c/123'), 'chatgpt');
+    assert.equal(idFor('https://chat.openai.com/'), 'chatgpt');
+    assert.equal(idFor('https://claude.ai/new'), 'claude');
+    assert.equal(idFor('https://gemini.google.com/app'), 'gemini');
+    assert.equal(idFor('https://www.perplexity.ai/search?q=x'), 'perplexity');
+    assert.equal(idFor('https://www.google.com/search?q=closures'), 'google');
+    assert.equal(idFor('https://www.google.co.uk/'), 'google');
+
+    assert.equal(idFor('https://example.com/'), null);
+    assert.equal(idFor('http://chatgpt.com/'), null);
+    assert.equal(idFor('https://claude.ai.example.com/'), null);
+});
+
+test('match patterns support a wildcard scheme, subdomains and paths', () => {
+    const { adapters } = loadAdapters();
+    const matches = (pattern, url) => adapters.matchPatternToRegExp(pattern).test(url);
+
+    assert.ok(matches('*://*.example.com/*', 'http://example.com/'));
+    assert.ok(matches('*://*.example.com/*', 'https://a.b.example.com/x'));
+    assert.ok(!matches('*://*.example.com/*', 'https://notexample.com/'));
+    assert.ok(!matches('*://*.example.com/*', 'ftp://example.com/'));
+    assert.ok(matches('https://example.com/chat/*', 'https://example.com/chat/1'));
+    assert.ok(!matches('https://example.com/chat/*', 'https://example.com/settings'));
+    assert.ok(!matches('https://example.com/a.b', 'https://example.com/aXb'));
+    assert.throws(() => adapters.matchPatternToRegExp('example.com'), /Invalid match pattern/);
+});
+
+test('the first visible, editable match is the prompt input', () => {
+    const composer = element('DIV', { isContentEditable: true });
+    const { adapters } = loadAdapters({
+        '#prompt-textarea[contenteditable="true"]': element('DIV', { isContentEditable: true, offsetParent: null }),
+        'div.ProseMirror[contenteditable="true"]': composer,
+        'form textarea': element('TEXTAREA')
+    });
+    assert.equal(adapters.getAdapterForUrl('https://chatgpt.com/').findInput(), composer);
+
+    const textarea = element('TEXTAREA');
+    const fallback = loadAdapters({
+        'textarea#prompt-textarea': element('TEXTAREA', { readOnly: true }),
+        'form textarea': textarea
+    });
+    assert.equal(fallback.adapters.getAdapterForUrl('https://chatgpt.com/').findInput(), textarea);
+
+    assert.equal(loadAdapters().adapters.getAdapterForUrl('https://claude.ai/').findInput(), null);
+});
+
+test('a selector that throws is skipped', () => {
+    const input = element('TEXTAREA');
+    const { adapters } = loadAdapters({ 'textarea.ok': input });
+
+    assert.equal(adapters.findInputBySelectors(['bad[', 'textarea.ok']), input);
+});
+
+test('only text fields that can be typed into count as editable', () => {
+    const { adapters } = loadAdapters();
+
+    assert.ok(adapters.isEditable(element('TEXTAREA')));
+    assert.ok(adapters.isEditable(element('INPUT', { type: 'search' })));
+    assert.ok(adapters.isEditable(element('INPUT', { type: '' })));
+    assert.ok(adapters.isEditable(element('DIV', { isContentEditable: true })));
+    assert.ok(!adapters.isEditable(element('INPUT', { type: 'password' })));
+    assert.ok(!adapters.isEditable(element('TEXTAREA', { disabled: true })));
+    assert.ok(!adapters.isEditable(element('DIV')));
+    assert.ok(!adapters.isEditable(null));
+    assert.ok(!adapters.isVisible(element('TEXTAREA', { offsetWidth: 0 })));
+});
+
+test('Google falls back to any wide input that looks like a search box', () => {
+    const searchBox = element('INPUT', { placeholder: 'Search Google or type a URL', offsetWidth: 500 });
+    const { adapters } = loadAdapters({
+        'input[type="text"], textarea': [
+            element('INPUT', { placeholder: 'Search', offsetWidth: 100 }),
+            element('INPUT', { placeholder: 'Your name', offsetWidth: 500 }),
+            searchBox
+        ]
+    });
+
+    assert.equal(adapters.getAdapterForUrl('https://www.google.com/').findInput(), searchBox);
+});
+
+test('adapters are validated, and get defaults for what they leave out', () => {
+    const { adapters } = loadAdapters();
+
+    assert.throws(() => adapters.registerAdapter({ matches: ['https://a.test/*'], inputSelectors: ['textarea'] }), /non-empty string id/);
+    assert.throws(() => adapters.registerAdapter({ id: 'a', matches: [], inputSelectors: ['textarea'] }), /at least one match pattern/);
+    assert.throws(() => adapters.registerAdapter({ id: 'a', matches: ['https://a.test/*'] }), /inputSelectors or findInput/);
+
+    const adapter = adapters.registerAdapter({ id: 'test-site', matches: ['https://a.test/*'], inputSelectors: ['textarea'] });
+    assert.equal(adapter.name, 'test-site');
+    assert.equal(adapter.readValue, adapters.readInputValue);
+    assert.equal(adapters.getAdapterForUrl('https://a.test/chat')?.id, 'test-site');
+
+    const button = { style: {} };
+    adapter.placeButton(button, { getBoundingClientRect: () => ({ right: 500, top: 80 }) });
+    assert.deepEqual({ ...button.style }, { position: 'absolute', left: '380px', top: '80px' });
+});
+
+test('input values are read from textareas, inputs and contenteditable elements', () => {
+    const { adapters } = loadAdapters();
+
+    assert.equal(adapters.readInputValue(element('TEXTAREA', { value: 'typed' })), 'typed');
+    assert.equal(adapters.readInputValue(element('DIV', { isContentEditable: true, innerText: 'rich\ntext' })), 'rich\ntext');
+    assert.equal(adapters.readInputValue(element('DIV', { textContent: 'fallback' })), 'fallback');
+    assert.equal(adapters.readInputValue(null), '');
+});
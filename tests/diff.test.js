@@ -0,0 +1,164 @@
+// Tests for the word-level diff (content/diff.js): operations, hunks, accept/reject decisions and
+// the two views. It runs in a VM context like the other content scripts, with a stand-in document
+// for rendering.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// Just enough of an element for the renderers
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName;
+        this.children = [];
+        this.attributes = {};
+        this.listeners = {};
+        this.className = '';
+        this.textContent = '';
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: name => classes.has(name)
+        };
+    }
+
+    set innerHTML(html) {
+        this.children = [];
+    }
+
+    append(...children) {
+        this.children.push(...children);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = value;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+}
+
+const context = vm.createContext({
+    AIPromptEnhancer: { i18n: { t: key => key } },
+    document: {
+        createElement: tagName => new FakeElement(tagName),
+        createTextNode: text => ({ text })
+    }
+});
+vm.runInContext(readFileSync(new URL('../content/diff.js', import.meta.url), 'utf8'), context);
+const { tokenize, diffWords, buildSegments, applyDecisions, renderInline, renderSplit } = context.AIPromptEnhancer.diff;
+
+// Compare across the VM boundary, whose arrays and objects have their own prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// The text of a rendered node and its children
+const textOf = node => node.text ?? (node.children.length ? node.children.map(textOf).join('') : node.textContent);
+
+test('tokens are words and runs of whitespace that join back into the text', () => {
+    assert.deepEqual(plain(tokenize('Explain  closures\nplease')), ['Explain', '  ', 'closures', '\n', 'please']);
+    assert.deepEqual(plain(tokenize('')), []);
+    assert.deepEqual(plain(tokenize(null)), []);
+});
+
+test('the diff keeps the common words and marks what was removed and added', () => {
+    assert.deepEqual(plain(diffWords('explain closures in js', 'Please explain closures in JavaScript with examples')), [
+        { type: 'insert', text: 'Please ' },
+        { type: 'equal', text: 'explain closures in ' },
+        { type: 'delete', text: 'js' },
+        { type: 'insert', text: 'JavaScript with examples' }
+    ]);
+    assert.deepEqual(plain(diffWords('same text', 'same text')), [{ type: 'equal', text: 'same text' }]);
+    assert.deepEqual(plain(diffWords('', 'new')), [{ type: 'insert', text: 'new' }]);
+});
+
+test('joining the operations gives back either side', () => {
+    const original = 'write a story about a cat\nkeep it short';
+    const enhanced = 'Write a short story about a curious cat.\n\nKeep it under 300 words.';
+    const ops = plain(diffWords(original, enhanced));
+
+    assert.equal(ops.filter(op => op.type !== 'insert').map(op => op.text).join(''), original);
+    assert.equal(ops.filter(op => op.type !== 'delete').map(op => op.text).join(''), enhanced);
+});
+
+test('above MAX_DIFF_CELLS token pairs the changed middle becomes a single hunk', () => {
+    const words = (prefix, count) => Array.from({ length: count }, (item, index) => `${prefix}${index}`).join(' ');
+
+    // 1001 words are 2001 tokens a side, just over the 4,000,000 cells the LCS table may use
+    const large = plain(diffWords(`keep ${words('a', 1001)} end`, `keep ${words('b', 1001)} end`));
+    assert.deepEqual(large.map(op => op.type), ['equal', 'delete', 'insert', 'equal']);
+    assert.equal(large[1].text, words('a', 1001));
+    assert.equal(large[2].text, words('b', 1001));
+
+    // 999 words are 1997 tokens a side, under the limit, so the spaces between them still line up
+    const small = plain(diffWords(words('a', 999), words('b', 999)));
+    assert.ok(small.length > 4);
+    assert.ok(small.some(op => op.type === 'equal' && op.text === ' '));
+});
+
+test('changes separated only by whitespace form one hunk, numbered in order', () => {
+    const segments = plain(buildSegments(diffWords('make it good and fast', 'make it great and really fast')));
+
+    assert.deepEqual(segments, [
+        { type: 'equal', text: 'make it ' },
+        { type: 'change', id: 0, deleted: 'good', inserted: 'great' },
+        { type: 'equal', text: ' and' },
+        { type: 'change', id: 1, deleted: '', inserted: ' really' },
+        { type: 'equal', text: ' fast' }
+    ]);
+
+    const merged = plain(buildSegments(diffWords('one two three', 'uno dos three')));
+    assert.deepEqual(merged[0], { type: 'change', id: 0, deleted: 'one two', inserted: 'uno dos' });
+});
+
+test('rejected hunks keep the original wording', () => {
+    const segments = buildSegments(diffWords('make it good and fast', 'make it great and really fast'));
+
+    assert.equal(applyDecisions(segments), 'make it great and really fast');
+    assert.equal(applyDecisions(segments, new Set([0])), 'make it good and really fast');
+    assert.equal(applyDecisions(segments, new Set([0, 1])), 'make it good and fast');
+});
+
+test('the inline view shows each hunk with its deletion, insertion and toggle', () => {
+    const segments = buildSegments(diffWords('make it good', 'make it great'));
+    const container = new FakeElement('div');
+    const toggled = [];
+
+    renderInline(container, segments, new Set([0]), id => toggled.push(id));
+
+    assert.ok(container.classList.contains('diff-inline'));
+    const [equal, hunk] = container.children;
+    assert.equal(equal.text, 'make it ');
+    assert.equal(hunk.className, 'diff-hunk rejected');
+    assert.deepEqual(hunk.children.map(child => child.className), ['diff-del', 'diff-ins', 'diff-hunk-toggle']);
+    assert.equal(hunk.children[2].title, 'diffAcceptChange');
+    assert.equal(hunk.children[2].attributes['aria-pressed'], 'true');
+
+    hunk.children[2].listeners.click();
+    assert.deepEqual(toggled, [0]);
+});
+
+test('the split view puts the original on the left and the enhanced prompt on the right', () => {
+    const segments = buildSegments(diffWords('make it good', 'make it great'));
+    const container = new FakeElement('div');
+
+    renderInline(container, segments, new Set(), () => {});
+    renderSplit(container, segments, new Set(), () => {});
+
+    assert.ok(container.classList.contains('diff-split'));
+    assert.ok(!container.classList.contains('diff-inline'));
+    const [left, right] = container.children;
+    assert.equal(left.className, 'diff-pane diff-original');
+    assert.equal(textOf(left), 'make it good');
+    assert.equal(textOf(right).replace('✕', ''), 'make it great');
+    assert.equal(right.children[1].children[1].title, 'diffRejectChange');
+});
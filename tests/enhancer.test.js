@@ -0,0 +1,100 @@
+// Tests for the headless enhancement engine (core/enhancer.js) and the prompt-enhance CLI.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { EnhancementError, enhancePrompt, resolvePersona } from '../core/enhancer.js';
+
+const CLI = fileURLToPath(new URL('../bin/prompt-enhance.js', import.meta.url));
+
+const runCli = (args, input) => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+
+test('enhancePrompt runs the rules with the registered defaults', async () => {
+    const result = await enhancePrompt('write a python function to parse csv files');
+
+    assert.equal(result.provider, 'heuristic');
+    assert.equal(result.language, 'en');
+    assert.ok(result.applied.includes('context.role'));
+    assert.equal(result.persona.persona.id, 'builtin.software-engineer');
+    assert.equal(result.persona.source, 'suggested');
+    assert.equal(result.stats.enhancedLength, result.text.length);
+    assert.ok(result.analysis.after.score >= result.analysis.before.score);
+});
+
+test('options override the defaults and empty prompts are rejected', async () => {
+    const result = await enhancePrompt('write a python function to parse csv files', {
+        options: { enhanceClarity: false, addContext: false, improveStructure: false }
+    });
+
+    assert.equal(result.text, 'write a python function to parse csv files');
+    assert.equal(result.applied.length, 0);
+    await assert.rejects(enhancePrompt('   '), EnhancementError);
+});
+
+test('templates are filled in before the rules run', async () => {
+    const result = await enhancePrompt('recursion', {
+        options: { enhanceClarity: false, addContext: false },
+        template: { id: 'builtin.explain', values: { audience: 'a new programmer' } }
+    });
+
+    assert.match(result.prompt, /^Explain recursion to a new programmer\./);
+    await assert.rejects(enhancePrompt('recursion', { template: { id: 'missing' } }), /Template "missing" not found/);
+});
+
+test('redaction masks the prompt and template values and restores them in the result', async () => {
+    const result = await enhancePrompt('the outage reported by bob@example.com', {
+        options: { enhanceClarity: false, addContext: false },
+        template: { id: 'builtin.explain', values: { audience: 'amy@example.com' } },
+        redaction: { patterns: [] }
+    });
+
+    assert.match(result.prompt, /^Explain the outage reported by bob@example\.com to amy@example\.com\./);
+    assert.ok(result.text.includes('bob@example.com'));
+    assert.deepEqual(result.redactions, [{ type: 'email', count: 2 }]);
+    assert.deepEqual((await enhancePrompt('bob@example.com')).redactions, []);
+});
+
+test('a chosen persona wins over the pinned one, and auto skips the pin', () => {
+    const prompt = 'Why does this Python function throw a KeyError?';
+    const pinned = 'builtin.copy-editor';
+
+    assert.equal(resolvePersona('builtin.tutor', { pinned, prompt }).source, 'chosen');
+    assert.equal(resolvePersona(null, { pinned, prompt }).persona.id, pinned);
+    assert.equal(resolvePersona('auto', { pinned, prompt }).persona.id, 'builtin.software-engineer');
+    assert.equal(resolvePersona(null, { pinned: 'none', prompt }), null);
+    assert.throws(() => resolvePersona('missing', { prompt }), /Persona "missing" not found/);
+});
+
+test('the CLI reads stdin and prints JSON with --json', () => {
+    const output = runCli(['--json', '--no-add-context'], 'explain how dns works\n');
+    const result = JSON.parse(output.stdout);
+
+    assert.equal(output.status, 0);
+    assert.equal(result.file, null);
+    assert.equal(result.language, 'en');
+    assert.ok(!result.applied.includes('context.role'));
+    assert.equal(result.stats.tokens.model, 'gpt-4o');
+    assert.ok(result.text.includes('explain how dns works'));
+});
+
+test('the CLI exits with 2 on bad arguments and 1 when a prompt fails', () => {
+    assert.equal(runCli(['--unknown-flag'], '').status, 2);
+    assert.equal(runCli(['--var', 'audience=kids'], 'recursion').status, 2);
+    assert.equal(runCli(['--context-budget', 'lots'], 'recursion').status, 2);
+    assert.equal(runCli(['--format-value', 'words=50'], 'recursion').status, 2);
+
+    const failed = runCli(['--template', 'builtin.explain'], 'recursion');
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /Missing template values: audience/);
+
+    const overBudget = runCli(['--cost-model', 'gpt-4o-mini', '--context-budget', '5'], 'explain recursion');
+    assert.equal(overBudget.status, 0);
+    assert.match(overBudget.stderr, /tokens is over the 5-token budget for GPT-4o mini/);
+
+    const formatted = runCli(['--format', 'builtin.limit', '--format-value', 'words=50'], 'explain recursion');
+    assert.equal(formatted.status, 0);
+    assert.match(formatted.stdout, /under 50 words/);
+});
@@ -0,0 +1,90 @@
+// Tests for output format presets (lib/format-presets.js) and how the engine applies them.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enhancePrompt } from '../core/enhancer.js';
+import {
+    BUILTIN_FORMAT_PRESETS,
+    FormatPresetError,
+    schemaSkeleton,
+    renderFormatInstructions,
+    validateFormatPreset,
+    describeFormatPreset
+} from '../lib/format-presets.js';
+
+const builtin = kind => BUILTIN_FORMAT_PRESETS.find(preset => preset.kind === kind);
+
+test('a JSON preset quotes the schema and sketches an object that follows it', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            title: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            status: { enum: ['draft', 'done'] },
+            score: { type: ['integer', 'null'] }
+        }
+    };
+    const text = renderFormatInstructions(builtin('json'), { schema: JSON.stringify(schema) });
+
+    assert.match(text, /valid against this JSON Schema/);
+    assert.ok(text.includes(JSON.stringify(schema, null, 2)));
+    assert.ok(text.endsWith(JSON.stringify({ title: '...', tags: ['...'], status: 'draft', score: 0 }, null, 2)));
+    assert.deepEqual(schemaSkeleton({ type: 'array' }), []);
+});
+
+test('table, CSV, code and steps presets add their skeletons', () => {
+    const table = renderFormatInstructions(builtin('table'), { columns: 'Name, Price | tax' });
+    assert.match(table, /exactly these columns, in this order: Name, Price \| tax\./);
+    assert.ok(table.endsWith('| Name | Price \\| tax |\n| --- | --- |\n| ... | ... |'));
+
+    const csv = renderFormatInstructions(builtin('csv'), { columns: 'id\nnote "short"' });
+    assert.ok(csv.endsWith('id,"note ""short"""\n...,...'));
+
+    assert.ok(renderFormatInstructions(builtin('code'), { language: 'Shell Script' }).endsWith('```shell-script\n...\n```'));
+
+    assert.ok(renderFormatInstructions(builtin('steps')).endsWith('1. ...\n2. ...\n3. ...'));
+    assert.match(renderFormatInstructions(builtin('steps'), { steps: '2' }), /at most 2 steps[\s\S]*2\. \.\.\.$/);
+});
+
+test('instructions follow the prompt language and missing or invalid values are rejected', () => {
+    assert.match(renderFormatInstructions(builtin('limit'), { words: '120' }, 'de'), /unter 120 Wörtern[\s\S]*höchstens 120 Wörter/);
+    assert.match(renderFormatInstructions(builtin('limit'), { words: '120' }, 'ja'), /under 120 words/);
+
+    assert.throws(() => renderFormatInstructions(builtin('table')), /Missing format values: columns/);
+    assert.throws(() => renderFormatInstructions(builtin('json'), { schema: '[1]' }), FormatPresetError);
+    assert.throws(() => renderFormatInstructions(builtin('limit'), { words: '1.5' }), /whole number/);
+});
+
+test('user presets keep the parameters they fix and leave the rest to the modal', () => {
+    const preset = validateFormatPreset({ name: '  Price list ', kind: 'table', params: { columns: 'Item, Price', extra: 'x' } });
+    assert.deepEqual(preset, { name: 'Price list', kind: 'table', params: { columns: 'Item, Price' } });
+    assert.deepEqual(describeFormatPreset(preset).fields, []);
+    assert.deepEqual(describeFormatPreset(builtin('steps')).fields, [{ name: 'steps', input: 'number', required: false }]);
+
+    // Fixed parameters win over values typed in the modal
+    assert.match(renderFormatInstructions(preset, { columns: 'Other' }), /columns, in this order: Item, Price\./);
+
+    assert.throws(() => validateFormatPreset({ name: '', kind: 'csv' }), /name is required/);
+    assert.throws(() => validateFormatPreset({ name: 'Bad', kind: 'yaml' }), /Unknown format kind/);
+    assert.throws(() => validateFormatPreset({ name: 'Bad', kind: 'json', params: { schema: '{' } }), /not valid JSON/);
+});
+
+test('the engine adds the format after the enhancement and drops the generic structure rules', async () => {
+    const result = await enhancePrompt('Compare three databases', {
+        options: { improveStructure: true },
+        format: { id: 'builtin.csv', values: { columns: 'Name, License' } }
+    });
+
+    assert.ok(result.text.endsWith('Example structure:\nName,License\n...,...'));
+    assert.ok(!result.applied.includes('structure.organization'));
+    assert.ok(!result.applied.includes('structure.summary'));
+
+    const custom = { id: 'user.1', name: 'Release notes', kind: 'limit', params: { words: '80' } };
+    const limited = await enhancePrompt('Write release notes', { format: { id: 'user.1' }, formatPresets: [custom] });
+    assert.match(limited.text, /under 80 words/);
+
+    await assert.rejects(enhancePrompt('hi', { format: { id: 'builtin.code' } }), /Missing format values: language/);
+    await assert.rejects(enhancePrompt('hi', { format: { id: 'user.gone' } }), error => error.code === 'not_found');
+});
@@ -0,0 +1,96 @@
+// Tests for the modal hotkeys (content/hotkeys.js), which run in a VM context like the other
+// content scripts, and for the keyboard commands declared in manifest.json.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const context = vm.createContext({});
+vm.runInContext(readFileSync(new URL('../content/hotkeys.js', import.meta.url), 'utf8'), context);
+const { HOTKEY_DEFINITIONS, resolveHotkeys, parseBinding, matchesBinding, matchDigit, bindingFromEvent } = context.AIPromptEnhancer.hotkeys;
+
+// Compare across the VM boundary, whose arrays and objects have their own prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// A keydown event with no modifiers unless given
+const keydown = (key, code, modifiers = {}) => ({ key, code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers });
+
+test('bindings are split into modifiers and a lowercase key, in any case and order', () => {
+    assert.deepEqual(plain(parseBinding('Ctrl+Shift+K')), { ctrl: true, alt: false, shift: true, meta: false, key: 'k' });
+    assert.deepEqual(plain(parseBinding(' shift + ctrl + Enter ')), { ctrl: true, alt: false, shift: true, meta: false, key: 'enter' });
+    assert.deepEqual(plain(parseBinding('Alt')), { ctrl: false, alt: true, shift: false, meta: false, key: '' });
+    assert.deepEqual(plain(parseBinding('')), { ctrl: false, alt: false, shift: false, meta: false, key: '' });
+    assert.deepEqual(plain(parseBinding(null)), { ctrl: false, alt: false, shift: false, meta: false, key: '' });
+});
+
+test('stored bindings override the defaults key by key', () => {
+    assert.deepEqual(plain(resolveHotkeys()), { enhance: 'Ctrl+Enter', close: 'Escape', pickOption: 'Alt' });
+    assert.deepEqual(plain(resolveHotkeys({ enhance: 'Meta+Enter', close: '', unknown: 'X' })),
+        { enhance: 'Meta+Enter', close: 'Escape', pickOption: 'Alt' });
+    assert.deepEqual(plain(resolveHotkeys(null)), plain(resolveHotkeys()));
+    assert.deepEqual(plain(HOTKEY_DEFINITIONS.filter(definition => definition.modifierOnly).map(definition => definition.key)), ['pickOption']);
+});
+
+test('an event matches a binding only with exactly its modifiers', () => {
+    assert.ok(matchesBinding(keydown('Enter', 'Enter', { ctrlKey: true }), 'Ctrl+Enter'));
+    assert.ok(matchesBinding(keydown('Escape', 'Escape'), 'Escape'));
+    assert.ok(!matchesBinding(keydown('Enter', 'Enter'), 'Ctrl+Enter'));
+    assert.ok(!matchesBinding(keydown('Enter', 'Enter', { ctrlKey: true, shiftKey: true }), 'Ctrl+Enter'));
+    assert.ok(!matchesBinding(keydown('Alt', 'AltLeft', { altKey: true }), 'Alt'));
+});
+
+test('letters and digits also match by code, since Alt and Option change the key', () => {
+    // Option+K on a Mac keyboard reports key "˚"
+    assert.ok(matchesBinding(keydown('˚', 'KeyK', { altKey: true }), 'Alt+K'));
+    assert.ok(matchesBinding(keydown('!', 'Digit1', { shiftKey: true }), 'Shift+1'));
+    assert.ok(!matchesBinding(keydown('j', 'KeyJ', { altKey: true }), 'Alt+K'));
+});
+
+test('the option digits 1-9 count only with the pickOption modifiers', () => {
+    assert.equal(matchDigit(keydown('3', 'Digit3', { altKey: true }), 'Alt'), 3);
+    assert.equal(matchDigit(keydown('9', 'Numpad9', { altKey: true }), 'Alt'), 9);
+    assert.equal(matchDigit(keydown('0', 'Digit0', { altKey: true }), 'Alt'), 0);
+    assert.equal(matchDigit(keydown('3', 'Digit3'), 'Alt'), 0);
+    assert.equal(matchDigit(keydown('3', 'Digit3', { altKey: true, ctrlKey: true }), 'Alt'), 0);
+    assert.equal(matchDigit(keydown('3', 'Digit3', { altKey: true, ctrlKey: true }), 'Ctrl+Alt'), 3);
+});
+
+test('a recorded keydown becomes a binding that matches the same keydown', () => {
+    const recorded = keydown('k', 'KeyK', { ctrlKey: true, shiftKey: true });
+    assert.equal(bindingFromEvent(recorded), 'Ctrl+Shift+K');
+    assert.ok(matchesBinding(recorded, bindingFromEvent(recorded)));
+
+    assert.equal(bindingFromEvent(keydown(' ', 'Space', { altKey: true })), 'Alt+Space');
+    assert.equal(bindingFromEvent(keydown('Enter', 'Enter', { metaKey: true })), 'Meta+Enter');
+    assert.equal(bindingFromEvent(keydown('@', 'Digit2', { shiftKey: true })), 'Shift+2');
+    assert.equal(bindingFromEvent(keydown('Shift', 'ShiftLeft', { shiftKey: true })), null);
+});
+
+test('a modifier-only binding records just the modifiers held', () => {
+    assert.equal(bindingFromEvent(keydown('Alt', 'AltLeft', { altKey: true, shiftKey: true }), { modifierOnly: true }), 'Alt+Shift');
+    assert.equal(bindingFromEvent(keydown('a', 'KeyA'), { modifierOnly: true }), null);
+});
+
+test('every keyboard command in the manifest is handled by the content script and described', () => {
+    const manifest = JSON.parse(readFileSync(new URL('../manifest.json', import.meta.url), 'utf8'));
+    const contentScript = readFileSync(new URL('../content.js', import.meta.url), 'utf8');
+    const messages = JSON.parse(readFileSync(new URL('../_locales/en/messages.json', import.meta.url), 'utf8'));
+
+    const commands = Object.entries(manifest.commands);
+    assert.ok(commands.length > 0);
+    commands.forEach(([command, { description, suggested_key: suggestedKey }]) => {
+        assert.ok(contentScript.includes(`case '${command}':`), `content.js handles ${command}`);
+        assert.ok(messages[description.replace(/^__MSG_(\w+)__$/, '$1')], `${command} has a description message`);
+        assert.match(suggestedKey.default, /^(Ctrl|Alt|Command|MacCtrl)\+/);
+    });
+});
+
+test('every hotkey has a label in each _locales language', () => {
+    ['en', 'es', 'fr', 'de'].forEach(language => {
+        const messages = JSON.parse(readFileSync(new URL(`../_locales/${language}/messages.json`, import.meta.url), 'utf8'));
+        HOTKEY_DEFINITIONS.forEach(({ key }) => assert.ok(messages[`hotkey_${key}`], `"${language}" has no "hotkey_${key}"`));
+    });
+});
@@ -0,0 +1,200 @@
+// Tests for writing the enhanced prompt back into the site's input: writeInputValue, insertInputValue
+// and captureSelection in adapters/registry.js, which the modal's Apply, Insert and Undo actions use.
+// The registry runs in a VM context with stand-in textarea, range and selection objects.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const REGISTRY_SOURCE = readFileSync(new URL('../adapters/registry.js', import.meta.url), 'utf8');
+
+// Load the registry; execCommand('insertText') succeeds unless insertText is false
+function loadRegistry({ insertText = true } = {}) {
+    const selection = { ranges: [], removeAllRanges() { this.ranges = []; }, addRange(range) { this.ranges.push(range); } };
+    const commands = [];
+
+    class FakeEvent {
+        constructor(type, init = {}) {
+            this.type = type;
+            Object.assign(this, init);
+        }
+    }
+
+    class TextField {
+        constructor(value = '') {
+            this.stored = value;
+            this.selectionStart = value.length;
+            this.selectionEnd = value.length;
+            this.events = [];
+        }
+
+        get value() {
+            return this.stored;
+        }
+
+        set value(text) {
+            this.stored = text;
+        }
+
+        focus() {
+            this.focused = true;
+        }
+
+        dispatchEvent(event) {
+            this.events.push(event);
+        }
+
+        setSelectionRange(start, end) {
+            this.selectionStart = start;
+            this.selectionEnd = end;
+        }
+    }
+
+    class HTMLTextAreaElement extends TextField {
+        get tagName() {
+            return 'TEXTAREA';
+        }
+    }
+
+    class HTMLInputElement extends TextField {
+        get tagName() {
+            return 'INPUT';
+        }
+    }
+
+    // The registry takes the value setter from each element's own prototype, as browsers define it
+    [HTMLTextAreaElement, HTMLInputElement].forEach(type => {
+        Object.defineProperty(type.prototype, 'value', Object.getOwnPropertyDescriptor(TextField.prototype, 'value'));
+    });
+
+    const context = vm.createContext({
+        HTMLTextAreaElement,
+        HTMLInputElement,
+        Event: FakeEvent,
+        InputEvent: FakeEvent,
+        window: { getSelection: () => selection },
+        document: {
+            createRange: () => ({
+                selectNodeContents(node) { this.contents = node; },
+                collapse(toStart) { this.collapsed = toStart ? 'start' : 'end'; },
+                deleteContents() { this.deleted = true; },
+                insertNode(node) { this.inserted = node; }
+            }),
+            createTextNode: text => ({ text }),
+            execCommand: (command, showUi, value) => {
+                commands.push([command, value]);
+                return insertText;
+            }
+        }
+    });
+    vm.runInContext(REGISTRY_SOURCE, context);
+
+    return { adapters: context.AIPromptEnhancer.adapters, HTMLTextAreaElement, HTMLInputElement, selection, commands };
+}
+
+// A contenteditable element with the given text; ranges "inside" it count as contained
+const editable = (text = '') => ({
+    tagName: 'DIV',
+    isContentEditable: true,
+    textContent: text,
+    events: [],
+    focus() { this.focused = true; },
+    dispatchEvent(event) { this.events.push(event); },
+    contains(node) { return node === this || node === 'inside'; }
+});
+
+test('writing a textarea goes through the native setter and fires input and change', () => {
+    const { adapters, HTMLTextAreaElement } = loadRegistry();
+    const textarea = new HTMLTextAreaElement('draft');
+
+    // Frameworks like React put their own value setter on the element to track edits
+    let tracked = null;
+    Object.defineProperty(textarea, 'value', { get: () => textarea.stored, set: text => { tracked = text; } });
+
+    assert.equal(adapters.writeInputValue(textarea, 'Enhanced prompt'), true);
+    assert.equal(textarea.stored, 'Enhanced prompt');
+    assert.equal(tracked, null);
+    assert.ok(textarea.focused);
+    assert.deepEqual(textarea.events.map(event => [event.type, event.bubbles]), [['input', true], ['change', true]]);
+    assert.equal(textarea.events[0].data, 'Enhanced prompt');
+});
+
+test('inserting replaces the captured selection and puts the caret after the text', () => {
+    const { adapters, HTMLInputElement } = loadRegistry();
+    const input = new HTMLInputElement('Hello world');
+    input.setSelectionRange(6, 11);
+
+    const selection = adapters.captureSelection(input);
+    assert.deepEqual({ ...selection }, { start: 6, end: 11 });
+
+    assert.equal(adapters.insertInputValue(input, 'there', selection), true);
+    assert.equal(input.value, 'Hello there');
+    assert.deepEqual([input.selectionStart, input.selectionEnd], [11, 11]);
+
+    // Without a captured selection the text goes at the end
+    adapters.insertInputValue(input, '!', null);
+    assert.equal(input.value, 'Hello there!');
+});
+
+test('a contenteditable is written with insertText over its selected contents', () => {
+    const { adapters, selection, commands } = loadRegistry();
+    const element = editable('old text');
+
+    assert.equal(adapters.writeInputValue(element, 'new text'), true);
+    assert.deepEqual(commands, [['insertText', 'new text']]);
+    assert.equal(selection.ranges.length, 1);
+    assert.equal(selection.ranges[0].contents, element);
+    assert.equal(element.textContent, 'old text');
+});
+
+test('when insertText is refused the text is set directly and input is fired', () => {
+    const { adapters } = loadRegistry({ insertText: false });
+
+    const element = editable('old text');
+    adapters.writeInputValue(element, 'new text');
+    assert.equal(element.textContent, 'new text');
+    assert.deepEqual(element.events.map(event => event.type), ['input']);
+
+    const target = editable('old text');
+    const range = { deleteContents() { this.deleted = true; }, insertNode(node) { this.inserted = node; } };
+    adapters.insertInputValue(target, 'added', { range });
+    assert.ok(range.deleted);
+    assert.equal(range.inserted.text, 'added');
+    assert.deepEqual(target.events.map(event => event.type), ['input']);
+});
+
+test('inserting into a contenteditable without a saved range goes at the end', () => {
+    const { adapters, selection, commands } = loadRegistry();
+    const element = editable('old text');
+
+    adapters.insertInputValue(element, ' more', null);
+    assert.equal(selection.ranges[0].contents, element);
+    assert.equal(selection.ranges[0].collapsed, 'end');
+    assert.deepEqual(commands, [['insertText', ' more']]);
+});
+
+test('the selection is captured only when it is inside the contenteditable', () => {
+    const { adapters, selection } = loadRegistry();
+    const element = editable();
+    const clone = { cloned: true };
+    const range = commonAncestorContainer => ({ commonAncestorContainer, cloneRange: () => clone });
+
+    Object.assign(selection, { rangeCount: 1, getRangeAt: () => range('inside') });
+    assert.equal(adapters.captureSelection(element).range, clone);
+
+    selection.getRangeAt = () => range('elsewhere');
+    assert.equal(adapters.captureSelection(element), null);
+    assert.equal(adapters.captureSelection(null), null);
+});
+
+test('elements that are not text fields are left alone', () => {
+    const { adapters } = loadRegistry();
+    const div = { tagName: 'DIV', isContentEditable: false, focus() {} };
+
+    assert.equal(adapters.writeInputValue(div, 'text'), false);
+    assert.equal(adapters.insertInputValue(div, 'text'), false);
+    assert.equal(adapters.writeInputValue(null, 'text'), false);
+});
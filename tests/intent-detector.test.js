@@ -0,0 +1,65 @@
+// Fixture-driven tests for lib/intent-detector.js and the built-in rules that use it.
+// Each fixture in fixtures/intent-prompts.json lists the intents a prompt should (or should not)
+// trigger, and which built-in rules should fire or be skipped when every setting is on.
+//
+// Run with: node --test
+
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../core/enhancer.js';
+import { detectIntents, tokenizePrompt } from '../lib/intent-detector.js';
+import { getRuleSettingDefinitions, runRules } from '../lib/rule-registry.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/intent-prompts.json', import.meta.url), 'utf8'));
+
+const ALL_RULES_ON = Object.fromEntries(getRuleSettingDefinitions().map(definition => [definition.key, true]));
+
+fixtures.forEach(fixture => {
+    test(fixture.name, () => {
+        const intents = detectIntents(fixture.prompt);
+
+        (fixture.mentioned || []).forEach(name => {
+            assert.ok(intents[name].mentioned, `expected "${name}" to be mentioned`);
+        });
+        (fixture.notMentioned || []).forEach(name => {
+            assert.ok(!intents[name].mentioned, `expected "${name}" not to be mentioned, matched ${JSON.stringify(intents[name].matches)}`);
+        });
+        (fixture.requested || []).forEach(name => {
+            assert.ok(intents[name].requested, `expected "${name}" to be requested`);
+        });
+        (fixture.negated || []).forEach(name => {
+            assert.ok(intents[name].negated, `expected "${name}" to be negated`);
+        });
+
+        if (fixture.applied || fixture.skipped) {
+            // The original prompt decides; later rules see text added by earlier ones
+            const { applied } = runRules(fixture.prompt, ALL_RULES_ON);
+
+            (fixture.applied || []).forEach(id => {
+                assert.ok(applied.includes(id), `expected rule "${id}" to fire, got ${applied.join(', ')}`);
+            });
+            (fixture.skipped || []).forEach(id => {
+                assert.ok(!applied.includes(id), `expected rule "${id}" to be skipped, got ${applied.join(', ')}`);
+            });
+        }
+    });
+});
+
+test('tokenizer keeps offsets into the original text', () => {
+    const prompt = 'Don’t list — explain.';
+    const tokens = tokenizePrompt(prompt);
+
+    assert.deepEqual(Array.from(tokens, token => token.word), ['dont', 'list', 'explain']);
+    tokens.forEach(token => {
+        assert.ok(token.end > token.start);
+    });
+    assert.equal(prompt.slice(tokens[1].start, tokens[1].end), 'list');
+});
+
+test('match offsets point at the matched phrase', () => {
+    const prompt = 'Summarize this for my team';
+    const [match] = detectIntents(prompt).audience.matches;
+
+    assert.equal(prompt.slice(match.start, match.end), 'for my team');
+});
@@ -0,0 +1,270 @@
+// Tests for the prompt input watcher (content/lifecycle.js). It runs in a VM context like the other
+// content scripts, with stand-in observers, a manual clock for timers and animation frames, and
+// isVisible from adapters/registry.js.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const SOURCES = ['../adapters/registry.js', '../content/lifecycle.js']
+    .map(path => readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+// Load the watcher module with observers, timers and window listeners the test can drive
+function loadLifecycle() {
+    const observers = [];
+    const windowListeners = [];
+    let timers = [];
+    let frames = [];
+    let now = 0;
+    let nextId = 1;
+
+    class FakeObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.observed = new Set();
+            this.disconnected = false;
+            observers.push(this);
+        }
+
+        observe(target) {
+            this.observed.add(target);
+        }
+
+        unobserve(target) {
+            this.observed.delete(target);
+        }
+
+        disconnect() {
+            this.observed.clear();
+            this.disconnected = true;
+        }
+    }
+
+    class MutationObserver extends FakeObserver {}
+    class ResizeObserver extends FakeObserver {}
+
+    const location = { href: 'https://chatgpt.com/c/1' };
+    const context = vm.createContext({
+        location,
+        document: { documentElement: { tagName: 'HTML' } },
+        MutationObserver,
+        ResizeObserver,
+        setTimeout: (callback, delay) => {
+            const id = nextId++;
+            timers.push({ id, at: now + delay, callback });
+            return id;
+        },
+        clearTimeout: id => { timers = timers.filter(timer => timer.id !== id); },
+        requestAnimationFrame: callback => {
+            const id = nextId++;
+            frames.push({ id, callback });
+            return id;
+        },
+        cancelAnimationFrame: id => { frames = frames.filter(frame => frame.id !== id); },
+        window: {
+            addEventListener: (type, listener, options) => {
+                windowListeners.push({ type, listener, options });
+                options.signal?.addEventListener('abort', () => {
+                    windowListeners.splice(windowListeners.findIndex(entry => entry.listener === listener && entry.type === type), 1);
+                });
+            }
+        }
+    });
+    SOURCES.forEach(source => vm.runInContext(source, context));
+
+    return {
+        watchPromptInput: context.AIPromptEnhancer.lifecycle.watchPromptInput,
+        location,
+        mutationObserver: () => observers.find(observer => observer instanceof MutationObserver),
+        resizeObserver: () => observers.find(observer => observer instanceof ResizeObserver),
+        windowListeners,
+        pendingTimers: () => timers.length,
+        pendingFrames: () => frames.length,
+        // Move the clock on by `ms`, running each timer that comes due (including ones set meanwhile)
+        advance(ms) {
+            const end = now + ms;
+            for (;;) {
+                const [next] = timers.filter(timer => timer.at <= end).sort((a, b) => a.at - b.at);
+                if (!next) break;
+                timers = timers.filter(timer => timer !== next);
+                now = next.at;
+                next.callback();
+            }
+            now = end;
+        },
+        runFrames() {
+            const due = frames;
+            frames = [];
+            due.forEach(frame => frame.callback());
+        },
+        fire: type => windowListeners.filter(entry => entry.type === type).forEach(entry => entry.listener())
+    };
+}
+
+// A rendered input; set isConnected to false to take it off the page
+const input = name => ({ name, isConnected: true, offsetParent: {}, offsetWidth: 300 });
+
+// Record the watcher's callbacks as [name, input name] pairs
+function recorder() {
+    const calls = [];
+    const record = name => element => calls.push(element ? [name, element.name] : [name]);
+    return {
+        calls,
+        callbacks: {
+            onAttach: record('attach'),
+            onDetach: record('detach'),
+            onReposition: record('reposition'),
+            onMissing: record('missing')
+        }
+    };
+}
+
+test('the input found at start is attached and watched for size changes', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+    const composer = input('composer');
+
+    const watcher = page.watchPromptInput({ findInput: () => composer, ...callbacks });
+
+    assert.deepEqual(calls, [['attach', 'composer']]);
+    assert.equal(watcher.getInput(), composer);
+    assert.ok(page.resizeObserver().observed.has(composer));
+    assert.ok(page.mutationObserver().observed.size === 1);
+    assert.deepEqual(page.windowListeners.map(entry => entry.type), ['scroll', 'resize', 'popstate']);
+    assert.ok(page.windowListeners.every(entry => entry.options.capture && entry.options.passive));
+});
+
+test('a replaced input is detached and the new one attached once the DOM settles', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+    let current = input('first');
+
+    page.watchPromptInput({ findInput: () => current, ...callbacks });
+
+    const previous = current;
+    previous.isConnected = false;
+    current = input('second');
+    page.mutationObserver().callback();
+    page.mutationObserver().callback();
+    page.advance(99);
+    assert.deepEqual(calls, [['attach', 'first']]);
+
+    page.advance(1);
+    assert.deepEqual(calls, [['attach', 'first'], ['detach', 'first'], ['attach', 'second']]);
+    assert.ok(!page.resizeObserver().observed.has(previous));
+    assert.ok(page.resizeObserver().observed.has(current));
+});
+
+test('onMissing fires when no input turns up within missingDelay', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+    let current = null;
+
+    page.watchPromptInput({ findInput: () => current, ...callbacks, missingDelay: 3000 });
+    page.advance(2999);
+    assert.deepEqual(calls, []);
+    page.advance(1);
+    assert.deepEqual(calls, [['missing']]);
+
+    // An input that appears later is attached, and one that arrives in time cancels onMissing
+    current = input('late');
+    page.mutationObserver().callback();
+    page.advance(100);
+    assert.deepEqual(calls, [['missing'], ['attach', 'late']]);
+
+    const { calls: inTime, callbacks: inTimeCallbacks } = recorder();
+    const other = loadLifecycle();
+    let found = null;
+    other.watchPromptInput({ findInput: () => found, ...inTimeCallbacks });
+    found = input('quick');
+    other.mutationObserver().callback();
+    other.advance(5000);
+    assert.deepEqual(inTime, [['attach', 'quick']]);
+});
+
+test('a navigation to a page without an input starts the wait for onMissing again', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+
+    page.watchPromptInput({ findInput: () => null, ...callbacks });
+    page.advance(3000);
+    assert.deepEqual(calls, [['missing']]);
+
+    // Other DOM changes do not repeat it
+    page.mutationObserver().callback();
+    page.advance(3100);
+    assert.deepEqual(calls, [['missing']]);
+
+    page.location.href = 'https://chatgpt.com/c/2';
+    page.fire('popstate');
+    page.advance(3100);
+    assert.deepEqual(calls, [['missing'], ['missing']]);
+});
+
+test('scrolling and resizing re-anchor at most once per frame', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+
+    page.watchPromptInput({ findInput: () => input('composer'), ...callbacks });
+    page.fire('scroll');
+    page.fire('resize');
+    page.resizeObserver().callback();
+    assert.equal(page.pendingFrames(), 1);
+
+    page.runFrames();
+    assert.deepEqual(calls, [['attach', 'composer'], ['reposition', 'composer']]);
+});
+
+test('a navigation that keeps the same input re-anchors it', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+
+    const watcher = page.watchPromptInput({ findInput: () => input('composer'), ...callbacks });
+    watcher.refresh();
+    assert.deepEqual(calls, [['attach', 'composer']]);
+
+    page.location.href = 'https://chatgpt.com/c/2';
+    page.fire('popstate');
+    page.advance(100);
+    assert.deepEqual(calls, [['attach', 'composer'], ['reposition', 'composer']]);
+});
+
+test('aborting the signal disconnects the observers, clears timers and listeners, and detaches', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+    const controller = new AbortController();
+
+    page.watchPromptInput({ findInput: () => input('composer'), ...callbacks, signal: controller.signal });
+    page.mutationObserver().callback();
+    page.fire('scroll');
+    assert.equal(page.pendingTimers(), 1);
+    assert.equal(page.pendingFrames(), 1);
+
+    controller.abort();
+
+    assert.ok(page.mutationObserver().disconnected);
+    assert.ok(page.resizeObserver().disconnected);
+    assert.equal(page.pendingTimers(), 0);
+    assert.equal(page.pendingFrames(), 0);
+    assert.equal(page.windowListeners.length, 0);
+    assert.deepEqual(calls, [['attach', 'composer'], ['detach', 'composer']]);
+});
+
+test('a stopped watcher ignores later checks and stops only once', () => {
+    const page = loadLifecycle();
+    const { calls, callbacks } = recorder();
+    let current = null;
+
+    const watcher = page.watchPromptInput({ findInput: () => current, ...callbacks });
+    watcher.stop();
+    watcher.stop();
+
+    current = input('late');
+    watcher.refresh();
+    page.advance(5000);
+    assert.deepEqual(calls, []);
+    assert.equal(watcher.getInput(), null);
+});
@@ -0,0 +1,99 @@
+// Tests for the LLM provider (lib/llm-provider.js) through enhancePrompt(), against the local
+// stand-in endpoint in tools/mock-llm-server.js, which each test starts on a free port.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { enhancePrompt } from '../core/enhancer.js';
+
+const MOCK_SERVER = fileURLToPath(new URL('../tools/mock-llm-server.js', import.meta.url));
+const PROMPT = 'explain how closures work in javascript';
+
+// Start the mock server with the given flags and resolve with its base URL once it listens;
+// the server is stopped when the test ends
+function startMockServer(t, args = []) {
+    const server = spawn(process.execPath, [MOCK_SERVER, '--port', '0', ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+    t.after(() => server.kill());
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        server.stdout.setEncoding('utf8');
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            const match = output.match(/listening on (http:\/\/localhost:\d+\/v1)/);
+            if (match) resolve(match[1]);
+        });
+        server.on('exit', code => reject(new Error(`Mock server exited with code ${code}`)));
+    });
+}
+
+const provider = (baseUrl, config = {}) => ({ enabled: true, baseUrl, model: 'mock-model', ...config });
+
+test('a working provider writes the enhanced prompt', async (t) => {
+    const baseUrl = await startMockServer(t);
+    const result = await enhancePrompt(PROMPT, { provider: provider(baseUrl) });
+
+    assert.equal(result.provider, 'llm');
+    assert.equal(result.fallbackReason, null);
+    assert.match(result.text, /^Task: explain how closures work in javascript\.\n\nPlease answer clearly/);
+    assert.deepEqual(result.applied, []);
+});
+
+test('an HTTP error falls back to the rules, with the reason', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const baseUrl = await startMockServer(t, ['--fail']);
+    const rules = await enhancePrompt(PROMPT);
+    const result = await enhancePrompt(PROMPT, { provider: provider(baseUrl) });
+
+    assert.equal(result.provider, 'heuristic');
+    assert.equal(result.fallbackReason, 'Provider responded with HTTP 500');
+    assert.equal(result.text, rules.text);
+    assert.deepEqual(result.applied, rules.applied);
+});
+
+test('a provider slower than timeoutMs falls back to the rules', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const baseUrl = await startMockServer(t, ['--delay', '2000']);
+    const rules = await enhancePrompt(PROMPT);
+    const result = await enhancePrompt(PROMPT, { provider: provider(baseUrl, { timeoutMs: 100 }) });
+
+    assert.equal(result.provider, 'heuristic');
+    assert.equal(result.fallbackReason, 'Provider timed out after 100ms');
+    assert.equal(result.text, rules.text);
+});
+
+test('a misconfigured provider or an empty completion falls back to the rules', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    const invalid = await enhancePrompt(PROMPT, { provider: provider('localhost:8787/v1') });
+    assert.equal(invalid.provider, 'heuristic');
+    assert.match(invalid.fallbackReason, /^Invalid provider base URL/);
+
+    const noModel = await enhancePrompt(PROMPT, { provider: provider('http://localhost:8787/v1', { model: '' }) });
+    assert.equal(noModel.fallbackReason, 'No provider model configured');
+
+    t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ choices: [{ message: { content: '  ' } }] })));
+    const empty = await enhancePrompt(PROMPT, { provider: provider('http://localhost:8787/v1') });
+    assert.equal(empty.fallbackReason, 'Provider returned an empty completion');
+});
+
+test('the request carries the API key, the model and the enabled rule settings', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ choices: [{ message: { content: 'Rewritten' } }] })));
+
+    await enhancePrompt(PROMPT, {
+        options: { addContext: false, improveStructure: true },
+        provider: provider('http://localhost:8787/v1/', { apiKey: 'sk-test', temperature: 0 })
+    });
+
+    const [url, request] = globalThis.fetch.mock.calls[0].arguments;
+    const body = JSON.parse(request.body);
+    assert.equal(url, 'http://localhost:8787/v1/chat/completions');
+    assert.equal(request.headers.Authorization, 'Bearer sk-test');
+    assert.equal(body.model, 'mock-model');
+    assert.equal(body.temperature, 0);
+    assert.deepEqual(body.messages[1], { role: 'user', content: PROMPT });
+    assert.match(body.messages[0].content, /Focus on improving: clarity, structure of the expected answer\./);
+});
@@ -0,0 +1,91 @@
+// Fixture-driven tests for language detection and the locale packs in lib/locales/.
+// Each fixture in fixtures/language-prompts.json gives a prompt's expected language, its intents,
+// and what the built-in rules should add to it (in that language) when every setting is on.
+//
+// Run with: node --test
+
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../core/enhancer.js';
+import { detectPromptLanguage, getLocaleCodes, getLocalePack } from '../lib/locale-packs.js';
+import { detectIntents, tokenizePrompt } from '../lib/intent-detector.js';
+import { getRuleSettingDefinitions, runRules } from '../lib/rule-registry.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/language-prompts.json', import.meta.url), 'utf8'));
+
+const ALL_RULES_ON = Object.fromEntries(getRuleSettingDefinitions().map(definition => [definition.key, true]));
+
+fixtures.forEach(fixture => {
+    test(fixture.name, () => {
+        assert.equal(detectPromptLanguage(fixture.prompt), fixture.language);
+
+        const intents = detectIntents(fixture.prompt);
+        (fixture.mentioned || []).forEach(name => {
+            assert.ok(intents[name].mentioned, `expected "${name}" to be mentioned`);
+        });
+        (fixture.negated || []).forEach(name => {
+            assert.ok(intents[name].negated, `expected "${name}" to be negated`);
+        });
+
+        const { text, applied } = runRules(fixture.prompt, ALL_RULES_ON);
+
+        if (fixture.unchanged) {
+            assert.equal(text, fixture.prompt);
+        }
+        (fixture.applied || []).forEach(id => {
+            assert.ok(applied.includes(id), `expected rule "${id}" to fire, got ${applied.join(', ')}`);
+        });
+        (fixture.skipped || []).forEach(id => {
+            assert.ok(!applied.includes(id), `expected rule "${id}" to be skipped, got ${applied.join(', ')}`);
+        });
+        (fixture.includes || []).forEach(phrase => {
+            assert.ok(text.includes(phrase), `expected the result to include "${phrase}":\n${text}`);
+        });
+        (fixture.excludes || []).forEach(phrase => {
+            assert.ok(!text.includes(phrase), `expected the result not to include "${phrase}":\n${text}`);
+        });
+    });
+});
+
+test('every pack has every phrase the built-in rules use', () => {
+    const keys = Object.keys(getLocalePack('en').phrases);
+
+    getLocaleCodes().forEach(code => {
+        keys.forEach(key => {
+            assert.ok(getLocalePack(code).phrases[key], `"${code}" has no "${key}" phrase`);
+            assert.ok(getLocalePack(code).phrases[key].includes('{prompt}'), `"${code}" "${key}" has no {prompt}`);
+        });
+    });
+});
+
+test('every pack has every format preset instruction', () => {
+    const keys = Object.keys(getLocalePack('en').formats);
+
+    getLocaleCodes().forEach(code => {
+        keys.forEach(key => {
+            assert.ok(getLocalePack(code).formats[key], `"${code}" has no "${key}" format`);
+        });
+    });
+});
+
+test('elided words keep offsets into the original text', () => {
+    const prompt = "N'utilise pas l'audience";
+    const tokens = tokenizePrompt(prompt, 'fr');
+
+    assert.deepEqual(Array.from(tokens, token => token.word), ['n', 'utilise', 'pas', 'l', 'audience']);
+    assert.equal(prompt.slice(tokens[1].start, tokens[1].end), 'utilise');
+    assert.equal(prompt.slice(tokens[4].start, tokens[4].end), 'audience');
+});
+
+test('every pack has task verbs and the analyzer word lists', () => {
+    const lists = Object.keys(getLocalePack('en').analyzer);
+
+    getLocaleCodes().forEach(code => {
+        const pack = getLocalePack(code);
+        assert.ok(pack.intents.definitions.task?.phrases.length > 0, `"${code}" has no task verbs`);
+        lists.forEach(list => {
+            assert.ok(pack.analyzer?.[list]?.length > 0, `"${code}" has no "${list}" analyzer words`);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+// Tests for the message protocol (lib/message-protocol.js) and the messaging client
+// (content/messaging.js), which runs in a VM context with a stubbed chrome.runtime.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    ProtocolError,
+    getMessageSchemas,
+    parseRequest,
+    createRequest
+} from '../lib/message-protocol.js';
+
+const CLIENT_SOURCE = readFileSync(new URL('../content/messaging.js', import.meta.url), 'utf8');
+
+const schemas = getMessageSchemas(['enhanceClarity', 'addContext']);
+const request = (action, data, extra = {}) => ({ protocol: PROTOCOL_VERSION, id: 'test-1', action, data, ...extra });
+
+// Load the client with a chrome.runtime.sendMessage that answers with reply(request, attempt)
+function loadClient(reply) {
+    const runtime = { lastError: null, sent: [] };
+    runtime.sendMessage = (message, callback) => {
+        runtime.sent.push(message);
+        const answer = reply(message, runtime.sent.length);
+        if (answer === undefined) return; // Never answers
+        setTimeout(() => {
+            runtime.lastError = answer.lastError || null;
+            callback(answer.lastError ? undefined : answer);
+            runtime.lastError = null;
+        }, 0);
+    };
+
+    const context = vm.createContext({ chrome: { runtime }, setTimeout, clearTimeout });
+    vm.runInContext(CLIENT_SOURCE, context);
+    return { messaging: context.AIPromptEnhancer.messaging, runtime };
+}
+
+test('requests are checked against their action schema', () => {
+    assert.deepEqual(parseRequest(request('getStats'), schemas), { id: 'test-1', action: 'getStats', data: {} });
+    assert.equal(parseRequest(request('enhancePrompt', { prompt: 'hi', template: null }), schemas).data.prompt, 'hi');
+
+    const invalid = (message, code, pattern) => assert.throws(() => parseRequest(message, schemas),
+        error => error instanceof ProtocolError && error.code === code && pattern.test(error.message));
+
+    invalid(request('enhancePrompt', {}), ERROR_CODES.INVALID_DATA, /data\.prompt is required/);
+    invalid(request('enhancePrompt', { prompt: 42 }), ERROR_CODES.INVALID_DATA, /data\.prompt must be a string, not number/);
+    invalid(request('enhancePrompt', { prompt: 'hi', options: { addContext: 'yes' } }), ERROR_CODES.INVALID_DATA,
+        /data\.options\.addContext must be a boolean/);
+    invalid(request('starHistoryEntry', { id: 1.5, starred: true }), ERROR_CODES.INVALID_DATA, /data\.id must be an integer/);
+    invalid(request('getAnalytics', { period: 'year' }), ERROR_CODES.INVALID_DATA, /data\.period must be one of/);
+    invalid(request('enhanceVariants', { prompt: 'hi', count: 6 }), ERROR_CODES.INVALID_DATA, /data\.count must be at most 5/);
+    invalid(request('chooseVariant', { strategy: 'concise', shown: ['verbose'] }), ERROR_CODES.INVALID_DATA,
+        /data\.shown\[0\] must be one of/);
+    invalid(request('saveFormatPreset', { name: 'Report', kind: 'yaml' }), ERROR_CODES.INVALID_DATA, /data\.kind must be one of/);
+    invalid(request('enhancePrompt', { prompt: 'hi', format: { values: {} } }), ERROR_CODES.INVALID_DATA, /data\.format\.id is required/);
+});
+
+test('updateSettings accepts the rule settings and general settings, and nothing else', () => {
+    assert.doesNotThrow(() => parseRequest(request('updateSettings', { addContext: false, theme: 'dark', hotkeys: { open: 'Alt+E' } }), schemas));
+    assert.throws(() => parseRequest(request('updateSettings', { unknownRule: true }), schemas), /data\.unknownRule is not allowed/);
+    assert.throws(() => parseRequest(request('updateSettings', { usageRetentionDays: 0 }), schemas), /must be at least 1/);
+    assert.throws(() => parseRequest(request('updateSettings', { redactionPatterns: ['ok', 7] }), schemas),
+        /data\.redactionPatterns\[1\] must be a string/);
+    assert.throws(() => parseRequest(request('updateSettings', { modelPrices: [{ id: 'm', label: 'M', family: 'gpt', inputPrice: -1, contextWindow: 8 }] }), schemas),
+        /data\.modelPrices\[0\]\.inputPrice must be at least 0/);
+});
+
+test('enhancement options take the rule settings only, so a request cannot change general settings', () => {
+    ['enhancePrompt', 'enhanceVariants'].forEach(action => {
+        assert.doesNotThrow(() => parseRequest(request(action, { prompt: 'hi', options: { enhanceClarity: true, addContext: false } }), schemas));
+        assert.throws(() => parseRequest(request(action, { prompt: 'hi', options: { redactionEnabled: false } }), schemas),
+            /data\.options\.redactionEnabled is not allowed/);
+        assert.throws(() => parseRequest(request(action, { prompt: 'hi', options: { historyEnabled: true } }), schemas),
+            /data\.options\.historyEnabled is not allowed/);
+        assert.throws(() => parseRequest(request(action, { prompt: 'hi', options: { addContext: 'yes' } }), schemas),
+            /data\.options\.addContext must be a boolean/);
+    });
+});
+
+test('the envelope needs the current version, an id and a known action', () => {
+    const code = (message) => {
+        try {
+            parseRequest(message, schemas);
+        } catch (error) {
+            return error.code;
+        }
+        return null;
+    };
+
+    assert.equal(code(null), ERROR_CODES.INVALID_REQUEST);
+    assert.equal(code({ action: 'getStats' }), ERROR_CODES.UNSUPPORTED_VERSION);
+    assert.equal(code(request('getStats', undefined, { protocol: PROTOCOL_VERSION + 1 })), ERROR_CODES.UNSUPPORTED_VERSION);
+    assert.equal(code(request('getStats', undefined, { id: '' })), ERROR_CODES.INVALID_REQUEST);
+    assert.equal(code(request('toString')), ERROR_CODES.UNKNOWN_ACTION);
+
+    const outgoing = createRequest('runCommand', { command: 'open-enhancer' });
+    assert.equal(outgoing.protocol, PROTOCOL_VERSION);
+    assert.notEqual(outgoing.id, createRequest('runCommand', {}).id);
+});
+
+test('the client declares the same version and error codes as the protocol', () => {
+    const { messaging } = loadClient(() => ({ success: true }));
+
+    assert.equal(messaging.PROTOCOL_VERSION, PROTOCOL_VERSION);
+    assert.deepEqual({ ...messaging.ERROR_CODES }, ERROR_CODES);
+});
+
+test('the client retries lost connections and rejects with the error code', async () => {
+    const { messaging, runtime } = loadClient((message, attempt) => attempt < 3
+        ? { lastError: { message: 'Could not establish connection. Receiving end does not exist.' } }
+        : { success: true, id: message.id, stats: {} });
+
+    const response = await messaging.sendMessage('getStats');
+    assert.equal(response.success, true);
+    assert.equal(runtime.sent.length, 3);
+    assert.equal(new Set(runtime.sent.map(message => message.id)).size, 1);
+
+    const failing = loadClient(() => ({ success: false, error: { code: ERROR_CODES.NOT_FOUND, message: 'Template not found' } }));
+    await assert.rejects(failing.messaging.sendMessage('deleteTemplate', { id: 'missing' }),
+        error => error.name === 'MessageError' && error.code === ERROR_CODES.NOT_FOUND);
+    assert.equal(failing.runtime.sent.length, 1);
+});
+
+test('the client gives up after its time limit', async () => {
+    const { messaging } = loadClient(() => undefined);
+
+    await assert.rejects(messaging.sendMessage('getStats', {}, { timeoutMs: 20 }),
+        error => error.code === ERROR_CODES.TIMEOUT);
+});
@@ -0,0 +1,108 @@
+// Tests for the persona library (lib/personas.js) and how the context.role rule uses it.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../core/enhancer.js';
+import { getLocaleCodes, getLocalePack } from '../lib/locale-packs.js';
+import { runRules } from '../lib/rule-registry.js';
+import { localizePersona, suggestPersona, validatePersona, BUILTIN_PERSONAS } from '../lib/personas.js';
+
+const personas = BUILTIN_PERSONAS;
+const byId = id => personas.find(persona => persona.id === id);
+
+const CONTEXT_ONLY = { enhanceClarity: false, addContext: true, improveStructure: false };
+
+function suggestedId(prompt) {
+    const persona = suggestPersona(prompt, personas);
+    return persona ? persona.id : null;
+}
+
+test('suggests a persona from the prompt topic', () => {
+    assert.equal(suggestedId('Why does this Python function throw a KeyError? Here is the stack trace'), 'builtin.software-engineer');
+    assert.equal(suggestedId('Proofread my cover letter and fix the grammar'), 'builtin.copy-editor');
+    assert.equal(suggestedId('Find the trend in this dataset and compute the median'), 'builtin.data-analyst');
+    assert.equal(suggestedId('Help me understand this theorem for my exam'), 'builtin.tutor');
+    assert.equal(suggestedId('Review the liability clause in this contract'), 'builtin.legal-reviewer');
+});
+
+test('suggests nothing for a prompt without a clear topic', () => {
+    assert.equal(suggestedId('What should I cook tonight?'), null);
+    assert.equal(suggestedId(''), null);
+});
+
+test('suggests from translated topics for prompts in other languages', () => {
+    assert.equal(suggestedId('Corrige la ortografía y la puntuación de este texto'), 'builtin.copy-editor');
+    assert.equal(suggestedId('Peux-tu relire ce contrat et vérifier la clause de responsabilité ?'), 'builtin.legal-reviewer');
+    assert.equal(suggestedId('Hilf mir, diese Gleichung für die Prüfung zu verstehen'), 'builtin.tutor');
+});
+
+test('every pack translates every built-in persona', () => {
+    getLocaleCodes().filter(code => code !== 'en').forEach(code => {
+        personas.forEach(persona => {
+            const translation = getLocalePack(code).personas[persona.id];
+            assert.ok(translation, `"${code}" has no translation for "${persona.id}"`);
+            ['name', 'preamble', 'tone', 'constraints', 'topics'].forEach(field => {
+                assert.ok(translation[field] && translation[field].length > 0, `"${code}" "${persona.id}" has no ${field}`);
+            });
+        });
+    });
+});
+
+test('the role rule writes the persona instead of the generic role', () => {
+    const persona = byId('builtin.tutor');
+    const { text, applied } = runRules('Explain photosynthesis', CONTEXT_ONLY, { persona });
+
+    assert.ok(applied.includes('context.role'));
+    assert.ok(text.startsWith(`${persona.preamble}\n\nExplain photosynthesis`), text);
+    assert.ok(text.includes(persona.tone));
+    persona.constraints.forEach(constraint => assert.ok(text.includes(`- ${constraint}`), text));
+    assert.ok(!text.includes('As an AI assistant'));
+});
+
+test('persona constraints give way to a format the prompt asks for', () => {
+    const persona = byId('builtin.software-engineer');
+    const { text } = runRules('Return the config as JSON', CONTEXT_ONLY, { persona });
+
+    assert.ok(text.includes(persona.tone));
+    persona.constraints.forEach(constraint => assert.ok(!text.includes(constraint), text));
+});
+
+test('a prompt that already sets a role keeps it', () => {
+    const persona = byId('builtin.copy-editor');
+    const prompt = 'Act as a chef and plan a dinner menu';
+    const { applied } = runRules(prompt, CONTEXT_ONLY, { persona });
+
+    assert.ok(!applied.includes('context.role'));
+});
+
+test('built-in personas are written in the prompt language', () => {
+    const persona = localizePersona(byId('builtin.data-analyst'), 'fr');
+    const { text } = runRules('Analyse ces ventes par région', CONTEXT_ONLY, { persona });
+
+    assert.ok(text.startsWith('Vous êtes un analyste de données'), text);
+});
+
+test('validatePersona normalises lists and rejects incomplete personas', () => {
+    const persona = validatePersona({
+        name: ' Chef ',
+        preamble: 'You are a professional chef.',
+        constraints: 'Give quantities in grams\n\nList the steps in order',
+        topics: 'Recipe, dinner , '
+    });
+
+    assert.equal(persona.name, 'Chef');
+    assert.deepEqual([...persona.constraints], ['Give quantities in grams', 'List the steps in order']);
+    assert.deepEqual([...persona.topics], ['recipe', 'dinner']);
+
+    assert.throws(() => validatePersona({ name: 'Chef' }), /preamble/);
+    assert.throws(() => validatePersona({ preamble: 'You are a chef.' }), /name/);
+});
+
+test('custom personas are suggested from their own topics', () => {
+    const chef = { id: 'user.chef', ...validatePersona({ name: 'Chef', preamble: 'You are a chef.', topics: 'recipe, dinner, cook' }) };
+    const persona = suggestPersona('What should I cook for dinner tonight?', [...personas, chef]);
+
+    assert.equal(persona && persona.id, 'user.chef');
+});
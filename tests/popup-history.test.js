@@ -0,0 +1,215 @@
+// Tests for the popup history view (popup.js setupHistory/loadHistory): the popup runs in a VM
+// context against a small stand-in DOM, and its messages are answered from an in-memory history.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const POPUP_SOURCE = readFileSync(new URL('../popup.js', import.meta.url), 'utf8');
+const HISTORY_ELEMENT_IDS = ['historyEnabled', 'historySearch', 'historyStarred', 'historyList'];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Just enough of an element for popup.js: children, listeners and the properties it sets
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName;
+        this.children = [];
+        this.listeners = {};
+        this.textContent = '';
+        this.title = '';
+        this.className = '';
+        this.value = '';
+        this.checked = false;
+        this.html = '';
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    dispatch(type) {
+        (this.listeners[type] || []).forEach(listener => listener({ type, preventDefault() {} }));
+    }
+
+    append(...children) {
+        this.children.push(...children);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    get innerHTML() {
+        return this.html;
+    }
+
+    set innerHTML(html) {
+        this.children = [];
+        this.html = html;
+    }
+}
+
+// Open the popup over the given history entries and wait for the first render
+async function openPopup(entries, { historyEnabled = true } = {}) {
+    const history = entries.map(entry => ({ ...entry }));
+    const settings = { historyEnabled };
+    const sent = [];
+    const copied = [];
+    const elements = Object.fromEntries(HISTORY_ELEMENT_IDS.map(id => [id, new FakeElement(id === 'historyList' ? 'ul' : 'input')]));
+    let onReady = null;
+
+    const handlers = {
+        getSettings: () => ({ settings: { ...settings }, definitions: [] }),
+        updateSettings: data => {
+            Object.assign(settings, data);
+            return { settings: { ...settings } };
+        },
+        searchHistory: ({ query, starredOnly }) => ({
+            entries: history.filter(entry =>
+                (!starredOnly || entry.starred) &&
+                `${entry.original} ${entry.enhanced}`.toLowerCase().includes(query.toLowerCase()))
+        }),
+        starHistoryEntry: ({ id, starred }) => {
+            history.find(entry => entry.id === id).starred = starred;
+            return { starred };
+        },
+        deleteHistoryEntry: ({ id }) => {
+            history.splice(history.findIndex(entry => entry.id === id), 1);
+            return {};
+        }
+    };
+
+    const context = vm.createContext({
+        console: { log() {}, error: console.error },
+        setTimeout,
+        clearTimeout,
+        navigator: { clipboard: { writeText: async text => { copied.push(text); } } },
+        document: {
+            addEventListener: (type, listener) => { if (type === 'DOMContentLoaded') onReady = listener; },
+            getElementById: id => elements[id] || null,
+            createElement: tagName => new FakeElement(tagName)
+        },
+        AIPromptEnhancer: {
+            i18n: { t: key => key, localizePage() {} },
+            messaging: {
+                sendMessage: async (action, data) => {
+                    sent.push({ action, data });
+                    return handlers[action](data);
+                }
+            }
+        }
+    });
+
+    vm.runInContext(POPUP_SOURCE, context);
+    onReady();
+    await delay(0);
+
+    return { elements, settings, history, sent, copied };
+}
+
+// The rows of the history list as { text, title, info, star, copy, remove }
+function rows(list) {
+    return list.children.map(item => {
+        const [text, meta] = item.children;
+        const [info, actions] = meta.children;
+        const [star, copy, remove] = actions.children;
+        return { text: text.textContent, title: text.title, info: info.textContent, star, copy, remove };
+    });
+}
+
+const ENTRIES = [
+    { id: 3, original: 'explain closures', enhanced: 'Explain closures in JavaScript step by step.', site: 'chatgpt', timestamp: 3000, starred: false },
+    { id: 2, original: 'fix my sql query', enhanced: 'Find the bug in this SQL query.', site: 'claude', timestamp: 2000, starred: true },
+    { id: 1, original: 'write a haiku', enhanced: 'Write a haiku about autumn.', site: 'gemini', timestamp: 1000, starred: false }
+];
+
+test('the popup lists saved prompts with the enhanced text as a tooltip', async () => {
+    const { elements, sent } = await openPopup(ENTRIES);
+    const shown = rows(elements.historyList);
+
+    assert.deepEqual(shown.map(row => row.text), ['explain closures', 'fix my sql query', 'write a haiku']);
+    assert.equal(shown[0].title, 'Explain closures in JavaScript step by step.');
+    assert.match(shown[1].info, /^claude · /);
+    assert.deepEqual(shown.map(row => row.star.textContent), ['☆', '★', '☆']);
+    assert.deepEqual(JSON.parse(JSON.stringify(sent.find(message => message.action === 'searchHistory').data)),
+        { query: '', starredOnly: false, limit: 50 });
+    assert.equal(elements.historyEnabled.checked, true);
+});
+
+test('an empty history and a search with no results say so', async () => {
+    const empty = await openPopup([]);
+    assert.match(empty.elements.historyList.innerHTML, /noSavedPrompts/);
+
+    const { elements } = await openPopup(ENTRIES);
+    elements.historySearch.value = 'kubernetes';
+    elements.historySearch.dispatch('input');
+    await delay(250);
+    assert.match(elements.historyList.innerHTML, /noMatchingPrompts/);
+});
+
+test('typing in the search box and the star filter narrow the list', async () => {
+    const { elements, sent } = await openPopup(ENTRIES);
+
+    elements.historySearch.value = 'HAIKU';
+    elements.historySearch.dispatch('input');
+    elements.historySearch.dispatch('input');
+    await delay(250);
+    assert.deepEqual(rows(elements.historyList).map(row => row.text), ['write a haiku']);
+    // The two keystrokes were debounced into one search
+    assert.equal(sent.filter(message => message.action === 'searchHistory').length, 2);
+
+    elements.historySearch.value = '';
+    elements.historyStarred.checked = true;
+    elements.historyStarred.dispatch('change');
+    await delay(0);
+    assert.deepEqual(rows(elements.historyList).map(row => row.text), ['fix my sql query']);
+});
+
+test('the star button toggles the star and shows the list again', async () => {
+    const { elements, history } = await openPopup(ENTRIES);
+
+    rows(elements.historyList)[0].star.dispatch('click');
+    await delay(0);
+
+    assert.equal(history.find(entry => entry.id === 3).starred, true);
+    assert.equal(rows(elements.historyList)[0].star.textContent, '★');
+    assert.equal(rows(elements.historyList)[0].star.title, 'unstar');
+});
+
+test('the copy button copies the enhanced prompt', async () => {
+    const { elements, copied } = await openPopup(ENTRIES);
+    const [row] = rows(elements.historyList);
+
+    row.copy.dispatch('click');
+    await delay(0);
+
+    assert.deepEqual(copied, ['Explain closures in JavaScript step by step.']);
+    assert.equal(row.copy.textContent, 'copied');
+});
+
+test('the delete button removes the entry from the list', async () => {
+    const { elements, history } = await openPopup(ENTRIES);
+
+    rows(elements.historyList)[1].remove.dispatch('click');
+    await delay(0);
+
+    assert.deepEqual(history.map(entry => entry.id), [3, 1]);
+    assert.deepEqual(rows(elements.historyList).map(row => row.text), ['explain closures', 'write a haiku']);
+});
+
+test('the opt-in checkbox saves historyEnabled', async () => {
+    const { elements, settings, sent } = await openPopup(ENTRIES, { historyEnabled: false });
+    assert.equal(elements.historyEnabled.checked, false);
+
+    elements.historyEnabled.checked = true;
+    elements.historyEnabled.dispatch('change');
+    await delay(0);
+
+    assert.equal(settings.historyEnabled, true);
+    assert.ok(sent.some(message => message.action === 'updateSettings' && message.data.historyEnabled === true));
+});
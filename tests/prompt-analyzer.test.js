@@ -0,0 +1,113 @@
+// Tests for the prompt quality analyzer (lib/prompt-analyzer.js): scores, findings and their params,
+// and prompts in languages other than English.
+//
+// Run with: node --test
+
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../core/enhancer.js';
+import { ANALYZER_DIMENSIONS, analyzePrompt } from '../lib/prompt-analyzer.js';
+
+const ids = analysis => analysis.findings.map(finding => finding.id);
+const finding = (analysis, id) => analysis.findings.find(item => item.id === id);
+
+test('an empty prompt scores 0 with a single finding', () => {
+    const analysis = analyzePrompt('   ');
+
+    assert.equal(analysis.score, 0);
+    assert.deepEqual(ids(analysis), ['clarity.empty']);
+    ANALYZER_DIMENSIONS.forEach(({ key }) => assert.equal(analysis.dimensions[key], 0));
+});
+
+test('a complete prompt scores 100 with no findings', () => {
+    const analysis = analyzePrompt(
+        'As a senior developer, explain closures in JavaScript to a beginner as a bulleted list in under 200 words, ' +
+        'because I am preparing a workshop. Avoid jargon.'
+    );
+
+    assert.equal(analysis.score, 100);
+    assert.deepEqual(analysis.findings, []);
+});
+
+test('the score is the average of the dimension scores', () => {
+    const analysis = analyzePrompt('Explain how closures work in JavaScript');
+    const total = ANALYZER_DIMENSIONS.reduce((sum, { key }) => sum + analysis.dimensions[key], 0);
+
+    assert.equal(analysis.score, Math.round(total / ANALYZER_DIMENSIONS.length));
+    assert.equal(analysis.dimensions.clarity, 100);
+    assert.ok(ids(analysis).includes('format.unspecified'));
+});
+
+test('findings carry the params the UI needs to word them', () => {
+    const analysis = analyzePrompt('it is some stuff');
+
+    assert.deepEqual(finding(analysis, 'clarity.vague-words').params, { words: ['stuff', 'some'] });
+    assert.deepEqual(finding(analysis, 'clarity.unclear-reference').params, { word: 'it' });
+    assert.deepEqual(finding(analysis, 'specificity.too-short').params, { count: 4 });
+    assert.deepEqual(finding(analysis, 'context.no-role').params, {});
+    analysis.findings.forEach(item => {
+        assert.equal(typeof item.message, 'string');
+        assert.equal(typeof item.suggestion, 'string');
+    });
+
+    const long = analyzePrompt(`Explain ${'word '.repeat(45)}`);
+    assert.deepEqual(finding(long, 'clarity.long-sentence').params, { count: 1, limit: 40 });
+});
+
+test('a question counts as a task', () => {
+    assert.ok(ids(analyzePrompt('the weather tomorrow')).includes('clarity.no-task'));
+    assert.ok(!ids(analyzePrompt('the weather tomorrow?')).includes('clarity.no-task'));
+    assert.ok(!ids(analyzePrompt('¿qué tiempo hará mañana?')).includes('clarity.no-task'));
+});
+
+test('prompts in Spanish, French and German are read in their own language', () => {
+    const prompts = [
+        'Explica cómo funcionan los closures en JavaScript',
+        'Explique comment fonctionnent les closures en JavaScript',
+        'Erkläre mir, wie Closures in JavaScript funktionieren'
+    ];
+
+    prompts.forEach(prompt => {
+        const analysis = analyzePrompt(prompt);
+        assert.equal(analysis.dimensions.clarity, 100, `expected a task in "${prompt}", got ${ids(analysis).join(', ')}`);
+    });
+
+    const french = analyzePrompt(
+        'En tant que développeur senior, explique les closures à un débutant sous forme de liste en 200 mots au maximum, ' +
+        "parce que je prépare un atelier. N'utilise pas de jargon."
+    );
+    assert.equal(french.score, 100, ids(french).join(', '));
+
+    const german = analyzePrompt(
+        'Als erfahrene Entwicklerin erkläre Closures für Anfänger in höchstens 200 Wörtern als Liste, ' +
+        'weil ich einen Workshop vorbereite. Vermeide Fachjargon.'
+    );
+    assert.equal(german.score, 100, ids(german).join(', '));
+});
+
+test('every finding has a message and a suggestion in each _locales language', () => {
+    const findingIds = [
+        'clarity.empty', 'clarity.no-task', 'clarity.vague-words', 'clarity.unclear-reference', 'clarity.long-sentence',
+        'specificity.too-short', 'specificity.no-details', 'context.no-role', 'context.no-audience', 'context.no-purpose',
+        'format.unspecified', 'constraints.no-length', 'constraints.none'
+    ];
+    const counted = ['clarity.long-sentence', 'specificity.too-short'];
+
+    ['en', 'es', 'fr', 'de'].forEach(language => {
+        const messages = JSON.parse(readFileSync(new URL(`../_locales/${language}/messages.json`, import.meta.url), 'utf8'));
+        const has = key => assert.ok(messages[key], `"${language}" has no "${key}"`);
+
+        findingIds.forEach(id => {
+            const key = `finding_${id.replace(/[.-]/g, '_')}`;
+            if (counted.includes(id)) {
+                has(`${key}_one`);
+                has(`${key}_other`);
+            } else {
+                has(key);
+            }
+            has(`${key}_fix`);
+        });
+        ANALYZER_DIMENSIONS.forEach(({ key }) => has(`dimension_${key}`));
+    });
+});
@@ -0,0 +1,61 @@
+// Tests for the guided prompt builder (content/prompt-builder.js), which runs in a VM context
+// like the other content scripts.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const context = vm.createContext({});
+vm.runInContext(readFileSync(new URL('../content/prompt-builder.js', import.meta.url), 'utf8'), context);
+const { assemblePrompt, parsePrompt, createEmptySteps } = context.AIPromptEnhancer.promptBuilder;
+
+// Compare across the VM boundary, whose arrays and objects have their own prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const STEPS = {
+    task: 'Write a function that merges two sorted lists.',
+    context: 'It runs in a hot loop.\nLists can hold a million items.',
+    audience: 'senior engineers',
+    constraints: ['Use Python 3.11', 'No external libraries'],
+    examples: [
+        { input: '[1, 3] and [2]', output: '[1, 2, 3]' },
+        { input: '[] and [5]\n(one list empty)', output: '' }
+    ],
+    format: 'A single code block',
+    tone: 'Concise'
+};
+
+test('the steps become one prompt with a section per step, and empty steps are left out', () => {
+    const prompt = assemblePrompt(STEPS);
+
+    assert.match(prompt, /^Write a function that merges two sorted lists\.\n\nContext:\nIt runs in a hot loop\./);
+    assert.match(prompt, /\n\nAudience: senior engineers\n\nConstraints:\n- Use Python 3\.11\n- No external libraries\n\n/);
+    assert.match(prompt, /Examples:\nExample 1:\nInput: \[1, 3\] and \[2\]\nOutput: \[1, 2, 3\]\n\nExample 2:\nInput:\n\[\] and \[5\]/);
+    assert.match(prompt, /\n\nOutput format: A single code block\n\nTone: Concise$/);
+
+    assert.equal(assemblePrompt({ ...createEmptySteps(), task: 'Explain DNS', tone: 'friendly' }), 'Explain DNS\n\nTone: friendly');
+});
+
+test('an assembled prompt parses back into the same steps, in English and in the UI language', () => {
+    assert.deepEqual(plain(parsePrompt(assemblePrompt(STEPS))), STEPS);
+
+    const labels = {
+        context: 'Kontext', audience: 'Zielgruppe', constraints: 'Vorgaben', examples: 'Beispiele',
+        format: 'Ausgabeformat', tone: 'Ton', example: 'Beispiel', input: 'Eingabe', output: 'Ausgabe'
+    };
+    assert.deepEqual(plain(parsePrompt(assemblePrompt(STEPS, labels), labels)), STEPS);
+    assert.deepEqual(plain(parsePrompt(assemblePrompt(STEPS), labels)), STEPS);
+});
+
+test('prompts written by hand are parsed from their headings, and the rest is the task', () => {
+    assert.deepEqual(plain(parsePrompt('Explain how DNS works')), plain({ ...createEmptySteps(), task: 'Explain how DNS works' }));
+
+    const steps = parsePrompt('Review my essay.\n\n## Audience\nA hiring manager\n\n**Tone:** formal\n\nconstraints:\n1. Under 300 words\n2) No jargon');
+    assert.equal(steps.task, 'Review my essay.');
+    assert.equal(steps.audience, 'A hiring manager');
+    assert.equal(steps.tone, 'formal');
+    assert.deepEqual(plain(steps.constraints), ['Under 300 words', 'No jargon']);
+});
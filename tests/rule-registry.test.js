@@ -0,0 +1,117 @@
+// Tests for the enhancement rule registry (lib/rule-registry.js): registration, ordering, settings
+// and running the rules. The built-in rules are not loaded, so each test registers its own.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    defineRuleSetting,
+    getRuleSettingDefinitions,
+    registerRule,
+    unregisterRule,
+    getRules,
+    getRuleSettingsDefaults,
+    isRuleEnabled,
+    runRules
+} from '../lib/rule-registry.js';
+
+// Register rules for one test and remove them when it ends
+function useRules(t, rules) {
+    rules.forEach(rule => registerRule(rule));
+    t.after(() => rules.forEach(rule => unregisterRule(rule.id)));
+}
+
+const suffix = (id, settingsKey, extra = {}) => ({ id, settingsKey, transform: prompt => `${prompt} ${id}`, ...extra });
+
+test('rules run by order, then by registration, and report what changed the text', (t) => {
+    useRules(t, [
+        suffix('late', 'style', { order: 200 }),
+        suffix('first', 'style', { order: 10 }),
+        suffix('second', 'style', { order: 10 }),
+        { id: 'unchanged', settingsKey: 'style', transform: prompt => prompt }
+    ]);
+
+    assert.deepEqual(getRules().map(rule => rule.id), ['first', 'second', 'unchanged', 'late']);
+    assert.deepEqual({ ...runRules('go', {}) }, { text: 'go first second late', applied: ['first', 'second', 'late'] });
+});
+
+test('a rule runs only when its setting is on and its condition holds', (t) => {
+    useRules(t, [
+        suffix('polite', 'politeness'),
+        suffix('shout', 'volume', { defaultEnabled: false }),
+        suffix('question', 'politeness', { order: 1, condition: prompt => prompt.endsWith('?') })
+    ]);
+
+    assert.equal(runRules('help', {}).text, 'help polite');
+    assert.equal(runRules('help', { politeness: false, volume: true }).text, 'help shout');
+    assert.deepEqual({ ...runRules('why?', { politeness: true }) }, { text: 'why? question polite', applied: ['question', 'polite'] });
+    assert.equal(isRuleEnabled(getRules().find(rule => rule.id === 'shout')), false);
+});
+
+test('each rule sees the text the rules before it wrote, and the context', (t) => {
+    const seen = [];
+    useRules(t, [
+        suffix('one', 'steps', { order: 1 }),
+        { id: 'two', settingsKey: 'steps', order: 2, transform: (prompt, context) => {
+            seen.push({ prompt, language: context.language, persona: context.persona });
+            return prompt;
+        } }
+    ]);
+
+    runRules('explain this', {});
+    runRules('explique ceci', {}, { language: 'fr', persona: 'tutor' });
+    assert.deepEqual(seen, [
+        { prompt: 'explain this one', language: 'en', persona: undefined },
+        { prompt: 'explique ceci one', language: 'fr', persona: 'tutor' }
+    ]);
+});
+
+test('a failing rule is skipped and the text from the rule before it is kept', (t) => {
+    t.mock.method(console, 'error', () => {});
+    useRules(t, [
+        suffix('before', 'safety', { order: 1 }),
+        { id: 'broken', settingsKey: 'safety', order: 2, transform: () => { throw new Error('boom'); } },
+        suffix('after', 'safety', { order: 3 })
+    ]);
+
+    assert.deepEqual({ ...runRules('x', {}) }, { text: 'x before after', applied: ['before', 'after'] });
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('settings defined with defineRuleSetting label the keys the rules use', (t) => {
+    defineRuleSetting('tone', { label: 'Set the tone', description: 'Ask for a friendly tone', defaultValue: false });
+    useRules(t, [
+        suffix('tone.friendly', 'tone', { description: 'Friendly wording' }),
+        suffix('tone.warm', 'tone'),
+        suffix('length.short', 'brevity', { defaultEnabled: false })
+    ]);
+
+    const definitions = getRuleSettingDefinitions();
+    assert.deepEqual(definitions.map(definition => definition.key), ['tone', 'brevity']);
+    assert.equal(definitions[0].label, 'Set the tone');
+    assert.deepEqual(definitions[0].rules, [
+        { id: 'tone.friendly', description: 'Friendly wording' },
+        { id: 'tone.warm', description: '' }
+    ]);
+    assert.equal(definitions[1].label, 'brevity');
+    assert.deepEqual(getRuleSettingsDefaults(), { tone: false, brevity: false });
+
+    // The defined default wins over the rule's own defaultEnabled
+    assert.equal(runRules('hi', {}).text, 'hi');
+});
+
+test('invalid rules and duplicate ids are refused', (t) => {
+    useRules(t, [suffix('taken', 'misc')]);
+
+    assert.throws(() => registerRule({ settingsKey: 'misc', transform: String }), /non-empty string id/);
+    assert.throws(() => registerRule({ id: 'no-transform', settingsKey: 'misc' }), /must define a transform function/);
+    assert.throws(() => registerRule(suffix('bad-condition', 'misc', { condition: true })), /condition must be a function/);
+    assert.throws(() => registerRule({ id: 'no-key', transform: String }), /must declare a settingsKey/);
+    assert.throws(() => registerRule(suffix('taken', 'misc')), /"taken" is already registered/);
+    assert.throws(() => defineRuleSetting(' '), /non-empty string key/);
+
+    assert.equal(unregisterRule('taken'), true);
+    assert.equal(unregisterRule('taken'), false);
+    registerRule(suffix('taken', 'misc'));
+});
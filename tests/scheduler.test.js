@@ -0,0 +1,44 @@
+// Tests for the background job scheduler (lib/scheduler.js).
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defineBackgroundJob, getBackgroundJob, getBackgroundJobs, getJobAlarmName, getJobIdFromAlarm, getNextRunTime } from '../lib/scheduler.js';
+
+const MINUTE = 60 * 1000;
+const noop = async () => {};
+
+test('jobs are registered by id and replaced on redefinition', () => {
+    defineBackgroundJob('test.cleanup', { intervalMinutes: 60, run: noop });
+    defineBackgroundJob('test.cleanup', { intervalMinutes: 30, run: noop });
+
+    const jobs = getBackgroundJobs().filter(job => job.id === 'test.cleanup');
+    assert.equal(jobs.length, 1);
+    assert.equal(getBackgroundJob('test.cleanup').intervalMinutes, 30);
+});
+
+test('job definitions are validated', () => {
+    assert.throws(() => defineBackgroundJob('', { intervalMinutes: 60, run: noop }), /non-empty string id/);
+    assert.throws(() => defineBackgroundJob('test.no-run', { intervalMinutes: 60 }), /run function/);
+    assert.throws(() => defineBackgroundJob('test.too-often', { intervalMinutes: 0.1, run: noop }), /at most every/);
+    assert.throws(() => defineBackgroundJob('test.no-interval', { run: noop }), /at most every/);
+});
+
+test('alarm names map back to job ids', () => {
+    const name = getJobAlarmName('usage-cleanup');
+
+    assert.equal(getJobIdFromAlarm(name), 'usage-cleanup');
+    assert.equal(getJobIdFromAlarm('some-other-alarm'), null);
+});
+
+test('a job runs one interval after its last run, or now when it is overdue', () => {
+    const job = { id: 'test.daily', intervalMinutes: 24 * 60, run: noop };
+    const now = Date.UTC(2026, 9, 19, 12);
+
+    assert.equal(getNextRunTime(job, undefined, now), now);
+    assert.equal(getNextRunTime(job, now - 60 * MINUTE, now), now + 23 * 60 * MINUTE);
+
+    // Missed while the browser was closed: catch up right away
+    assert.equal(getNextRunTime(job, now - 3 * 24 * 60 * MINUTE, now), now);
+});
@@ -0,0 +1,351 @@
+// Tests for the "Enhance selected text" overlay (overlay/selection-overlay.js). It runs in a VM
+// context with adapters/registry.js, like the scripts the context menu injects, against a small
+// stand-in DOM and a stubbed messaging client.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const SOURCES = ['../adapters/registry.js', '../adapters/chatgpt.js', '../overlay/selection-overlay.js']
+    .map(path => readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Load the overlay on a page at `url`; sendMessage answers with reply(action, data)
+function loadOverlay({ url = 'https://example.com/article', reply = () => ({ enhancedPrompt: 'Enhanced text' }) } = {}) {
+    const sent = [];
+    const copied = [];
+    const documentListeners = {};
+    let activeElement = null;
+    let documentElement = null;
+
+    // Just enough of an element for the overlay and the registry's input helpers
+    class FakeElement {
+        constructor(tagName) {
+            this.tagName = tagName.toUpperCase();
+            this.children = [];
+            this.parentNode = null;
+            this.attributes = {};
+            this.listeners = {};
+            this.style = {};
+            this.className = '';
+            this.textContent = '';
+            this.isContentEditable = false;
+            this.offsetWidth = 0;
+            this.offsetHeight = 0;
+        }
+
+        get isConnected() {
+            let node = this;
+            while (node.parentNode) node = node.parentNode;
+            return node === documentElement;
+        }
+
+        get elements() {
+            return Object.fromEntries(this.descendants().filter(node => node.name).map(node => [node.name, node]));
+        }
+
+        descendants() {
+            return this.children.flatMap(child => child instanceof FakeElement ? [child, ...child.descendants()] : []);
+        }
+
+        append(...children) {
+            children.forEach(child => this.appendChild(child));
+        }
+
+        appendChild(child) {
+            child.parentNode = this;
+            this.children.push(child);
+            return child;
+        }
+
+        remove() {
+            if (!this.parentNode) return;
+            this.parentNode.children.splice(this.parentNode.children.indexOf(this), 1);
+            this.parentNode = null;
+        }
+
+        contains(node) {
+            return node === this || this.descendants().includes(node);
+        }
+
+        setAttribute(name, value) {
+            this.attributes[name] = String(value);
+        }
+
+        addEventListener(type, listener) {
+            (this.listeners[type] ||= []).push(listener);
+        }
+
+        dispatch(type, event = {}) {
+            (this.listeners[type] || []).forEach(listener => listener({ type, target: this, preventDefault() {}, ...event }));
+        }
+
+        querySelector(tagName) {
+            return this.descendants().find(node => node.tagName === tagName.toUpperCase()) || null;
+        }
+
+        attachShadow(init) {
+            this.shadow = new FakeElement('#shadow-root');
+            this.shadow.mode = init.mode;
+            return this.shadow;
+        }
+
+        focus() {
+            activeElement = this;
+        }
+
+        getBoundingClientRect() {
+            return { left: 40, top: 100, bottom: 120 };
+        }
+    }
+
+    // A textarea whose value setter lives on the prototype, as the registry expects
+    class HTMLTextAreaElement extends FakeElement {
+        constructor(value) {
+            super('textarea');
+            this.stored = value;
+            this.selectionStart = 0;
+            this.selectionEnd = 0;
+            this.offsetWidth = 300;
+            this.offsetParent = {};
+        }
+
+        get value() {
+            return this.stored;
+        }
+
+        set value(text) {
+            this.stored = text;
+        }
+
+        setSelectionRange(start, end) {
+            this.selectionStart = start;
+            this.selectionEnd = end;
+        }
+
+        dispatchEvent() {}
+    }
+
+    class FakeEvent {
+        constructor(type, init = {}) {
+            Object.assign(this, { type }, init);
+        }
+    }
+
+    documentElement = new FakeElement('html');
+    const head = documentElement.appendChild(new FakeElement('head'));
+    const body = documentElement.appendChild(new FakeElement('body'));
+    activeElement = body;
+
+    // The page selection; tests set text and range
+    const pageSelection = { text: '', range: null };
+
+    const context = vm.createContext({
+        console: { warn() {}, error() {} },
+        location: { href: url },
+        navigator: { clipboard: { writeText: async text => { copied.push(text); } } },
+        HTMLTextAreaElement,
+        HTMLInputElement: HTMLTextAreaElement,
+        Event: FakeEvent,
+        InputEvent: FakeEvent,
+        window: {
+            innerWidth: 1000,
+            innerHeight: 800,
+            getSelection: () => ({
+                rangeCount: pageSelection.range ? 1 : 0,
+                getRangeAt: () => ({ cloneRange: () => pageSelection.range }),
+                toString: () => pageSelection.text
+            })
+        },
+        document: {
+            documentElement,
+            head,
+            body,
+            // Like a browser, focus falls back to the body when the focused element is removed
+            get activeElement() {
+                return activeElement.isConnected ? activeElement : body;
+            },
+            createElement: tagName => new FakeElement(tagName),
+            createTextNode: text => ({ text }),
+            addEventListener: (type, listener) => { (documentListeners[type] ||= new Set()).add(listener); },
+            removeEventListener: (type, listener) => { documentListeners[type]?.delete(listener); }
+        }
+    });
+    context.AIPromptEnhancer = {
+        i18n: { t: key => key },
+        messaging: {
+            sendMessage: async (action, data) => {
+                sent.push({ action, data: JSON.parse(JSON.stringify(data)) });
+                return reply(action, data);
+            }
+        }
+    };
+    SOURCES.forEach(source => vm.runInContext(source, context));
+
+    const host = () => documentElement.children.find(node => node.tagName === 'AI-PROMPT-ENHANCER-SELECTION');
+    return {
+        overlay: context.AIPromptEnhancer.selectionOverlay,
+        sent,
+        copied,
+        head,
+        body,
+        host,
+        // The overlay box inside the shadow root, or null once closed
+        box: () => host()?.shadow.children.find(node => node.className === 'overlay') || null,
+        selectText(text, range) {
+            pageSelection.text = text;
+            pageSelection.range = range;
+        },
+        focus: element => element.focus(),
+        fireDocument: (type, event) => (documentListeners[type] || []).forEach(listener => listener(event)),
+        HTMLTextAreaElement
+    };
+}
+
+// The overlay's parts: header, body (result, message or form) and actions
+const parts = box => ({
+    title: box.children[0].children[0].textContent,
+    content: box.children[1],
+    buttons: box.children[2] ? box.children[2].children.filter(node => node.tagName === 'BUTTON') : []
+});
+
+test('selected page text is enhanced and shown in an overlay in a closed shadow root', async () => {
+    const page = loadOverlay();
+    const range = {
+        getBoundingClientRect: () => ({ left: 40, top: 100, bottom: 120 }),
+        deleteContents() { this.deleted = true; },
+        insertNode(node) { this.inserted = node; }
+    };
+    page.selectText('fix grammar in this sentence', range);
+
+    await page.overlay.run({ options: { enhanceClarity: true } });
+
+    assert.deepEqual(page.sent, [{
+        action: 'enhancePrompt',
+        data: { prompt: 'fix grammar in this sentence', site: 'selection', options: { enhanceClarity: true }, template: null }
+    }]);
+
+    assert.equal(page.host().shadow.mode, 'closed');
+    assert.equal(page.head.children.length, 0);
+    assert.equal(page.body.children.length, 0);
+    assert.match(page.host().shadow.children[0].textContent, /:host \{\s*all: initial;/);
+
+    const { title, content, buttons } = parts(page.box());
+    assert.equal(title, '✨ overlayTitle');
+    assert.equal(content.textContent, 'Enhanced text');
+    assert.deepEqual(buttons.map(button => button.textContent), ['copy', 'replace']);
+    assert.deepEqual({ ...page.box().style }, { left: '40px', top: '128px' });
+
+    buttons[0].dispatch('click');
+    await flush();
+    assert.deepEqual(page.copied, ['Enhanced text']);
+
+    buttons[1].dispatch('click');
+    assert.ok(range.deleted);
+    assert.equal(range.inserted.text, 'Enhanced text');
+    assert.equal(buttons[1].disabled, true);
+});
+
+test('on a site with an adapter the adapter id is sent as the site', async () => {
+    const page = loadOverlay({ url: 'https://chatgpt.com/c/1' });
+    page.selectText('some text', null);
+
+    await page.overlay.run();
+    assert.equal(page.sent[0].data.site, 'chatgpt');
+});
+
+test('a selection in a text field is replaced in place and can be undone', async () => {
+    const page = loadOverlay();
+    const field = new page.HTMLTextAreaElement('Please fix teh typo here.');
+    page.body.appendChild(field);
+    field.setSelectionRange(7, 19);
+    page.focus(field);
+
+    await page.overlay.run();
+
+    assert.equal(page.sent[0].data.prompt, 'fix teh typo');
+    assert.equal(field.value, 'Please Enhanced text here.');
+
+    const { buttons } = parts(page.box());
+    assert.deepEqual(buttons.map(button => button.textContent), ['copy', 'undo']);
+    buttons[1].dispatch('click');
+    assert.equal(field.value, 'Please fix teh typo here.');
+});
+
+test('with nothing selected in a text field the whole field is enhanced', async () => {
+    const page = loadOverlay();
+    const field = new page.HTMLTextAreaElement('whole draft');
+    page.body.appendChild(field);
+    page.focus(field);
+
+    await page.overlay.run();
+
+    assert.equal(page.sent[0].data.prompt, 'whole draft');
+    assert.equal(field.value, 'Enhanced text');
+});
+
+test('an empty selection and a failed request are shown as errors', async () => {
+    const page = loadOverlay({ reply: () => { throw new Error('The service is unavailable'); } });
+
+    await page.overlay.run();
+    assert.equal(page.sent.length, 0);
+    assert.equal(parts(page.box()).content.textContent, 'errorEmptySelection');
+
+    page.selectText('text', null);
+    await page.overlay.run({ selectionText: 'ignored' });
+    assert.equal(parts(page.box()).content.className, 'message error');
+    assert.equal(parts(page.box()).content.textContent, 'The service is unavailable');
+});
+
+test('the menu selection text is used when the page selection is gone', async () => {
+    const page = loadOverlay();
+
+    await page.overlay.run({ selectionText: 'text from the context menu' });
+    assert.equal(page.sent[0].data.prompt, 'text from the context menu');
+});
+
+test('a template asks for its other variables before enhancing', async () => {
+    const page = loadOverlay();
+    page.selectText('closures', null);
+    const template = { id: 'builtin.explain', name: 'Explain a concept', variables: ['prompt', 'audience'] };
+
+    const running = page.overlay.run({ template });
+    await flush();
+    assert.equal(page.sent.length, 0);
+
+    const form = parts(page.box()).content;
+    assert.equal(form.className, 'form');
+    form.elements.audience.value = 'a beginner';
+    form.dispatch('submit');
+    await running;
+
+    assert.deepEqual(page.sent[0].data.template, { id: 'builtin.explain', values: { audience: 'a beginner' } });
+});
+
+test('Escape or a click outside closes the overlay, and closing the form cancels', async () => {
+    const page = loadOverlay();
+    page.selectText('closures', null);
+
+    const running = page.overlay.run({ template: { id: 't', name: 'T', variables: ['prompt', 'audience'] } });
+    await flush();
+    page.fireDocument('keydown', { key: 'Escape' });
+    await running;
+    assert.equal(page.box(), null);
+    assert.equal(page.sent.length, 0);
+
+    await page.overlay.run();
+    page.fireDocument('mousedown', { target: page.host() });
+    assert.ok(page.box(), 'a click inside the overlay reaches the page as a click on the host');
+    page.fireDocument('mousedown', { target: page.body });
+    assert.equal(page.box(), null);
+
+    // The listeners went with the overlay
+    await page.overlay.run();
+    page.overlay.close();
+    page.fireDocument('keydown', { key: 'Escape' });
+    assert.equal(page.box(), null);
+});
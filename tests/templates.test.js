@@ -0,0 +1,89 @@
+// Tests for prompt templates (lib/templates.js): variables, rendering, validation, and user
+// templates passed to enhancePrompt() in core/enhancer.js.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enhancePrompt } from '../core/enhancer.js';
+import {
+    TEMPLATE_LIMITS,
+    BUILTIN_TEMPLATES,
+    TemplateError,
+    extractTemplateVariables,
+    renderTemplate,
+    validateTemplate,
+    describeTemplate
+} from '../lib/templates.js';
+
+test('variables are listed once each, in order, with spaces and dashes allowed', () => {
+    assert.deepEqual(
+        extractTemplateVariables('As {{ role }}, {{prompt}} for {{target-audience}}. Again: {{role}} {{1bad}} {single}'),
+        ['role', 'prompt', 'target-audience']
+    );
+    assert.deepEqual(extractTemplateVariables(''), []);
+    assert.deepEqual(extractTemplateVariables(null), []);
+});
+
+test('rendering fills every variable with its trimmed value', () => {
+    assert.equal(
+        renderTemplate('As {{ role }}, {{prompt}}. Again, {{role}}.', { role: '  a chemist ', prompt: 'explain pH' }),
+        'As a chemist, explain pH. Again, a chemist.'
+    );
+});
+
+test('rendering names every variable that has no value', () => {
+    assert.throws(
+        () => renderTemplate('{{role}} {{prompt}} {{format}}', { prompt: 'x', role: '   ', format: 7 }),
+        error => error instanceof TemplateError && error.code === 'invalid_data' &&
+            error.message === 'Missing template values: role, format'
+    );
+});
+
+test('a user template needs a name and a body with {{prompt}}, within the limits', () => {
+    assert.deepEqual(validateTemplate({ name: '  Bug report ', body: ' Fix this: {{prompt}} \n', id: 'ignored' }),
+        { name: 'Bug report', body: 'Fix this: {{prompt}}' });
+
+    const invalid = (template, pattern) => assert.throws(() => validateTemplate(template),
+        error => error instanceof TemplateError && pattern.test(error.message));
+    invalid({ body: '{{prompt}}' }, /name is required/);
+    invalid({ name: 'x'.repeat(TEMPLATE_LIMITS.maxNameLength + 1), body: '{{prompt}}' }, /name must be at most 80 characters/);
+    invalid({ name: 'Empty', body: '   ' }, /body is required/);
+    invalid({ name: 'Long', body: `{{prompt}}${'x'.repeat(TEMPLATE_LIMITS.maxBodyLength)}` }, /body must be at most 5000 characters/);
+    invalid({ name: 'No prompt', body: 'As {{role}}, help me' }, /must contain \{\{prompt\}\}/);
+    invalid(null, /name is required/);
+});
+
+test('built-in templates are valid and describe their variables', () => {
+    BUILTIN_TEMPLATES.forEach(template => {
+        assert.doesNotThrow(() => validateTemplate(template), template.id);
+        assert.ok(template.id.startsWith('builtin.'));
+    });
+
+    const described = describeTemplate(BUILTIN_TEMPLATES[0]);
+    assert.deepEqual(described.variables, ['role', 'prompt', 'audience', 'format']);
+    assert.equal(described.builtin, true);
+    assert.equal(describeTemplate({ id: 'user.1', name: 'Mine', body: '{{prompt}}' }).builtin, false);
+});
+
+test('enhancePrompt fills a user template with the prompt and the values', async () => {
+    const templates = [{ id: 'user.bug', name: 'Bug report', body: 'In {{language}}, {{prompt}}' }];
+    const result = await enhancePrompt('fix the off-by-one error', {
+        templates,
+        template: { id: 'user.bug', values: { language: 'Rust' } }
+    });
+
+    assert.equal(result.prompt, 'In Rust, fix the off-by-one error');
+    assert.match(result.text, /Rust/);
+
+    // The prompt always comes from the request, never from the values
+    const ignored = await enhancePrompt('explain traits', {
+        templates,
+        template: { id: 'user.bug', values: { language: 'Rust', prompt: 'something else' } }
+    });
+    assert.equal(ignored.prompt, 'In Rust, explain traits');
+
+    await assert.rejects(enhancePrompt('x', { templates, template: { id: 'builtin.expert', values: {} } }),
+        error => error instanceof TemplateError && error.code === 'not_found');
+    await assert.rejects(enhancePrompt('x', { templates, template: { id: 'user.bug', values: {} } }), /Missing template values: language/);
+});
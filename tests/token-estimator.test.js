@@ -0,0 +1,57 @@
+// Tests for token counts and cost estimates (lib/token-estimator.js).
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_MODEL_PRICES,
+    PriceTableError,
+    countTokens,
+    validateModelPrices,
+    getModelPrice,
+    estimatePromptTokens
+} from '../lib/token-estimator.js';
+
+test('common words are one token and long words, numbers and punctuation add more', () => {
+    assert.equal(countTokens(''), 0);
+    assert.equal(countTokens('Hello world'), 2);
+    assert.equal(countTokens('The quick brown fox jumps over the lazy dog.'), 10);
+    assert.ok(countTokens('internationalization') > countTokens('international'));
+    assert.ok(countTokens('x = (a + b) * 2;') > countTokens('x equals a plus b'));
+});
+
+test('families split digits and non-Latin scripts differently', () => {
+    assert.equal(countTokens('123456789', 'gpt'), 3);
+    assert.equal(countTokens('123456789', 'llama'), 9);
+    assert.ok(countTokens('今天天气很好', 'claude') > countTokens('今天天气很好', 'gemini'));
+    assert.equal(countTokens('Hello', 'unknown'), countTokens('Hello', 'gpt'));
+});
+
+test('estimates report tokens, input cost and the budget for the chosen model', () => {
+    const estimate = estimatePromptTokens('hi', 'Please explain this in detail', {
+        model: 'claude-sonnet',
+        prices: DEFAULT_MODEL_PRICES,
+        budget: 4
+    });
+
+    assert.equal(estimate.model, 'claude-sonnet');
+    assert.equal(estimate.before, 1);
+    assert.equal(estimate.cost.after, estimate.after * 3 / 1000000);
+    assert.equal(estimate.budget, 4);
+    assert.equal(estimate.overBudget, true);
+
+    const withoutBudget = estimatePromptTokens('hi', 'hello', { model: 'gemini-flash' });
+    assert.equal(withoutBudget.budget, 1000000);
+    assert.equal(withoutBudget.overBudget, false);
+});
+
+test('a removed model falls back to the first in the table, and tables need unique ids', () => {
+    const prices = [{ id: 'local', label: 'Local', family: 'llama', inputPrice: 0, contextWindow: 8192 }];
+
+    assert.equal(getModelPrice('gpt-4o', prices).id, 'local');
+    assert.doesNotThrow(() => validateModelPrices(DEFAULT_MODEL_PRICES));
+    assert.throws(() => validateModelPrices([]), PriceTableError);
+    assert.throws(() => validateModelPrices([...prices, ...prices]), /listed twice/);
+    assert.throws(() => validateModelPrices([{ ...prices[0], family: 'bert' }]), /unknown family/);
+});
@@ -0,0 +1,101 @@
+// Tests for the usage aggregates behind the dashboard (lib/usage-analytics.js).
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAnalyticsReport, getPeriodKey, getRecentPeriodKeys, recordEnhancementAggregate, toCsv } from '../lib/usage-analytics.js';
+
+// Local-time timestamps, since buckets follow the user's calendar
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).getTime();
+
+const event = (overrides = {}) => ({
+    site: 'chatgpt',
+    originalLength: 100,
+    enhancedLength: 150,
+    options: ['addContext'],
+    rules: ['context.role'],
+    ...overrides
+});
+
+test('buckets are keyed by local day, ISO week and month', () => {
+    assert.equal(getPeriodKey('day', at(2026, 10, 19)), '2026-10-19');
+    assert.equal(getPeriodKey('month', at(2026, 10, 19)), '2026-10');
+    assert.equal(getPeriodKey('week', at(2026, 10, 19)), '2026-W43');
+
+    // ISO weeks belong to the year of their Thursday
+    assert.equal(getPeriodKey('week', at(2027, 1, 1)), '2026-W53');
+    assert.equal(getPeriodKey('week', at(2025, 12, 29)), '2026-W01');
+    assert.throws(() => getPeriodKey('year', at(2026, 1, 1)), /Unknown analytics period/);
+});
+
+test('recent period keys end with the current one and cross year boundaries', () => {
+    assert.deepEqual([...getRecentPeriodKeys('day', 3, at(2026, 3, 1))], ['2026-02-27', '2026-02-28', '2026-03-01']);
+    assert.deepEqual([...getRecentPeriodKeys('month', 3, at(2026, 1, 31))], ['2025-11', '2025-12', '2026-01']);
+    assert.deepEqual([...getRecentPeriodKeys('week', 2, at(2026, 1, 5))], ['2026-W01', '2026-W02']);
+});
+
+test('an enhancement is counted in every period, per option, site and rule', () => {
+    const aggregates = recordEnhancementAggregate({}, event(), at(2026, 10, 19));
+    recordEnhancementAggregate(aggregates, event({ site: 'claude', rules: ['context.role', 'structure.steps'] }), at(2026, 10, 19, 18));
+
+    ['day', 'week', 'month'].forEach(period => {
+        const buckets = Object.values(aggregates[period]);
+        assert.equal(buckets.length, 1, period);
+        assert.equal(buckets[0].prompts, 2);
+        assert.equal(buckets[0].originalChars, 200);
+        assert.equal(buckets[0].enhancedChars, 300);
+        assert.deepEqual({ ...buckets[0].sites }, { chatgpt: 1, claude: 1 });
+        assert.deepEqual({ ...buckets[0].rules }, { 'context.role': 2, 'structure.steps': 1 });
+        assert.deepEqual({ ...buckets[0].options }, { addContext: 2 });
+    });
+});
+
+test('old buckets are pruned once they fall out of retention', () => {
+    const aggregates = recordEnhancementAggregate({}, event(), at(2025, 10, 1));
+    recordEnhancementAggregate(aggregates, event(), at(2026, 10, 19));
+
+    // More than 90 days and 52 weeks have passed, but not 24 months
+    assert.deepEqual(Object.keys(aggregates.day), ['2026-10-19']);
+    assert.deepEqual(Object.keys(aggregates.week), ['2026-W43']);
+    assert.deepEqual(Object.keys(aggregates.month).sort(), ['2025-10', '2026-10']);
+});
+
+test('reports zero-fill the range and rank rules, sites and options', () => {
+    const aggregates = {};
+    recordEnhancementAggregate(aggregates, event(), at(2026, 10, 17));
+    recordEnhancementAggregate(aggregates, event({ site: 'claude', originalLength: 100, enhancedLength: 100, rules: [] }), at(2026, 10, 19));
+    recordEnhancementAggregate(aggregates, event({ site: 'claude', rules: ['clarity.specific'] }), at(2026, 10, 19));
+
+    const report = buildAnalyticsReport(aggregates, 'day', at(2026, 10, 19), 4);
+
+    assert.deepEqual([...report.series.map(point => point.period)], ['2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19']);
+    assert.deepEqual([...report.series.map(point => point.prompts)], [0, 1, 0, 2]);
+    assert.equal(report.series[1].lengthGrowth, 50);
+    assert.equal(report.series[3].averageEnhancedLength, 125);
+    assert.equal(report.series[3].lengthGrowth, 25);
+    assert.deepEqual({ ...report.totals }, { prompts: 3, lengthGrowth: 33 });
+
+    assert.deepEqual([...report.sites.map(row => ({ ...row }))], [{ key: 'claude', count: 2 }, { key: 'chatgpt', count: 1 }]);
+    assert.deepEqual([...report.rules.map(row => ({ ...row }))], [{ key: 'clarity.specific', count: 1 }, { key: 'context.role', count: 1 }]);
+    assert.deepEqual([...report.options.map(row => ({ ...row }))], [{ key: 'addContext', count: 3 }]);
+});
+
+test('a report with no data has an empty series and no growth', () => {
+    const report = buildAnalyticsReport({}, 'month', at(2026, 10, 19));
+
+    assert.equal(report.series.length, 12);
+    assert.ok(report.series.every(point => point.prompts === 0 && point.lengthGrowth === 0));
+    assert.deepEqual({ ...report.totals }, { prompts: 0, lengthGrowth: 0 });
+    assert.equal(report.rules.length, 0);
+});
+
+test('toCsv quotes fields with commas, quotes and line breaks', () => {
+    const csv = toCsv([
+        { key: 'context.role', label: 'Adds a "role", if missing', count: 3 },
+        { key: 'multi', label: 'two\nlines', count: 0 },
+        { key: 'empty', count: undefined }
+    ], ['key', 'label', 'count']);
+
+    assert.equal(csv, 'key,label,count\r\ncontext.role,"Adds a ""role"", if missing",3\r\nmulti,"two\nlines",0\r\nempty,,\r\n');
+});
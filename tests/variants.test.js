@@ -0,0 +1,81 @@
+// Tests for enhancement variants (lib/variants.js) and enhanceVariants() in core/enhancer.js.
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enhanceVariants } from '../core/enhancer.js';
+import {
+    VARIANT_STRATEGIES,
+    getStrategyPersona,
+    rankStrategies,
+    recordVariantChoice
+} from '../lib/variants.js';
+
+const ids = strategies => strategies.map(strategy => strategy.id);
+
+test('every strategy gives its own variant with stats and a score', async () => {
+    const variants = await enhanceVariants('explain how closures work in javascript');
+
+    assert.deepEqual(variants.map(variant => variant.strategy), ids(VARIANT_STRATEGIES));
+    assert.equal(new Set(variants.map(variant => variant.text)).size, VARIANT_STRATEGIES.length);
+    variants.forEach(variant => {
+        assert.equal(typeof variant.analysis.after.score, 'number');
+        assert.equal(variant.stats.enhancedLength, variant.text.length);
+    });
+
+    const byId = Object.fromEntries(variants.map(variant => [variant.strategy, variant]));
+    assert.equal(byId.concise.persona, null);
+    assert.ok(byId.persona.persona);
+    assert.ok(byId.concise.text.length < byId.detailed.text.length);
+});
+
+test('a strategy leaves out its phrase when the prompt already asks for it', async () => {
+    const [variant] = await enhanceVariants('list the steps to bake bread', {}, [
+        VARIANT_STRATEGIES.find(strategy => strategy.id === 'stepByStep')
+    ]);
+
+    assert.doesNotMatch(variant.text, /step by step/i);
+});
+
+test('with an LLM provider the strategies are sent one request at a time', async (t) => {
+    let open = 0;
+    let most = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+        open += 1;
+        most = Math.max(most, open);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        open -= 1;
+        return new Response(JSON.stringify({ choices: [{ message: { content: 'Rewritten prompt' } }] }));
+    });
+
+    const variants = await enhanceVariants('explain recursion', {
+        provider: { enabled: true, baseUrl: 'http://localhost:8787/v1', model: 'test' }
+    });
+
+    assert.equal(globalThis.fetch.mock.callCount(), VARIANT_STRATEGIES.length);
+    assert.equal(most, 1);
+    assert.ok(variants.every(variant => variant.provider === 'llm'));
+});
+
+test('strategies choose the persona or follow the request', () => {
+    const [concise, detailed, , persona] = VARIANT_STRATEGIES;
+
+    assert.equal(getStrategyPersona(concise, 'builtin.tutor'), 'none');
+    assert.equal(getStrategyPersona(detailed, 'builtin.tutor'), 'builtin.tutor');
+    assert.equal(getStrategyPersona(persona, 'none'), 'auto');
+    assert.equal(getStrategyPersona(persona, 'builtin.tutor'), 'builtin.tutor');
+});
+
+test('the strategies the user picks move up the ranking', () => {
+    assert.deepEqual(ids(rankStrategies()), ids(VARIANT_STRATEGIES));
+
+    let preferences = recordVariantChoice({}, 'format', ['concise', 'detailed', 'format']);
+    assert.deepEqual(preferences.format, { shown: 1, chosen: 1 });
+    assert.deepEqual(preferences.concise, { shown: 1, chosen: 0 });
+    assert.deepEqual(ids(rankStrategies(preferences)), ['format', 'stepByStep', 'persona', 'concise', 'detailed']);
+
+    preferences = recordVariantChoice(preferences, 'concise', ['concise', 'format']);
+    preferences = recordVariantChoice(preferences, 'concise', ['concise', 'format']);
+    assert.equal(ids(rankStrategies(preferences))[0], 'concise');
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Local stand-in for an OpenAI-compatible chat-completions endpoint
+// Lets you exercise the LLM provider without network access or an API key.
+//
+// Usage:
+//   node tools/mock-llm-server.js [--port 8787] [--delay 0] [--fail]
+//
+//   --port   Port to listen on (default 8787; 0 picks a free port, printed on startup)
+//   --delay  Milliseconds to wait before answering, to test provider timeouts
+//   --fail   Answer every completion with HTTP 500, to test the heuristic fallback
+//
+// Then set the provider base URL to http://localhost:8787/v1 in the extension.
+
+import http from 'http';
+
+function parseArgs(argv) {
+    const args = { port: 8787, delay: 0, fail: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                args.port = Number(argv[++i]);
+                break;
+            case '--delay':
+                args.delay = Number(argv[++i]);
+                break;
+            case '--fail':
+                args.fail = true;
+                break;
+            default:
+                console.warn(`Ignoring unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+// Deterministic "enhancement" so results are easy to recognise
+function mockEnhance(prompt) {
+    const task = prompt.trim().replace(/[.?!]*$/, '');
+    return [
+        `Task: ${task}.`,
+        '',
+        'Please answer clearly and concisely, state any assumptions you make, and structure the response with short sections.'
+    ].join('\n');
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204, {});
+        return;
+    }
+
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJson(res, 400, { error: { message: 'Request body must be JSON' } });
+        return;
+    }
+
+    if (args.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, args.delay));
+    }
+
+    if (args.fail) {
+        sendJson(res, 500, { error: { message: 'Mock failure requested with --fail' } });
+        return;
+    }
+
+    const userMessage = (body.messages || []).filter(m => m.role === 'user').pop();
+    if (!userMessage || typeof userMessage.content !== 'string') {
+        sendJson(res, 400, { error: { message: 'No user message provided' } });
+        return;
+    }
+
+    console.log(`[mock-llm] ${body.model || 'unknown-model'}: ${userMessage.content.slice(0, 60)}`);
+
+    sendJson(res, 200, {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: body.model || 'mock-model',
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: mockEnhance(userMessage.content) },
+            finish_reason: 'stop'
+        }]
+    });
+});
+
+server.listen(args.port, () => {
+    console.log(`Mock LLM server listening on http://localhost:${server.address().port}/v1/chat/completions`);
+});
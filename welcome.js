@@ -1,6 +1,9 @@
 // Welcome page functionality for AI Prompt Enhancer
 
 document.addEventListener('DOMContentLoaded', function() {
+    // Translate the page (data-i18n attributes, see content/i18n.js)
+    globalThis.AIPromptEnhancer.i18n.localizePage();
+    
     // Get DOM elements
     const startBtn = document.getElementById('start-btn');
     const helpLink = document.getElementById('help-link');